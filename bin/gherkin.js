@@ -9,4 +9,8 @@
  * @module bin/gherkin
  */
 
-throw new Error('bin/gherkin.js is not implemented');
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -18,6 +18,7 @@ class TransformationError extends Error {
    * @param {string} [options.source] - Source code that failed to transform
    * @param {string} [options.model] - AI model that was used
    * @param {number} [options.retryCount] - Number of retries attempted
+   * @param {{input: number, output: number, total: number}} [options.usage] - Tokens consumed before the failure
    */
   constructor(message, options = {}) {
     super(message);
@@ -25,6 +26,7 @@ class TransformationError extends Error {
     this.source = options.source;
     this.model = options.model;
     this.retryCount = options.retryCount;
+    this.usage = options.usage || null;
     Error.captureStackTrace(this, TransformationError);
   }
 }
@@ -115,10 +117,69 @@ class ToolTimeoutError extends TransformationError {
   }
 }
 
+/**
+ * Error thrown by the rule-based transformer when source contains steps
+ * outside the deterministic grammar and no fallback transformer is configured.
+ */
+class UnsupportedStepError extends TransformationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Additional error options
+   * @param {Array<import('./step-compiler').UnsupportedStep>} [options.steps] - Steps that could not be compiled
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'UnsupportedStepError';
+    this.steps = options.steps || [];
+    Error.captureStackTrace(this, UnsupportedStepError);
+  }
+}
+
+/**
+ * Error thrown by the cassette provider when replaying a request that was
+ * never recorded.
+ */
+class CassetteMissError extends TransformationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Additional error options
+   * @param {string} [options.key] - Prompt hash of the missing recording
+   * @param {string} [options.cassetteDir] - Directory searched for the recording
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'CassetteMissError';
+    this.key = options.key;
+    this.cassetteDir = options.cassetteDir;
+    Error.captureStackTrace(this, CassetteMissError);
+  }
+}
+
+/**
+ * Error thrown when a transformation is aborted through its AbortSignal.
+ * Aborted transformations are not retried.
+ */
+class TransformationAbortedError extends TransformationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Additional error options
+   * @param {*} [options.reason] - Abort reason given to AbortController#abort
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'TransformationAbortedError';
+    this.reason = options.reason;
+    Error.captureStackTrace(this, TransformationAbortedError);
+  }
+}
+
 module.exports = {
   TransformationError,
   APIError,
   RateLimitError,
   InvalidCodeError,
   ToolTimeoutError,
+  UnsupportedStepError,
+  CassetteMissError,
+  TransformationAbortedError,
 };
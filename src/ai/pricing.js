@@ -0,0 +1,124 @@
+/**
+ * Token accounting and model pricing.
+ *
+ * Prices are in US dollars per million tokens. A model matches the longest
+ * price table entry that equals its identifier or prefixes it up to a dash,
+ * so 'claude-sonnet-4' prices 'claude-sonnet-4-20250514' as well.
+ *
+ * @module ai/pricing
+ */
+
+/**
+ * @typedef {import('./types').TokenUsage} TokenUsage
+ */
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {number} input - Dollars per million input tokens
+ * @property {number} output - Dollars per million output tokens
+ * @property {number} [cacheRead] - Dollars per million tokens read from the prompt cache
+ *   (default: a tenth of the input price)
+ * @property {number} [cacheWrite] - Dollars per million tokens written to the prompt cache
+ *   (default: 1.25 times the input price)
+ */
+
+/**
+ * Prompt cache prices relative to the input price, for prices that do not
+ * set them.
+ * @type {{cacheRead: number, cacheWrite: number}}
+ */
+const CACHE_PRICE_FACTORS = { cacheRead: 0.1, cacheWrite: 1.25 };
+
+/**
+ * Published prices of the models the compiler is used with. Projects
+ * override or extend this table with `ai.pricing`.
+ * @type {Object<string, ModelPrice>}
+ */
+const DEFAULT_PRICES = {
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  rules: { input: 0, output: 0 },
+};
+
+/**
+ * Token usage of nothing, to accumulate into.
+ *
+ * @returns {TokenUsage}
+ */
+function emptyUsage() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0 };
+}
+
+/**
+ * Add one usage to another.
+ *
+ * @param {TokenUsage} total - Usage accumulated so far; updated in place
+ * @param {TokenUsage|null|undefined} usage - Usage to add
+ * @returns {TokenUsage} The updated total
+ */
+function addUsage(total, usage) {
+  if (usage) {
+    total.input += usage.input || 0;
+    total.output += usage.output || 0;
+    total.cacheRead = (total.cacheRead || 0) + (usage.cacheRead || 0);
+    total.cacheWrite = (total.cacheWrite || 0) + (usage.cacheWrite || 0);
+    total.total = total.input + total.output + total.cacheRead + total.cacheWrite;
+  }
+  return total;
+}
+
+/**
+ * Find the price of a model.
+ *
+ * @param {string} model - Model identifier (e.g., 'claude-sonnet-4-20250514')
+ * @param {Object<string, ModelPrice>} [prices] - Price table (default: {@link DEFAULT_PRICES})
+ * @returns {ModelPrice|null} Price, or null if the table has no entry for the model
+ */
+function findPrice(model, prices = DEFAULT_PRICES) {
+  if (!model) {
+    return null;
+  }
+
+  const key = Object.keys(prices)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key ? prices[key] : null;
+}
+
+/**
+ * Compute the cost of token usage.
+ *
+ * @param {TokenUsage} usage - Tokens consumed
+ * @param {string} model - Model that consumed them
+ * @param {Object<string, ModelPrice>} [prices] - Price table (default: {@link DEFAULT_PRICES})
+ * @returns {number|null} Cost in US dollars, or null if the model has no price
+ */
+function computeCost(usage, model, prices = DEFAULT_PRICES) {
+  const price = findPrice(model, prices);
+  if (!price) {
+    return null;
+  }
+
+  const cacheRead = price.cacheRead ?? price.input * CACHE_PRICE_FACTORS.cacheRead;
+  const cacheWrite = price.cacheWrite ?? price.input * CACHE_PRICE_FACTORS.cacheWrite;
+
+  return ((usage.input || 0) * price.input
+    + (usage.output || 0) * price.output
+    + (usage.cacheRead || 0) * cacheRead
+    + (usage.cacheWrite || 0) * cacheWrite) / 1e6;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  emptyUsage,
+  addUsage,
+  findPrice,
+  computeCost,
+};
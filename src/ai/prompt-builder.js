@@ -5,6 +5,16 @@
  * language rules, and project context. Formats prompts to guide the AI in
  * generating correct JavaScript code from GherkinLang source.
  * 
+ * The system prompt is also split into content blocks marked for prompt
+ * caching: the rules and the target prompt are identical for every module of
+ * a build, so after the first request they are read from the API's cache
+ * instead of being billed as fresh input.
+ * 
+ * Projects extend the built-in rules with their own rules files (the
+ * `rules` configuration key), for example to define a domain vocabulary of
+ * steps. These are layered after the built-in rules in the order listed;
+ * where layers conflict, a later layer takes precedence over earlier ones.
+ * 
  * @module ai/prompt-builder
  */
 
@@ -14,6 +24,9 @@ const path = require('path');
 /**
  * @typedef {import('./types').CompilationPrompt} CompilationPrompt
  * @typedef {import('./types').ClaudeTool} ClaudeTool
+ * @typedef {import('./types').CorrectionFeedback} CorrectionFeedback
+ * @typedef {import('./types').SystemBlock} SystemBlock
+ * @typedef {import('../compiler/types').FunctionSignature} FunctionSignature
  */
 
 class PromptBuilder {
@@ -21,9 +34,74 @@ class PromptBuilder {
    * Creates a new PromptBuilder instance.
    * 
    * @constructor
+   * @param {Object} [options] - Builder options
+   * @param {string[]} [options.rulesFiles] - Project rules files layered over the built-in rules, in
+   *   increasing precedence (default: [])
+   * @param {string} [options.rootDir] - Directory the rules files are relative to (default: process.cwd())
    */
-  constructor() {
-    // Rules are loaded from rules.md file
+  constructor(options = {}) {
+    this._rulesFiles = options.rulesFiles || [];
+    this._rootDir = options.rootDir || process.cwd();
+  }
+
+  /**
+   * Get the effective rules: the built-in rules followed by every project
+   * rules file. This is the rules text sent to the AI and hashed into cache
+   * keys.
+   * 
+   * @param {Object} [options] - Rules options
+   * @param {string[]} [options.rulesFiles] - Project rules files (default: the builder's)
+   * @param {string} [options.rootDir] - Directory the rules files are relative to (default: the builder's)
+   * @returns {Promise<string>} Effective rules content
+   * @throws {Error} If the built-in rules or a project rules file cannot be read
+   */
+  async getRules({ rulesFiles = this._rulesFiles, rootDir = this._rootDir } = {}) {
+    const builtIn = await this._getGherkinLangRules();
+    const layers = [];
+
+    for (const file of rulesFiles) {
+      const resolvedPath = path.resolve(rootDir, file);
+      let content;
+      try {
+        content = (await readFile(resolvedPath)).trim();
+      } catch (error) {
+        throw new Error(`Failed to read project rules file: ${resolvedPath}. ${error.message}`);
+      }
+      if (content) {
+        // Listed paths rather than absolute ones keep the text, and the cache keys, the same on every machine
+        layers.push(`### ${file.split(path.sep).join('/')}\n\n${content}`);
+      }
+    }
+
+    if (layers.length === 0) {
+      return builtIn;
+    }
+
+    return [
+      builtIn,
+      '## Project Rules',
+      'The following rules are specific to this project and extend the rules above. Where they conflict, '
+        + 'a project rule takes precedence over the rules above, and a rule from a later file takes '
+        + 'precedence over one from an earlier file.',
+      ...layers,
+    ].join('\n\n');
+  }
+
+  /**
+   * Get the target-specific prompt (src/ai/prompts/<target>.md), which is
+   * sent after the rules and hashed into cache keys.
+   * 
+   * @param {string} target - Target language
+   * @returns {Promise<string>} Target-specific prompt content, or '' if the target has none
+   */
+  async getTargetPrompt(target) {
+    try {
+      const content = await readFile(path.join(__dirname, 'prompts', `${target}.md`));
+      return content.trim();
+    } catch (error) {
+      // Target-specific prompt is optional
+      return '';
+    }
   }
 
   /**
@@ -32,10 +110,14 @@ class PromptBuilder {
    * @param {Object} options - Prompt building options
    * @param {string} options.source - GherkinLang source code to compile
    * @param {string} options.target - Target language ('javascript' | 'elixir')
-   * @param {Object} [options.context] - Project context (module info, dependencies)
+   * @param {Object} [options.context] - Project context (module info, dependencies, and the signatures of
+   *   imported modules by namespace in `interfaces`)
    * @param {string} [options.model] - Claude model identifier (default: 'claude-sonnet-4-5')
    * @param {number} [options.maxTokens] - Maximum tokens in response (default: 4096)
    * @param {Array<ClaudeTool>} [options.tools] - Available tools for AI (default: [])
+   * @param {CorrectionFeedback} [options.feedback] - Previous attempt and its validation errors
+   * @param {string} [options.rules] - Effective rules, as returned by {@link PromptBuilder#getRules} (default:
+   *   loaded with getRules)
    * @returns {Promise<CompilationPrompt>} Structured compilation prompt
    */
   async build({
@@ -45,6 +127,8 @@ class PromptBuilder {
     model = 'claude-sonnet-4-5',
     maxTokens = 4096,
     tools = [],
+    feedback,
+    rules,
   }) {
     if (!source || typeof source !== 'string') {
       throw new Error('Source code is required');
@@ -54,20 +138,25 @@ class PromptBuilder {
       throw new Error(`Invalid target: ${target}`);
     }
 
-    // Get language rules from rules.md file
-    const rulesContent = await this._getGherkinLangRules();
+    // Built-in rules from rules.md, followed by the project's rules files. The compiler passes the
+    // rules it hashed into the cache key, so the prompt cannot drift from them during a build
+    const rulesContent = rules ?? await this.getRules();
     
     // Load target-specific prompt if available
-    const targetPrompt = await this._loadTargetPrompt(target);
+    const targetPrompt = await this.getTargetPrompt(target);
 
     // Build system message with role and rules
-    const systemMessage = this._buildSystemMessage(rulesContent, targetPrompt, target);
+    const systemBlocks = this._buildSystemBlocks(rulesContent, targetPrompt, target);
+    const systemMessage = systemBlocks.map(block => block.text).join('\n\n');
 
     // Build user message with source and context
-    const userMessage = this._buildUserMessage(source, context, target);
+    const userMessage = feedback
+      ? `${this._buildUserMessage(source, context, target)}\n\n${this._buildFeedbackSection(feedback, target)}`
+      : this._buildUserMessage(source, context, target);
 
     return {
       systemMessage,
+      systemBlocks,
       userMessage,
       tools,
       model,
@@ -86,6 +175,21 @@ class PromptBuilder {
    * @returns {string} System message
    */
   _buildSystemMessage(rulesContent, targetPrompt, target) {
+    return this._buildSystemBlocks(rulesContent, targetPrompt, target).map(block => block.text).join('\n\n');
+  }
+
+  /**
+   * Build the system prompt as content blocks: role and rules, then the
+   * target prompt. Each block ends with a cache breakpoint, so the prefix up
+   * to it is cached across requests.
+   * 
+   * @private
+   * @param {string} rulesContent - Language rules content
+   * @param {string} targetPrompt - Target-specific prompt
+   * @param {string} target - Target language
+   * @returns {Array<SystemBlock>} System content blocks
+   */
+  _buildSystemBlocks(rulesContent, targetPrompt, target) {
     const role = `You are a compiler for GherkinLang, a purely functional programming language that compiles to ${target}.`;
 
     const instructions = [
@@ -97,9 +201,12 @@ class PromptBuilder {
       '5. Output ONLY valid code - no explanations, no markdown code blocks, no preamble',
     ].join('\n');
 
-    const targetSpecific = targetPrompt ? `\n\n${targetPrompt}` : '';
+    const texts = [`${role}\n\n${instructions}\n\n# GherkinLang Compilation Rules\n\n${rulesContent}`];
+    if (targetPrompt) {
+      texts.push(targetPrompt);
+    }
 
-    return `${role}\n\n${instructions}\n\n# GherkinLang Compilation Rules\n\n${rulesContent}${targetSpecific}`;
+    return texts.map(text => ({ type: 'text', text, cache_control: { type: 'ephemeral' } }));
   }
 
   /**
@@ -133,11 +240,72 @@ class PromptBuilder {
       parts.push('', `Imports: ${context.imports.join(', ')}`);
     }
 
+    if (context.interfaces && Object.keys(context.interfaces).length > 0) {
+      parts.push('', this._buildInterfacesSection(context.interfaces));
+    }
+
     return parts.join('\n');
   }
 
   /**
-   * Get GherkinLang compilation rules from rules.md file.
+   * Build the section listing the public functions of imported modules, so
+   * calls into them use the names and parameters they were compiled with.
+   * 
+   * @private
+   * @param {Object<string, Array<FunctionSignature>>} interfaces - Signatures by module namespace
+   * @returns {string} Interfaces section
+   */
+  _buildInterfacesSection(interfaces) {
+    const lines = ['Imported modules are already compiled. Call their functions exactly as declared:'];
+
+    for (const [namespace, signatures] of Object.entries(interfaces)) {
+      lines.push('', namespace);
+      for (const { name, params, returns, summary } of signatures) {
+        const paramList = params.map(param => (param.type ? `${param.name}: ${param.type}` : param.name)).join(', ');
+        const returnType = returns ? `: ${returns}` : '';
+        const description = summary ? ` - ${summary}` : '';
+        lines.push(`- ${namespace}.${name}(${paramList})${returnType}${description}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the correction section listing why the previous attempt was rejected.
+   *
+   * Each validation error is listed with its location, message and, when the
+   * validator provided one, its fix suggestion.
+   *
+   * @private
+   * @param {CorrectionFeedback} feedback - Previous attempt and its validation errors
+   * @param {string} target - Target language
+   * @returns {string} Correction instructions
+   */
+  _buildFeedbackSection(feedback, target) {
+    const errors = feedback.errors.map((error, index) => {
+      const location = error.location ? ` (line ${error.location.line}, column ${error.location.column})` : '';
+      const rule = error.rule ? ` ${error.rule}` : '';
+      const suggestion = error.suggestion ? `\n   Suggestion: ${error.suggestion}` : '';
+      return `${index + 1}. [${error.type}${rule}]${location} ${error.message}${suggestion}`;
+    });
+
+    return [
+      'Your previous output failed validation. Fix every issue listed below and return the complete corrected code.',
+      '',
+      'Previous output:',
+      '',
+      `\`\`\`${target}`,
+      feedback.previousCode,
+      '```',
+      '',
+      'Validation errors:',
+      ...errors,
+    ].join('\n');
+  }
+
+  /**
+   * Get the built-in GherkinLang compilation rules from rules.md file.
    * 
    * These rules define the syntax and semantics of GherkinLang, a purely
    * functional programming language that uses Gherkin syntax.
@@ -156,26 +324,6 @@ class PromptBuilder {
       throw new Error(`Failed to read rules file: ${path.join(__dirname, 'prompts', 'rules.md')}. ${error.message}`);
     }
   }
-
-  /**
-   * Load target-specific prompt if available.
-   * 
-   * @private
-   * @param {string} target - Target language
-   * @returns {Promise<string>} Target-specific prompt content
-   */
-  async _loadTargetPrompt(target) {
-    try {
-      const promptPath = path.join(__dirname, 'prompts', `${target}.md`);
-      const content = await readFile(promptPath);
-      // Extract content after the first heading if it exists
-      const lines = content.split('\n');
-      return content.trim();
-    } catch (error) {
-      // Target-specific prompt is optional
-      return '';
-    }
-  }
 }
 
 module.exports = { PromptBuilder };
@@ -0,0 +1,122 @@
+/**
+ * Anthropic provider for the AI transformation engine.
+ *
+ * Sends message requests to the Claude API through the official SDK and
+ * maps SDK failures to the engine's error types.
+ *
+ * @module ai/providers/anthropic
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const {
+  TransformationError,
+  APIError,
+  RateLimitError,
+  TransformationAbortedError,
+} = require('../errors');
+
+/**
+ * @typedef {import('../types').ProviderRequest} ProviderRequest
+ * @typedef {import('../types').StreamOptions} StreamOptions
+ */
+
+class AnthropicProvider {
+  /**
+   * Creates a new AnthropicProvider instance.
+   *
+   * @param {Object} [options] - Provider configuration
+   * @param {string} [options.apiKey] - Claude API key (default: process.env.ANTHROPIC_API_KEY)
+   * @throws {TransformationError} If no API key is available
+   */
+  constructor(options = {}) {
+    const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+
+    if (!apiKey) {
+      throw new TransformationError('ANTHROPIC_API_KEY environment variable is required');
+    }
+
+    this.name = 'anthropic';
+    this._client = new Anthropic({ apiKey });
+  }
+
+  /**
+   * Send a message request to the Claude API.
+   *
+   * @param {ProviderRequest} request - Message request
+   * @returns {Promise<Object>} API response
+   * @throws {APIError|RateLimitError} If the API call fails
+   */
+  async createMessage(request) {
+    try {
+      return await this._client.messages.create(request);
+    } catch (error) {
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Stream a message request from the Claude API, reporting text as it
+   * arrives.
+   *
+   * @param {ProviderRequest} request - Message request
+   * @param {StreamOptions} [options] - Stream callbacks and abort signal
+   * @returns {Promise<Object>} Final API response, in the shape createMessage resolves with
+   * @throws {APIError|RateLimitError|TransformationAbortedError} If the API call fails or is aborted
+   */
+  async streamMessage(request, options = {}) {
+    try {
+      const stream = this._client.messages.stream(request, { signal: options.signal });
+      if (options.onText) {
+        stream.on('text', delta => options.onText(delta));
+      }
+      return await stream.finalMessage();
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw new TransformationAbortedError('AI request aborted', { reason: options.signal.reason });
+      }
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Map Anthropic SDK errors to our error types.
+   *
+   * @private
+   * @param {Error} error - SDK error
+   * @returns {APIError} Mapped error
+   */
+  _mapError(error) {
+    if (error.status === 429) {
+      return new RateLimitError('API rate limit exceeded', {
+        statusCode: error.status,
+        statusText: error.message,
+        retryAfter: error.headers?.['retry-after'],
+      });
+    }
+
+    if (error.status >= 400 && error.status < 500) {
+      return new APIError(`API client error: ${error.message}`, {
+        statusCode: error.status,
+        statusText: error.message,
+        response: error,
+      });
+    }
+
+    if (error.status >= 500) {
+      return new APIError(`API server error: ${error.message}`, {
+        statusCode: error.status,
+        statusText: error.message,
+        response: error,
+      });
+    }
+
+    // Network or other errors; keep the errno code so they stay retryable
+    const apiError = new APIError(`API call failed: ${error.message}`, {
+      response: error,
+    });
+    apiError.code = error.code;
+    return apiError;
+  }
+}
+
+module.exports = { AnthropicProvider };
@@ -0,0 +1,177 @@
+/**
+ * Cassette provider for the AI transformation engine.
+ *
+ * Records request/response pairs to disk, one JSON file per request keyed
+ * by the SHA256 hash of the canonicalized request, and replays them without
+ * network access. Committing the cassette directory gives offline,
+ * byte-identical builds and tests.
+ *
+ * @module ai/providers/cassette
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { CassetteMissError } = require('../errors');
+const { sha256 } = require('../../compiler/utils/hash');
+const { readFile, writeFile, exists } = require('../../compiler/utils/fs');
+
+/**
+ * @typedef {import('../types').AIProvider} AIProvider
+ * @typedef {import('../types').ProviderRequest} ProviderRequest
+ * @typedef {import('../types').StreamOptions} StreamOptions
+ */
+
+/**
+ * Cassette modes:
+ * - replay: only serve recordings; a miss throws CassetteMissError
+ * - record: always call the wrapped provider and overwrite the recording
+ * - auto: serve recordings, record misses
+ * @type {string[]}
+ */
+const CASSETTE_MODES = ['replay', 'record', 'auto'];
+
+/**
+ * Recursively sort object keys and drop undefined values so equal requests
+ * serialize identically.
+ *
+ * @param {*} value - Value to canonicalize
+ * @returns {*} Canonical value
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .reduce((acc, key) => ({ ...acc, [key]: canonicalize(value[key]) }), {});
+  }
+
+  return value;
+};
+
+class CassetteProvider {
+  /**
+   * Creates a new CassetteProvider instance.
+   *
+   * @param {Object} [options] - Provider configuration
+   * @param {string} [options.dir] - Cassette directory (default: '.gherkin-cassettes')
+   * @param {'replay'|'record'|'auto'} [options.mode] - Cassette mode (default: 'replay')
+   * @param {AIProvider|null} [options.provider] - Provider used to record misses (default: null)
+   * @throws {TypeError} If the mode is unknown
+   */
+  constructor(options = {}) {
+    const mode = options.mode || 'replay';
+
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new TypeError(`Unknown cassette mode "${mode}" (expected ${CASSETTE_MODES.join(', ')})`);
+    }
+
+    this.name = 'cassette';
+    this._dir = options.dir || '.gherkin-cassettes';
+    this._mode = mode;
+    this._provider = options.provider || null;
+  }
+
+  /**
+   * Replay the recorded response for a request, or record it.
+   *
+   * @param {ProviderRequest} request - Message request
+   * @returns {Promise<Object>} Recorded or fresh API response
+   * @throws {CassetteMissError} If no recording exists and recording is not possible
+   */
+  async createMessage(request) {
+    return this._respond(request, provider => provider.createMessage(request));
+  }
+
+  /**
+   * Replay or record a request like createMessage, reporting its text
+   * through `onText`. A replayed response is reported in one piece per
+   * text block; a recorded one streams from the wrapped provider when it
+   * supports streaming.
+   *
+   * @param {ProviderRequest} request - Message request
+   * @param {StreamOptions} [options] - Stream callbacks and abort signal
+   * @returns {Promise<Object>} Recorded or fresh API response
+   * @throws {CassetteMissError} If no recording exists and recording is not possible
+   */
+  async streamMessage(request, options = {}) {
+    let streamed = false;
+    const response = await this._respond(request, (provider) => {
+      if (!provider.streamMessage) {
+        return provider.createMessage(request);
+      }
+      streamed = true;
+      return provider.streamMessage(request, options);
+    });
+
+    if (!streamed && options.onText) {
+      (response.content || [])
+        .filter(block => block.type === 'text')
+        .forEach(block => options.onText(block.text));
+    }
+    return response;
+  }
+
+  /**
+   * @private
+   * @param {ProviderRequest} request - Message request
+   * @param {function(AIProvider): Promise<Object>} send - Sends the request to the wrapped provider
+   * @returns {Promise<Object>} Recorded or fresh API response
+   */
+  async _respond(request, send) {
+    const key = CassetteProvider.keyFor(request);
+    const filePath = this._pathFor(key);
+
+    if (this._mode !== 'record' && await exists(filePath)) {
+      const cassette = JSON.parse(await readFile(filePath));
+      return cassette.response;
+    }
+
+    if (this._mode === 'replay' || !this._provider) {
+      throw new CassetteMissError(
+        `No recorded response for request ${key.slice(0, 12)} in ${this._dir}; ` +
+        'record it with cassette mode "record" or "auto"',
+        { key, cassetteDir: this._dir, model: request.model }
+      );
+    }
+
+    const response = await send(this._provider);
+    await this._write(filePath, { key, request, response });
+    return response;
+  }
+
+  /**
+   * Compute the cassette key (prompt hash) for a request.
+   *
+   * @param {ProviderRequest} request - Message request
+   * @returns {string} Hexadecimal SHA256 hash
+   */
+  static keyFor(request) {
+    return sha256(JSON.stringify(canonicalize(request)));
+  }
+
+  /**
+   * @private
+   * @param {string} key - Cassette key
+   * @returns {string} Recording path
+   */
+  _pathFor(key) {
+    return path.join(this._dir, `${key}.json`);
+  }
+
+  /**
+   * Write a recording via a temporary file so readers never see partial JSON.
+   *
+   * @private
+   */
+  async _write(filePath, cassette) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, `${JSON.stringify(canonicalize(cassette), null, 2)}\n`);
+    await fs.rename(tempPath, filePath);
+  }
+}
+
+module.exports = { CassetteProvider, CASSETTE_MODES, canonicalize };
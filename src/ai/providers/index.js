@@ -0,0 +1,72 @@
+/**
+ * AI provider registry for GherkinLang compiler.
+ *
+ * AITransformer talks to the model through an AIProvider. This module
+ * builds the provider selected by the `ai` configuration section.
+ *
+ * @module ai/providers
+ */
+
+const { AnthropicProvider } = require('./anthropic');
+const { CassetteProvider, CASSETTE_MODES } = require('./cassette');
+
+/**
+ * @typedef {import('../types').AIProvider} AIProvider
+ */
+
+/**
+ * Names accepted by createProvider.
+ * @type {string[]}
+ */
+const PROVIDER_NAMES = ['anthropic', 'cassette'];
+
+/**
+ * Create the provider selected by name.
+ *
+ * The cassette provider wraps an Anthropic provider for recording. It is
+ * created on the first miss, so replaying needs no API key.
+ *
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.provider] - Provider name (default: 'anthropic')
+ * @param {string} [options.apiKey] - Claude API key (default: process.env.ANTHROPIC_API_KEY)
+ * @param {Object} [options.cassette] - Cassette options
+ * @param {string} [options.cassette.dir] - Cassette directory (default: '.gherkin-cassettes')
+ * @param {'replay'|'record'|'auto'} [options.cassette.mode] - Cassette mode (default: 'replay')
+ * @returns {AIProvider} Provider instance
+ * @throws {TypeError} If the provider name is unknown
+ */
+function createProvider(options = {}) {
+  const name = options.provider || 'anthropic';
+
+  if (name === 'anthropic') {
+    return new AnthropicProvider({ apiKey: options.apiKey });
+  }
+
+  if (name === 'cassette') {
+    let recorder = null;
+    return new CassetteProvider({
+      ...options.cassette,
+      provider: {
+        name: 'anthropic',
+        createMessage: (request) => {
+          recorder = recorder || new AnthropicProvider({ apiKey: options.apiKey });
+          return recorder.createMessage(request);
+        },
+        streamMessage: (request, streamOptions) => {
+          recorder = recorder || new AnthropicProvider({ apiKey: options.apiKey });
+          return recorder.streamMessage(request, streamOptions);
+        },
+      },
+    });
+  }
+
+  throw new TypeError(`Unknown AI provider "${name}" (expected ${PROVIDER_NAMES.join(', ')})`);
+}
+
+module.exports = {
+  createProvider,
+  AnthropicProvider,
+  CassetteProvider,
+  PROVIDER_NAMES,
+  CASSETTE_MODES,
+};
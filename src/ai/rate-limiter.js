@@ -0,0 +1,73 @@
+/**
+ * Shared rate-limit state for concurrent AI API calls.
+ *
+ * When one call is rate limited, every caller sharing the limiter holds off
+ * until the provider's retry-after window has passed, instead of each
+ * concurrent call discovering the limit on its own.
+ *
+ * @module ai/rate-limiter
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * @typedef {Object} RateLimitPause
+ * @property {number} delay - Milliseconds callers will wait
+ * @property {Date} until - Time at which calls may resume
+ */
+
+/**
+ * Rate limiter shared by the retry handlers of concurrent compilations.
+ *
+ * Emits `pause` with a {@link RateLimitPause} whenever the pause window is
+ * extended.
+ *
+ * @class RateLimiter
+ * @extends EventEmitter
+ */
+class RateLimiter extends EventEmitter {
+  constructor() {
+    super();
+    /** @type {number} */
+    this._pausedUntil = 0;
+  }
+
+  /**
+   * Hold off every caller for the given duration. A shorter pause never
+   * cuts an existing one short.
+   *
+   * @param {number} ms - Pause duration in milliseconds
+   * @returns {void}
+   */
+  pause(ms) {
+    const until = Date.now() + Math.max(0, ms);
+    if (until <= this._pausedUntil) {
+      return;
+    }
+
+    this._pausedUntil = until;
+    this.emit('pause', { delay: ms, until: new Date(until) });
+  }
+
+  /**
+   * Whether callers are currently held off.
+   *
+   * @returns {boolean} True while a pause is in effect
+   */
+  isPaused() {
+    return this._pausedUntil > Date.now();
+  }
+
+  /**
+   * Resolve once no pause is in effect, including pauses added while waiting.
+   *
+   * @returns {Promise<void>}
+   */
+  async wait() {
+    while (this.isPaused()) {
+      await new Promise((resolve) => setTimeout(resolve, this._pausedUntil - Date.now()));
+    }
+  }
+}
+
+module.exports = { RateLimiter };
@@ -23,10 +23,13 @@ class RetryHandler {
    * @param {Object} [options] - Retry configuration
    * @param {number} [options.maxRetries=3] - Maximum number of retries
    * @param {number} [options.baseDelay=2000] - Base delay in milliseconds
+   * @param {import('./rate-limiter').RateLimiter} [options.rateLimiter] - Limiter shared with other
+   *   handlers; rate limits hit by any of them hold off calls from all of them
    */
   constructor(options = {}) {
     this._maxRetries = options.maxRetries || 3;
     this._baseDelay = options.baseDelay || 2000;
+    this._rateLimiter = options.rateLimiter || null;
   }
 
   /**
@@ -45,6 +48,9 @@ class RetryHandler {
 
     while (attempt <= this._maxRetries) {
       try {
+        if (this._rateLimiter) {
+          await this._rateLimiter.wait();
+        }
         return await apiCall();
       } catch (error) {
         lastError = error;
@@ -63,7 +69,10 @@ class RetryHandler {
         const waitTime = calculateDelay(attempt, this._baseDelay);
         
         // For rate limit errors, use retryAfter if available
-        if (error instanceof RateLimitError && error.retryAfter) {
+        if (error instanceof RateLimitError && error.retryAfter && this._rateLimiter) {
+          // The next attempt waits on the shared limiter
+          this._rateLimiter.pause(error.retryAfter * 1000);
+        } else if (error instanceof RateLimitError && error.retryAfter) {
           await delay(0, error.retryAfter * 1000);
         } else {
           await delay(attempt, this._baseDelay);
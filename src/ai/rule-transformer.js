@@ -0,0 +1,224 @@
+/**
+ * Rule-based transformer for GherkinLang compiler.
+ *
+ * Compiles the deterministic subset of the step grammar locally, with no
+ * network access, behind the same transform(source, context, options)
+ * interface as AITransformer. Scenarios outside that subset are sent to an
+ * optional fallback transformer (normally the AI) and merged back into the
+ * module, so most feature files build offline and reproducibly.
+ *
+ * @module ai/rule-transformer
+ */
+
+const { GherkinParser } = require('../compiler/parser');
+const { StepCompiler } = require('./step-compiler');
+const { UnsupportedStepError } = require('./errors');
+const { stripExports } = require('../generation/generator');
+
+/**
+ * @typedef {import('./types').TransformResult} TransformResult
+ * @typedef {import('./types').TransformMetadata} TransformMetadata
+ * @typedef {import('./step-compiler').CompiledFeature} CompiledFeature
+ * @typedef {import('./step-compiler').UnsupportedStep} UnsupportedStep
+ * @typedef {import('../compiler/types').FeatureNode} FeatureNode
+ * @typedef {import('../compiler/types').ScenarioNode} ScenarioNode
+ */
+
+/**
+ * Model name recorded in metadata for code compiled without the AI.
+ * @type {string}
+ */
+const RULES_MODEL = 'rules';
+
+class RuleTransformer {
+  /**
+   * Creates a new RuleTransformer instance.
+   *
+   * @param {Object} [options] - Transformer configuration
+   * @param {{transform: Function}|null} [options.fallback] - Transformer for scenarios the rules cannot compile (default: null)
+   */
+  constructor(options = {}) {
+    this._fallback = options.fallback || null;
+    this._parser = new GherkinParser();
+    this._stepCompiler = new StepCompiler();
+  }
+
+  /**
+   * Transform GherkinLang source code to JavaScript.
+   *
+   * @param {string} source - GherkinLang source code
+   * @param {Object} context - Project context
+   * @param {string} [context.moduleName] - Module (feature) name
+   * @param {string[]} [context.dependencies] - Project modules imported by this feature
+   * @param {Object} [options] - Transformation options
+   * @param {string} [options.target] - Target language (default: 'javascript')
+   * @param {'commonjs'|'esm'} [options.moduleFormat] - Export style of the compiled module (default: 'commonjs')
+   * @param {import('./types').CorrectionFeedback} [options.feedback] - Rejected previous attempt; forwarded to the fallback
+   * @returns {Promise<TransformResult>} Transformation result
+   * @throws {UnsupportedStepError} If steps cannot be compiled and no fallback is configured
+   */
+  async transform(source, context = {}, options = {}) {
+    const startTime = Date.now();
+    const target = options.target || 'javascript';
+
+    const parsed = await this._parser.parse(`${context.moduleName || 'module'}.feature`, source);
+    const { feature } = parsed.ast;
+
+    if (!feature || target !== 'javascript') {
+      const reason = feature ? `Target "${target}" is not supported` : 'Missing Feature declaration';
+      return this._delegate(source, context, options, startTime, [], [{ line: 1, text: '', reason }]);
+    }
+
+    const compiled = this._stepCompiler.compileFeature(feature, {
+      dependencies: context.dependencies || parsed.dependencies,
+    });
+    const names = compiled.functions.map(fn => fn.name);
+
+    // Deterministic output would repeat the rejected code; let the fallback correct it
+    if (options.feedback && this._fallback) {
+      return this._delegate(source, context, options, startTime, names, []);
+    }
+
+    const unsupportedFunctions = compiled.functions.filter(fn => !fn.code);
+    const unsupported = [...compiled.unsupported, ...unsupportedFunctions.flatMap(fn => fn.unsupported)];
+
+    // The Background is shared by every function, so it cannot be split off
+    if (compiled.unsupported.length > 0) {
+      return this._delegate(source, context, options, startTime, names, unsupported);
+    }
+
+    if (unsupportedFunctions.length === 0) {
+      return {
+        success: true,
+        code: this._assemble(compiled, '', options.moduleFormat),
+        toolCalls: [],
+        metadata: this._createMetadata(startTime, names, []),
+      };
+    }
+
+    if (!this._fallback) {
+      throw this._unsupportedError(unsupported);
+    }
+
+    const partialSource = this._extractSource(source, feature, unsupportedFunctions.map(fn => fn.scenario));
+    const result = await this._fallback.transform(partialSource, context, options);
+    if (!result.success) {
+      return result;
+    }
+
+    const fallbackNames = unsupportedFunctions.map(fn => fn.name);
+    return {
+      success: true,
+      code: this._assemble(compiled, result.code, options.moduleFormat),
+      toolCalls: result.toolCalls || [],
+      metadata: this._createMetadata(
+        startTime,
+        names.filter(name => !fallbackNames.includes(name)),
+        fallbackNames,
+        result.metadata
+      ),
+    };
+  }
+
+  /**
+   * Hand the whole source to the fallback transformer.
+   *
+   * @private
+   */
+  async _delegate(source, context, options, startTime, names, unsupported) {
+    if (!this._fallback) {
+      throw this._unsupportedError(unsupported);
+    }
+
+    const result = await this._fallback.transform(source, context, options);
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      ...result,
+      metadata: this._createMetadata(startTime, [], names, result.metadata),
+    };
+  }
+
+  /**
+   * Combine rule-compiled declarations with fallback code and export every
+   * function once.
+   *
+   * @private
+   * @param {CompiledFeature} compiled - Rule compilation result
+   * @param {string} fallbackCode - Code produced by the fallback ('' if none)
+   * @param {'commonjs'|'esm'} [moduleFormat] - Export style
+   * @returns {string} Module code
+   */
+  _assemble(compiled, fallbackCode, moduleFormat) {
+    // Removed so the merged module exports everything once
+    const code = stripExports(fallbackCode);
+    const constants = compiled.constants.filter(constant =>
+      !new RegExp(`\\b(?:const|let|var)\\s+${constant.name}\\b`).test(code)
+    );
+    const names = compiled.functions.map(fn => fn.name).join(', ');
+
+    return [
+      ...constants.map(constant => constant.code),
+      ...compiled.functions.filter(fn => fn.code).map(fn => fn.code),
+      ...(code ? [code] : []),
+      moduleFormat === 'esm' ? `export { ${names} };` : `module.exports = { ${names} };`,
+    ].join('\n\n');
+  }
+
+  /**
+   * Reduce the source to the feature header, Background and the given
+   * scenarios, so the fallback only compiles what the rules could not.
+   *
+   * @private
+   * @param {string} source - Original source
+   * @param {FeatureNode} feature - Parsed feature
+   * @param {ScenarioNode[]} scenarios - Scenarios to keep
+   * @returns {string} Partial source
+   */
+  _extractSource(source, feature, scenarios) {
+    const lines = source.split(/\r?\n/);
+    const startOf = node => node.tags?.[0]?.location.line ?? node.location.line;
+    const slice = node => lines.slice(startOf(node) - 1, node.location.endLine);
+
+    const header = lines.slice(0, startOf(feature.children[0]) - 1);
+    const background = feature.children.filter(child => child.type === 'Background').flatMap(slice);
+
+    return [
+      ...header,
+      ...background,
+      ...scenarios.flatMap(scenario => ['', ...slice(scenario)]),
+    ].join('\n');
+  }
+
+  /**
+   * @private
+   * @returns {TransformMetadata}
+   */
+  _createMetadata(startTime, compiled, fallback, fallbackMetadata) {
+    return {
+      model: fallbackMetadata?.model || RULES_MODEL,
+      tokens: fallbackMetadata?.tokens || { input: 0, output: 0, total: 0 },
+      duration: Date.now() - startTime,
+      retryCount: fallbackMetadata?.retryCount || 0,
+      cacheHit: false,
+      rules: { compiled, fallback },
+    };
+  }
+
+  /**
+   * @private
+   * @param {UnsupportedStep[]} steps - Steps that could not be compiled
+   * @returns {UnsupportedStepError}
+   */
+  _unsupportedError(steps) {
+    const details = steps.map(step => `  line ${step.line}: ${step.text ? `${step.text} - ` : ''}${step.reason}`);
+    return new UnsupportedStepError(
+      `Cannot compile ${steps.length} step(s) without the AI:\n${details.join('\n')}`,
+      { steps }
+    );
+  }
+}
+
+module.exports = { RuleTransformer, RULES_MODEL };
@@ -0,0 +1,680 @@
+/**
+ * Deterministic compiler for the core GherkinLang step grammar.
+ *
+ * Translates the regular subset of rules.md (function declarations,
+ * application, let bindings, collection operations, pipelines, pattern
+ * matching on literals, conditionals and returns) into JavaScript without
+ * calling the AI. Steps outside that subset are reported as unsupported so
+ * the caller can fall back to the AI transformer.
+ *
+ * @module ai/step-compiler
+ */
+
+/**
+ * @typedef {import('../compiler/types').FeatureNode} FeatureNode
+ * @typedef {import('../compiler/types').BackgroundNode} BackgroundNode
+ * @typedef {import('../compiler/types').ScenarioNode} ScenarioNode
+ * @typedef {import('../compiler/types').StepNode} StepNode
+ */
+
+/**
+ * Step the compiler could not translate.
+ *
+ * @typedef {Object} UnsupportedStep
+ * @property {number} line - Line of the step (or scenario) in the source file
+ * @property {string} text - Step text as written, including its keyword
+ * @property {string} reason - Why the step could not be compiled
+ */
+
+/**
+ * @typedef {Object} CompiledFunction
+ * @property {string} name - Function name
+ * @property {string|null} code - Function declaration (null if unsupported)
+ * @property {ScenarioNode} scenario - Scenario the function was compiled from
+ * @property {UnsupportedStep[]} unsupported - Steps that prevented compilation
+ */
+
+/**
+ * @typedef {Object} CompiledFeature
+ * @property {Array<{name: string, code: string}>} constants - Module-level constants from the Background
+ * @property {CompiledFunction[]} functions - One entry per scenario
+ * @property {UnsupportedStep[]} unsupported - Background steps that could not be compiled
+ */
+
+const FUNCTION_SCENARIO_PATTERN = /^(\w+)\s+defines\s+a\s+(?:recursive\s+)?function\b/i;
+const CALLABLE_PATTERN = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/;
+const STRING_LITERAL_PATTERN = /('(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`(?:\\.|[^`\\])*`)/;
+const LITERAL_PATTERN = /^(?:-?\d+(?:\.\d+)?|true|false|null|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*")$/;
+
+/**
+ * Names never rewritten to `item.<name>` inside implicit-item expressions.
+ */
+const RESERVED_NAMES = new Set([
+  'item', 'index', 'true', 'false', 'null', 'undefined', 'NaN', 'Infinity',
+  'typeof', 'instanceof', 'in', 'new', 'void', 'this',
+]);
+
+/**
+ * Higher-order array methods accepted by "apply f to each in xs using <method>".
+ */
+const HIGHER_ORDER_METHODS = new Set(['map', 'filter', 'some', 'every', 'find', 'flatMap']);
+
+class StepNotSupported extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * Split text on a separator, ignoring separators inside string literals.
+ *
+ * @param {string} text - Text to split
+ * @param {RegExp} separator - Separator pattern (without capture groups)
+ * @returns {string[]} Trimmed parts
+ */
+const splitOutsideStrings = (text, separator) => {
+  const literals = [];
+  const masked = text.replace(new RegExp(STRING_LITERAL_PATTERN.source, 'g'), (literal) => {
+    literals.push(literal);
+    return `\uE000${literals.length - 1}\uE000`;
+  });
+
+  return masked
+    .split(separator)
+    .map(part => part.replace(/\uE000(\d+)\uE000/g, (_, i) => literals[Number(i)]).trim());
+};
+
+/**
+ * Apply a replacement to the code portions of an expression, leaving string
+ * literals untouched.
+ *
+ * @param {string} text - Expression text
+ * @param {function(string): string} replace - Replacement for code segments
+ * @returns {string} Rewritten expression
+ */
+const rewriteCode = (text, replace) =>
+  text
+    .split(STRING_LITERAL_PATTERN)
+    .map((segment, i) => (i % 2 === 1 ? segment : replace(segment)))
+    .join('');
+
+/**
+ * Translate GherkinLang connectives in a condition to JavaScript operators.
+ *
+ * @param {string} condition - Condition text
+ * @returns {string} JavaScript condition
+ */
+const translateCondition = (condition) =>
+  rewriteCode(condition, segment =>
+    segment
+      .replace(/\s+and\s+/g, ' && ')
+      .replace(/\s+or\s+/g, ' || ')
+      .replace(/\s+is\s+not\s+/g, ' !== ')
+      .replace(/\s+is\s+/g, ' === ')
+      .replace(/\bnot\s+/g, '!')
+  );
+
+class StepCompiler {
+  /**
+   * Compile every scenario of a feature, plus Background constants.
+   *
+   * @param {FeatureNode} feature - Parsed feature
+   * @param {Object} [context] - Project context
+   * @param {string[]} [context.dependencies] - Project modules imported by this feature
+   * @returns {CompiledFeature} Compiled declarations and unsupported steps
+   */
+  compileFeature(feature, context = {}) {
+    const constants = [];
+    const functions = [];
+    const unsupported = [];
+
+    for (const child of feature.children) {
+      if (child.type === 'Background') {
+        const background = this.compileBackground(child, context.dependencies || []);
+        constants.push(...background.constants);
+        unsupported.push(...background.unsupported);
+      } else {
+        functions.push(this.compileScenario(child));
+      }
+    }
+
+    return { constants, functions, unsupported };
+  }
+
+  /**
+   * Compile Background steps into module-level constants. Imports of
+   * project modules and the export list produce no code; the generator
+   * emits those.
+   *
+   * @param {BackgroundNode} background - Background node
+   * @param {string[]} dependencies - Project modules imported by the feature
+   * @returns {{constants: Array<{name: string, code: string}>, unsupported: UnsupportedStep[]}}
+   */
+  compileBackground(background, dependencies) {
+    const constants = [];
+    const unsupported = [];
+
+    for (const step of background.steps) {
+      const importMatch = step.text.match(/^import\s+((?:[\w-]+\/)?\w+)$/i);
+      if (importMatch && dependencies.includes(importMatch[1])) {
+        continue;
+      }
+      if (/^exports:?\s+/i.test(step.text)) {
+        continue;
+      }
+
+      const constantMatch = step.text.match(/^constant\s+([A-Za-z_$][\w$]*)\s*=\s*([\s\S]+)$/);
+      if (constantMatch) {
+        constants.push({ name: constantMatch[1], code: `const ${constantMatch[1]} = ${constantMatch[2].trim()};` });
+        continue;
+      }
+
+      unsupported.push(this._unsupported(step, importMatch
+        ? `"${importMatch[1]}" is not a project module`
+        : 'Unsupported Background step'));
+    }
+
+    return { constants, unsupported };
+  }
+
+  /**
+   * Compile a scenario into an arrow function declaration.
+   *
+   * @param {ScenarioNode} scenario - Scenario node
+   * @returns {CompiledFunction} Compiled function or its unsupported steps
+   */
+  compileScenario(scenario) {
+    const nameMatch = scenario.name.match(FUNCTION_SCENARIO_PATTERN);
+    const name = nameMatch ? nameMatch[1] : scenario.name;
+    const result = { name, code: null, scenario, unsupported: [] };
+
+    if (!nameMatch) {
+      result.unsupported.push({
+        line: scenario.location.line,
+        text: `${scenario.keyword}: ${scenario.name}`,
+        reason: 'Scenario name must follow "<name> defines a function"',
+      });
+      return result;
+    }
+
+    const scope = {
+      params: [],
+      locals: new Set(),
+      result: null,
+      lines: [],
+      returned: false,
+    };
+    const { steps } = scenario;
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+
+      try {
+        if (i === 0 && step.effectiveKeyword === 'Given') {
+          this._compileSignature(step, scope);
+          continue;
+        }
+
+        if (step.docString) {
+          throw new StepNotSupported('Doc strings are not supported');
+        }
+
+        if (step.keyword === 'Otherwise') {
+          if (step.text) {
+            throw new StepNotSupported('Otherwise must stand alone');
+          }
+          continue;
+        }
+
+        if (step.effectiveKeyword === 'Then') {
+          this._compileThen(step, scope, '  ');
+          continue;
+        }
+
+        if (this._compileAction(step, scope)) {
+          continue;
+        }
+
+        const branch = steps[i + 1];
+        if (branch?.keyword === 'Then' && steps[i + 2]?.keyword === 'Otherwise') {
+          scope.lines.push(`  if (${this._expression(translateCondition(step.text), scope)}) {`);
+          this._compileThen(branch, scope, '    ');
+          scope.lines.push('  }');
+          scope.returned = false;
+          i++;
+          continue;
+        }
+
+        throw new StepNotSupported('Unrecognized step');
+      } catch (error) {
+        if (!(error instanceof StepNotSupported)) {
+          throw error;
+        }
+        result.unsupported.push(this._unsupported(step, error.reason));
+      }
+    }
+
+    if (result.unsupported.length > 0) {
+      return result;
+    }
+
+    if (!scope.returned) {
+      if (!scope.result) {
+        result.unsupported.push({
+          line: scenario.location.line,
+          text: `${scenario.keyword}: ${scenario.name}`,
+          reason: 'Scenario has no return step',
+        });
+        return result;
+      }
+      scope.lines.push(`  return ${scope.result};`);
+    }
+
+    result.code = [
+      `const ${name} = (${scope.params.join(', ')}) => {`,
+      ...this._removeUnusedBindings(scope.lines),
+      '};',
+    ].join('\n');
+
+    return result;
+  }
+
+  /**
+   * "function <name> accepts a and b as Type"
+   * @private
+   */
+  _compileSignature(step, scope) {
+    const match = step.text.match(/^function\s+(\w+)(?:\s+accepts\s+([\s\S]+))?$/);
+    if (!match) {
+      throw new StepNotSupported('Expected "function <name> accepts <params>"');
+    }
+
+    for (const param of match[2] ? splitOutsideStrings(match[2], /\s+and\s+/) : []) {
+      const paramMatch = param.match(/^([A-Za-z_$][\w$]*)(?:\s+as\s+\w+)?$/);
+      if (!paramMatch) {
+        throw new StepNotSupported(`Invalid parameter "${param}"`);
+      }
+      scope.params.push(paramMatch[1]);
+    }
+  }
+
+  /**
+   * "Then return <expression>"
+   * @private
+   */
+  _compileThen(step, scope, indent) {
+    const match = step.text.match(/^return\s+([\s\S]+)$/);
+    if (!match) {
+      throw new StepNotSupported('Expected "return <expression>"');
+    }
+    scope.lines.push(`${indent}return ${this._expression(match[1], scope)};`);
+    scope.returned = true;
+  }
+
+  /**
+   * Compile a When/And step that binds a value. Returns false when the step
+   * matches none of the known forms.
+   * @private
+   */
+  _compileAction(step, scope) {
+    const { text } = step;
+    let match;
+
+    if ((match = text.match(/^let\s+([A-Za-z_$][\w$]*)\s*=\s*([\s\S]+?)\s+matches$/))) {
+      this._declare(scope, match[1], this._matchExpression(match[2], step, scope).code);
+      return true;
+    }
+
+    if ((match = text.match(/^let\s+([A-Za-z_$][\w$]*)\s*=\s*([\s\S]+)$/))) {
+      this._declare(scope, match[1], this._expression(match[2], scope));
+      return true;
+    }
+
+    if ((match = text.match(/^store\s+result\s+as\s+([A-Za-z_$][\w$]*)$/))) {
+      if (!scope.result) {
+        throw new StepNotSupported('No result to store');
+      }
+      this._declare(scope, match[1], scope.result);
+      return true;
+    }
+
+    if ((match = text.match(/^call\s+([\w.$]+)\s+with\s+(.+?)\s+storing\s+result\s+as\s+([A-Za-z_$][\w$]*)$/))) {
+      this._declare(scope, match[3], `${this._callable(match[1])}(${this._arguments(match[2], scope)})`);
+      scope.result = match[3];
+      return true;
+    }
+
+    if ((match = text.match(/^apply\s+([\w.$]+)\s+to\s+each\s+in\s+(.+?)\s+using\s+(\w+)$/))) {
+      if (!HIGHER_ORDER_METHODS.has(match[3])) {
+        throw new StepNotSupported(`Unsupported higher-order function "${match[3]}"`);
+      }
+      const fn = this._callable(match[1]);
+      this._setResult(scope, `${this._expression(match[2], scope)}.${match[3]}((item) => ${fn}(item))`);
+      return true;
+    }
+
+    if ((match = text.match(/^apply\s+([\w.$]+)\s+to\s+(.+)$/))) {
+      this._setResult(scope, `${this._callable(match[1])}(${this._arguments(match[2], scope)})`);
+      return true;
+    }
+
+    if ((match = text.match(/^filter\s+(.+?)\s+where\s+(.+)$/))) {
+      const condition = this._itemExpression(translateCondition(match[2]), scope);
+      this._setResult(scope, `${this._expression(match[1], scope)}.filter((item) => ${condition})`);
+      return true;
+    }
+
+    if ((match = text.match(/^map\s+(.+?)\s+to\s+get\s+([A-Za-z_$][\w$]*)$/))) {
+      this._setResult(scope, `${this._expression(match[1], scope)}.map((item) => item.${match[2]})`);
+      return true;
+    }
+
+    if ((match = text.match(/^map\s+(.+?)\s+(?:to|with)\s+(.+)$/))) {
+      this._setResult(scope, `${this._expression(match[1], scope)}.map((item) => ${this._itemFunction(match[2], scope)})`);
+      return true;
+    }
+
+    if ((match = text.match(/^sort\s+(.+?)\s+by\s+([A-Za-z_$][\w$]*)(?:\s+(ascending|descending))?$/))) {
+      const [first, second] = match[3] === 'descending' ? ['b', 'a'] : ['a', 'b'];
+      const field = match[2];
+      this._setResult(
+        scope,
+        `[...${this._expression(match[1], scope)}].sort((a, b) => (${first}.${field} > ${second}.${field}) - (${first}.${field} < ${second}.${field}))`
+      );
+      return true;
+    }
+
+    if ((match = text.match(/^reduce\s+(.+?)\s+with\s+(.+?)\s+and\s+(.+)$/))) {
+      const collection = this._expression(match[1], scope);
+      const initial = this._expression(match[2], scope);
+      const reducer = CALLABLE_PATTERN.test(match[3])
+        ? `(accumulator, item) => ${this._callable(match[3])}(accumulator, item)`
+        : `(accumulator, item) => ${this._arithmetic(match[3], scope) || this._unsupportedExpression(match[3])}`;
+      this._setResult(scope, `${collection}.reduce(${reducer}, ${initial})`);
+      return true;
+    }
+
+    if ((match = text.match(/^group\s+(.+?)\s+by\s+([A-Za-z_$][\w$]*)$/))) {
+      const key = `item.${match[2]}`;
+      this._setResult(
+        scope,
+        `${this._expression(match[1], scope)}.reduce((groups, item) => ({ ...groups, [${key}]: [...(groups[${key}] || []), item] }), {})`
+      );
+      return true;
+    }
+
+    if ((match = text.match(/^zip\s+(.+?)\s+with\s+(.+)$/))) {
+      const other = this._expression(match[2], scope);
+      this._setResult(scope, `${this._expression(match[1], scope)}.map((item, index) => [item, ${other}[index]])`);
+      return true;
+    }
+
+    if ((match = text.match(/^flatten\s+(.+)$/))) {
+      this._setResult(scope, `${this._expression(match[1], scope)}.flat(Infinity)`);
+      return true;
+    }
+
+    if ((match = text.match(/^pipe\s+(.+?)\s+through$/))) {
+      const functions = this._tableFunctions(step);
+      const value = functions.reduce((inner, fn) => `${fn}(${inner})`, this._expression(match[1], scope));
+      this._setResult(scope, value);
+      return true;
+    }
+
+    if ((match = text.match(/^compose\s+([A-Za-z_$][\w$]*)\s+as$/))) {
+      const functions = this._tableFunctions(step);
+      this._declare(scope, match[1], `(value) => ${functions.reduce((inner, fn) => `${fn}(${inner})`, 'value')}`);
+      return true;
+    }
+
+    if ((match = text.match(/^([\s\S]+?)\s+matches$/))) {
+      const value = this._matchExpression(match[1], step, scope);
+      if (value.returns) {
+        scope.lines.push(`  return ${value.code};`);
+        scope.returned = true;
+      } else {
+        this._setResult(scope, value.code);
+      }
+      return true;
+    }
+
+    const arithmetic = this._arithmetic(text, scope);
+    if (arithmetic) {
+      this._setResult(scope, arithmetic);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * "add a and b", "subtract b from a", "multiply a by b", "divide a by b"
+   * @private
+   * @returns {string|null} JavaScript expression or null if not arithmetic
+   */
+  _arithmetic(text, scope) {
+    const forms = [
+      [/^add\s+(.+?)\s+(?:and|to)\s+(.+)$/, (a, b) => `${a} + ${b}`],
+      [/^subtract\s+(.+?)\s+from\s+(.+)$/, (a, b) => `${b} - ${a}`],
+      [/^multiply\s+(.+?)\s+by\s+(.+)$/, (a, b) => `${a} * ${b}`],
+      [/^divide\s+(.+?)\s+by\s+(.+)$/, (a, b) => `${a} / ${b}`],
+    ];
+
+    for (const [pattern, build] of forms) {
+      const match = text.match(pattern);
+      if (match) {
+        return build(this._expression(match[1], scope), this._expression(match[2], scope));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a chained conditional from a literal pattern table. `returns` is
+   * true when every row's outcome is written as "return <expression>".
+   * @private
+   * @returns {{code: string, returns: boolean}}
+   */
+  _matchExpression(subject, step, scope) {
+    const rows = step.dataTable?.rows;
+    if (!rows || rows.some(row => row.cells.length !== 2)) {
+      throw new StepNotSupported('"matches" requires a two-column pattern table');
+    }
+
+    const value = this._expression(subject, scope);
+    const results = rows.map(row => row.cells[1].value);
+    const returns = results.every(result => /^return\s+/.test(result));
+    const branches = [];
+    let fallback = 'undefined';
+
+    for (const row of rows) {
+      const pattern = row.cells[0].value;
+      const outcome = this._expression(row.cells[1].value.replace(/^return\s+/, ''), scope);
+
+      if (pattern === '_') {
+        fallback = outcome;
+        break;
+      }
+      if (!LITERAL_PATTERN.test(pattern)) {
+        throw new StepNotSupported(`Unsupported pattern "${pattern}"`);
+      }
+      branches.push(`${value} === ${pattern} ? ${outcome}`);
+    }
+
+    return { code: [...branches, fallback].join(' : '), returns };
+  }
+
+  /**
+   * Function names listed one per row in a step's data table.
+   * @private
+   */
+  _tableFunctions(step) {
+    const rows = step.dataTable?.rows;
+    if (!rows || rows.length === 0) {
+      throw new StepNotSupported('Expected a table of functions');
+    }
+
+    return rows.map(row => {
+      if (row.cells.length !== 1 || !CALLABLE_PATTERN.test(row.cells[0].value)) {
+        throw new StepNotSupported('Each table row must name a single function');
+      }
+      return row.cells[0].value;
+    });
+  }
+
+  /**
+   * Body of an implicit-item callback: a bare function name is applied to
+   * the item, anything else is an expression over the item's fields.
+   * @private
+   */
+  _itemFunction(text, scope) {
+    if (CALLABLE_PATTERN.test(text) && !text.startsWith('item.')) {
+      return `${this._callable(text)}(item)`;
+    }
+    return this._itemExpression(text, scope);
+  }
+
+  /**
+   * Rewrite bare identifiers that are not in scope to fields of `item`, so
+   * "age >= 18" filters on each element's age.
+   * @private
+   */
+  _itemExpression(text, scope) {
+    const known = new Set([...scope.params, ...scope.locals]);
+    if (scope.result) {
+      known.add(scope.result);
+    }
+
+    const rewritten = this._expression(text, scope);
+    return rewriteCode(rewritten, segment =>
+      segment.replace(/(?<![.\w$])([A-Za-z_$][\w$]*)\b(?!\s*[(:])/g, (name) => {
+        if (known.has(name) || RESERVED_NAMES.has(name) || /^[A-Z]/.test(name)) {
+          return name;
+        }
+        return `item.${name}`;
+      })
+    );
+  }
+
+  /**
+   * Comma-separated call arguments from "a and b and c".
+   * @private
+   */
+  _arguments(text, scope) {
+    return splitOutsideStrings(text, /\s+and\s+/)
+      .map(arg => this._expression(arg, scope))
+      .join(', ');
+  }
+
+  /**
+   * Replace references to the implicit `result` with the latest result binding.
+   * @private
+   */
+  _expression(text, scope) {
+    const expression = text.trim();
+    if (!scope.result || scope.result === 'result') {
+      return expression;
+    }
+    return rewriteCode(expression, segment =>
+      segment.replace(/(?<![.\w$])result\b/g, scope.result)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _callable(name) {
+    if (!CALLABLE_PATTERN.test(name)) {
+      throw new StepNotSupported(`Invalid function name "${name}"`);
+    }
+    return name;
+  }
+
+  /**
+   * Declare a local. Naming the implicit result that the previous step just
+   * bound ("let total = result") renames that binding instead of copying it.
+   * @private
+   */
+  _declare(scope, name, value) {
+    if (scope.locals.has(name) || scope.params.includes(name)) {
+      throw new StepNotSupported(`"${name}" is already defined`);
+    }
+
+    const last = scope.lines[scope.lines.length - 1];
+    const resultDeclaration = scope.result && `  const ${scope.result} = `;
+    if (value === scope.result && /^result\d*$/.test(value) && last?.startsWith(resultDeclaration)) {
+      scope.locals.delete(scope.result);
+      scope.lines[scope.lines.length - 1] = `  const ${name} = ${last.substring(resultDeclaration.length)}`;
+      scope.result = name;
+      scope.locals.add(name);
+      return;
+    }
+
+    scope.locals.add(name);
+    scope.lines.push(`  const ${name} = ${value};`);
+  }
+
+  /**
+   * Drop bindings nothing refers to. Compiled code is pure, so an unused
+   * binding has no effect, and leaving it in fails no-unused-vars.
+   * @private
+   */
+  _removeUnusedBindings(lines) {
+    let remaining = lines;
+    let removed = true;
+
+    while (removed) {
+      removed = false;
+      for (const line of remaining) {
+        const match = line.match(/^\s*const ([A-Za-z_$][\w$]*) = /);
+        if (!match) {
+          continue;
+        }
+        const reference = new RegExp(`(?<![.\\w$])${match[1].replace(/\$/g, '\\$')}(?![\\w$])`);
+        if (!remaining.some(other => other !== line && reference.test(other))) {
+          remaining = remaining.filter(other => other !== line);
+          removed = true;
+          break;
+        }
+      }
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Bind a new implicit result to the first free name of result, result2, ...
+   * @private
+   */
+  _setResult(scope, value) {
+    let name = 'result';
+    for (let n = 2; scope.locals.has(name) || scope.params.includes(name); n++) {
+      name = `result${n}`;
+    }
+    this._declare(scope, name, value);
+    scope.result = name;
+  }
+
+  /**
+   * @private
+   */
+  _unsupportedExpression(text) {
+    throw new StepNotSupported(`Unsupported expression "${text}"`);
+  }
+
+  /**
+   * @private
+   * @returns {UnsupportedStep}
+   */
+  _unsupported(step, reason) {
+    return {
+      line: step.location.line,
+      text: `${step.keyword} ${step.text}`.trim(),
+      reason,
+    };
+  }
+}
+
+module.exports = { StepCompiler };
@@ -3,12 +3,23 @@
  * 
  * Main entry point for AI-powered compilation. Transforms GherkinLang source
  * code into JavaScript using Claude API. Handles prompt construction, API
- * calls, response parsing, error handling, and metadata tracking.
+ * calls, response parsing, error handling, and metadata tracking. Requests
+ * go through an AIProvider (Claude API by default, or recorded cassettes).
+ * 
+ * Given an `onEvent` callback, responses are streamed from providers that
+ * support it and progress is reported as text arrives, as tools are called
+ * and as turns complete. The final response is parsed as usual.
+ * 
+ * Token usage is summed over every response of the conversation, and is
+ * attached to the thrown error as `usage` when a transformation fails.
+ * Unless disabled, the system prompt is sent as content blocks marked for
+ * prompt caching, and tokens read from or written to the cache are counted
+ * apart from regular input tokens.
  * 
  * @module ai/transformer
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
+const { AnthropicProvider } = require('./providers/anthropic');
 const { PromptBuilder } = require('./prompt-builder');
 const { ResponseParser } = require('./response-parser');
 const { RetryHandler } = require('./retry-handler');
@@ -17,7 +28,10 @@ const {
 	APIError,
 	RateLimitError,
 	InvalidCodeError,
+	CassetteMissError,
+	TransformationAbortedError,
 } = require('./errors');
+const { emptyUsage, addUsage } = require('./pricing');
 
 /**
  * @typedef {import('./types').TransformResult} TransformResult
@@ -25,8 +39,14 @@ const {
  * @typedef {import('./types').TokenUsage} TokenUsage
  * @typedef {import('./types').ToolCall} ToolCall
  * @typedef {import('./types').CompilationPrompt} CompilationPrompt
+ * @typedef {import('./types').CorrectionFeedback} CorrectionFeedback
+ * @typedef {import('./types').AIProvider} AIProvider
+ * @typedef {import('./types').ProviderRequest} ProviderRequest
+ * @typedef {import('./types').StreamOptions} StreamOptions
+ * @typedef {import('./types').TransformEvent} TransformEvent
  * @typedef {import('../mcp/client').MCPClient} MCPClient
  * @typedef {import('../mcp/tool-invoker').ToolInvoker} ToolInvoker
+ * @typedef {import('./rate-limiter').RateLimiter} RateLimiter
  */
 
 class AITransformer {
@@ -35,30 +55,30 @@ class AITransformer {
 	 * 
 	 * @param {Object} [options] - Transformer configuration
 	 * @param {string} [options.apiKey] - Claude API key (default: process.env.ANTHROPIC_API_KEY)
+	 * @param {AIProvider} [options.provider] - Provider for message requests (default: AnthropicProvider using apiKey)
 	 * @param {string} [options.model] - Claude model identifier (default: 'claude-sonnet-4-5')
 	 * @param {number} [options.maxRetries] - Maximum retries for API calls (default: 3)
 	 * @param {number} [options.maxTokens] - Maximum tokens in response (default: 4096)
 	 * @param {boolean} [options.retryInvalidCode] - Retry on invalid code responses (default: true)
 	 * @param {MCPClient|null} [options.mcpClient] - MCP client for tool-assisted compilation (default: null)
+	 * @param {RateLimiter} [options.rateLimiter] - Rate limiter shared with concurrent transformations (default: none)
+	 * @param {boolean} [options.promptCaching] - Mark the rules and target prompt for prompt caching (default: true)
 	 */
 	constructor(options = {}) {
-		const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
-
-		if (!apiKey) {
-			throw new TransformationError('ANTHROPIC_API_KEY environment variable is required');
-		}
-
-		this._client = new Anthropic({ apiKey });
+		/** @type {AIProvider} */
+		this._provider = options.provider || new AnthropicProvider({ apiKey: options.apiKey });
 		this._model = options.model || 'claude-sonnet-4-5';
 		this._maxRetries = options.maxRetries || 3;
 		this._maxTokens = options.maxTokens || 4096;
 		this._retryInvalidCode = options.retryInvalidCode !== false;
+		this._promptCaching = options.promptCaching !== false;
 
 		this._promptBuilder = new PromptBuilder();
 		this._responseParser = new ResponseParser();
 		this._retryHandler = new RetryHandler({
 			maxRetries: this._maxRetries,
 			baseDelay: 2000,
+			rateLimiter: options.rateLimiter,
 		});
 
 		// MCP Client for tool-assisted compilation
@@ -82,14 +102,21 @@ class AITransformer {
 	 * @param {string} [options.target] - Target language (default: 'javascript')
 	 * @param {Array} [options.tools] - Available tools for AI (default: [])
 	 * @param {number} [options.maxTurns] - Maximum conversation turns for multi-turn tool invocations (default: 5)
+	 * @param {CorrectionFeedback} [options.feedback] - Previous attempt and its validation errors to correct
+	 * @param {string} [options.rules] - Effective rules to compile with, such as the built-in rules with a
+	 *   project's rules files (default: the built-in rules)
+	 * @param {function(TransformEvent): void} [options.onEvent] - Called as the transformation progresses;
+	 *   responses are streamed when the provider supports it
+	 * @param {AbortSignal} [options.signal] - Aborts the transformation, including a request in flight
 	 * @returns {Promise<TransformResult>} Transformation result
-	 * @throws {TransformationError|APIError|InvalidCodeError} If transformation fails
+	 * @throws {TransformationError|APIError|InvalidCodeError|TransformationAbortedError} If transformation fails
 	 */
 	async transform(source, context, options = {}) {
 		const target = options.target || 'javascript';
 		const startTime = Date.now();
 		const maxTurns = options.maxTurns || 5;
 		let turnCount = 0;
+		const usage = emptyUsage();
 
 		try {
 			// Get tools from MCP client if available
@@ -110,6 +137,8 @@ class AITransformer {
 				model: this._model,
 				maxTokens: this._maxTokens,
 				tools,
+				...(options.feedback && { feedback: options.feedback }),
+				...(options.rules && { rules: options.rules }),
 			});
 
 			// Multi-turn conversation loop
@@ -125,15 +154,27 @@ class AITransformer {
 			let lastResponse = null;
 
 			while (turnCount < maxTurns) {
+				this._throwIfAborted(options.signal);
 				turnCount++;
+				const turn = turnCount;
 
 				// Call API
 				const response = await this._retryHandler.execute(
-					() => this._callAPIWithMessages(prompt, messages),
-					{ operation: `AI transformation (turn ${turnCount})` }
+					() => this._callAPIWithMessages(prompt, messages, this._getStreamOptions(options, turn)),
+					{ operation: `AI transformation (turn ${turn})` }
 				);
 
+				// Providers without streaming cannot abort a request in flight
+				this._throwIfAborted(options.signal);
 				lastResponse = response;
+				const tokens = this._extractMetadata(response, 0, 0).tokens;
+				addUsage(usage, tokens);
+				this._emit(options, {
+					type: 'turn',
+					turn,
+					stopReason: response.stop_reason,
+					tokens,
+				});
 
 				// Parse response
 				const parsed = this._responseParser.parse(response, target);
@@ -143,6 +184,7 @@ class AITransformer {
 					// Invoke tools
 					const toolResults = await this._invokeTools(parsed.toolCalls);
 					toolCalls.push(...toolResults.calls);
+					toolResults.calls.forEach(toolCall => this._emit(options, { type: 'tool-call', turn, toolCall }));
 
 					// Add assistant message with tool_use
 					messages.push({
@@ -179,7 +221,10 @@ class AITransformer {
 			}
 
 			const duration = Date.now() - startTime;
-			const metadata = this._extractMetadata(lastResponse, duration, 0);
+			const metadata = {
+				...this._extractMetadata(lastResponse, duration, 0),
+				tokens: usage,
+			};
 
 			return {
 				success: true,
@@ -189,6 +234,9 @@ class AITransformer {
 			};
 		} catch (error) {
 			const duration = Date.now() - startTime;
+			if (error instanceof TransformationError) {
+				error.usage = usage;
+			}
 
 			// Handle specific error types
 			if (error instanceof InvalidCodeError) {
@@ -199,11 +247,16 @@ class AITransformer {
 				throw error;
 			}
 
+			if (error instanceof CassetteMissError || error instanceof TransformationAbortedError) {
+				throw error;
+			}
+
 			// Wrap unexpected errors
 			throw new TransformationError(`Transformation failed: ${error.message}`, {
 				source: source.substring(0, 100), // First 100 chars
 				model: this._model,
 				retryCount: error.retryCount || 0,
+				usage,
 			});
 		}
 	}
@@ -217,53 +270,12 @@ class AITransformer {
 	 * @throws {APIError|RateLimitError} If API call fails
 	 */
 	async _callAPI(prompt) {
-		try {
-			const message = await this._client.messages.create({
-				model: prompt.model,
-				max_tokens: prompt.maxTokens,
-				temperature: prompt.temperature,
-				system: prompt.systemMessage,
-				messages: [
-					{
-						role: 'user',
-						content: prompt.userMessage,
-					},
-				],
-				tools: prompt.tools.length > 0 ? prompt.tools : undefined,
-			});
-
-			return message;
-		} catch (error) {
-			// Map Anthropic SDK errors to our error types
-			if (error.status === 429) {
-				throw new RateLimitError('API rate limit exceeded', {
-					statusCode: error.status,
-					statusText: error.message,
-					retryAfter: error.headers?.['retry-after'],
-				});
-			}
-
-			if (error.status >= 400 && error.status < 500) {
-				throw new APIError(`API client error: ${error.message}`, {
-					statusCode: error.status,
-					statusText: error.message,
-					response: error,
-				});
-			}
-
-			if (error.status >= 500) {
-				throw new APIError(`API server error: ${error.message}`, {
-					statusCode: error.status,
-					statusText: error.message,
-					response: error,
-				});
-			}
-
-			// Network or other errors
-			throw new APIError(`API call failed: ${error.message}`, {
-				response: error,
-			});
-		}
+		return this._callAPIWithMessages(prompt, [
+			{
+				role: 'user',
+				content: prompt.userMessage,
+			},
+		]);
 	}
 
 	/**
@@ -322,13 +334,18 @@ class AITransformer {
 	 */
 	_extractMetadata(response, duration, retryCount) {
 		const usage = response.usage || {};
+		const tokens = {
+			input: usage.input_tokens || 0,
+			output: usage.output_tokens || 0,
+			cacheRead: usage.cache_read_input_tokens || 0,
+			cacheWrite: usage.cache_creation_input_tokens || 0,
+		};
 
 		return {
 			model: response.model || this._model,
 			tokens: {
-				input: usage.input_tokens || 0,
-				output: usage.output_tokens || 0,
-				total: (usage.input_tokens || 0) + (usage.output_tokens || 0),
+				...tokens,
+				total: tokens.input + tokens.output + tokens.cacheRead + tokens.cacheWrite,
 			},
 			duration: Math.round(duration),
 			retryCount,
@@ -369,18 +386,92 @@ class AITransformer {
 			extracted.imports = context.imports || [];
 		}
 
+		// Compiled interfaces of imported modules, keyed by namespace
+		if (context.interfaces) {
+			extracted.interfaces = context.interfaces;
+		}
+
 		return extracted;
 	}
 
-	async _callAPIWithMessages(prompt, messages) {
-		return this._client.messages.create({
+	/**
+	 * Send the conversation so far to the provider, streaming the response
+	 * when stream options are given and the provider supports it.
+	 * 
+	 * @private
+	 * @param {CompilationPrompt} prompt - Compilation prompt
+	 * @param {Array<Object>} messages - Conversation messages
+	 * @param {StreamOptions|null} [streamOptions] - Stream callbacks and abort signal
+	 * @returns {Promise<any>} API response
+	 * @throws {APIError|RateLimitError|TransformationAbortedError} If API call fails or is aborted
+	 */
+	async _callAPIWithMessages(prompt, messages, streamOptions = null) {
+		/** @type {ProviderRequest} */
+		const request = {
 			model: prompt.model,
 			max_tokens: prompt.maxTokens,
 			temperature: prompt.temperature,
-			system: prompt.systemMessage,
+			system: this._promptCaching && prompt.systemBlocks ? prompt.systemBlocks : prompt.systemMessage,
 			messages,
 			tools: prompt.tools.length > 0 ? prompt.tools : undefined,
-		});
+		};
+
+		if (streamOptions && this._provider.streamMessage) {
+			return this._provider.streamMessage(request, streamOptions);
+		}
+		return this._provider.createMessage(request);
+	}
+
+	/**
+	 * Stream options for one API call of a turn: the abort signal, so a
+	 * request in flight can be cancelled, and text reported as `text`
+	 * events when someone listens. Each call counts its text from zero, so
+	 * a retried call starts over.
+	 * 
+	 * @private
+	 * @param {Object} options - Transformation options
+	 * @param {number} turn - Conversation turn
+	 * @returns {StreamOptions|null} Stream options, or null without a signal or event listener
+	 */
+	_getStreamOptions(options, turn) {
+		if (!options.onEvent && !options.signal) {
+			return null;
+		}
+
+		if (!options.onEvent) {
+			return { signal: options.signal };
+		}
+
+		let length = 0;
+		return {
+			signal: options.signal,
+			onText: (text) => {
+				length += text.length;
+				this._emit(options, { type: 'text', turn, text, length });
+			},
+		};
+	}
+
+	/**
+	 * @private
+	 * @param {Object} options - Transformation options
+	 * @param {TransformEvent} event - Progress event
+	 */
+	_emit(options, event) {
+		if (options.onEvent) {
+			options.onEvent(event);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {AbortSignal} [signal] - Abort signal
+	 * @throws {TransformationAbortedError} If the signal is aborted
+	 */
+	_throwIfAborted(signal) {
+		if (signal?.aborted) {
+			throw new TransformationAbortedError('AI transformation aborted', { reason: signal.reason });
+		}
 	}
 
 	async _invokeTools(toolCalls) {
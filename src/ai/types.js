@@ -13,6 +13,7 @@
  * 
  * @typedef {Object} CompilationPrompt
  * @property {string} systemMessage - System prompt with role definition and language rules
+ * @property {Array<SystemBlock>} systemBlocks - The same system prompt as content blocks marked for prompt caching
  * @property {string} userMessage - User prompt with source code and compilation context
  * @property {Array<ClaudeTool>} tools - Available tools for AI to use during compilation
  * @property {string} model - Claude model identifier (e.g., 'claude-sonnet-4-5')
@@ -20,6 +21,25 @@
  * @property {number} maxTokens - Maximum tokens in response
  */
 
+/**
+ * System prompt content block. A `cache_control` marker makes the prompt up to
+ * and including the block cacheable across requests.
+ * 
+ * @typedef {Object} SystemBlock
+ * @property {'text'} type - Block type
+ * @property {string} text - Block text
+ * @property {{type: 'ephemeral'}} [cache_control] - Prompt cache breakpoint
+ */
+
+/**
+ * Validation feedback from a rejected compilation attempt, sent back to the AI
+ * so it can correct its previous output.
+ *
+ * @typedef {Object} CorrectionFeedback
+ * @property {string} previousCode - Code produced by the previous attempt
+ * @property {Array<import('../validation/types').ValidationError>} errors - Validation errors for that code
+ */
+
 /**
  * Tool definition for Claude API.
  * 
@@ -60,15 +80,26 @@
  * @property {number} duration - Total transformation duration in milliseconds
  * @property {number} retryCount - Number of retries attempted
  * @property {boolean} cacheHit - Whether result came from cache
+ * @property {RuleCoverage} [rules] - Functions compiled by rules vs. the fallback (RuleTransformer only)
+ */
+
+/**
+ * Split of a module's functions between the rule compiler and its fallback.
+ * 
+ * @typedef {Object} RuleCoverage
+ * @property {string[]} compiled - Functions compiled deterministically
+ * @property {string[]} fallback - Functions handed to the fallback transformer
  */
 
 /**
  * Token usage statistics from AI API response.
  * 
  * @typedef {Object} TokenUsage
- * @property {number} input - Input tokens consumed
+ * @property {number} input - Input tokens consumed, not counting tokens read from or written to the prompt cache
  * @property {number} output - Output tokens consumed
- * @property {number} total - Total tokens consumed
+ * @property {number} [cacheRead] - Input tokens read from the prompt cache
+ * @property {number} [cacheWrite] - Input tokens written to the prompt cache
+ * @property {number} total - Total tokens consumed, cached ones included
  */
 
 /**
@@ -100,6 +131,56 @@
  * @property {Object} input - Tool arguments
  */
 
+/**
+ * Message request sent to an AI provider. Mirrors the Messages API body.
+ * 
+ * @typedef {Object} ProviderRequest
+ * @property {string} model - Model identifier
+ * @property {number} max_tokens - Maximum tokens in response
+ * @property {number} temperature - Sampling temperature
+ * @property {string|Array<SystemBlock>} system - System prompt, as text or as cacheable content blocks
+ * @property {Array<{role: string, content: string|Array<Object>}>} messages - Conversation so far
+ * @property {Array<Object>} [tools] - Tool definitions (omitted when empty)
+ */
+
+/**
+ * Backend that answers message requests for AITransformer.
+ * 
+ * Implementations map transport failures to APIError/RateLimitError so the
+ * retry handler can classify them.
+ * 
+ * @typedef {Object} AIProvider
+ * @property {string} name - Provider name (e.g., 'anthropic', 'cassette')
+ * @property {function(ProviderRequest): Promise<Object>} createMessage - Send a request and resolve with the raw API response
+ * @property {function(ProviderRequest, StreamOptions=): Promise<Object>} [streamMessage] - Send a request as a
+ *   stream, reporting text as it arrives, and resolve with the same response as createMessage
+ */
+
+/**
+ * Options of a streamed provider request.
+ * 
+ * @typedef {Object} StreamOptions
+ * @property {function(string): void} [onText] - Called with each piece of response text as it arrives
+ * @property {AbortSignal} [signal] - Aborts the request
+ */
+
+/**
+ * Progress of an AI transformation, reported while it runs.
+ * 
+ * - text: response text arrived (streaming providers only)
+ * - tool-call: the model called a tool and its result was sent back
+ * - turn: a response finished; tool results start the next turn
+ * 
+ * @typedef {Object} TransformEvent
+ * @property {'text'|'tool-call'|'turn'} type - Event type
+ * @property {number} turn - Conversation turn (1-indexed)
+ * @property {string} [text] - Text that arrived (text)
+ * @property {number} [length] - Characters of text received so far in this turn (text)
+ * @property {ToolCall} [toolCall] - Tool invocation (tool-call)
+ * @property {string} [stopReason] - Why the response ended, e.g. 'end_turn' or 'tool_use' (turn)
+ * @property {TokenUsage} [tokens] - Tokens used by the response (turn)
+ */
+
 module.exports = {
   // Types are exported for JSDoc reference
   // Actual validation and construction is done in implementation files
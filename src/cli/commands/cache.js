@@ -1,11 +1,370 @@
 /**
  * Cache command handler for GherkinLang CLI.
- * 
+ *
  * Handles the `gherkin cache` command, which manages the compilation cache.
- * Supports clearing cache, showing statistics, and inspecting specific cache
- * entries.
- * 
+ * Supports clearing cache, collecting garbage, verifying entries against
+ * their digests, showing statistics, inspecting specific cache entries,
+ * exporting and importing cache bundles, and serving the cache to other
+ * machines as a remote cache.
+ *
  * @module cli/commands/cache
  */
 
-throw new Error('src/cli/commands/cache.js is not implemented');
+const path = require('path');
+const { CacheManager } = require('../../compiler/cache');
+const { ProjectContext } = require('../../compiler/context');
+const { COMPILER_VERSION } = require('../../compiler');
+const { createCacheServer, DEFAULT_CACHE_SERVER_PORT } = require('../../compiler/cache-backends/server');
+const { EXIT_CODES, UsageError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CommandArgs} CommandArgs
+ * @typedef {import('../types').CommandContext} CommandContext
+ * @typedef {import('../types').CommandResult} CommandResult
+ */
+
+/**
+ * Format a byte count for display.
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as '1.5 MB'
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+  const value = bytes / 1024 ** exponent;
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+};
+
+/**
+ * Create the cache manager configured for the project.
+ *
+ * @param {Object} config - Project configuration
+ * @param {CommandContext} context - Command context
+ * @returns {CacheManager} Cache manager
+ */
+const openCache = (config, { cwd }) => {
+  return new CacheManager({
+    cacheDir: path.resolve(cwd, config.cache.dir),
+    maxSize: config.cache.maxSize,
+    ttl: config.cache.ttl,
+    evictionPolicy: config.cache.evictionPolicy,
+    compilerVersion: COMPILER_VERSION,
+  });
+};
+
+/**
+ * Handle `gherkin cache [--stats|--clear|--gc|--verify|--inspect <key>|--export <file>|--import <file>|--serve]`.
+ *
+ * @param {CommandArgs} args - Parsed arguments
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and cache information
+ */
+async function cacheCommand(args, context) {
+  const { options } = args;
+  const actions = ['clear', 'gc', 'verify', 'stats', 'inspect', 'export', 'import', 'serve'].filter(action => options[action]);
+
+  if (actions.length > 1) {
+    throw new UsageError(`Options --${actions.join(' and --')} cannot be combined`, { command: 'cache' });
+  }
+
+  if (!options.serve && (options.port || options.host)) {
+    throw new UsageError(`Option --${options.port ? 'port' : 'host'} requires --serve`, { command: 'cache' });
+  }
+
+  if (!options.export && options.all) {
+    throw new UsageError('Option --all requires --export', { command: 'cache' });
+  }
+
+  const config = await new ProjectContext().loadConfig(context.configPath, {
+    cwd: context.cwd,
+    overrides: context.configOverrides,
+  });
+  const cache = openCache(config, context);
+
+  if (options.clear) {
+    const { entries, totalSize } = await cache.getStats();
+    await cache.clear();
+    context.logger.success(`Cleared ${entries} cache entries (${formatBytes(totalSize)}) from ${cache.cacheDir}`);
+    return { exitCode: EXIT_CODES.SUCCESS, result: { cleared: entries, freedBytes: totalSize, cacheDir: cache.cacheDir } };
+  }
+
+  if (options.gc) {
+    return collectGarbage(cache, context);
+  }
+
+  if (options.verify) {
+    return verifyCache(cache, context);
+  }
+
+  if (options.inspect) {
+    return inspectEntry(cache, options.inspect, context);
+  }
+
+  if (options.export) {
+    return exportBundle(cache, path.resolve(context.cwd, options.export), options, context);
+  }
+
+  if (options.import) {
+    return importBundle(cache, path.resolve(context.cwd, options.import), config, context);
+  }
+
+  if (options.serve) {
+    return serveCache(cache, options, context);
+  }
+
+  const stats = await cache.getStats();
+  const result = {
+    cacheDir: cache.cacheDir,
+    entries: stats.entries,
+    totalSize: stats.totalSize,
+    maxSize: cache.maxSize,
+  };
+
+  context.logger.info(`Cache directory: ${result.cacheDir}`);
+  context.logger.info(`Entries:         ${result.entries}`);
+  context.logger.info(`Size:            ${formatBytes(result.totalSize)} of ${formatBytes(result.maxSize)}`);
+
+  return { exitCode: EXIT_CODES.SUCCESS, result };
+}
+
+/**
+ * Remove expired and superseded entries and evict down to the size limit.
+ *
+ * @private
+ * @param {CacheManager} cache - Cache manager
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and garbage collection report
+ */
+const collectGarbage = async (cache, { logger }) => {
+  const report = await cache.gc();
+
+  const reasons = new Map();
+  for (const { reason } of report.removed) {
+    reasons.set(reason, (reasons.get(reason) || 0) + 1);
+  }
+  const breakdown = [...reasons].map(([reason, count]) => `${count} ${reason}`).join(', ');
+
+  for (const removal of report.removed) {
+    logger.debug(`  ${removal.key.slice(0, 12)}  ${removal.reason}${removal.sourcePath ? `  ${removal.sourcePath}` : ''}`);
+  }
+  logger.success(
+    `Removed ${report.removed.length} cache entries${breakdown ? ` (${breakdown})` : ''}, ` +
+    `freed ${formatBytes(report.freedBytes)}; ${report.entries} entries (${formatBytes(report.totalSize)}) remain`
+  );
+
+  return { exitCode: EXIT_CODES.SUCCESS, result: report };
+};
+
+/**
+ * Check every entry against its digest and reconcile the manifest with
+ * the files on disk.
+ *
+ * @private
+ * @param {CacheManager} cache - Cache manager
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and verification report
+ */
+const verifyCache = async (cache, { logger }) => {
+  const report = await cache.verify();
+
+  for (const { key, reason, file } of report.quarantined) {
+    logger.warn(`Quarantined ${key.slice(0, 12)} (${reason}) to ${file}`);
+  }
+  for (const key of report.missing) {
+    logger.debug(`  ${key.slice(0, 12)}  missing`);
+  }
+  for (const key of report.adopted) {
+    logger.debug(`  ${key.slice(0, 12)}  adopted`);
+  }
+
+  const findings = [
+    [report.quarantined.length, 'quarantined'],
+    [report.missing.length, 'missing'],
+    [report.adopted.length, 'adopted'],
+    [report.resized.length, 'resized'],
+    [report.removedTempFiles.length, 'stale temporary files removed'],
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+  if (report.totalSizeDrift !== 0) {
+    findings.push(`total size corrected by ${formatBytes(Math.abs(report.totalSizeDrift))}`);
+  }
+
+  logger.success(
+    `Verified ${report.checked} cache entries${findings.length > 0 ? ` (${findings.join(', ')})` : ''}; ` +
+    `${report.entries} entries (${formatBytes(report.totalSize)}) remain`
+  );
+
+  return { exitCode: EXIT_CODES.SUCCESS, result: report };
+};
+
+/**
+ * Show one cache entry, looked up by full key or unique prefix.
+ *
+ * @private
+ * @param {CacheManager} cache - Cache manager
+ * @param {string} keyOrPrefix - Cache key or prefix
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and entry
+ */
+const inspectEntry = async (cache, keyOrPrefix, { logger }) => {
+  // Loads the manifest
+  await cache.getStats();
+  const matches = cache.manifest.entries.filter(entry => entry.key.startsWith(keyOrPrefix));
+
+  if (matches.length !== 1) {
+    const message = matches.length === 0
+      ? `No cache entry matches "${keyOrPrefix}"`
+      : `"${keyOrPrefix}" matches ${matches.length} cache entries; use a longer prefix`;
+    logger.error(message);
+    return { exitCode: EXIT_CODES.FAILURE, result: { error: message, matches: matches.map(entry => entry.key) } };
+  }
+
+  const entry = await cache.get(matches[0].key);
+  if (!entry) {
+    const message = `Cache entry ${matches[0].key} is missing or corrupted`;
+    logger.error(message);
+    return { exitCode: EXIT_CODES.FAILURE, result: { error: message } };
+  }
+
+  logger.info(`Key:          ${entry.key}`);
+  logger.info(`Source hash:  ${entry.sourceHash}`);
+  logger.info(`Rules hash:   ${entry.rulesHash}`);
+  for (const [name, value] of Object.entries(entry.metadata)) {
+    logger.info(`${`${name}:`.padEnd(14)}${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  }
+  logger.debug(`\n${entry.compiledCode}`);
+
+  return { exitCode: EXIT_CODES.SUCCESS, result: entry };
+};
+
+/**
+ * Write the entries of the last build, or with `--all` every entry, to a
+ * cache bundle.
+ *
+ * @private
+ * @param {CacheManager} cache - Cache manager
+ * @param {string} file - Bundle file to write
+ * @param {Object} options - Parsed options
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and export report
+ */
+const exportBundle = async (cache, file, options, { logger }) => {
+  let keys;
+  if (!options.all) {
+    const state = await cache.getBuildState();
+    keys = Object.values(state?.modules || {}).map(module => module.cacheKey).filter(Boolean);
+    if (keys.length === 0) {
+      const message = 'No build recorded in the cache; run `gherkin compile` first or pass --all';
+      logger.error(message);
+      return { exitCode: EXIT_CODES.FAILURE, result: { error: message } };
+    }
+  }
+
+  const report = await cache.exportBundle(file, { keys });
+
+  for (const key of report.missing) {
+    logger.warn(`Entry ${key.slice(0, 12)} of the last build is no longer cached`);
+  }
+  logger.success(`Exported ${report.exported.length} cache entries to ${file} (${formatBytes(report.size)})`);
+
+  return { exitCode: EXIT_CODES.SUCCESS, result: report };
+};
+
+/**
+ * Merge a cache bundle into the cache, keeping only entries for this
+ * compiler version and the configured target.
+ *
+ * @private
+ * @param {CacheManager} cache - Cache manager
+ * @param {string} file - Bundle file to read
+ * @param {Object} config - Project configuration
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and import report
+ */
+const importBundle = async (cache, file, config, { logger }) => {
+  const report = await cache.importBundle(file, { target: config.target });
+
+  const reasons = new Map();
+  for (const { key, reason } of report.skipped) {
+    logger.debug(`  ${key.slice(0, 12)}  skipped: ${reason}`);
+    reasons.set(reason, (reasons.get(reason) || 0) + 1);
+  }
+  const breakdown = [...reasons].map(([reason, count]) => `${count} ${reason}`).join(', ');
+
+  logger.success(
+    `Imported ${report.imported.length} cache entries from ${file}` +
+    `${report.skipped.length > 0 ? `, skipped ${report.skipped.length} (${breakdown})` : ''}; ` +
+    `${report.entries} entries (${formatBytes(report.totalSize)}) in cache`
+  );
+
+  return { exitCode: EXIT_CODES.SUCCESS, result: report };
+};
+
+/**
+ * Serve the cache over HTTP until SIGINT (or the context signal), for
+ * builds configured with `cache.remote`.
+ *
+ * @private
+ * @param {CacheManager} cache - Cache manager
+ * @param {Object} options - Parsed options
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and server address
+ * @throws {UsageError} If the port is not a valid port number
+ */
+const serveCache = async (cache, options, { logger, signal }) => {
+  if (options.port !== undefined && !(/^\d+$/.test(options.port) && Number(options.port) <= 65535)) {
+    throw new UsageError(`--port expects a port number (0-65535), got "${options.port}"`, { command: 'cache' });
+  }
+
+  const port = options.port === undefined ? DEFAULT_CACHE_SERVER_PORT : Number(options.port);
+
+  const server = createCacheServer({ cache, token: process.env.GHERKIN_CACHE_TOKEN });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, options.host || '127.0.0.1', resolve);
+  });
+
+  const address = server.address();
+  const url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+  logger.success(`Serving ${cache.cacheDir} at ${url}`);
+  logger.info('Press Ctrl+C to stop');
+
+  await new Promise((resolve) => {
+    if (!signal) {
+      process.once('SIGINT', resolve);
+    } else if (signal.aborted) {
+      resolve();
+    } else {
+      signal.addEventListener('abort', resolve, { once: true });
+    }
+  });
+
+  await new Promise(resolve => server.close(resolve));
+  await cache.flush();
+  logger.info('Stopped cache server');
+
+  return { exitCode: EXIT_CODES.SUCCESS, result: { url, cacheDir: cache.cacheDir } };
+};
+
+/** @type {import('../types').CommandDefinition} */
+const command = {
+  name: 'cache',
+  description: 'Show, inspect, verify, clean up, clear, export, import or serve the compilation cache',
+  usage: 'gherkin cache [--stats | --clear | --gc | --verify | --inspect <key> | --export <file> [--all] | --import <file> | --serve [--port <n>] [--host <addr>]]',
+  options: {
+    stats: { type: 'boolean', description: 'Show cache statistics (default)' },
+    clear: { type: 'boolean', description: 'Clear all cached entries' },
+    gc: { type: 'boolean', description: 'Remove expired entries and evict down to cache.maxSize' },
+    verify: { type: 'boolean', description: 'Check entries against their digests, quarantine bad ones and repair the manifest' },
+    inspect: { type: 'string', value: '<key>', description: 'Inspect a cache entry by key or unique prefix' },
+    export: { type: 'string', value: '<file>', description: 'Write the entries of the last build to a cache bundle' },
+    all: { type: 'boolean', description: 'Export every cache entry instead of the last build' },
+    import: { type: 'string', value: '<file>', description: 'Merge a cache bundle into the cache' },
+    serve: { type: 'boolean', description: 'Serve the cache over HTTP as a remote cache for other builds' },
+    port: { type: 'string', value: '<n>', description: `Port for --serve (default: ${DEFAULT_CACHE_SERVER_PORT})` },
+    host: { type: 'string', value: '<addr>', description: 'Address for --serve to listen on (default: 127.0.0.1)' },
+  },
+  run: cacheCommand,
+};
+
+module.exports = { command, cacheCommand, formatBytes };
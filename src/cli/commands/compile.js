@@ -1,11 +1,270 @@
 /**
  * Compile command handler for GherkinLang CLI.
- * 
+ *
  * Handles the `gherkin compile` command, which compiles .feature files to
  * JavaScript. Processes file arguments, applies options (target, output,
  * format, cache), and orchestrates the compilation pipeline.
- * 
+ *
  * @module cli/commands/compile
  */
 
-throw new Error('src/cli/commands/compile.js is not implemented');
+const path = require('path');
+const { Compiler } = require('../../compiler');
+const { exists } = require('../../compiler/utils/fs');
+const { Progress } = require('../utils/progress');
+const { EXIT_CODES, UsageError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CommandArgs} CommandArgs
+ * @typedef {import('../types').CommandContext} CommandContext
+ * @typedef {import('../types').CommandResult} CommandResult
+ * @typedef {import('../../compiler/types').BuildReport} BuildReport
+ * @typedef {import('../../compiler/types').CompileOptions} CompileOptions
+ */
+
+const TARGETS = ['javascript', 'elixir'];
+const MODULE_FORMATS = ['commonjs', 'esm'];
+
+/**
+ * Status markers for the per-module summary.
+ * @type {Object<string, {symbol: string, color: string}>}
+ */
+const STATUS_STYLES = {
+  compiled: { symbol: '✔', color: 'green' },
+  cached: { symbol: '●', color: 'cyan' },
+  failed: { symbol: '✖', color: 'red' },
+  skipped: { symbol: '-', color: 'yellow' },
+};
+
+/**
+ * Translate shared build flags (--target, --output, --format, --no-cache,
+ * --dry-run) into Compiler options.
+ *
+ * @param {Object<string, string|boolean>} options - Parsed CLI options
+ * @param {string} command - Command name for usage errors
+ * @returns {CompileOptions} Compile options
+ * @throws {UsageError} If an option value is invalid
+ */
+const toCompileOptions = (options, command) => {
+  if (options.target && !TARGETS.includes(options.target)) {
+    throw new UsageError(`Unknown target "${options.target}" (expected ${TARGETS.join(', ')})`, { command });
+  }
+  if (options.format && !MODULE_FORMATS.includes(options.format)) {
+    throw new UsageError(`Unknown module format "${options.format}" (expected ${MODULE_FORMATS.join(', ')})`, { command });
+  }
+  if (options.concurrency !== undefined && !/^[1-9]\d*$/.test(options.concurrency)) {
+    throw new UsageError(`--concurrency expects a positive integer, got "${options.concurrency}"`, { command });
+  }
+
+  return {
+    ...(options.target && { target: options.target }),
+    ...(options.output && { outputDir: options.output }),
+    ...(options.format && { moduleFormat: options.format }),
+    ...(options.concurrency && { concurrency: Number(options.concurrency) }),
+    ...(options['no-cache'] && { cache: false }),
+    ...(options['dry-run'] && { dryRun: true }),
+  };
+};
+
+/**
+ * Describe the progress of a module's AI transformation for the progress
+ * line.
+ *
+ * @param {import('../../compiler/types').BuildEvent} event - Transform build event
+ * @returns {string} Progress label
+ */
+const describeTransformEvent = ({ moduleName, event }) => {
+  switch (event.type) {
+    case 'text':
+      return `${moduleName}: receiving code (${event.length} chars)`;
+    case 'tool-call':
+      return `${moduleName}: called ${event.toolCall.toolName}`;
+    default:
+      return `${moduleName}: turn ${event.turn} done (${event.stopReason})`;
+  }
+};
+
+/**
+ * Describe tokens consumed and their cost, e.g.
+ * "12,480 tokens (9,200 from prompt cache), $0.0236".
+ *
+ * @param {{tokens: import('../../ai/types').TokenUsage, cost: number}} usage - Module or build usage
+ * @returns {string} Usage description
+ */
+const describeUsage = ({ tokens, cost }) => {
+  const cached = tokens.cacheRead ? ` (${tokens.cacheRead.toLocaleString('en-US')} from prompt cache)` : '';
+  return `${tokens.total.toLocaleString('en-US')} tokens${cached}, $${cost.toFixed(cost >= 1 ? 2 : 4)}`;
+};
+
+/**
+ * Print a human-readable build summary.
+ *
+ * @param {BuildReport} report - Build report
+ * @param {CommandContext} context - Command context
+ */
+const printReport = (report, { logger, cwd }) => {
+  const width = Math.max(0, ...report.modules.map(m => m.moduleName.length));
+
+  for (const module of report.modules) {
+    const style = STATUS_STYLES[module.status];
+    const output = module.outputPath ? `  ${path.relative(cwd, module.outputPath)}` : '';
+    const units = module.units
+      ? `; ${module.units.compiled.length} of ${module.units.cached.length + module.units.compiled.length} functions transformed`
+      : '';
+    const reason = module.rebuildReason ? logger.colorize('gray', ` (${module.rebuildReason}${units})`) : '';
+    const usage = module.usage ? logger.colorize('gray', ` [${describeUsage(module.usage)}]`) : '';
+    logger.info(
+      `${logger.colorize(style.color, style.symbol)} ${module.moduleName.padEnd(width)}  ${module.status}${output}${reason}${usage}`
+    );
+
+    for (const error of module.errors) {
+      const location = error.line ? ` line ${error.line}` : '';
+      logger.info(`    ${logger.colorize('red', `${error.stage}${error.type ? `/${error.type}` : ''}${location}`)}: ${error.message}`);
+    }
+    for (const warning of module.warnings) {
+      logger.debug(`    ${warning.stage}: ${warning.message}`);
+    }
+  }
+
+  const { stats } = report;
+  const parts = [
+    `${stats.compiledModules} compiled`,
+    `${stats.cachedModules} cached`,
+    ...(stats.failedModules ? [`${stats.failedModules} failed`] : []),
+    ...(stats.skippedModules ? [`${stats.skippedModules} skipped`] : []),
+  ];
+  const usage = stats.tokens?.total ? `; ${describeUsage(stats)}` : '';
+  const summary = `${stats.totalModules} module(s): ${parts.join(', ')} in ${(stats.duration / 1000).toFixed(1)}s${usage}`;
+
+  if (report.success) {
+    logger.success(summary);
+  } else {
+    logger.error(summary);
+  }
+};
+
+/**
+ * Run a build with a progress bar and print its summary. The progress line
+ * follows AI transformations as their responses stream in, and the context
+ * signal aborts them.
+ *
+ * @param {Compiler} compiler - Compiler instance
+ * @param {CompileOptions} compileOptions - Compile options
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<BuildReport>} Build report
+ */
+const runBuild = async (compiler, compileOptions, context) => {
+  const progress = new Progress({ stream: context.stderr, enabled: !context.json && context.stderr.isTTY });
+  let started = false;
+  let completed = 0;
+
+  try {
+    const report = await compiler.compileProject(context.cwd, {
+      configPath: context.configPath,
+      configOverrides: context.configOverrides,
+      ...compileOptions,
+      ...(context.signal && { signal: context.signal }),
+      onProgress: ({ module, completed: finished }) => {
+        completed = finished;
+        progress.update(completed, module.moduleName);
+      },
+      onEvent: (event) => {
+        if (event.type === 'start' && !started) {
+          started = true;
+          progress.start(event.total);
+        } else if (event.type === 'transform') {
+          progress.update(completed, describeTransformEvent(event));
+          if (event.event.type !== 'text') {
+            context.logger.debug(describeTransformEvent(event));
+          }
+        } else if (event.type === 'rate-limit') {
+          context.logger.warn(`Rate limited, pausing AI calls for ${Math.ceil(event.delay / 1000)}s`);
+        }
+      },
+    });
+
+    progress.stop();
+    printReport(report, context);
+    return report;
+  } finally {
+    progress.stop();
+  }
+};
+
+/**
+ * Handle `gherkin compile [files...]`. Without a context signal, the first
+ * Ctrl-C aborts the AI transformations in flight and still prints the
+ * report; a second one exits.
+ *
+ * @param {CommandArgs} args - Parsed arguments
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and build report
+ * @throws {UsageError} If a given file or directory does not exist
+ */
+async function compileCommand(args, context) {
+  for (const file of args.positionals) {
+    if (!await exists(path.resolve(context.cwd, file))) {
+      throw new UsageError(`No such file or directory: ${file}`, { command: 'compile' });
+    }
+  }
+
+  const compileOptions = {
+    ...toCompileOptions(args.options, 'compile'),
+    ...(args.positionals.length > 0 && { files: args.positionals }),
+  };
+  const compiler = new Compiler(context.compilerOptions);
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    context.logger.warn('Interrupted, aborting AI transformations (press Ctrl-C again to exit)');
+    controller.abort();
+  };
+
+  if (!context.signal) {
+    process.once('SIGINT', onInterrupt);
+  }
+
+  let report;
+  try {
+    report = await runBuild(compiler, compileOptions, { ...context, signal: context.signal || controller.signal });
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+
+  return {
+    exitCode: report.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+    result: report,
+  };
+}
+
+/**
+ * Options shared by commands that run builds.
+ * @type {Object<string, import('../types').CommandOption>}
+ */
+const BUILD_OPTIONS = {
+  target: { type: 'string', short: 't', value: '<lang>', description: `Target language (${TARGETS.join('|')})` },
+  output: { type: 'string', short: 'o', value: '<dir>', description: 'Output directory (default: config output.dir)' },
+  format: { type: 'string', value: '<fmt>', description: `Module format (${MODULE_FORMATS.join('|')})` },
+  concurrency: { type: 'string', short: 'j', value: '<n>', description: 'Modules compiled in parallel (default: config concurrency or 4)' },
+  'no-cache': { type: 'boolean', description: 'Skip cache, force recompile' },
+};
+
+/** @type {import('../types').CommandDefinition} */
+const command = {
+  name: 'compile',
+  description: 'Compile .feature files to JavaScript',
+  usage: 'gherkin compile [files...] [options]',
+  options: {
+    ...BUILD_OPTIONS,
+    'dry-run': { type: 'boolean', description: 'Compile without writing outputs or cache entries' },
+  },
+  run: compileCommand,
+};
+
+module.exports = {
+  command,
+  compileCommand,
+  toCompileOptions,
+  printReport,
+  runBuild,
+  BUILD_OPTIONS,
+};
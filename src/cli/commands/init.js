@@ -1,11 +1,177 @@
 /**
  * Init command handler for GherkinLang CLI.
- * 
+ *
  * Handles the `gherkin init` command, which initializes a new GherkinLang
  * project. Creates project structure, configuration files, and example feature
  * files based on selected template (basic, library, api).
- * 
+ *
  * @module cli/commands/init
  */
 
-throw new Error('src/cli/commands/init.js is not implemented');
+const path = require('path');
+const { writeFile, exists } = require('../../compiler/utils/fs');
+const { EXIT_CODES, UsageError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CommandArgs} CommandArgs
+ * @typedef {import('../types').CommandContext} CommandContext
+ * @typedef {import('../types').CommandResult} CommandResult
+ */
+
+const MATHEMATICS_FEATURE = `Feature: Mathematics
+  Basic arithmetic on numbers
+
+  Scenario: add defines a function
+    Given function add accepts a and b
+    When add a and b
+    Then return result
+
+  Scenario: multiply defines a function
+    Given function multiply accepts a and b
+    When multiply a by b
+    Then return result
+`;
+
+const STRINGS_FEATURE = `Feature: Strings
+  Helpers for lists of strings
+
+  Background:
+    Given import Mathematics
+
+  Scenario: shout defines a function
+    Given function shout accepts words
+    When map words to item.toUpperCase()
+    Then return result
+
+  Scenario: longer_than defines a function
+    Given function longer_than accepts words and minLength
+    When filter words where item.length > minLength
+    Then return result
+`;
+
+const USERS_FEATURE = `Feature: Users
+  Queries over user records
+
+  Scenario: active_users defines a function
+    Given function active_users accepts users
+    When filter users where active
+    Then return result
+
+  Scenario: user_names defines a function
+    Given function user_names accepts users
+    When map users to get name
+    Then return result
+
+  Scenario: by_age defines a function
+    Given function by_age accepts users
+    When sort users by age
+    Then return result
+`;
+
+/**
+ * Feature files created by each template, keyed by path relative to the project.
+ * @type {Object<string, Object<string, string>>}
+ */
+const TEMPLATES = {
+  basic: {
+    'features/mathematics.feature': MATHEMATICS_FEATURE,
+  },
+  library: {
+    'features/mathematics.feature': MATHEMATICS_FEATURE,
+    'features/strings.feature': STRINGS_FEATURE,
+  },
+  api: {
+    'features/users.feature': USERS_FEATURE,
+  },
+};
+
+const GITIGNORE = `node_modules/
+dist/
+test/generated/
+.gherkin-cache/
+`;
+
+/**
+ * Build the configuration written by init.
+ *
+ * @param {string} target - Default target language
+ * @returns {string} .gherkinrc.json content
+ */
+const createConfig = (target) => `${JSON.stringify({
+  target,
+  moduleFormat: 'commonjs',
+  output: { dir: 'dist', testDir: 'test/generated' },
+  cache: { enabled: true, dir: '.gherkin-cache' },
+  ai: { mode: 'hybrid' },
+}, null, 2)}\n`;
+
+/**
+ * Handle `gherkin init [dir]`.
+ *
+ * Existing files are left untouched unless --force is given.
+ *
+ * @param {CommandArgs} args - Parsed arguments
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and created files
+ */
+async function initCommand(args, context) {
+  const { options, positionals } = args;
+  const template = options.template || 'basic';
+  const target = options.target || 'javascript';
+
+  if (positionals.length > 1) {
+    throw new UsageError('init accepts a single directory', { command: 'init' });
+  }
+  if (!TEMPLATES[template]) {
+    throw new UsageError(
+      `Unknown template "${template}" (expected ${Object.keys(TEMPLATES).join(', ')})`,
+      { command: 'init' }
+    );
+  }
+
+  const projectDir = path.resolve(context.cwd, positionals[0] || '.');
+  const files = {
+    '.gherkinrc.json': createConfig(target),
+    '.gitignore': GITIGNORE,
+    ...TEMPLATES[template],
+  };
+  const created = [];
+  const skipped = [];
+
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(projectDir, relativePath);
+
+    if (!options.force && await exists(filePath)) {
+      skipped.push(filePath);
+      context.logger.warn(`${relativePath} already exists, skipped (use --force to overwrite)`);
+      continue;
+    }
+
+    await writeFile(filePath, content);
+    created.push(filePath);
+    context.logger.success(`Created ${relativePath}`);
+  }
+
+  const location = path.relative(context.cwd, projectDir) || '.';
+  context.logger.info(`\nProject initialized in ${location} (template: ${template}). Next: gherkin compile`);
+
+  return {
+    exitCode: EXIT_CODES.SUCCESS,
+    result: { projectDir, template, target, created, skipped },
+  };
+}
+
+/** @type {import('../types').CommandDefinition} */
+const command = {
+  name: 'init',
+  description: 'Initialize a new GherkinLang project',
+  usage: 'gherkin init [dir] [options]',
+  options: {
+    template: { type: 'string', value: '<name>', description: `Template to use (${Object.keys(TEMPLATES).join('|')})` },
+    target: { type: 'string', short: 't', value: '<lang>', description: 'Default target language (default: javascript)' },
+    force: { type: 'boolean', description: 'Overwrite existing files' },
+  },
+  run: initCommand,
+};
+
+module.exports = { command, initCommand, TEMPLATES };
@@ -1,10 +1,144 @@
 /**
  * Test command handler for GherkinLang CLI.
- * 
+ *
  * Handles the `gherkin test` command, which runs generated tests. Supports
  * coverage reports, watch mode, and integration with Jest test runner.
- * 
+ *
  * @module cli/commands/test
  */
 
-throw new Error('src/cli/commands/test.js is not implemented');
+const path = require('path');
+const childProcess = require('child_process');
+const { ProjectContext } = require('../../compiler/context');
+const { exists } = require('../../compiler/utils/fs');
+const { EXIT_CODES, UsageError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CommandArgs} CommandArgs
+ * @typedef {import('../types').CommandContext} CommandContext
+ * @typedef {import('../types').CommandResult} CommandResult
+ */
+
+/**
+ * Locate the Jest CLI, preferring the project's own installation.
+ *
+ * @param {string} cwd - Project root
+ * @returns {string|null} Path to jest/bin/jest.js or null if not installed
+ */
+const resolveJest = (cwd) => {
+  try {
+    return require.resolve('jest/bin/jest', { paths: [cwd, __dirname] });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Files that hold a Jest configuration (package.json may have a "jest" key).
+ * @type {string[]}
+ */
+const JEST_CONFIG_FILES = [
+  'jest.config.js', 'jest.config.ts', 'jest.config.mjs', 'jest.config.cjs', 'jest.config.json', 'package.json',
+];
+
+/**
+ * Handle `gherkin test [files...]`.
+ *
+ * Runs Jest on the generated test directory (or the given test files). With
+ * --json, Jest's own JSON report is captured and returned.
+ *
+ * @param {CommandArgs} args - Parsed arguments
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Jest exit status and (with --json) its report
+ */
+async function testCommand(args, context) {
+  const { options, positionals } = args;
+
+  if (options.watch && context.json) {
+    throw new UsageError('--watch cannot be combined with --json', { command: 'test' });
+  }
+
+  const jest = resolveJest(context.cwd);
+  if (!jest) {
+    context.logger.error('Jest is not installed; run "npm install --save-dev jest"');
+    return { exitCode: EXIT_CODES.CONFIG, result: { success: false, error: 'Jest is not installed' } };
+  }
+
+  const projectContext = new ProjectContext();
+  const config = await projectContext.loadConfig(context.configPath, {
+    cwd: context.cwd,
+    overrides: context.configOverrides,
+  });
+  const packages = await projectContext.loadPackages(context.cwd, { overrides: context.configOverrides });
+  const defaultTestPaths = packages.length > 0
+    ? packages.map(pkg => path.join(pkg.dir, pkg.config.output.testDir))
+    : [config.output.testDir];
+  const testPaths = positionals.length > 0 ? positionals : defaultTestPaths;
+  const hasJestConfig = (await Promise.all(
+    JEST_CONFIG_FILES.map(file => exists(path.join(context.cwd, file)))
+  )).some(Boolean);
+  const jestArgs = [
+    jest,
+    // Jest refuses to run without a configuration file or package.json
+    ...(hasJestConfig ? [] : ['--config', JSON.stringify({ rootDir: context.cwd })]),
+    ...(options.coverage ? ['--coverage'] : []),
+    ...(options.watch ? ['--watch'] : []),
+    ...(context.json ? ['--json'] : []),
+    ...testPaths.map(testPath => path.relative(context.cwd, path.resolve(context.cwd, testPath)) || '.'),
+  ];
+
+  context.logger.debug(`Running ${['jest', ...jestArgs.slice(1)].join(' ')}`);
+
+  const { code, output } = await runProcess(context.spawn || childProcess.spawn, jestArgs, context);
+  const exitCode = code === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+
+  if (!context.json) {
+    return { exitCode };
+  }
+
+  try {
+    return { exitCode, result: JSON.parse(output) };
+  } catch {
+    return { exitCode, result: { success: false, error: 'Jest did not produce a JSON report' } };
+  }
+}
+
+/**
+ * Run Jest with the current Node binary. Output is streamed through unless
+ * it has to be captured for --json.
+ *
+ * @private
+ * @param {Function} spawn - child_process.spawn
+ * @param {string[]} jestArgs - Arguments (first is the Jest script)
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<{code: number, output: string}>} Exit code and captured stdout
+ */
+const runProcess = (spawn, jestArgs, context) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, jestArgs, {
+    cwd: context.cwd,
+    stdio: context.json ? ['ignore', 'pipe', 'pipe'] : 'inherit',
+  });
+  let output = '';
+
+  if (context.json) {
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => context.stderr.write(chunk));
+  }
+
+  child.on('error', reject);
+  child.on('close', code => resolve({ code: code ?? 1, output }));
+});
+
+/** @type {import('../types').CommandDefinition} */
+const command = {
+  name: 'test',
+  description: 'Run generated tests with Jest',
+  usage: 'gherkin test [files...] [options]',
+  options: {
+    coverage: { type: 'boolean', description: 'Generate coverage report' },
+    watch: { type: 'boolean', description: 'Re-run tests when files change' },
+  },
+  run: testCommand,
+};
+
+module.exports = { command, testCommand };
@@ -1,11 +1,177 @@
 /**
  * Validate command handler for GherkinLang CLI.
- * 
+ *
  * Handles the `gherkin validate` command, which validates .feature files
  * without compiling them. Checks syntax, structure, and optionally validates
- * rules.md file.
- * 
+ * the rules (rules.md and the project's rules files).
+ *
  * @module cli/commands/validate
  */
 
-throw new Error('src/cli/commands/validate.js is not implemented');
+const path = require('path');
+const { GherkinParser } = require('../../compiler/parser');
+const { ProjectContext } = require('../../compiler/context');
+const { ContextBuildError } = require('../../compiler/errors');
+const { Compiler } = require('../../compiler');
+const { findFiles, exists } = require('../../compiler/utils/fs');
+const { sha256 } = require('../../compiler/utils/hash');
+const { EXIT_CODES, UsageError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CommandArgs} CommandArgs
+ * @typedef {import('../types').CommandContext} CommandContext
+ * @typedef {import('../types').CommandResult} CommandResult
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} [file] - File the issue was found in (absent for project-wide issues)
+ * @property {number} [line] - 1-based line number
+ * @property {number} [column] - Column number
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Expand file and directory arguments into .feature files.
+ *
+ * @param {string[]} paths - Paths relative to cwd
+ * @param {string} cwd - Working directory
+ * @returns {Promise<string[]>} Absolute .feature file paths
+ * @throws {UsageError} If a path does not exist
+ */
+const collectFeatureFiles = async (paths, cwd) => {
+  const files = [];
+
+  for (const target of paths.length > 0 ? paths : ['.']) {
+    const resolved = path.resolve(cwd, target);
+    if (!await exists(resolved)) {
+      throw new UsageError(`No such file or directory: ${target}`, { command: 'validate' });
+    }
+    files.push(...(resolved.endsWith('.feature') ? [resolved] : await findFiles(resolved)));
+  }
+
+  return [...new Set(files)].sort();
+};
+
+/**
+ * Check the whole project: unknown imports, duplicate features and cycles.
+ *
+ * @param {CommandContext} context - Command context
+ * @param {string[]} [checkedFiles] - Files whose parse errors are already reported
+ * @returns {Promise<ValidationIssue[]>} Project issues
+ */
+const validateProject = async ({ cwd, configPath, configOverrides }, checkedFiles = []) => {
+  const projectContext = new ProjectContext();
+
+  try {
+    await projectContext.build(cwd, configPath, { overrides: configOverrides });
+  } catch (error) {
+    if (error instanceof ContextBuildError) {
+      const reported = error.files?.every(file => checkedFiles.includes(file));
+      return reported ? [] : [{ message: error.message }];
+    }
+    throw error;
+  }
+
+  return projectContext.detectCycles().map(cycle => ({ message: `Circular dependency: ${cycle.message}` }));
+};
+
+/**
+ * Handle `gherkin validate [files...]`.
+ *
+ * @param {CommandArgs} args - Parsed arguments
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code and validation results
+ */
+async function validateCommand(args, context) {
+  const { logger, cwd } = context;
+  const parser = new GherkinParser();
+  const files = [];
+
+  for (const file of await collectFeatureFiles(args.positionals, cwd)) {
+    const parsed = (await parser.parseMany([file])).get(file);
+    const errors = parsed.errors.map(error => ({
+      line: error.line,
+      column: error.column,
+      message: error.message,
+    }));
+
+    const warnings = parsed.warnings.map(warning => ({
+      line: warning.line,
+      column: warning.column,
+      message: warning.message,
+    }));
+
+    files.push({ file, featureName: parsed.featureName || null, valid: errors.length === 0, errors, warnings });
+
+    const relative = path.relative(cwd, file);
+    if (errors.length === 0) {
+      logger.success(relative);
+    }
+    for (const error of errors) {
+      logger.error(`${relative}${error.line ? `:${error.line}` : ''}: ${error.message}`);
+    }
+    for (const warning of warnings) {
+      logger.warn(`${relative}${warning.line ? `:${warning.line}` : ''}: ${warning.message}`);
+    }
+  }
+
+  const projectErrors = await validateProject(context, files.map(({ file }) => file));
+  projectErrors.forEach(error => logger.error(error.message));
+
+  let rules;
+  if (args.options.rules) {
+    rules = await validateRules(context);
+    if (rules.valid) {
+      logger.success(`rules (${rules.size} bytes, ${rules.hash.slice(0, 12)})`);
+    } else {
+      logger.error(`rules: ${rules.error}`);
+    }
+  }
+
+  const invalidFiles = files.filter(file => !file.valid).length;
+  const success = invalidFiles === 0 && projectErrors.length === 0 && (!rules || rules.valid);
+
+  if (success) {
+    logger.success(`${files.length} file(s) valid`);
+  } else {
+    logger.error(`${invalidFiles} of ${files.length} file(s) invalid, ${projectErrors.length} project error(s)`);
+  }
+
+  return {
+    exitCode: success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+    result: { success, files, projectErrors, ...(rules && { rules }) },
+  };
+}
+
+/**
+ * Check that the effective rules (the built-in rules and the project's rules
+ * files) load and are not empty.
+ *
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<{valid: boolean, size?: number, hash?: string, error?: string}>} Rules status
+ */
+const validateRules = async ({ cwd, configPath, configOverrides }) => {
+  try {
+    const content = await new Compiler().getRules(cwd, { configPath, configOverrides });
+    if (!content.trim()) {
+      return { valid: false, error: 'Rules file is empty' };
+    }
+    return { valid: true, size: Buffer.byteLength(content), hash: sha256(content) };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+};
+
+/** @type {import('../types').CommandDefinition} */
+const command = {
+  name: 'validate',
+  description: 'Validate .feature files without compiling',
+  usage: 'gherkin validate [files...] [options]',
+  options: {
+    rules: { type: 'boolean', description: 'Also validate the rules, including project rules files' },
+  },
+  run: validateCommand,
+};
+
+module.exports = { command, validateCommand };
@@ -1,11 +1,290 @@
 /**
  * Watch command handler for GherkinLang CLI.
- * 
+ *
  * Handles the `gherkin watch` command, which watches a directory for changes
  * and automatically recompiles affected files. Manages file system events,
  * debouncing, and incremental compilation.
- * 
+ *
  * @module cli/commands/watch
  */
 
-throw new Error('src/cli/commands/watch.js is not implemented');
+const fs = require('fs');
+const path = require('path');
+const { Compiler } = require('../../compiler');
+const { ProjectContext } = require('../../compiler/context');
+const { exists } = require('../../compiler/utils/fs');
+const { CONFIG_FILE_NAMES, SECTION_DEFAULTS } = require('../../compiler/config-resolver');
+const { toCompileOptions, runBuild, BUILD_OPTIONS } = require('./compile');
+const { EXIT_CODES, UsageError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CommandArgs} CommandArgs
+ * @typedef {import('../types').CommandContext} CommandContext
+ * @typedef {import('../types').CommandResult} CommandResult
+ */
+
+/**
+ * Path segments always ignored, in addition to watch.ignore.
+ * @type {string[]}
+ */
+const DEFAULT_IGNORE = ['node_modules', 'dist', '.gherkin-cache'];
+
+/**
+ * Parse the --debounce value.
+ *
+ * @param {string|undefined} value - Raw option value
+ * @returns {number|undefined} Delay in milliseconds
+ * @throws {UsageError} If the value is not a non-negative integer
+ */
+const parseDebounce = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`--debounce expects milliseconds, got "${value}"`, { command: 'watch' });
+  }
+  return Number(value);
+};
+
+/**
+ * Watch a directory tree with one watcher per directory. Recursive
+ * `fs.watch` is not available on Linux before Node 20, so directories
+ * created later are watched as they appear and removed ones are released.
+ *
+ * @private
+ * @param {string} root - Directory to watch
+ * @param {string[]} ignore - Directory names not to descend into
+ * @param {function(string): void} onChange - Called with every changed path, relative to root
+ * @returns {{close: function(): void}} Handle that stops every watcher
+ */
+const watchTree = (root, ignore, onChange) => {
+  const watchers = new Map();
+
+  const remove = (dir) => {
+    for (const [watched, watcher] of watchers) {
+      if (watched === dir || watched.startsWith(`${dir}${path.sep}`)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+  };
+
+  const add = (dir) => {
+    if (watchers.has(dir)) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename) {
+          changed(eventType, path.join(dir, filename.toString()));
+        }
+      });
+      watcher.on('error', () => remove(dir));
+      watchers.set(dir, watcher);
+    } catch {
+      // Not a directory, or removed before it could be watched
+      return;
+    }
+
+    entries
+      .filter(entry => entry.isDirectory() && !ignore.includes(entry.name))
+      .forEach(entry => add(path.join(dir, entry.name)));
+  };
+
+  const changed = (eventType, file) => {
+    // 'rename' covers entries that were created, renamed or removed
+    if (eventType === 'rename' && !ignore.includes(path.basename(file))) {
+      if (fs.existsSync(file)) {
+        add(file);
+      } else {
+        remove(file);
+      }
+    }
+    onChange(path.relative(root, file));
+  };
+
+  add(root);
+
+  return { close: () => remove(root) };
+};
+
+/**
+ * Watch single files through their directories, so a file an editor
+ * replaces on save (write to a temporary file, then rename) is still seen.
+ *
+ * @private
+ * @param {string[]} files - Absolute file paths
+ * @param {function(string): void} onChange - Called with the absolute path of a changed file
+ * @returns {{close: function(): void}} Handle that stops every watcher
+ */
+const watchFiles = (files, onChange) => {
+  const watchers = [];
+
+  for (const dir of new Set(files.map(file => path.dirname(file)))) {
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        const file = filename && path.join(dir, filename.toString());
+        if (file && files.includes(file)) {
+          onChange(file);
+        }
+      });
+      watcher.on('error', () => watcher.close());
+      watchers.push(watcher);
+    } catch {
+      // Missing directory: the build reports the missing file
+    }
+  }
+
+  return { close: () => watchers.forEach(watcher => watcher.close()) };
+};
+
+/**
+ * Handle `gherkin watch [dir]`.
+ *
+ * Builds once, then rebuilds whenever a .feature file, the configuration
+ * or one of its rules files changes, until the context signal is aborted (or SIGINT when no signal
+ * is given). Build errors are reported without stopping the watcher. With
+ * --json, one JSON line is written per build.
+ *
+ * @param {CommandArgs} args - Parsed arguments
+ * @param {CommandContext} context - Command context
+ * @returns {Promise<CommandResult>} Exit code once watching stops
+ */
+async function watchCommand(args, context) {
+  const { options, positionals } = args;
+  const { logger } = context;
+
+  if (positionals.length > 1) {
+    throw new UsageError('watch accepts a single directory', { command: 'watch' });
+  }
+
+  const watchDir = path.resolve(context.cwd, positionals[0] || '.');
+  if (!await exists(watchDir)) {
+    throw new UsageError(`No such directory: ${positionals[0]}`, { command: 'watch' });
+  }
+
+  const loadConfig = () => new ProjectContext().loadConfig(context.configPath, {
+    cwd: context.cwd,
+    overrides: context.configOverrides,
+  });
+  // Rules files are relative to the project root, as in compileProject
+  const resolveRules = rules => (rules || []).map(file => path.resolve(context.cwd, file));
+  const config = await loadConfig();
+  const watchConfig = { ...SECTION_DEFAULTS.watch, ...config.watch };
+  const delay = parseDebounce(options.debounce) ?? watchConfig.debounce;
+  const ignore = [...DEFAULT_IGNORE, ...watchConfig.ignore];
+  const configNames = context.configPath ? [path.basename(context.configPath)] : CONFIG_FILE_NAMES;
+  const compileOptions = {
+    ...toCompileOptions(options, 'watch'),
+    ...(positionals.length > 0 && { files: positionals }),
+  };
+  let compiler = new Compiler(context.compilerOptions);
+  let rulesWatcher = null;
+  let stopped = false;
+  let builds = 0;
+
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const build = async (changed) => {
+    builds++;
+    if (changed.length > 0) {
+      logger.info(`\nChanged: ${changed.join(', ')}`);
+    }
+    if (changed.some(file => configNames.includes(path.basename(file)))) {
+      // The compiler keeps the transformer and cache it created from the previous configuration
+      compiler = new Compiler(context.compilerOptions);
+      try {
+        const reloaded = await loadConfig();
+        rulesWatcher.close();
+        rulesWatcher = watchFiles(resolveRules(reloaded.rules), schedule);
+      } catch {
+        // The build below reports the invalid configuration
+      }
+    }
+
+    try {
+      const report = await runBuild(compiler, compileOptions, context);
+      writeEvent(context, { event: 'build', changed, ...report });
+    } catch (error) {
+      // Keep watching: the next save usually fixes configuration errors
+      logger.error(error);
+      writeEvent(context, { event: 'error', changed, error: { name: error.name, message: error.message } });
+    }
+  };
+
+  const schedule = (file) => {
+    if (stopped) {
+      return;
+    }
+    pending.add(path.relative(context.cwd, file));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = [...pending].sort();
+      pending.clear();
+      running = running.then(() => build(changed));
+    }, delay);
+  };
+
+  await build([]);
+  logger.info(`\nWatching ${path.relative(context.cwd, watchDir) || '.'} for changes (Ctrl+C to stop)`);
+
+  // Rules files may live outside the watched directory, or in an ignored one
+  rulesWatcher = watchFiles(resolveRules(config.rules), schedule);
+  const watcher = watchTree(watchDir, ignore, (filename) => {
+    const segments = filename.split(path.sep);
+    const relevant = filename.endsWith('.feature') || configNames.includes(path.basename(filename));
+    if (relevant && !segments.some(segment => ignore.includes(segment))) {
+      schedule(path.join(watchDir, filename));
+    }
+  });
+
+  await new Promise((resolve) => {
+    if (!context.signal) {
+      process.once('SIGINT', resolve);
+    } else if (context.signal.aborted) {
+      resolve();
+    } else {
+      context.signal.addEventListener('abort', resolve, { once: true });
+    }
+  });
+
+  stopped = true;
+  watcher.close();
+  clearTimeout(timer);
+  await running;
+  // Closed last: a configuration change built while stopping may have replaced it
+  rulesWatcher.close();
+  logger.info(`Stopped watching after ${builds} build(s)`);
+
+  return { exitCode: EXIT_CODES.SUCCESS };
+}
+
+/**
+ * Write one JSON line per watch event when --json is set.
+ *
+ * @private
+ */
+const writeEvent = (context, event) => {
+  if (context.json) {
+    context.stdout.write(`${JSON.stringify(event)}\n`);
+  }
+};
+
+/** @type {import('../types').CommandDefinition} */
+const command = {
+  name: 'watch',
+  description: 'Watch a directory and recompile on changes',
+  usage: 'gherkin watch [dir] [options]',
+  options: {
+    ...BUILD_OPTIONS,
+    debounce: { type: 'string', value: '<ms>', description: 'Debounce time in milliseconds (default: config watch.debounce or 300)' },
+  },
+  run: watchCommand,
+};
+
+module.exports = { command, watchCommand };
@@ -0,0 +1,44 @@
+/**
+ * Error classes and exit codes for the GherkinLang CLI.
+ * 
+ * @module cli/errors
+ */
+
+/**
+ * Process exit codes used by every command.
+ * @type {Readonly<{SUCCESS: number, FAILURE: number, USAGE: number, CONFIG: number, INTERNAL: number}>}
+ */
+const EXIT_CODES = Object.freeze({
+  // Command completed and everything it checked or built is valid
+  SUCCESS: 0,
+  // Command ran, but modules failed to compile, validate or test
+  FAILURE: 1,
+  // Unknown command or invalid arguments
+  USAGE: 2,
+  // Invalid configuration or project structure (e.g., circular dependencies)
+  CONFIG: 3,
+  // Unexpected error
+  INTERNAL: 4,
+});
+
+/**
+ * Error thrown when command-line arguments are invalid.
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Additional error options
+   * @param {string} [options.command] - Command whose usage should be shown
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'UsageError';
+    this.command = options.command;
+    Error.captureStackTrace(this, UsageError);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+};
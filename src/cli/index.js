@@ -1,11 +1,299 @@
 /**
  * CLI setup and initialization for GherkinLang compiler.
- * 
+ *
  * Sets up the command-line interface, parses arguments, routes commands to
  * appropriate handlers, and manages CLI lifecycle. Integrates with the compiler
  * orchestrator to execute user commands.
- * 
+ *
  * @module cli
  */
 
-throw new Error('src/cli/index.js is not implemented');
+const path = require('path');
+const { parseArgs } = require('util');
+const { Logger } = require('./utils/logger');
+const { EXIT_CODES, UsageError } = require('./errors');
+const { ContextBuildError, ParseError, RulesLoadError, CacheError } = require('../compiler/errors');
+const { toOverrides } = require('../compiler/config-resolver');
+const { version } = require('../../package.json');
+
+/**
+ * @typedef {import('./types').CommandDefinition} CommandDefinition
+ * @typedef {import('./types').CommandOption} CommandOption
+ */
+
+/**
+ * Registered commands, keyed by name.
+ * @type {Object<string, CommandDefinition>}
+ */
+const COMMANDS = Object.fromEntries([
+  require('./commands/compile').command,
+  require('./commands/validate').command,
+  require('./commands/cache').command,
+  require('./commands/init').command,
+  require('./commands/test').command,
+  require('./commands/watch').command,
+].map(command => [command.name, command]));
+
+/**
+ * Options accepted by every command.
+ * @type {Object<string, CommandOption>}
+ */
+const GLOBAL_OPTIONS = {
+  config: { type: 'string', short: 'c', value: '<path>', description: 'Configuration file (default: closest .gherkinrc.* or gherkin.config.js)' },
+  set: { type: 'string', multiple: true, value: '<key=value>', description: 'Override a configuration value (e.g., cache.maxSize=1GB)' },
+  json: { type: 'boolean', description: 'Print machine-readable JSON to stdout' },
+  verbose: { type: 'boolean', short: 'v', description: 'Show detailed output' },
+  quiet: { type: 'boolean', short: 'q', description: 'Only print errors' },
+  'no-color': { type: 'boolean', description: 'Disable colored output' },
+  help: { type: 'boolean', short: 'h', description: 'Show help' },
+};
+
+/**
+ * Errors caused by the project rather than the CLI invocation or a bug.
+ * @type {Function[]}
+ */
+const CONFIG_ERRORS = [ContextBuildError, ParseError, RulesLoadError, CacheError];
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} [argv] - Arguments after the executable (default: process.argv.slice(2))
+ * @param {Object} [io] - Environment overrides (used by tests)
+ * @param {string} [io.cwd] - Working directory (default: process.cwd())
+ * @param {NodeJS.WritableStream} [io.stdout] - Standard output (default: process.stdout)
+ * @param {NodeJS.WritableStream} [io.stderr] - Standard error (default: process.stderr)
+ * @param {AbortSignal} [io.signal] - Stops long-running commands
+ * @param {Object} [io.compilerOptions] - Options for Compiler instances (e.g., a transformer)
+ * @param {Function} [io.spawn] - child_process.spawn replacement
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(argv = process.argv.slice(2), io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const cwd = path.resolve(io.cwd || process.cwd());
+  const [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    const command = COMMANDS[rest[0]];
+    stdout.write(command ? formatCommandHelp(command) : formatHelp());
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (name === '--version' || name === '-V') {
+    stdout.write(`${version}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    stderr.write(`error Unknown command "${name}"\n\n${formatHelp()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let parsed;
+  let configOverrides;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: toParseArgsOptions({ ...GLOBAL_OPTIONS, ...command.options }),
+      allowPositionals: true,
+      strict: true,
+    });
+    configOverrides = parseConfigOverrides(parsed.values.set);
+  } catch (error) {
+    const json = rest.includes('--json');
+    return report(new UsageError(error.message, { command: name }), { json, stdout, stderr });
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    stdout.write(formatCommandHelp(command));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const json = values.json === true;
+  const logger = new Logger({
+    stdout,
+    stderr,
+    level: json ? 'silent' : values.quiet ? 'error' : values.verbose ? 'debug' : 'info',
+    ...(values['no-color'] && { color: false }),
+  });
+
+  const context = {
+    cwd,
+    configPath: values.config && path.resolve(cwd, values.config),
+    configOverrides,
+    json,
+    logger,
+    stdout,
+    stderr,
+    signal: io.signal,
+    compilerOptions: io.compilerOptions,
+    spawn: io.spawn,
+  };
+
+  try {
+    const { exitCode, result } = await command.run({ positionals, options: values }, context);
+
+    if (json && result !== undefined) {
+      stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
+
+    return exitCode;
+  } catch (error) {
+    return report(error, { json, stdout, stderr, logger });
+  }
+}
+
+/**
+ * Print an error and map it to an exit code.
+ *
+ * @private
+ * @param {Error} error - Error thrown by parsing or a command
+ * @param {Object} output - Output settings
+ * @returns {number} Exit code
+ */
+function report(error, { json, stdout, stderr, logger = new Logger({ stdout, stderr }) }) {
+  const exitCode = error instanceof UsageError
+    ? EXIT_CODES.USAGE
+    : CONFIG_ERRORS.some(ErrorClass => error instanceof ErrorClass)
+      ? EXIT_CODES.CONFIG
+      : EXIT_CODES.INTERNAL;
+
+  if (json) {
+    stdout.write(`${JSON.stringify({ success: false, error: serializeError(error) }, null, 2)}\n`);
+    return exitCode;
+  }
+
+  logger.error(error);
+  if (error instanceof UsageError) {
+    stderr.write(`Run "gherkin ${error.command ? `${error.command} ` : ''}--help" for usage.\n`);
+  }
+
+  return exitCode;
+}
+
+/**
+ * Convert an error to JSON, keeping its primitive context fields.
+ *
+ * @param {Error} error - Error to serialize
+ * @returns {Object} Plain object with name, message and context
+ */
+function serializeError(error) {
+  const isPlain = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+  const fields = Object.entries(error).filter(([, value]) =>
+    isPlain(value) || (Array.isArray(value) && value.every(isPlain))
+  );
+
+  return { name: error.name, message: error.message, ...Object.fromEntries(fields) };
+}
+
+/**
+ * Convert command options to util.parseArgs configuration.
+ *
+ * @private
+ * @param {Object<string, CommandOption>} options - Command options
+ * @returns {Object} parseArgs options
+ */
+function toParseArgsOptions(options) {
+  return Object.fromEntries(Object.entries(options).map(([name, option]) => [
+    name,
+    { type: option.type, ...(option.short && { short: option.short }), ...(option.multiple && { multiple: true }) },
+  ]));
+}
+
+/**
+ * Convert --set assignments to configuration overrides.
+ *
+ * @private
+ * @param {string[]} [assignments] - Values of --set (e.g., ['cache.maxSize=1GB'])
+ * @returns {Object|undefined} Partial configuration, or undefined without assignments
+ * @throws {Error} If an assignment is not of the form key=value
+ */
+function parseConfigOverrides(assignments) {
+  if (!assignments) {
+    return undefined;
+  }
+
+  return toOverrides(assignments.map((assignment) => {
+    const index = assignment.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid --set "${assignment}" (expected key=value)`);
+    }
+    return [assignment.slice(0, index), assignment.slice(index + 1)];
+  }));
+}
+
+/**
+ * Format option help lines, aligned in two columns.
+ *
+ * @private
+ * @param {Object<string, CommandOption>} options - Options to describe
+ * @returns {string} Help lines
+ */
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, option]) => [
+    `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`,
+    option.description,
+  ]);
+  const width = Math.max(...rows.map(([flags]) => flags.length));
+
+  return rows.map(([flags, description]) => `  ${flags.padEnd(width)}  ${description}`).join('\n');
+}
+
+/**
+ * Format the top-level help text.
+ *
+ * @returns {string} Help text
+ */
+function formatHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  const commands = Object.values(COMMANDS)
+    .map(command => `  ${command.name.padEnd(width)}  ${command.description}`)
+    .join('\n');
+
+  return [
+    `GherkinLang compiler ${version}`,
+    '',
+    'Usage: gherkin <command> [options]',
+    '',
+    'Commands:',
+    commands,
+    '',
+    'Global options:',
+    formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Run "gherkin <command> --help" for command options.',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Format the help text of one command.
+ *
+ * @param {CommandDefinition} command - Command to describe
+ * @returns {string} Help text
+ */
+function formatCommandHelp(command) {
+  return [
+    `Usage: ${command.usage}`,
+    '',
+    command.description,
+    '',
+    'Options:',
+    formatOptions(command.options),
+    '',
+    'Global options:',
+    formatOptions(GLOBAL_OPTIONS),
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  run,
+  COMMANDS,
+  GLOBAL_OPTIONS,
+  formatHelp,
+  formatCommandHelp,
+  serializeError,
+};
@@ -0,0 +1,68 @@
+/**
+ * Type definitions for the GherkinLang CLI.
+ * 
+ * This module exports JSDoc type definitions for command definitions, parsed
+ * arguments and the context handed to command handlers.
+ * 
+ * @module cli/types
+ */
+
+/**
+ * Option accepted by a command (util.parseArgs format plus help text).
+ * 
+ * @typedef {Object} CommandOption
+ * @property {'string'|'boolean'} type - Option value type
+ * @property {string} [short] - Single-character alias
+ * @property {string} [value] - Value placeholder shown in help (e.g., '<dir>')
+ * @property {boolean} [multiple] - Whether the option can be repeated, collecting its values in an array
+ * @property {string} description - Help text
+ */
+
+/**
+ * Command registered with the CLI.
+ * 
+ * @typedef {Object} CommandDefinition
+ * @property {string} name - Command name (e.g., 'compile')
+ * @property {string} description - One-line summary for help output
+ * @property {string} usage - Usage line (e.g., 'gherkin compile [files...] [options]')
+ * @property {Object<string, CommandOption>} options - Command-specific options
+ * @property {function(CommandArgs, CommandContext): Promise<CommandResult>} run - Command handler
+ */
+
+/**
+ * Arguments parsed for a command.
+ * 
+ * @typedef {Object} CommandArgs
+ * @property {string[]} positionals - Positional arguments after the command name
+ * @property {Object<string, string|boolean>} options - Parsed option values, keyed by long name
+ */
+
+/**
+ * Environment handed to command handlers.
+ * 
+ * @typedef {Object} CommandContext
+ * @property {string} cwd - Working directory (project root)
+ * @property {string} [configPath] - Absolute path of the configuration file given with --config
+ *   (otherwise the closest one is looked up from cwd)
+ * @property {Object} [configOverrides] - Configuration values given with --set
+ * @property {boolean} json - Whether machine-readable output was requested
+ * @property {import('./utils/logger').Logger} logger - Human-readable output (silent with --json)
+ * @property {NodeJS.WritableStream} stdout - Standard output
+ * @property {NodeJS.WritableStream} stderr - Standard error
+ * @property {AbortSignal} [signal] - Aborts long-running commands (watch)
+ * @property {Object} [compilerOptions] - Options for the Compiler created by commands
+ * @property {Function} [spawn] - child_process.spawn replacement (tests)
+ */
+
+/**
+ * Outcome of a command.
+ * 
+ * @typedef {Object} CommandResult
+ * @property {number} exitCode - Process exit code (see EXIT_CODES)
+ * @property {Object} [result] - JSON-serializable result printed with --json
+ */
+
+module.exports = {
+  // Types are exported for JSDoc reference
+  // Actual validation and construction is done in implementation files
+};
@@ -1,11 +1,153 @@
 /**
  * CLI logging utility for GherkinLang compiler.
- * 
+ *
  * Provides structured logging for CLI operations with support for different
  * log levels (debug, info, warn, error), colored output, progress indicators,
  * and formatted error messages.
- * 
+ *
  * @module cli/utils/logger
  */
 
-throw new Error('src/cli/utils/logger.js is not implemented');
+/**
+ * Log levels in increasing order of verbosity.
+ * @type {string[]}
+ */
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+/**
+ * ANSI color codes used for terminal output.
+ * @type {Object<string, number>}
+ */
+const COLORS = {
+  red: 31,
+  green: 32,
+  yellow: 33,
+  cyan: 36,
+  gray: 90,
+  bold: 1,
+};
+
+/**
+ * Decide whether a stream should receive ANSI colors.
+ * Honors NO_COLOR and FORCE_COLOR.
+ *
+ * @param {NodeJS.WritableStream} stream - Output stream
+ * @param {Object} [env] - Environment variables (default: process.env)
+ * @returns {boolean} True if colors should be used
+ */
+const supportsColor = (stream, env = process.env) => {
+  if ('NO_COLOR' in env) {
+    return false;
+  }
+  if (env.FORCE_COLOR && env.FORCE_COLOR !== '0') {
+    return true;
+  }
+  return Boolean(stream && stream.isTTY);
+};
+
+class Logger {
+  /**
+   * Creates a new Logger instance.
+   *
+   * @param {Object} [options] - Logger configuration
+   * @param {NodeJS.WritableStream} [options.stdout] - Stream for info/success/debug (default: process.stdout)
+   * @param {NodeJS.WritableStream} [options.stderr] - Stream for warnings and errors (default: process.stderr)
+   * @param {'silent'|'error'|'warn'|'info'|'debug'} [options.level] - Most verbose level printed (default: 'info')
+   * @param {boolean} [options.color] - Use ANSI colors (default: detected from stdout)
+   */
+  constructor(options = {}) {
+    this._stdout = options.stdout || process.stdout;
+    this._stderr = options.stderr || process.stderr;
+    this._level = options.level || 'info';
+    this._color = options.color ?? supportsColor(this._stdout);
+
+    if (!LOG_LEVELS.includes(this._level)) {
+      throw new TypeError(`Unknown log level "${this._level}"`);
+    }
+  }
+
+  /**
+   * Whether messages at the given level are printed.
+   *
+   * @param {'error'|'warn'|'info'|'debug'} level - Log level
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this._level);
+  }
+
+  /**
+   * @param {string} message - Message printed with --verbose only
+   */
+  debug(message) {
+    this._write(this._stdout, 'debug', this.colorize('gray', message));
+  }
+
+  /**
+   * @param {string} message - Informational message
+   */
+  info(message) {
+    this._write(this._stdout, 'info', message);
+  }
+
+  /**
+   * @param {string} message - Message reporting a completed step
+   */
+  success(message) {
+    this._write(this._stdout, 'info', `${this.colorize('green', '✔')} ${message}`);
+  }
+
+  /**
+   * @param {string} message - Warning message
+   */
+  warn(message) {
+    this._write(this._stderr, 'warn', `${this.colorize('yellow', 'warning')} ${message}`);
+  }
+
+  /**
+   * @param {string|Error} messageOrError - Error message or error to format
+   */
+  error(messageOrError) {
+    const message = messageOrError instanceof Error ? this.formatError(messageOrError) : messageOrError;
+    this._write(this._stderr, 'error', `${this.colorize('red', 'error')} ${message}`);
+  }
+
+  /**
+   * Format an error with its location, when known.
+   *
+   * @param {Error & {filePath?: string, line?: number, column?: number}} error - Error to format
+   * @returns {string} Formatted message (stack included at debug level)
+   */
+  formatError(error) {
+    const location = error.filePath
+      ? `${error.filePath}${error.line ? `:${error.line}${error.column !== undefined ? `:${error.column}` : ''}` : ''}: `
+      : '';
+    const message = `${location}${error.message}`;
+
+    return this.isEnabled('debug') && error.stack
+      ? `${message}\n${this.colorize('gray', error.stack.split('\n').slice(1).join('\n'))}`
+      : message;
+  }
+
+  /**
+   * Wrap text in an ANSI color when colors are enabled.
+   *
+   * @param {string} color - Color name (red, green, yellow, cyan, gray, bold)
+   * @param {string} text - Text to color
+   * @returns {string} Colored text
+   */
+  colorize(color, text) {
+    return this._color ? `\u001b[${COLORS[color]}m${text}\u001b[0m` : text;
+  }
+
+  /**
+   * @private
+   */
+  _write(stream, level, message) {
+    if (this.isEnabled(level)) {
+      stream.write(`${message}\n`);
+    }
+  }
+}
+
+module.exports = { Logger, LOG_LEVELS, supportsColor };
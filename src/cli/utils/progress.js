@@ -1,11 +1,106 @@
 /**
  * Progress indicator utility for GherkinLang CLI.
- * 
+ *
  * Provides progress indicators for long-running CLI operations such as
  * compilation, file processing, and cache operations. Supports progress bars,
  * spinners, and percentage displays.
- * 
+ *
  * @module cli/utils/progress
  */
 
-throw new Error('src/cli/utils/progress.js is not implemented');
+/**
+ * Width of the progress bar in characters.
+ * @type {number}
+ */
+const BAR_WIDTH = 20;
+
+class Progress {
+  /**
+   * Creates a new Progress instance.
+   *
+   * Progress redraws a single line, so it is only enabled on terminals;
+   * elsewhere every method is a no-op and callers log results instead.
+   *
+   * @param {Object} [options] - Progress configuration
+   * @param {NodeJS.WritableStream} [options.stream] - Output stream (default: process.stderr)
+   * @param {boolean} [options.enabled] - Draw progress (default: true when the stream is a TTY)
+   */
+  constructor(options = {}) {
+    this._stream = options.stream || process.stderr;
+    this._enabled = options.enabled ?? Boolean(this._stream.isTTY);
+    this._total = 0;
+    this._completed = 0;
+    this._label = '';
+    this._active = false;
+  }
+
+  /**
+   * Start tracking an operation.
+   *
+   * @param {number} total - Number of steps
+   * @param {string} [label] - Text shown next to the bar
+   */
+  start(total, label = '') {
+    this._total = total;
+    this._completed = 0;
+    this._label = label;
+    this._active = true;
+    this._render();
+  }
+
+  /**
+   * Advance to an absolute step count.
+   *
+   * @param {number} completed - Steps completed so far
+   * @param {string} [label] - Text shown next to the bar
+   */
+  update(completed, label = this._label) {
+    this._completed = Math.min(completed, this._total);
+    this._label = label;
+    this._render();
+  }
+
+  /**
+   * Advance by one step.
+   *
+   * @param {string} [label] - Text shown next to the bar
+   */
+  tick(label) {
+    this.update(this._completed + 1, label);
+  }
+
+  /**
+   * Erase the progress line so regular output can follow.
+   */
+  stop() {
+    if (this._enabled && this._active) {
+      this._stream.write('\r\u001b[2K');
+    }
+    this._active = false;
+  }
+
+  /**
+   * Render the current state as "[=====     ] 3/10 (30%) label".
+   *
+   * @returns {string} Progress line
+   */
+  format() {
+    const ratio = this._total > 0 ? this._completed / this._total : 1;
+    const filled = Math.round(ratio * BAR_WIDTH);
+    const bar = `${'='.repeat(filled)}${' '.repeat(BAR_WIDTH - filled)}`;
+    const label = this._label ? ` ${this._label}` : '';
+
+    return `[${bar}] ${this._completed}/${this._total} (${Math.round(ratio * 100)}%)${label}`;
+  }
+
+  /**
+   * @private
+   */
+  _render() {
+    if (this._enabled && this._active) {
+      this._stream.write(`\r\u001b[2K${this.format()}`);
+    }
+  }
+}
+
+module.exports = { Progress };
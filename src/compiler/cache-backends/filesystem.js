@@ -0,0 +1,987 @@
+/**
+ * Filesystem cache backend for GherkinLang compiler.
+ *
+ * The default local store behind CacheManager: one JSON file per entry plus
+ * a manifest recording sizes, creation and access times. Handles TTL expiry
+ * and size-bounded garbage collection.
+ *
+ * Every entry carries a digest of its compiled code and generated tests,
+ * checked on each read. Entries that fail the check are moved to a
+ * `quarantine/` directory instead of being served.
+ *
+ * Several builds may share a cache directory: entry files and the manifest
+ * are written atomically, and manifest updates hold a cross-process lock.
+ *
+ * @module compiler/cache-backends/filesystem
+ */
+
+const path = require('path');
+const lockfile = require('proper-lockfile');
+const { CacheError } = require('../errors');
+const { sha256 } = require('../utils/hash');
+const { readFile, writeFileAtomic, exists, stat, mkdir, rm, move, listFiles } = require('../utils/fs');
+
+/**
+ * @typedef {import('../types').CacheEntry} CacheEntry
+ * @typedef {import('../types').ManifestEntry} ManifestEntry
+ * @typedef {import('../types').CacheManifest} CacheManifest
+ * @typedef {import('../types').GcReport} GcReport
+ * @typedef {import('../types').GcRemoval} GcRemoval
+ * @typedef {import('../types').VerifyReport} VerifyReport
+ * @typedef {import('../types').QuarantinedEntry} QuarantinedEntry
+ * @typedef {import('../types').BundledEntry} BundledEntry
+ */
+
+/**
+ * Policies for choosing which entries to evict when the cache is over its
+ * size limit: least recently used, least frequently used, or least recently
+ * used after dropping every entry but the newest for each source file.
+ * @type {string[]}
+ */
+const EVICTION_POLICIES = ['lru', 'lfu', 'keep-latest'];
+
+/**
+ * Lock options for manifest updates. Builds sharing a cache directory wait
+ * for each other; a lock left behind by a crashed process goes stale.
+ * @type {Object}
+ */
+const MANIFEST_LOCK_OPTIONS = {
+    retries: {
+        retries: 20,
+        factor: 1.5,
+        minTimeout: 20,
+        maxTimeout: 1000,
+    },
+    stale: 10000,
+    realpath: false,
+};
+
+/**
+ * Number of cache hits whose access times are held in memory before they
+ * are written to the manifest.
+ * @type {number}
+ */
+const ACCESS_FLUSH_THRESHOLD = 50;
+
+/**
+ * Age in milliseconds after which a leftover temporary file is assumed to
+ * belong to a crashed write.
+ * @type {number}
+ */
+const STALE_TEMP_FILE_AGE = 60 * 1000;
+
+/**
+ * Compute the digest stored with an entry: a SHA256 hash over its compiled
+ * code and generated tests.
+ *
+ * @param {CacheEntry} entry - Cache entry
+ * @returns {string} Hexadecimal digest (64 characters)
+ */
+function computeEntryDigest(entry) {
+    return sha256(JSON.stringify([entry.compiledCode, entry.generatedTests ?? null]));
+}
+
+/**
+ * Cache backend storing entries in a local directory.
+ *
+ * @class FileSystemBackend
+ */
+class FileSystemBackend {
+    /**
+     * Creates a new FileSystemBackend instance.
+     *
+     * @param {Object} [options={}] - Backend options
+     * @param {string} [options.dir='.gherkin-cache'] - Cache directory path
+     * @param {number} [options.maxSize] - Maximum cache size in bytes (default: 100MB)
+     * @param {number} [options.ttl] - Entry lifetime in milliseconds; 0 keeps entries until
+     *   they are evicted (default: 7 days)
+     * @param {'lru'|'lfu'|'keep-latest'} [options.evictionPolicy='lru'] - Which entries to evict first
+     * @throws {CacheError} If the eviction policy is invalid
+     */
+    constructor(options = {}) {
+        this.name = 'filesystem';
+        this.cacheDir = options.dir || '.gherkin-cache';
+        this.maxSize = options.maxSize ?? 100 * 1024 * 1024;
+        this.ttl = options.ttl ?? 7 * 24 * 60 * 60 * 1000;
+        this.evictionPolicy = options.evictionPolicy || 'lru';
+        if (!EVICTION_POLICIES.includes(this.evictionPolicy)) {
+            throw new CacheError(
+                `Invalid eviction policy: ${this.evictionPolicy} (expected ${EVICTION_POLICIES.join(', ')})`
+            );
+        }
+        this.manifestPath = path.join(this.cacheDir, 'manifest.json');
+        this.quarantineDir = path.join(this.cacheDir, 'quarantine');
+        this.manifest = this._createManifest();
+        /** @type {Map<string, {lastAccessed: Date, hits: number}>} Accesses not yet written to the manifest */
+        this._pendingAccess = new Map();
+    }
+
+    /**
+     * Read a cache entry.
+     *
+     * Entries older than the TTL and entries whose file is missing are
+     * removed and reported as misses. Entries that are corrupted or whose
+     * digest does not match are quarantined and reported as misses; both
+     * are confirmed under the manifest lock first. Hits do
+     * not rewrite the manifest. Access times and counts are collected in
+     * memory and written with the next manifest update or
+     * {@link FileSystemBackend#flush}.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<CacheEntry|null>} Cache entry or null if not found
+     * @throws {CacheError} If cache retrieval fails
+     */
+    async get(key) {
+        try {
+            const manifest = await this._loadManifest();
+            const manifestEntry = this._findManifestEntry(key, manifest);
+
+            if (!manifestEntry) {
+                return null;
+            }
+
+            if (this._isExpired(manifestEntry, Date.now())) {
+                await this._updateManifest(async (current) => {
+                    // Another process may have rewritten the entry since the manifest was read
+                    const currentEntry = this._findManifestEntry(key, current);
+                    if (currentEntry && this._isExpired(currentEntry, Date.now())) {
+                        await this._removeEntry(current, currentEntry, 'expired', []);
+                    }
+                });
+                return null;
+            }
+
+            // Read cache file
+            const cachePath = this._getCacheEntryPath(key);
+
+            if (!(await exists(cachePath))) {
+                // Entry in manifest but file missing - remove from manifest
+                await this._updateManifest(async (current) => {
+                    if (!(await exists(cachePath))) {
+                        this._removeManifestEntry(current, key);
+                    }
+                });
+                return null;
+            }
+
+            // Read cache file content and check it against its digest
+            let content = await readFile(cachePath);
+
+            if (this._checkContent(content, key, manifestEntry.digest)) {
+                // The manifest was read without the lock: confirm the problem against the
+                // current manifest and file before quarantining an entry just rewritten
+                let quarantined = null;
+                let current = null;
+                await this._updateManifest(async (latest) => {
+                    const latestEntry = this._findManifestEntry(key, latest);
+                    if (!latestEntry || !(await exists(cachePath))) {
+                        return;
+                    }
+
+                    const latestContent = await readFile(cachePath);
+                    const problem = this._checkContent(latestContent, key, latestEntry.digest);
+                    if (problem) {
+                        quarantined = await this._quarantineEntry(latest, key, problem);
+                    } else {
+                        current = latestContent;
+                    }
+                });
+
+                if (quarantined) {
+                    console.warn(`Warning: Quarantined cache entry ${key} (${quarantined.reason}) to ${quarantined.file}`);
+                }
+                if (!current) {
+                    return null;
+                }
+                content = current;
+            }
+
+            this._pendingAccess.set(key, {
+                lastAccessed: new Date(),
+                hits: (this._pendingAccess.get(key)?.hits || 0) + 1,
+            });
+            if (this._pendingAccess.size >= ACCESS_FLUSH_THRESHOLD) {
+                await this.flush();
+            }
+
+            const entry = JSON.parse(content);
+            delete entry.digest;
+            return entry;
+        } catch (error) {
+            throw new CacheError(`Failed to retrieve cache entry: ${error.message}`, {
+                key,
+                operation: 'get',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Check if cache entry is valid (exists, not expired, not corrupted and
+     * matching its digest). Invalid entries are left in place.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if valid, false otherwise
+     */
+    async isValid(key) {
+        try {
+            // Check if entry exists in manifest
+            const manifestEntry = this._findManifestEntry(key, await this._loadManifest());
+            if (!manifestEntry || this._isExpired(manifestEntry, Date.now())) {
+                return false;
+            }
+
+            // Check if cache file exists
+            const cachePath = this._getCacheEntryPath(key);
+            if (!(await exists(cachePath))) {
+                return false;
+            }
+
+            return this._checkContent(await readFile(cachePath), key, manifestEntry.digest) === null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Store a cache entry.
+     *
+     * The entry is stored with its digest. The entry file is written
+     * atomically, under the manifest lock, before the manifest is updated,
+     * so a manifest entry never points at a partially written file. Expired
+     * entries are then removed and, if the cache is over its size limit,
+     * entries are evicted according to the eviction policy. The entry just
+     * written is never evicted.
+     *
+     * @param {string} key - Cache key
+     * @param {CacheEntry} entry - Cache entry to store
+     * @returns {Promise<void>}
+     * @throws {CacheError} If cache storage fails
+     */
+    async set(key, entry) {
+        try {
+            await this._initializeCacheDir();
+
+            const cachePath = this._getCacheEntryPath(key);
+            const digest = computeEntryDigest(entry);
+            const content = JSON.stringify({ ...entry, digest }, null, 2);
+            const entrySize = Buffer.byteLength(content, 'utf8');
+
+            await this._updateManifest(async (manifest) => {
+                // Written under the lock, so readers never see the file and the manifest digest disagree
+                await writeFileAtomic(cachePath, content);
+
+                const existingEntry = this._findManifestEntry(key, manifest);
+
+                if (existingEntry) {
+                    // Update existing entry
+                    manifest.totalSize = manifest.totalSize - existingEntry.size + entrySize;
+                    existingEntry.size = entrySize;
+                    existingEntry.digest = digest;
+                    existingEntry.lastAccessed = new Date();
+                    existingEntry.createdAt = new Date();
+                } else {
+                    // Add new entry
+                    manifest.entries.push({
+                        key,
+                        file: cachePath,
+                        size: entrySize,
+                        lastAccessed: new Date(),
+                        createdAt: new Date(),
+                        hits: 0,
+                        sourcePath: entry.sourcePath || null,
+                        digest,
+                    });
+                    manifest.totalSize += entrySize;
+                }
+
+                await this._collect(manifest, { keep: key });
+            });
+        } catch (error) {
+            throw new CacheError(`Failed to store cache entry: ${error.message}`, {
+                key,
+                operation: 'set',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Write access times collected by {@link FileSystemBackend#get} to the manifest.
+     *
+     * @returns {Promise<void>}
+     * @throws {CacheError} If the manifest cannot be updated
+     */
+    async flush() {
+        if (this._pendingAccess.size === 0) {
+            return;
+        }
+
+        try {
+            await this._updateManifest(() => {});
+        } catch (error) {
+            throw new CacheError(`Failed to record cache access times: ${error.message}`, {
+                operation: 'flush',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Evict entries according to the eviction policy to stay within size limit.
+     *
+     * @param {number} maxSize - Maximum cache size in bytes
+     * @returns {Promise<void>}
+     * @throws {CacheError} If eviction fails
+     */
+    async evict(maxSize) {
+        try {
+            await this._updateManifest(async (manifest) => {
+                await this._evictToSize(manifest, maxSize, []);
+            });
+        } catch (error) {
+            throw new CacheError(`Failed to evict cache entries: ${error.message}`, {
+                operation: 'evict',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Collect garbage: remove expired entries, entries whose files are gone,
+     * superseded entries under the 'keep-latest' policy, and then evict
+     * entries until the cache fits its size limit.
+     *
+     * @returns {Promise<GcReport>} Removed entries with reasons, and what remains
+     * @throws {CacheError} If garbage collection fails
+     */
+    async gc() {
+        try {
+            let removed = [];
+            await this._updateManifest(async (manifest) => {
+                removed = await this._collect(manifest, { checkFiles: true });
+            });
+
+            return {
+                removed,
+                freedBytes: removed.reduce((sum, removal) => sum + removal.size, 0),
+                entries: this.manifest.entries.length,
+                totalSize: this.manifest.totalSize,
+            };
+        } catch (error) {
+            throw new CacheError(`Failed to collect cache garbage: ${error.message}`, {
+                operation: 'gc',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Reconcile the manifest with the files on disk.
+     *
+     * Manifest entries whose file is gone are dropped, and entries that are
+     * corrupted or fail their digest are quarantined. Recorded sizes are
+     * corrected. Entry files missing from the manifest, such as those left
+     * by a build that crashed before updating it, are adopted if they pass
+     * the checks and quarantined otherwise. Temporary files left by crashed
+     * writes are removed. Finally `totalSize` is recomputed.
+     *
+     * @returns {Promise<VerifyReport>} What was found and repaired
+     * @throws {CacheError} If verification fails
+     */
+    async verify() {
+        try {
+            const report = {
+                checked: 0,
+                missing: [],
+                quarantined: [],
+                adopted: [],
+                resized: [],
+                removedTempFiles: [],
+                totalSizeDrift: 0,
+                entries: 0,
+                totalSize: 0,
+            };
+
+            await this._updateManifest(async (manifest) => {
+                report.totalSizeDrift = manifest.totalSize
+                    - manifest.entries.reduce((sum, entry) => sum + entry.size, 0);
+
+                for (const entry of [...manifest.entries]) {
+                    report.checked++;
+                    const cachePath = this._getCacheEntryPath(entry.key);
+
+                    if (!(await exists(cachePath))) {
+                        this._removeManifestEntry(manifest, entry.key);
+                        this._pendingAccess.delete(entry.key);
+                        report.missing.push(entry.key);
+                        continue;
+                    }
+
+                    const content = await readFile(cachePath);
+                    const problem = this._checkContent(content, entry.key, entry.digest);
+                    if (problem) {
+                        report.quarantined.push(await this._quarantineEntry(manifest, entry.key, problem));
+                        continue;
+                    }
+
+                    const size = Buffer.byteLength(content, 'utf8');
+                    if (size !== entry.size) {
+                        entry.size = size;
+                        report.resized.push(entry.key);
+                    }
+                }
+
+                await this._reconcileFiles(manifest, report);
+                manifest.totalSize = manifest.entries.reduce((sum, entry) => sum + entry.size, 0);
+            });
+
+            report.entries = this.manifest.entries.length;
+            report.totalSize = this.manifest.totalSize;
+            return report;
+        } catch (error) {
+            throw new CacheError(`Failed to verify cache: ${error.message}`, {
+                operation: 'verify',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Read entries together with their manifest records, for a cache bundle.
+     * Expired, missing and broken entries are left out.
+     *
+     * @param {string[]} [keys] - Keys to read (default: every entry)
+     * @returns {Promise<BundledEntry[]>} Entries in manifest order
+     * @throws {CacheError} If the manifest cannot be read
+     */
+    async exportEntries(keys) {
+        try {
+            const manifest = await this._loadManifest();
+            const wanted = keys ? new Set(keys) : null;
+            const now = Date.now();
+            const exported = [];
+
+            for (const manifestEntry of manifest.entries) {
+                if ((wanted && !wanted.has(manifestEntry.key)) || this._isExpired(manifestEntry, now)) {
+                    continue;
+                }
+
+                const cachePath = this._getCacheEntryPath(manifestEntry.key);
+                if (!(await exists(cachePath))) {
+                    continue;
+                }
+
+                const content = await readFile(cachePath);
+                if (this._checkContent(content, manifestEntry.key, manifestEntry.digest)) {
+                    continue;
+                }
+
+                const entry = JSON.parse(content);
+                delete entry.digest;
+                exported.push({
+                    entry,
+                    digest: computeEntryDigest(entry),
+                    hits: manifestEntry.hits,
+                    sourcePath: manifestEntry.sourcePath || null,
+                });
+            }
+
+            return exported;
+        } catch (error) {
+            throw new CacheError(`Failed to export cache entries: ${error.message}`, {
+                operation: 'export',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Merge entries from a cache bundle into the cache.
+     *
+     * Entries the cache already holds are kept as they are. The others are
+     * written with their hit counts, and count as written now, so their TTL
+     * starts at import. Garbage is then collected as after a write, which may
+     * evict imported entries if the bundle does not fit.
+     *
+     * @param {BundledEntry[]} bundled - Checked entries to merge
+     * @returns {Promise<{imported: string[], present: string[], removed: GcRemoval[]}>} Keys imported,
+     *   keys already present, and entries removed by the collection that followed
+     * @throws {CacheError} If the entries cannot be written
+     */
+    async importEntries(bundled) {
+        try {
+            const result = { imported: [], present: [], removed: [] };
+
+            await this._updateManifest(async (manifest) => {
+                for (const { entry, hits, sourcePath } of bundled) {
+                    const { key } = entry;
+                    if (this._findManifestEntry(key, manifest) && (await exists(this._getCacheEntryPath(key)))) {
+                        result.present.push(key);
+                        continue;
+                    }
+
+                    this._removeManifestEntry(manifest, key);
+                    const cachePath = this._getCacheEntryPath(key);
+                    const digest = computeEntryDigest(entry);
+                    const content = JSON.stringify({ ...entry, digest }, null, 2);
+                    await writeFileAtomic(cachePath, content);
+
+                    const size = Buffer.byteLength(content, 'utf8');
+                    manifest.entries.push({
+                        key,
+                        file: cachePath,
+                        size,
+                        lastAccessed: new Date(),
+                        createdAt: new Date(),
+                        hits: hits || 0,
+                        sourcePath: sourcePath || entry.sourcePath || null,
+                        digest,
+                    });
+                    manifest.totalSize += size;
+                    result.imported.push(key);
+                }
+
+                result.removed = await this._collect(manifest);
+            });
+
+            return result;
+        } catch (error) {
+            throw new CacheError(`Failed to import cache entries: ${error.message}`, {
+                operation: 'import',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Invalidate cache entries when source/rules/version/target changes.
+     *
+     * @param {string} sourceHash - New source hash
+     * @param {string} rulesHash - New rules hash
+     * @param {string} compilerVersion - Compiler version
+     * @param {string} target - Target language
+     * @returns {Promise<void>}
+     */
+    async invalidate(sourceHash, rulesHash, compilerVersion, target) {
+        const keysToInvalidate = [];
+        const manifest = await this._loadManifest();
+
+        for (const entry of manifest.entries) {
+            try {
+                const cachePath = this._getCacheEntryPath(entry.key);
+                if (await exists(cachePath)) {
+                    const content = await readFile(cachePath);
+                    const cacheEntry = JSON.parse(content);
+
+                    // Check if entry is invalid
+                    if (
+                        cacheEntry.sourceHash !== sourceHash ||
+                        cacheEntry.rulesHash !== rulesHash ||
+                        cacheEntry.metadata.compilerVersion !== compilerVersion ||
+                        cacheEntry.metadata.target !== target
+                    ) {
+                        keysToInvalidate.push(entry.key);
+                    }
+                }
+            } catch (error) {
+                // If we can't read entry, mark it for invalidation
+                keysToInvalidate.push(entry.key);
+            }
+        }
+
+        // Clear invalid entries
+        for (const key of keysToInvalidate) {
+            await this.clear(key);
+        }
+    }
+
+    /**
+     * Get the number and total size of stored entries.
+     *
+     * @returns {Promise<{entries: number, totalSize: number}>} Entry count and size in bytes
+     */
+    async getStats() {
+        const manifest = await this._loadManifest();
+
+        return {
+            entries: manifest.entries.length,
+            totalSize: manifest.totalSize,
+        };
+    }
+
+    /**
+     * Calculate total cache size from manifest.
+     *
+     * @returns {number} Total size in bytes
+     */
+    calculateSize() {
+        return this.manifest.totalSize;
+    }
+
+    /**
+     * Clear cache entries.
+     *
+     * @param {string} [key] - Optional specific key to clear, or undefined to clear all
+     * @returns {Promise<void>}
+     * @throws {CacheError} If clear operation fails
+     */
+    async clear(key) {
+        try {
+            await this._updateManifest(async (manifest) => {
+                if (key) {
+                    // Clear specific entry
+                    await rm(this._getCacheEntryPath(key));
+                    this._removeManifestEntry(manifest, key);
+                    this._pendingAccess.delete(key);
+                    return;
+                }
+
+                // Clear all entries
+                for (const entry of manifest.entries) {
+                    try {
+                        await rm(entry.file);
+                    } catch (error) {
+                        // Ignore errors when removing individual files
+                    }
+                }
+                manifest.entries = [];
+                manifest.totalSize = 0;
+                this._pendingAccess.clear();
+            });
+        } catch (error) {
+            throw new CacheError(`Failed to clear cache: ${error.message}`, {
+                key,
+                operation: 'clear',
+                code: error.code,
+            });
+        }
+    }
+
+    _removeManifestEntry(manifest, key) {
+        const index = manifest.entries.findIndex(entry => entry.key === key);
+        if (index !== -1) {
+            manifest.totalSize -= manifest.entries[index].size;
+            manifest.entries.splice(index, 1);
+        }
+    }
+
+    /**
+     * Remove expired, missing and superseded entries, then evict down to
+     * the size limit. Runs while the manifest lock is held.
+     *
+     * @private
+     * @param {CacheManifest} manifest - Manifest to collect in place
+     * @param {Object} [options] - Collection options
+     * @param {string} [options.keep] - Key that must survive (the entry just written)
+     * @param {boolean} [options.checkFiles=false] - Also drop entries whose file is missing
+     * @returns {Promise<GcRemoval[]>} Removed entries
+     */
+    async _collect(manifest, options = {}) {
+        const removed = [];
+        const now = Date.now();
+        const candidates = manifest.entries.filter(entry => entry.key !== options.keep);
+
+        for (const entry of candidates) {
+            if (this._isExpired(entry, now)) {
+                await this._removeEntry(manifest, entry, 'expired', removed);
+            } else if (options.checkFiles && !(await exists(entry.file))) {
+                await this._removeEntry(manifest, entry, 'missing', removed);
+            }
+        }
+
+        if (this.evictionPolicy === 'keep-latest') {
+            const latest = new Map();
+            for (const entry of manifest.entries) {
+                const newest = entry.sourcePath && latest.get(entry.sourcePath);
+                if (entry.sourcePath && (!newest || entry.createdAt > newest.createdAt)) {
+                    latest.set(entry.sourcePath, entry);
+                }
+            }
+
+            const superseded = manifest.entries.filter(entry => entry.sourcePath
+                && latest.get(entry.sourcePath) !== entry
+                && entry.key !== options.keep);
+            for (const entry of superseded) {
+                await this._removeEntry(manifest, entry, 'superseded', removed);
+            }
+        }
+
+        await this._evictToSize(manifest, this.maxSize, removed, options.keep);
+        return removed;
+    }
+
+    /**
+     * Evict entries in eviction-policy order until the cache fits.
+     *
+     * @private
+     * @param {CacheManifest} manifest - Manifest to evict from in place
+     * @param {number} maxSize - Maximum cache size in bytes
+     * @param {GcRemoval[]} removed - Removals to append to
+     * @param {string} [keep] - Key that must not be evicted
+     * @returns {Promise<void>}
+     */
+    async _evictToSize(manifest, maxSize, removed, keep) {
+        const byAccess = (a, b) => a.lastAccessed.getTime() - b.lastAccessed.getTime();
+        const order = this.evictionPolicy === 'lfu'
+            ? (a, b) => (a.hits || 0) - (b.hits || 0) || byAccess(a, b)
+            : byAccess;
+        const candidates = manifest.entries.filter(entry => entry.key !== keep).sort(order);
+
+        for (const entry of candidates) {
+            if (manifest.totalSize <= maxSize) {
+                break;
+            }
+            await this._removeEntry(manifest, entry, 'size', removed);
+        }
+    }
+
+    async _removeEntry(manifest, entry, reason, removed) {
+        this._removeManifestEntry(manifest, entry.key);
+        this._pendingAccess.delete(entry.key);
+        removed.push({ key: entry.key, reason, size: entry.size, sourcePath: entry.sourcePath || null });
+
+        try {
+            await rm(entry.file);
+        } catch (error) {
+            // Ignore errors when removing individual files
+        }
+    }
+
+    _isExpired(entry, now) {
+        return this.ttl > 0 && now - entry.createdAt.getTime() > this.ttl;
+    }
+
+    /**
+     * Check stored entry content. Entries written before digests were
+     * recorded have nothing to compare against and only get the structural
+     * check.
+     *
+     * @private
+     * @param {string} content - Entry file content
+     * @param {string} key - Key the entry is stored under
+     * @param {string} [expectedDigest] - Digest recorded in the manifest
+     * @returns {'corrupt'|'digest-mismatch'|null} What is wrong, or null if the entry is intact
+     */
+    _checkContent(content, key, expectedDigest) {
+        let entry;
+        try {
+            entry = JSON.parse(content);
+        } catch {
+            return 'corrupt';
+        }
+
+        if (!entry || entry.key !== key || !entry.sourceHash || !entry.compiledCode || !entry.metadata) {
+            return 'corrupt';
+        }
+
+        const digest = computeEntryDigest(entry);
+        if ((entry.digest && entry.digest !== digest) || (expectedDigest && expectedDigest !== digest)) {
+            return 'digest-mismatch';
+        }
+
+        return null;
+    }
+
+    /**
+     * Move an entry file to the quarantine directory and drop it from the
+     * manifest. Runs while the manifest lock is held.
+     *
+     * @private
+     * @param {CacheManifest} manifest - Manifest to update in place
+     * @param {string} key - Cache key
+     * @param {'corrupt'|'digest-mismatch'} reason - Why the entry is quarantined
+     * @returns {Promise<QuarantinedEntry>} Quarantined entry
+     */
+    async _quarantineEntry(manifest, key, reason) {
+        const file = path.join(this.quarantineDir, `${key}.${Date.now()}.cache`);
+
+        this._removeManifestEntry(manifest, key);
+        this._pendingAccess.delete(key);
+        try {
+            await move(this._getCacheEntryPath(key), file);
+        } catch {
+            // Already removed by another process
+        }
+
+        return { key, reason, file };
+    }
+
+    /**
+     * Adopt or quarantine entry files missing from the manifest, and remove
+     * stale temporary files. Runs while the manifest lock is held.
+     *
+     * @private
+     * @param {CacheManifest} manifest - Manifest to update in place
+     * @param {VerifyReport} report - Report to record findings in
+     * @returns {Promise<void>}
+     */
+    async _reconcileFiles(manifest, report) {
+        const known = new Set(manifest.entries.map(entry => entry.key));
+        const now = Date.now();
+
+        for (const name of await listFiles(this.cacheDir)) {
+            const filePath = path.join(this.cacheDir, name);
+
+            if (name.endsWith('.tmp')) {
+                if (now - (await stat(filePath)).mtimeMs > STALE_TEMP_FILE_AGE) {
+                    await rm(filePath);
+                    report.removedTempFiles.push(name);
+                }
+                continue;
+            }
+
+            const key = name.endsWith('.cache') ? name.slice(0, -'.cache'.length) : null;
+            if (!key || known.has(key)) {
+                continue;
+            }
+
+            const content = await readFile(filePath);
+            const problem = this._checkContent(content, key);
+            if (problem) {
+                report.quarantined.push(await this._quarantineEntry(manifest, key, problem));
+                continue;
+            }
+
+            const entry = JSON.parse(content);
+            manifest.entries.push({
+                key,
+                file: filePath,
+                size: Buffer.byteLength(content, 'utf8'),
+                lastAccessed: new Date(),
+                createdAt: new Date(entry.metadata.timestamp || now),
+                hits: 0,
+                sourcePath: entry.sourcePath || null,
+                digest: computeEntryDigest(entry),
+            });
+            report.adopted.push(key);
+        }
+    }
+
+    async _initializeCacheDir() {
+        try {
+            await mkdir(this.cacheDir);
+        } catch (error) {
+            // Check if directory already exists - if mkdir is recursive, EEXIST shouldn't happen
+            // But if it does, that's fine - directory exists
+            if (error.code !== 'EEXIST' && !(await exists(this.cacheDir))) {
+                console.warn(`Warning: Could not create cache directory: ${this.cacheDir} - ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Read the manifest from disk into `this.manifest`. A missing manifest
+     * is an empty cache; an unreadable one is treated the same way and
+     * rewritten by the next update.
+     *
+     * @private
+     * @returns {Promise<Object>} Loaded manifest with `lastAccessed` as Date objects
+     */
+    async _loadManifest() {
+        let manifest = this._createManifest();
+
+        try {
+            if (await exists(this.manifestPath)) {
+                const content = JSON.parse(await readFile(this.manifestPath));
+
+                // Convert ISO strings back to Date objects
+                manifest = {
+                    ...content,
+                    maxSize: content.maxSize || this.maxSize,
+                    entries: content.entries.map(entry => ({
+                        ...entry,
+                        lastAccessed: new Date(entry.lastAccessed),
+                        // Entries written before expiry was tracked age from their last access
+                        createdAt: new Date(entry.createdAt || entry.lastAccessed),
+                        hits: entry.hits || 0,
+                    })),
+                };
+            }
+        } catch (error) {
+            console.warn(`Could not load cache manifest: ${error.message}`);
+        }
+
+        this.manifest = manifest;
+        return manifest;
+    }
+
+    async _saveManifest(manifest = this.manifest) {
+        const content = JSON.stringify({
+            ...manifest,
+            lastUpdated: new Date().toISOString(),
+            entries: this._copyEntries(manifest),
+        }, null, 2);
+
+        await writeFileAtomic(this.manifestPath, content);
+    }
+
+    /**
+     * Apply a change to the manifest while holding the manifest lock.
+     *
+     * The manifest is re-read under the lock so changes made by other
+     * processes since the last read are kept, and pending access times are
+     * folded in before it is written back.
+     *
+     * @private
+     * @param {function(Object): (void|Promise<void>)} mutate - Changes the freshly loaded manifest in place
+     * @returns {Promise<void>}
+     */
+    async _updateManifest(mutate) {
+        await this._initializeCacheDir();
+        const release = await lockfile.lock(this.manifestPath, MANIFEST_LOCK_OPTIONS);
+
+        try {
+            const manifest = await this._loadManifest();
+            const accessed = new Map(this._pendingAccess);
+
+            for (const entry of manifest.entries) {
+                const access = accessed.get(entry.key);
+                if (access) {
+                    entry.hits += access.hits;
+                    if (access.lastAccessed > entry.lastAccessed) {
+                        entry.lastAccessed = access.lastAccessed;
+                    }
+                }
+            }
+
+            await mutate(manifest);
+            await this._saveManifest(manifest);
+
+            for (const [key, access] of accessed) {
+                if (this._pendingAccess.get(key) === access) {
+                    this._pendingAccess.delete(key);
+                }
+            }
+        } finally {
+            await release().catch(() => {});
+        }
+    }
+
+    _createManifest() {
+        return {
+            entries: [],
+            totalSize: 0,
+            maxSize: this.maxSize,
+            lastUpdated: new Date().toISOString(),
+        };
+    }
+
+    _copyEntries(manifest) {
+        return manifest.entries.map((entry) => ({
+            ...entry,
+            lastAccessed: new Date(entry.lastAccessed).toISOString(),
+            createdAt: new Date(entry.createdAt || entry.lastAccessed).toISOString(),
+        }));
+    }
+
+    _getCacheEntryPath(key) {
+        return path.join(this.cacheDir, `${key}.cache`);
+    }
+
+    _findManifestEntry(key, manifest = this.manifest) {
+        return manifest.entries.find((entry) => entry.key === key);
+    }
+}
+
+module.exports = { FileSystemBackend, EVICTION_POLICIES, computeEntryDigest };
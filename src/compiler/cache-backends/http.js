@@ -0,0 +1,138 @@
+/**
+ * HTTP cache backend for GherkinLang compiler.
+ *
+ * Reads and writes content-addressed cache entries on a shared cache
+ * server, so developers and CI runners reuse each other's compilations:
+ *
+ * - `GET {url}/entries/{key}` returns the entry as JSON, or 404 on a miss
+ * - `PUT {url}/entries/{key}` stores the entry sent as JSON
+ *
+ * `gherkin cache --serve` runs a server speaking this protocol.
+ *
+ * @module compiler/cache-backends/http
+ */
+
+const { CacheError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CacheEntry} CacheEntry
+ */
+
+/**
+ * Default request timeout in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_REMOTE_TIMEOUT = 5000;
+
+/**
+ * Cache backend talking to a remote cache server over HTTP.
+ *
+ * @class HttpBackend
+ */
+class HttpBackend {
+    /**
+     * Creates a new HttpBackend instance.
+     *
+     * @param {Object} options - Backend options
+     * @param {string} options.url - Base URL of the cache server (e.g., 'http://cache.internal:7373')
+     * @param {number} [options.timeout] - Request timeout in milliseconds (default: DEFAULT_REMOTE_TIMEOUT)
+     * @param {string} [options.token] - Bearer token sent with every request
+     * @throws {CacheError} If the URL is missing or not an http(s) URL
+     */
+    constructor(options = {}) {
+        if (!/^https?:\/\//i.test(options.url || '')) {
+            throw new CacheError(`Invalid remote cache URL: ${options.url} (expected http:// or https://)`);
+        }
+
+        this.name = 'http';
+        this.url = options.url.replace(/\/+$/, '');
+        this.timeout = options.timeout || DEFAULT_REMOTE_TIMEOUT;
+        this._token = options.token || null;
+    }
+
+    /**
+     * Fetch an entry from the server.
+     *
+     * @param {string} key - Cache key
+     * @returns {Promise<CacheEntry|null>} Cache entry or null if the server does not have it
+     * @throws {CacheError} If the request fails or the response is not a JSON entry
+     */
+    async get(key) {
+        const response = await this._request('GET', key);
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new CacheError(`Remote cache returned an unreadable entry: ${error.message}`, {
+                key,
+                operation: 'get',
+            });
+        }
+    }
+
+    /**
+     * Upload an entry to the server.
+     *
+     * @param {string} key - Cache key
+     * @param {CacheEntry} entry - Cache entry to store
+     * @returns {Promise<void>}
+     * @throws {CacheError} If the request fails or the server rejects the entry
+     */
+    async set(key, entry) {
+        await this._request('PUT', key, JSON.stringify(entry));
+    }
+
+    /**
+     * Send a request for one entry. A 404 on GET is a miss, not an error.
+     *
+     * @private
+     * @param {'GET'|'PUT'} method - HTTP method
+     * @param {string} key - Cache key
+     * @param {string} [body] - JSON request body
+     * @returns {Promise<Response>} Response
+     * @throws {CacheError} If the server is unreachable, times out or answers with an error status
+     */
+    async _request(method, key, body) {
+        const operation = method === 'GET' ? 'get' : 'set';
+        const headers = { accept: 'application/json' };
+        if (body !== undefined) {
+            headers['content-type'] = 'application/json';
+        }
+        if (this._token) {
+            headers.authorization = `Bearer ${this._token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.url}/entries/${encodeURIComponent(key)}`, {
+                method,
+                headers,
+                body,
+                signal: AbortSignal.timeout(this.timeout),
+            });
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' ? `timed out after ${this.timeout}ms` : error.message;
+            throw new CacheError(`Remote cache ${method} ${this.url} failed: ${reason}`, {
+                key,
+                operation,
+                code: error.cause?.code || error.name,
+            });
+        }
+
+        if (!response.ok && !(method === 'GET' && response.status === 404)) {
+            throw new CacheError(`Remote cache ${method} ${this.url} failed: HTTP ${response.status}`, {
+                key,
+                operation,
+                code: `HTTP_${response.status}`,
+            });
+        }
+
+        return response;
+    }
+}
+
+module.exports = { HttpBackend, DEFAULT_REMOTE_TIMEOUT };
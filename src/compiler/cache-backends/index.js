@@ -0,0 +1,77 @@
+/**
+ * Cache backend registry for GherkinLang compiler.
+ *
+ * CacheManager stores entries in a local backend (the filesystem by
+ * default) and can layer a shared remote backend behind it. This module
+ * builds the remote backend selected by the `cache.remote` configuration.
+ *
+ * @module compiler/cache-backends
+ */
+
+const { FileSystemBackend, EVICTION_POLICIES } = require('./filesystem');
+const { HttpBackend, DEFAULT_REMOTE_TIMEOUT } = require('./http');
+const { CacheError } = require('../errors');
+
+/**
+ * @typedef {import('../types').CacheBackend} CacheBackend
+ * @typedef {import('../types').CacheEntry} CacheEntry
+ * @typedef {import('../types').RemoteCacheConfig} RemoteCacheConfig
+ */
+
+/**
+ * URL schemes accepted by createRemoteBackend.
+ * @type {string[]}
+ */
+const REMOTE_SCHEMES = ['http', 'https'];
+
+/**
+ * Create the remote backend for a configured cache URL.
+ *
+ * @param {RemoteCacheConfig} remote - Remote cache configuration
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.token] - Bearer token (default: process.env.GHERKIN_CACHE_TOKEN)
+ * @returns {CacheBackend} Remote backend
+ * @throws {CacheError} If the URL scheme is not supported
+ */
+function createRemoteBackend(remote, options = {}) {
+    const scheme = String(remote.url || '').split(':')[0].toLowerCase();
+
+    if (REMOTE_SCHEMES.includes(scheme)) {
+        return new HttpBackend({
+            url: remote.url,
+            timeout: remote.timeout,
+            token: options.token || process.env.GHERKIN_CACHE_TOKEN,
+        });
+    }
+
+    throw new CacheError(
+        `Unsupported remote cache URL: ${remote.url} (expected ${REMOTE_SCHEMES.map(name => `${name}://`).join(' or ')})`
+    );
+}
+
+/**
+ * Check that a value read from a backend is a usable entry for a key.
+ *
+ * @param {*} entry - Value to check
+ * @param {string} key - Cache key it was stored under
+ * @returns {boolean} True if the entry is complete and belongs to the key
+ */
+function isCacheEntry(entry, key) {
+    return Boolean(entry)
+        && typeof entry === 'object'
+        && entry.key === key
+        && typeof entry.sourceHash === 'string'
+        && typeof entry.compiledCode === 'string'
+        && Boolean(entry.metadata)
+        && typeof entry.metadata === 'object';
+}
+
+module.exports = {
+    createRemoteBackend,
+    isCacheEntry,
+    FileSystemBackend,
+    HttpBackend,
+    REMOTE_SCHEMES,
+    EVICTION_POLICIES,
+    DEFAULT_REMOTE_TIMEOUT,
+};
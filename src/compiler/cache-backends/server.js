@@ -0,0 +1,176 @@
+/**
+ * Reference cache server for GherkinLang compiler.
+ *
+ * A small HTTP server speaking the protocol of HttpBackend, backed by a
+ * CacheManager with the usual filesystem store, TTL and size limit. It is
+ * meant for running a shared cache on a team machine or in CI, and as a
+ * local stand-in for tests; it has no dependencies beyond Node.
+ *
+ * @module compiler/cache-backends/server
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { CacheManager } = require('../cache');
+const { isCacheEntry } = require('./index');
+
+/**
+ * Default port for `gherkin cache --serve`.
+ * @type {number}
+ */
+const DEFAULT_CACHE_SERVER_PORT = 7373;
+
+/**
+ * Largest entry accepted by PUT, in bytes.
+ * @type {number}
+ */
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024;
+
+// Cache keys are SHA256 hex digests
+const ENTRY_PATH = /^\/entries\/([a-f0-9]{64})$/;
+
+/**
+ * Create a cache server. Call `listen()` on the result to start it.
+ *
+ * Cache reads and writes are handled one at a time, as in a build. Access
+ * times of served entries are written to the manifest as hits accumulate;
+ * call `flush()` on the cache after closing the server to write the rest. When a token is set, requests without a
+ * matching `Authorization: Bearer` header are rejected with 401.
+ *
+ * @param {Object} [options={}] - Server options
+ * @param {CacheManager} [options.cache] - Cache to serve (default: one in options.dir)
+ * @param {string} [options.dir='.gherkin-cache'] - Cache directory when no cache is given
+ * @param {string} [options.token] - Bearer token required from clients
+ * @returns {http.Server} Server, not yet listening
+ */
+function createCacheServer(options = {}) {
+    const cache = options.cache || new CacheManager({ cacheDir: options.dir || '.gherkin-cache' });
+    const token = options.token || null;
+    let queue = Promise.resolve();
+
+    const exclusive = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response, { cache, token, exclusive }).catch((error) => {
+            send(response, 500, { error: error.message });
+        });
+    });
+
+    return server;
+}
+
+/**
+ * Serve one request.
+ *
+ * @private
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {Object} server - Server state
+ * @returns {Promise<void>}
+ */
+async function handleRequest(request, response, { cache, token, exclusive }) {
+    if (token && !isAuthorized(request.headers.authorization, token)) {
+        request.resume();
+        return send(response, 401, { error: 'Missing or invalid token' });
+    }
+
+    const match = ENTRY_PATH.exec(request.url);
+    if (!match) {
+        request.resume();
+        return send(response, 404, { error: 'Not found' });
+    }
+
+    const key = match[1];
+
+    if (request.method === 'GET') {
+        const entry = await exclusive(() => cache.get(key));
+        return entry ? send(response, 200, entry) : send(response, 404, { error: 'Not cached' });
+    }
+
+    if (request.method === 'PUT') {
+        const body = await readBody(request);
+        if (body === null) {
+            return send(response, 413, { error: `Entry exceeds ${MAX_ENTRY_SIZE} bytes` });
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(body);
+        } catch (error) {
+            return send(response, 400, { error: `Invalid JSON: ${error.message}` });
+        }
+        if (!isCacheEntry(entry, key)) {
+            return send(response, 400, { error: 'Body is not a cache entry for this key' });
+        }
+
+        await exclusive(() => cache.set(key, entry));
+        return send(response, 204);
+    }
+
+    request.resume();
+    response.setHeader('allow', 'GET, PUT');
+    return send(response, 405, { error: `Method ${request.method} not allowed` });
+}
+
+/**
+ * Check the Authorization header against the bearer token in constant time.
+ *
+ * @private
+ * @param {string|undefined} header - Authorization header of the request
+ * @param {string} token - Expected token
+ * @returns {boolean} Whether the header carries the token
+ */
+function isAuthorized(header, token) {
+    const actual = Buffer.from(header || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Read a request body, discarding it once it exceeds MAX_ENTRY_SIZE.
+ *
+ * @private
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<string|null>} Body, or null if it is too large
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        // Oversized bodies are drained rather than aborted so the 413 reaches the client
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= MAX_ENTRY_SIZE) {
+                chunks.push(chunk);
+            }
+        });
+        request.on('end', () => resolve(size > MAX_ENTRY_SIZE ? null : Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, body) {
+    if (response.headersSent) {
+        response.end();
+        return;
+    }
+
+    if (body === undefined) {
+        response.writeHead(status).end();
+        return;
+    }
+
+    const content = JSON.stringify(body);
+    response.writeHead(status, {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(content),
+    });
+    response.end(content);
+}
+
+module.exports = { createCacheServer, DEFAULT_CACHE_SERVER_PORT, MAX_ENTRY_SIZE };
@@ -0,0 +1,165 @@
+/**
+ * Cache bundles for GherkinLang compiler.
+ *
+ * A bundle is a snapshot of cache entries in one portable, gzipped JSON
+ * file: a manifest listing each entry with its digest, size and hit count,
+ * plus the entries themselves. Bundles seed CI caches and let a release
+ * ship with the exact compilations that produced it.
+ *
+ * @module compiler/cache-bundle
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { CacheError } = require('./errors');
+const { readFile, writeFileAtomic } = require('./utils/fs');
+const { isCacheEntry } = require('./cache-backends');
+const { computeEntryDigest } = require('./cache-backends/filesystem');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * @typedef {import('./types').CacheEntry} CacheEntry
+ * @typedef {import('./types').BundledEntry} BundledEntry
+ * @typedef {import('./types').CacheBundle} CacheBundle
+ * @typedef {import('./types').BundleManifestEntry} BundleManifestEntry
+ */
+
+/**
+ * Format identifier stored in every bundle.
+ * @type {string}
+ */
+const BUNDLE_FORMAT = 'gherkin-cache-bundle';
+
+/**
+ * Bundle layout version. Bundles with another version are rejected.
+ * @type {number}
+ */
+const BUNDLE_VERSION = 1;
+
+/**
+ * Assemble a bundle from exported entries.
+ *
+ * @param {BundledEntry[]} bundled - Entries with their manifest records
+ * @param {Object} options - Bundle options
+ * @param {string} options.compilerVersion - Version of the compiler creating the bundle
+ * @returns {CacheBundle} Bundle
+ */
+function createBundle(bundled, { compilerVersion }) {
+    const manifestEntries = bundled.map(({ entry, digest, hits, sourcePath }) => ({
+        key: entry.key,
+        digest,
+        size: Buffer.byteLength(JSON.stringify(entry), 'utf8'),
+        hits: hits || 0,
+        sourcePath: sourcePath || null,
+    }));
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        compilerVersion,
+        createdAt: new Date().toISOString(),
+        manifest: {
+            entries: manifestEntries,
+            totalSize: manifestEntries.reduce((sum, entry) => sum + entry.size, 0),
+        },
+        entries: Object.fromEntries(bundled.map(({ entry }) => [entry.key, entry])),
+    };
+}
+
+/**
+ * Write a bundle as gzipped JSON.
+ *
+ * @param {string} filePath - Bundle file path
+ * @param {CacheBundle} bundle - Bundle to write
+ * @returns {Promise<number>} Size of the written file in bytes
+ * @throws {CacheError} If the file cannot be written
+ */
+async function writeBundle(filePath, bundle) {
+    try {
+        const content = await gzip(JSON.stringify(bundle));
+        await writeFileAtomic(filePath, content);
+        return content.length;
+    } catch (error) {
+        throw new CacheError(`Failed to write cache bundle ${filePath}: ${error.message}`, {
+            operation: 'export',
+            code: error.code,
+        });
+    }
+}
+
+/**
+ * Read a bundle written by {@link writeBundle}. Uncompressed JSON bundles
+ * are accepted as well.
+ *
+ * @param {string} filePath - Bundle file path
+ * @returns {Promise<CacheBundle>} Bundle
+ * @throws {CacheError} If the file cannot be read or is not a bundle of a supported version
+ */
+async function readBundle(filePath) {
+    let bundle;
+    try {
+        const content = await readFile(filePath, null);
+        const isGzip = content[0] === 0x1f && content[1] === 0x8b;
+        bundle = JSON.parse((isGzip ? await gunzip(content) : content).toString('utf8'));
+    } catch (error) {
+        throw new CacheError(`Failed to read cache bundle ${filePath}: ${error.message}`, {
+            operation: 'import',
+            code: error.code,
+        });
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.manifest?.entries) || !bundle.entries) {
+        throw new CacheError(`Not a cache bundle: ${filePath}`, { operation: 'import' });
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+        throw new CacheError(
+            `Unsupported cache bundle version ${bundle.version} in ${filePath} (expected ${BUNDLE_VERSION})`,
+            { operation: 'import' }
+        );
+    }
+
+    return bundle;
+}
+
+/**
+ * Check a bundled entry before it is imported. The entry must be stored
+ * under its own key and match the digest recorded in the bundle manifest,
+ * and it must come from the importing compiler version and target.
+ *
+ * @param {BundleManifestEntry} record - Manifest record from the bundle
+ * @param {CacheEntry|undefined} entry - Entry stored under the record's key
+ * @param {Object} expected - What the importing cache requires
+ * @param {string} expected.compilerVersion - Compiler version
+ * @param {string} [expected.target] - Target language; any target when omitted
+ * @returns {'missing'|'corrupt'|'digest-mismatch'|'compiler-version'|'target'|null} Why the entry
+ *   is skipped, or null if it can be imported
+ */
+function checkBundledEntry(record, entry, expected) {
+    if (!entry) {
+        return 'missing';
+    }
+    if (!isCacheEntry(entry, record.key)) {
+        return 'corrupt';
+    }
+    if (computeEntryDigest(entry) !== record.digest) {
+        return 'digest-mismatch';
+    }
+    if (entry.metadata.compilerVersion !== expected.compilerVersion) {
+        return 'compiler-version';
+    }
+    if (expected.target && entry.metadata.target !== expected.target) {
+        return 'target';
+    }
+    return null;
+}
+
+module.exports = {
+    createBundle,
+    writeBundle,
+    readBundle,
+    checkBundledEntry,
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+};
@@ -1,252 +1,255 @@
 /**
  * Cache manager for GherkinLang compiler.
- * 
+ *
  * Provides content-addressed caching to ensure deterministic, incremental
  * builds. Generates cache keys from source content, rules, compiler version,
- * and target language. Manages cache storage, retrieval, validation, and
- * LRU eviction.
- * 
+ * and target language. Entries are kept in a local storage backend (the
+ * filesystem by default, with TTL expiry and size-bounded garbage
+ * collection) and optionally shared through a remote backend layered
+ * behind it: reads go to the local store first and then the remote, and
+ * writes go to both.
+ *
  * @module compiler/cache
  */
 
 const path = require('path');
 const { CacheError } = require('./errors');
 const { sha256Concat } = require('./utils/hash');
-const { readFile, writeFile, exists, mkdir, rm, stat } = require('./utils/fs');
+const { readFile, writeFileAtomic, exists, mkdir } = require('./utils/fs');
+const { FileSystemBackend, isCacheEntry } = require('./cache-backends');
+const { createBundle, writeBundle, readBundle, checkBundledEntry } = require('./cache-bundle');
 
 /**
  * @typedef {import('./types').CacheManagerOptions} CacheManagerOptions
+ * @typedef {import('./types').CacheBackend} CacheBackend
+ * @typedef {import('./types').CacheEntry} CacheEntry
+ * @typedef {import('./types').CacheManifest} CacheManifest
+ * @typedef {import('./types').GcReport} GcReport
+ * @typedef {import('./types').BundleExportReport} BundleExportReport
+ * @typedef {import('./types').BundleImportReport} BundleImportReport
  */
 
 /**
  * Cache manager for GherkinLang compiler.
- * 
+ *
  * @class CacheManager
  */
 class CacheManager {
     /**
      * Creates a new CacheManager instance.
-     * 
+     *
      * @param {Object} [options={}] - Configuration options
      * @param {string} [options.cacheDir='.gherkin-cache'] - Cache directory path
      * @param {string} [options.maxSize='100MB'] - Maximum cache size (e.g., '100MB', '500KB')
      * @param {string} [options.compilerVersion='1.0.0'] - Compiler version string
+     * @param {string|number} [options.ttl='7d'] - How long entries live after they are written (e.g., '12h', '7d',
+     *   or milliseconds); '0' or 0 keeps entries until they are evicted
+     * @param {'lru'|'lfu'|'keep-latest'} [options.evictionPolicy='lru'] - Which entries to evict first
+     * @param {CacheBackend} [options.backend] - Local store (default: a FileSystemBackend in cacheDir)
+     * @param {CacheBackend|null} [options.remote=null] - Shared store layered behind the local one
+     * @throws {CacheError} If the size, TTL or eviction policy is invalid
      */
     constructor(options = {}) {
         this.cacheDir = options.cacheDir || '.gherkin-cache';
         this.maxSize = this.parseSize(options.maxSize || '100MB');
+        this.ttl = this.parseDuration(options.ttl ?? '7d');
+        this.evictionPolicy = options.evictionPolicy || 'lru';
         this.compilerVersion = options.compilerVersion || '1.0.0'
-        this.manifestPath = path.join(this.cacheDir, 'manifest.json');
+        this.buildStatePath = path.join(this.cacheDir, 'build-state.json');
+        this.backend = options.backend || new FileSystemBackend({
+            dir: this.cacheDir,
+            maxSize: this.maxSize,
+            ttl: this.ttl,
+            evictionPolicy: this.evictionPolicy,
+        });
+        this.remote = options.remote || null;
         this.stats = {
             hits: 0,
             misses: 0,
+            remoteHits: 0,
         };
+        // Set once the remote fails; the rest of the build uses the local store only
+        this._remoteDisabled = false;
+    }
 
-        // Initialize manifest structure (will be created in Step 4)
-        this.manifest = {
-            entries: [],
-            totalSize: 0,
-            maxSize: 0,
-            lastUpdated: new Date().toISOString(),
-        };
+    /**
+     * Manifest of the local store, as last read.
+     *
+     * @type {CacheManifest}
+     */
+    get manifest() {
+        return this.backend.manifest;
     }
 
     /**
      * Retrieve cached compilation result.
-     * 
+     *
+     * The local store is read first. On a local miss the remote is asked,
+     * and an entry found there is stored locally before it is returned.
+     * A remote that cannot be reached counts as a miss.
+     *
      * @param {string} key - Cache key
-     * @returns {Promise<import('./types').CacheEntry|null>} Cache entry or null if not found
-     * @throws {CacheError} If cache retrieval fails
+     * @returns {Promise<CacheEntry|null>} Cache entry or null if not found
+     * @throws {CacheError} If the local store fails
      */
     async get(key) {
-        try {
-            await this._getOrInitializeManifest();
-
-            // Check if manifest is initialized
-            const manifestEntry = this._findManifestEntry(key);
-
-            if (!manifestEntry) {
-                this.stats.misses++;
-                return null;
-            }
-
-            // Read cache file
-            const cachePath = this._getCacheEntryPath(key);
-
-            if (!(await exists(cachePath))) {
-                // Entry in manifest but file missing - remove from manifest
-                await this._removeManifestEntry(key);
-                this.stats.misses++;
-                return null;
-            }
-
-            // Read cache file content
-            const content = await readFile(cachePath);
-            const entry = JSON.parse(content);
-
-            // Validate entry structure
-            if (!entry.key || !entry.sourceHash || !entry.compiledCode || !entry.metadata) {
-                await this.clear(key);
-                this.stats.misses++;
-                return null;
-            }
-
-            manifestEntry.lastAccessed = new Date().toISOString();
-            this.manifest.lastUpdated = new Date().toISOString();
-            await this._saveManifest();
-
+        const entry = await this.backend.get(key);
+        if (entry) {
             this.stats.hits++;
             return entry;
-        } catch (error) {
-            console.warn(`Warning: Cache get failed for key: ${error.message}`);
-            throw new CacheError(`Failed to retrieve cache entry: ${error.message}`, {
-                key,
-                operation: 'get',
-                code: error.code,
-            });
         }
+
+        const remoteEntry = await this._readRemote(key);
+        if (remoteEntry) {
+            await this.backend.set(key, remoteEntry);
+            this.stats.hits++;
+            this.stats.remoteHits++;
+            return remoteEntry;
+        }
+
+        this.stats.misses++;
+        return null;
     }
 
     /**
-     * Check if cache entry is valid (exists and not corrupted).
-     * 
+     * Check if a local cache entry is valid (exists, not expired, not corrupted
+     * and matching its digest).
+     *
      * @param {string} key - Cache key
      * @returns {Promise<boolean>} True if valid, false otherwise
      */
     async isValid(key) {
-        try {
-            // Check if entry exists in manifest
-            const manifestEntry = this._findManifestEntry(key);
-            if (!manifestEntry) {
-                return false;
-            }
-
-            // Check if cache file exists
-            const cachePath = this._getCacheEntryPath(key);
-            if (!(await exists(cachePath))) {
-                return false;
-            }
-
-            // Try to read and parse cache file
-            const content = await readFile(cachePath);
-            const entry = JSON.parse(content);
-
-            // Validate entry structure
-            if (!entry.key || !entry.sourceHash || !entry.compiledCode || !entry.metadata) {
-                return false;
-            }
-
-            return true;
-        } catch (error) {
-            return false;
-        }
-    }
-
-    async _getOrInitializeManifest() {
-        if (await exists(this.manifestPath)) {
-            await this._loadManifest();
-        } else {
-            await this._initializeManifest();
-        }
+        return this.backend.isValid(key);
     }
 
     /**
-     * Store compilation result in cache.
-     * 
+     * Store compilation result in the local store, then upload it to the
+     * remote. A failed upload is reported as a warning and does not fail
+     * the write.
+     *
      * @param {string} key - Cache key
-     * @param {import('./types').CacheEntry} entry - Cache entry to store
+     * @param {CacheEntry} entry - Cache entry to store
      * @returns {Promise<void>}
-     * @throws {CacheError} If cache storage fails
+     * @throws {CacheError} If the local store fails
      */
     async set(key, entry) {
-        try {
-            await this._getOrInitializeManifest();
-
-            await this._initializeCacheDir();
-
-            const cachePath = this._getCacheEntryPath(key);
-            const content = JSON.stringify(entry, null, 2);
-            await writeFile(cachePath, content);
-
-            const entrySize = Buffer.byteLength(content, 'utf8');
-
-            const existingEntry = this._findManifestEntry(key);
-
-            if (existingEntry) {
-                // Update existing entry
-                this.manifest.totalSize = this.manifest.totalSize - existingEntry.size + entrySize;
-                existingEntry.size = entrySize;
-                existingEntry.lastAccessed = new Date();
-            } else {
-                // Add new entry
-                this.manifest.entries.push({
-                    key,
-                    file: cachePath,
-                    size: entrySize,
-                    lastAccessed: new Date(),
-                });
-                this.manifest.totalSize += entrySize;
-            }
-
-            this.manifest.lastUpdated = new Date().toISOString();
+        await this.backend.set(key, entry);
+        await this._writeRemote(key, entry);
+    }
 
-            await this._saveManifest();
-            // await this.evict(this.maxSize);
-        } catch (error) {
-            console.warn(`Warning: Cache set failed for key: ${error.message}`);
-            throw new CacheError(`Failed to store cache entry: ${error.message}`, {
-                key,
-                operation: 'set',
-                code: error.code,
-            });
-        }
+    /**
+     * Write access times collected by {@link CacheManager#get} to the local store.
+     *
+     * @returns {Promise<void>}
+     * @throws {CacheError} If the manifest cannot be updated
+     */
+    async flush() {
+        await this.backend.flush();
     }
 
     /**
-     * Evict least recently used entries to stay within size limit.
-     * 
+     * Evict local entries according to the eviction policy to stay within size limit.
+     *
      * @param {number} maxSize - Maximum cache size in bytes
      * @returns {Promise<void>}
      * @throws {CacheError} If eviction fails
      */
     async evict(maxSize) {
-        try {
-            // Sort entries by lastAccessed (oldest first)
-            this.manifest.entries.sort((a, b) => {
-                const aTime = a.lastAccessed instanceof Date
-                    ? a.lastAccessed.getTime()
-                    : new Date(a.lastAccessed).getTime();
-                const bTime = b.lastAccessed instanceof Date
-                    ? b.lastAccessed.getTime()
-                    : new Date(b.lastAccessed).getTime();
-                return aTime - bTime;
-            });
+        await this.backend.evict(maxSize);
+    }
 
-            // Remove entries until under size limit
-            while (this.manifest.totalSize > maxSize && this.manifest.entries.length > 0) {
-                const oldest = this.manifest.entries.shift();
-                this.manifest.totalSize -= oldest.size;
+    /**
+     * Collect garbage in the local store: remove expired entries, entries
+     * whose files are gone, superseded entries under the 'keep-latest'
+     * policy, and then evict entries until the cache fits its size limit.
+     *
+     * @returns {Promise<GcReport>} Removed entries with reasons, and what remains
+     * @throws {CacheError} If garbage collection fails
+     */
+    async gc() {
+        return this.backend.gc();
+    }
 
-                try {
-                    await rm(oldest.file);
-                } catch (error) {
-                    // Ignore errors when removing individual files
-                }
-            }
+    /**
+     * Reconcile the local store with the files on disk: drop entries whose
+     * files are gone, quarantine corrupted entries, adopt intact orphaned
+     * files and correct recorded sizes.
+     *
+     * @returns {Promise<import('./types').VerifyReport>} What was found and repaired
+     * @throws {CacheError} If verification fails
+     */
+    async verify() {
+        return this.backend.verify();
+    }
 
-            this.manifest.lastUpdated = new Date().toISOString();
-            await this._saveManifest();
-        } catch (error) {
-            throw new CacheError(`Failed to evict cache entries: ${error.message}`, {
-                operation: 'evict',
-                code: error.code,
-            });
+    /**
+     * Write local entries to a cache bundle. Expired and broken entries are
+     * left out.
+     *
+     * @param {string} filePath - Bundle file to write
+     * @param {Object} [options={}] - Export options
+     * @param {string[]} [options.keys] - Keys to export, such as those of the last build (default: every entry)
+     * @returns {Promise<BundleExportReport>} Exported keys, requested keys not exported, and the bundle size
+     * @throws {CacheError} If the entries cannot be read or the bundle cannot be written
+     */
+    async exportBundle(filePath, options = {}) {
+        const bundled = await this.backend.exportEntries(options.keys);
+        const size = await writeBundle(filePath, createBundle(bundled, { compilerVersion: this.compilerVersion }));
+        const exported = bundled.map(({ entry }) => entry.key);
+
+        return {
+            file: filePath,
+            exported,
+            missing: options.keys ? options.keys.filter(key => !exported.includes(key)) : [],
+            size,
+        };
+    }
+
+    /**
+     * Merge a cache bundle into the local store.
+     *
+     * Every entry is checked against its key and the digest recorded in the
+     * bundle manifest. Entries from another compiler version or target are
+     * skipped, as are entries the local store already holds.
+     *
+     * @param {string} filePath - Bundle file to read
+     * @param {Object} [options={}] - Import options
+     * @param {string} [options.target] - Target language entries must be compiled for (default: any)
+     * @returns {Promise<BundleImportReport>} Imported and skipped entries
+     * @throws {CacheError} If the bundle cannot be read or the entries cannot be stored
+     */
+    async importBundle(filePath, options = {}) {
+        const bundle = await readBundle(filePath);
+        const expected = { compilerVersion: this.compilerVersion, target: options.target };
+        const accepted = [];
+        const skipped = [];
+
+        for (const record of bundle.manifest.entries) {
+            const entry = bundle.entries[record.key];
+            const reason = checkBundledEntry(record, entry, expected);
+            if (reason) {
+                skipped.push({ key: record.key, reason });
+                continue;
+            }
+            accepted.push({ entry, digest: record.digest, hits: record.hits, sourcePath: record.sourcePath });
         }
+
+        const { imported, present, removed } = await this.backend.importEntries(accepted);
+        const { entries, totalSize } = await this.backend.getStats();
+
+        return {
+            file: filePath,
+            imported,
+            skipped: [...skipped, ...present.map(key => ({ key, reason: 'present' }))],
+            removed,
+            entries,
+            totalSize,
+        };
     }
 
     /**
-     * Invalidate cache entries when source/rules/version/target changes.
-     * 
+     * Invalidate local cache entries when source/rules/version/target changes.
+     *
      * @param {string} sourceHash - New source hash
      * @param {string} rulesHash - New rules hash
      * @param {string} compilerVersion - Compiler version
@@ -254,82 +257,117 @@ class CacheManager {
      * @returns {Promise<void>}
      */
     async invalidate(sourceHash, rulesHash, compilerVersion, target) {
-        const keysToInvalidate = [];
-
-        for (const entry of this.manifest.entries) {
-            try {
-                const cachePath = this._getCacheEntryPath(entry.key);
-                if (await exists(cachePath)) {
-                    const content = await readFile(cachePath);
-                    const cacheEntry = JSON.parse(content);
-
-                    // Check if entry is invalid
-                    if (
-                        cacheEntry.sourceHash !== sourceHash ||
-                        cacheEntry.rulesHash !== rulesHash ||
-                        cacheEntry.metadata.compilerVersion !== compilerVersion ||
-                        cacheEntry.metadata.target !== target
-                    ) {
-                        keysToInvalidate.push(entry.key);
-                    }
-                }
-            } catch (error) {
-                // If we can't read entry, mark it for invalidation
-                keysToInvalidate.push(entry.key);
-            }
-        }
-
-        // Clear invalid entries
-        for (const key of keysToInvalidate) {
-            await this.clear(key);
-        }
+        await this.backend.invalidate(sourceHash, rulesHash, compilerVersion, target);
     }
 
     /**
      * Get cache statistics.
-     * 
+     *
      * @returns {Promise<import('./types').CacheStats>} Cache statistics including entry count, size, hit/miss rates
      */
     async getStats() {
-        await this._getOrInitializeManifest();
+        const { entries, totalSize } = await this.backend.getStats();
 
         const total = this.stats.hits + this.stats.misses;
         const hitRate = total > 0 ? this.stats.hits / total : 0;
 
         return {
-            entries: this.manifest.entries.length,
-            totalSize: this.manifest.totalSize,
+            entries,
+            totalSize,
             hits: this.stats.hits,
             misses: this.stats.misses,
+            remoteHits: this.stats.remoteHits,
             hitRate: hitRate,
         };
     }
 
     /**
-     * Calculate total cache size from manifest.
-     * 
+     * Read the module fingerprints recorded by the previous build.
+     *
+     * @returns {Promise<import('./types').BuildState|null>} Build state or null if none was recorded
+     */
+    async getBuildState() {
+        try {
+            if (!(await exists(this.buildStatePath))) {
+                return null;
+            }
+
+            const state = JSON.parse(await readFile(this.buildStatePath));
+            return state && typeof state.modules === 'object' ? state : null;
+        } catch (error) {
+            // An unreadable state only means the next build starts from scratch
+            console.warn(`Warning: Could not load build state: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Record module fingerprints for the next incremental build. Build state
+     * belongs to the project and is never shared through the remote.
+     *
+     * @param {import('./types').BuildState} state - Build state to store
+     * @returns {Promise<void>}
+     * @throws {CacheError} If the state cannot be written
+     */
+    async saveBuildState(state) {
+        try {
+            await mkdir(this.cacheDir);
+            await writeFileAtomic(this.buildStatePath, JSON.stringify({
+                ...state,
+                lastUpdated: new Date().toISOString(),
+            }, null, 2));
+        } catch (error) {
+            throw new CacheError(`Failed to save build state: ${error.message}`, {
+                operation: 'saveBuildState',
+                code: error.code,
+            });
+        }
+    }
+
+    /**
+     * Calculate total local cache size from manifest.
+     *
      * @returns {number} Total size in bytes
      */
     calculateSize() {
-        return this.manifest.totalSize;
+        return this.backend.calculateSize();
     }
 
     /**
      * Generate deterministic cache key from compilation inputs.
-     * 
+     *
+     * Compiled code also depends on the interfaces of imported modules and on
+     * how it was produced. When `inputs` is given, those are folded into the
+     * key so a dependency's API change, a new prompt template, model, module
+     * format or generation setting never serves stale output.
+     *
      * @param {string} source - Source file content
      * @param {string} rules - Rules file content
      * @param {string} compilerVersion - Compiler version string
      * @param {string} target - Target language ('javascript' | 'elixir')
+     * @param {import('./types').CacheKeyInputs} [inputs] - Additional compilation inputs
      * @returns {string} SHA256 hash as hex string (64 characters)
      */
-    generateKey(source, rules, compilerVersion, target) {
-        return sha256Concat(source, rules, compilerVersion, target);
+    generateKey(source, rules, compilerVersion, target, inputs) {
+        if (!inputs) {
+            return sha256Concat(source, rules, compilerVersion, target);
+        }
+
+        const dependencies = inputs.dependencies || {};
+        return sha256Concat(source, rules, compilerVersion, target, JSON.stringify({
+            dependencies: Object.keys(dependencies).sort().map(name => [name, dependencies[name]]),
+            template: inputs.template ?? null,
+            model: inputs.model ?? null,
+            moduleFormat: inputs.moduleFormat ?? null,
+            ...(inputs.settings && { settings: inputs.settings }),
+            // Only set for scenario units, so module keys are unchanged
+            ...(inputs.unit && { unit: inputs.unit }),
+        }));
     }
 
     /**
      * Parse size string to bytes.
-     * 
+     *
      * @param {string} sizeString - Size string (e.g., '100MB', '500KB', '1GB')
      * @returns {number} Size in bytes
      * @throws {CacheError} If size string is invalid
@@ -354,157 +392,95 @@ class CacheManager {
         return Math.floor(value * multipliers[unit]);
     }
 
-    // Helper method for removing manifest entry
-    async _removeManifestEntry(key) {
-        const index = this.manifest.entries.findIndex(entry => entry.key === key);
-        if (index !== -1) {
-            const entry = this.manifest.entries[index];
-            this.manifest.totalSize -= entry.size;
-            this.manifest.entries.splice(index, 1);
-            this.manifest.lastUpdated = new Date().toISOString();
+    /**
+     * Parse duration string to milliseconds.
+     *
+     * @param {string} durationString - Duration string (e.g., '500ms', '30m', '12h', '7d', '2w')
+     * @returns {number} Duration in milliseconds
+     * @throws {CacheError} If duration string is invalid
+     */
+    parseDuration(durationString) {
+        const match = String(durationString).match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+
+        if (!match) {
+            throw new CacheError(`Invalid duration string: ${durationString}`);
         }
+
+        const value = parseFloat(match[1]);
+        const unit = (match[2] || 'ms').toLowerCase();
+
+        const multipliers = {
+            ms: 1,
+            s: 1000,
+            m: 60 * 1000,
+            h: 60 * 60 * 1000,
+            d: 24 * 60 * 60 * 1000,
+            w: 7 * 24 * 60 * 60 * 1000,
+        };
+
+        return Math.floor(value * multipliers[unit]);
     }
 
     /**
-     * Clear cache entries.
-     * 
+     * Clear local cache entries. The remote is left untouched.
+     *
      * @param {string} [key] - Optional specific key to clear, or undefined to clear all
      * @returns {Promise<void>}
      * @throws {CacheError} If clear operation fails
      */
     async clear(key) {
-        try {
-            if (key) {
-                // Clear specific entry
-                const cachePath = this._getCacheEntryPath(key);
-                await rm(cachePath);
-                await this._removeManifestEntry(key);
-                await this._saveManifest();
-            } else {
-                // Clear all entries
-                for (const entry of this.manifest.entries) {
-                    try {
-                        await rm(entry.file);
-                    } catch (error) {
-                        // Ignore errors when removing individual files
-                    }
-                }
-                this.manifest.entries = [];
-                this.manifest.totalSize = 0;
-                this.manifest.lastUpdated = new Date().toISOString();
-                await this._saveManifest();
-            }
-        } catch (error) {
-            throw new CacheError(`Failed to clear cache: ${error.message}`, {
-                key,
-                operation: 'clear',
-                code: error.code,
-            });
-        }
+        await this.backend.clear(key);
     }
 
-    // Helper method for removing manifest entry
-    async _removeManifestEntry(key) {
-        const index = this.manifest.entries.findIndex(entry => entry.key === key);
-        if (index !== -1) {
-            const entry = this.manifest.entries[index];
-            this.manifest.totalSize -= entry.size;
-            this.manifest.entries.splice(index, 1);
-            this.manifest.lastUpdated = new Date().toISOString();
+    /**
+     * Read an entry from the remote, treating failures and malformed
+     * entries as misses.
+     *
+     * @private
+     * @param {string} key - Cache key
+     * @returns {Promise<CacheEntry|null>} Remote entry or null
+     */
+    async _readRemote(key) {
+        if (!this.remote || this._remoteDisabled) {
+            return null;
         }
-    }
 
-    async _initializeCacheDir() {
         try {
-            await mkdir(this.cacheDir);
-        } catch (error) {
-            // Check if directory already exists - if mkdir is recursive, EEXIST shouldn't happen
-            // But if it does, that's fine - directory exists
-            if (error.code !== 'EEXIST' && !(await exists(this.cacheDir))) {
-                console.warn(`Warning: Could not create cache directory: ${this.cacheDir} - ${error.message}`);
+            const entry = await this.remote.get(key);
+            if (entry && !isCacheEntry(entry, key)) {
+                console.warn(`Warning: Ignoring malformed entry ${key} from the remote cache`);
+                return null;
             }
+            return entry;
+        } catch (error) {
+            this._disableRemote(error);
+            return null;
         }
     }
 
-    async _loadManifest() {
-        try {
-            if (!(await exists(this.manifestPath))) {
-                console.warn(`Warning: Cache manifest not found: ${this.manifestPath}`);
-                return false;
-            }
-
-            const content = await readFile(this.manifestPath);
-            const manifest = JSON.parse(content);
-
-            // Convert ISO strings back to Date objects
-            manifest.entries = manifest.entries.map(entry => ({
-                ...entry,
-                lastAccessed: new Date(entry.lastAccessed),
-            }));
-
-            // IMPORTANT: Assign the loaded manifest to this.manifest
-            this.manifest = manifest;
-
-            // Also ensure maxSize is set
-            if (!this.manifest.maxSize) {
-                this.manifest.maxSize = this.maxSize;
-            }
-
-            return true;
-        } catch (error) {
-            console.warn(`Could not load cache manifest: ${error.message}`);
-            return false;
+    /**
+     * Upload an entry to the remote, if one is configured and reachable.
+     *
+     * @private
+     * @param {string} key - Cache key
+     * @param {CacheEntry} entry - Cache entry
+     * @returns {Promise<void>}
+     */
+    async _writeRemote(key, entry) {
+        if (!this.remote || this._remoteDisabled) {
+            return;
         }
-    }
 
-    async _saveManifest() {
         try {
-            const entries = this._copyEntries();
-            const content = JSON.stringify({
-                ...this.manifest,
-                lastUpdated: new Date().toISOString(),
-                entries,
-            }, null, 2);
-
-            await writeFile(this.manifestPath, content);
+            await this.remote.set(key, entry);
         } catch (error) {
-            console.warn(`Warning: Could not save cache manifest: ${error.message}`);
-        }
-    }
-
-    async _initializeManifest() {
-        await this._initializeCacheDir();
-
-        const loaded = await this._loadManifest();
-
-        if (!loaded) {
-            // Create new manifest
-            this.manifest = {
-                entries: [],
-                totalSize: 0,
-                maxSize: this.maxSize,
-                lastUpdated: new Date().toISOString(),
-            };
-
-            await this._saveManifest();
+            this._disableRemote(error);
         }
     }
 
-    _copyEntries() {
-        return this.manifest.entries.map((entry) => ({
-            ...entry,
-            lastAccessed: entry.lastAccessed instanceof Date
-                ? entry.lastAccessed.toISOString()
-                : new Date(entry.lastAccessed).toISOString(),
-        }));
-    }
-
-    _getCacheEntryPath(key) {
-        return path.join(this.cacheDir, `${key}.cache`);
-    }
-
-    _findManifestEntry(key) {
-        return this.manifest.entries.find((entry) => entry.key === key);
+    _disableRemote(error) {
+        this._remoteDisabled = true;
+        console.warn(`Warning: Remote cache unavailable, using the local cache only: ${error.message}`);
     }
 }
 
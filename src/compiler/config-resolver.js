@@ -0,0 +1,498 @@
+/**
+ * Configuration resolution for GherkinLang compiler.
+ *
+ * The effective configuration is merged from layers, each overriding the
+ * ones before it:
+ *
+ * 1. Defaults
+ * 2. The configuration file, given explicitly or found by walking up from
+ *    the project directory, preceded by the files it `extends`
+ * 3. GHERKIN_* environment variables (e.g., GHERKIN_CACHE_MAX_SIZE)
+ * 4. Programmatic overrides, such as `--set` on the command line
+ *
+ * Objects are merged key by key; arrays and other values replace what
+ * earlier layers set. The layer every effective value came from is
+ * recorded alongside the configuration.
+ *
+ * @module compiler/config-resolver
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { ContextBuildError } = require('./errors');
+const { readFile, exists } = require('./utils/fs');
+const { validateConfig, getSchemaAt, CONFIG_SCHEMA } = require('./config-schema');
+const { DEFAULT_CONCURRENCY } = require('../utils/concurrency');
+const { DEFAULT_REMOTE_TIMEOUT } = require('./cache-backends/http');
+
+/**
+ * @typedef {import('./types').ProjectConfiguration} ProjectConfiguration
+ * @typedef {import('./types').ConfigSchema} ConfigSchema
+ * @typedef {import('./types').ConfigIssue} ConfigIssue
+ * @typedef {import('./types').ConfigSource} ConfigSource
+ * @typedef {import('./types').ConfigLayer} ConfigLayer
+ * @typedef {import('./types').ResolvedConfig} ResolvedConfig
+ */
+
+/**
+ * Configuration file names looked up in each directory, in order of preference.
+ * @type {string[]}
+ */
+const CONFIG_FILE_NAMES = ['.gherkinrc.json', '.gherkinrc.yaml', '.gherkinrc.yml', 'gherkin.config.js'];
+
+/**
+ * Prefix of environment variables that override configuration values.
+ * @type {string}
+ */
+const ENV_PREFIX = 'GHERKIN_';
+
+/**
+ * Defaults for every optional field (T040). `watch` has no defaults unless
+ * some layer configures it.
+ * @type {ProjectConfiguration}
+ */
+const DEFAULT_CONFIG = {
+    target: 'javascript',
+    moduleFormat: 'commonjs',
+    concurrency: DEFAULT_CONCURRENCY,
+    rules: [],
+    output: {
+        dir: 'dist',
+        testDir: 'test/generated',
+        docsDir: 'docs',
+    },
+    cache: {
+        enabled: true,
+        dir: '.gherkin-cache',
+        maxSize: '100MB',
+        ttl: '7d',
+        evictionPolicy: 'lru',
+        remote: null,
+    },
+    validation: {
+        syntax: true,
+        purity: true,
+        lint: false,
+        lintConfig: '.eslintrc.json',
+    },
+    ai: {
+        mode: 'ai',
+        provider: 'anthropic',
+        cassette: {
+            dir: '.gherkin-cassettes',
+            mode: 'replay',
+        },
+        model: 'claude-3-opus-20240229',
+        maxRetries: 3,
+        maxAttempts: 3,
+        timeout: 60000,
+        promptCaching: true,
+        pricing: {},
+        budget: {
+            tokens: null,
+            cost: null,
+        },
+    },
+    generation: {
+        jsdoc: true,
+        tests: true,
+        docs: false,
+        prettier: true,
+    },
+};
+
+/**
+ * Defaults for sections that are only present when configured.
+ * @type {Object<string, Object>}
+ */
+const SECTION_DEFAULTS = {
+    'cache.remote': { timeout: DEFAULT_REMOTE_TIMEOUT },
+    watch: { debounce: 300, ignore: [] },
+};
+
+/** @type {ConfigSource} */
+const DEFAULT_SOURCE = { layer: 'default' };
+
+/**
+ * Resolve the effective project configuration.
+ *
+ * @param {Object} [options] - Resolution options
+ * @param {string} [options.cwd] - Project directory where the file lookup starts (default: process.cwd())
+ * @param {string} [options.configPath] - Configuration file to use instead of looking one up;
+ *   defaults apply if it does not exist
+ * @param {Object<string, string>} [options.env] - Environment variables (default: process.env)
+ * @param {Object} [options.overrides] - Partial configuration applied last
+ * @returns {Promise<ResolvedConfig>} Configuration with the source of every value
+ * @throws {ContextBuildError} If a layer cannot be read or does not match the schema
+ */
+async function resolveConfig(options = {}) {
+    const cwd = path.resolve(options.cwd || process.cwd());
+    const configFile = options.configPath
+        ? path.resolve(cwd, options.configPath)
+        : await findConfigFile(cwd);
+
+    const layers = [{ source: DEFAULT_SOURCE, data: DEFAULT_CONFIG }];
+    if (configFile && await exists(configFile)) {
+        layers.push(...await loadFileLayers(configFile, []));
+    }
+    layers.push(...readEnvironment(options.env || process.env, cwd));
+    if (options.overrides) {
+        checkLayer(options.overrides, 'Invalid configuration override', cwd);
+        layers.push({ source: { layer: 'override' }, data: options.overrides });
+    }
+
+    const config = {};
+    const sources = {};
+    for (const layer of layers) {
+        mergeLayer(config, layer.data, layer.source, sources, []);
+    }
+    applySectionDefaults(config, sources);
+
+    const issues = validateConfig(config);
+    if (issues.length > 0) {
+        throw createConfigError('Invalid configuration', issues, cwd);
+    }
+
+    return {
+        config,
+        sources,
+        files: layers.filter(layer => layer.source.file).map(layer => layer.source.file),
+    };
+}
+
+/**
+ * Find the configuration file closest to a directory, looking in the
+ * directory itself and then in each parent.
+ *
+ * @param {string} dir - Directory to start from
+ * @returns {Promise<string|null>} Path of the file, or null if there is none up to the filesystem root
+ */
+async function findConfigFile(dir) {
+    let current = path.resolve(dir);
+
+    for (;;) {
+        for (const name of CONFIG_FILE_NAMES) {
+            const candidate = path.join(current, name);
+            if (await exists(candidate)) {
+                return candidate;
+            }
+        }
+
+        const parent = path.dirname(current);
+        if (parent === current) {
+            return null;
+        }
+        current = parent;
+    }
+}
+
+/**
+ * Turn `key.path=value` style assignments into a partial configuration.
+ * Values are converted to the type the schema declares for the key;
+ * values that do not convert are kept as strings and rejected when the
+ * configuration is validated.
+ *
+ * @param {Array<[string, string]>} assignments - Dotted key paths with their values
+ *   (e.g., [['cache.maxSize', '1GB']])
+ * @returns {Object} Partial configuration
+ */
+function toOverrides(assignments) {
+    const overrides = {};
+    for (const [keyPath, raw] of assignments) {
+        const keys = keyPath.split('.');
+        setAt(overrides, keys, parseValue(raw, getSchemaAt(keys)));
+    }
+    return overrides;
+}
+
+/**
+ * Name of the environment variable overriding a configuration value.
+ *
+ * @param {string[]} keys - Keys leading to the value (e.g., ['cache', 'maxSize'])
+ * @returns {string} Variable name (e.g., 'GHERKIN_CACHE_MAX_SIZE')
+ */
+function toEnvName(keys) {
+    return ENV_PREFIX + keys.map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+}
+
+/**
+ * Load a configuration file and the files it extends, as layers in
+ * merge order: bases first, in the order listed, then the file itself.
+ *
+ * @private
+ * @param {string} file - Configuration file path
+ * @param {string[]} chain - Files extending this one, outermost first
+ * @returns {Promise<ConfigLayer[]>} Layers
+ * @throws {ContextBuildError} If a file is invalid, missing or extends itself
+ */
+async function loadFileLayers(file, chain) {
+    if (chain.includes(file)) {
+        throw new ContextBuildError(`Circular extends: ${[...chain, file].join(' -> ')}`, {
+            rootDir: path.dirname(file),
+            path: '$.extends',
+        });
+    }
+
+    const data = await loadConfigFile(file);
+    checkLayer(data, `Invalid configuration file: ${file}`, path.dirname(file));
+
+    const { extends: bases = [], ...own } = data;
+    const layers = [];
+    for (const base of [].concat(bases)) {
+        layers.push(...await loadFileLayers(await resolveExtends(base, file), [...chain, file]));
+    }
+    layers.push({ source: { layer: 'file', file }, data: own });
+
+    return layers;
+}
+
+/**
+ * @private
+ * @param {string} file - Configuration file path
+ * @returns {Promise<*>} Parsed content
+ * @throws {ContextBuildError} If the file cannot be read or parsed
+ */
+async function loadConfigFile(file) {
+    try {
+        if (/\.c?js$/.test(file)) {
+            // Load the current content, not the one cached by an earlier build (watch mode)
+            delete require.cache[require.resolve(file)];
+            const exported = require(file);
+            return typeof exported === 'function' ? await exported() : exported;
+        }
+
+        const content = await readFile(file);
+        return /\.ya?ml$/.test(file) ? yaml.load(content) ?? {} : JSON.parse(content);
+    } catch (error) {
+        throw new ContextBuildError(`Invalid configuration file: ${file} - ${error.message}`, {
+            rootDir: path.dirname(file),
+        });
+    }
+}
+
+/**
+ * Find the file an `extends` entry names: a path relative to the
+ * extending file, or a package (or file in a package) installed where
+ * that file lives.
+ *
+ * @private
+ * @param {string} specifier - Entry of `extends`
+ * @param {string} file - Extending file
+ * @returns {Promise<string>} Path of the base configuration
+ * @throws {ContextBuildError} If the file cannot be found
+ */
+async function resolveExtends(specifier, file) {
+    const dir = path.dirname(file);
+
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+        const resolved = path.resolve(dir, specifier);
+        if (await exists(resolved)) {
+            return resolved;
+        }
+    } else {
+        try {
+            return require.resolve(specifier, { paths: [dir] });
+        } catch {
+            // Reported below
+        }
+    }
+
+    throw new ContextBuildError(`Cannot find configuration "${specifier}" extended by ${file}`, {
+        rootDir: dir,
+        path: '$.extends',
+    });
+}
+
+/**
+ * Read GHERKIN_* variables, one layer per variable that is set.
+ *
+ * @private
+ * @param {Object<string, string>} env - Environment variables
+ * @param {string} cwd - Directory reported with errors
+ * @returns {ConfigLayer[]} Layers in schema order
+ * @throws {ContextBuildError} If a value does not match the schema
+ */
+function readEnvironment(env, cwd) {
+    const layers = [];
+
+    for (const keys of listValueKeys(CONFIG_SCHEMA, [])) {
+        const variable = toEnvName(keys);
+        if (keys[0] === 'extends' || env[variable] === undefined || env[variable] === '') {
+            continue;
+        }
+
+        const data = setAt({}, keys, parseValue(env[variable], getSchemaAt(keys)));
+        checkLayer(data, `Invalid configuration in ${variable}`, cwd);
+        layers.push({ source: { layer: 'env', variable }, data });
+    }
+
+    return layers;
+}
+
+/**
+ * @private
+ * @param {*} data - Layer content
+ * @param {string} heading - First line of the error message
+ * @param {string} rootDir - Directory reported with the error
+ * @throws {ContextBuildError} If the layer does not match the schema
+ */
+function checkLayer(data, heading, rootDir) {
+    const issues = validateConfig(data, { partial: true });
+    if (issues.length > 0) {
+        throw createConfigError(heading, issues, rootDir);
+    }
+}
+
+/**
+ * @private
+ * @param {string} heading - First line of the message
+ * @param {ConfigIssue[]} issues - Problems found
+ * @param {string} rootDir - Directory reported with the error
+ * @returns {ContextBuildError} Error listing every problem, pointing at the first
+ */
+function createConfigError(heading, issues, rootDir) {
+    return new ContextBuildError(`${heading}\n${issues.map(issue => `  ${issue.message}`).join('\n')}`, {
+        rootDir,
+        path: issues[0].path,
+        issues,
+    });
+}
+
+/**
+ * Merge one layer into the configuration, recording the source of every
+ * value it sets and forgetting the sources of values it replaces.
+ *
+ * @private
+ * @param {Object} target - Configuration merged so far
+ * @param {Object} data - Layer content
+ * @param {ConfigSource} source - Layer the content comes from
+ * @param {Object<string, ConfigSource>} sources - Sources by dotted key path
+ * @param {string[]} keys - Keys leading to target
+ */
+function mergeLayer(target, data, source, sources, keys) {
+    for (const [key, value] of Object.entries(data)) {
+        const valueKeys = [...keys, key];
+
+        if (isPlainObject(value)) {
+            if (!isPlainObject(target[key])) {
+                forgetSources(sources, valueKeys);
+                target[key] = {};
+            }
+            mergeLayer(target[key], value, source, sources, valueKeys);
+        } else {
+            forgetSources(sources, valueKeys);
+            target[key] = Array.isArray(value) ? [...value] : value;
+            sources[valueKeys.join('.')] = source;
+        }
+    }
+}
+
+/**
+ * @private
+ * @param {Object} config - Merged configuration
+ * @param {Object<string, ConfigSource>} sources - Sources by dotted key path
+ */
+function applySectionDefaults(config, sources) {
+    for (const [sectionPath, defaults] of Object.entries(SECTION_DEFAULTS)) {
+        const section = sectionPath.split('.').reduce((value, key) => value?.[key], config);
+        if (!isPlainObject(section)) {
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(defaults)) {
+            if (section[key] === undefined) {
+                section[key] = Array.isArray(value) ? [...value] : value;
+                sources[`${sectionPath}.${key}`] = DEFAULT_SOURCE;
+            }
+        }
+    }
+}
+
+/**
+ * @private
+ * @param {Object<string, ConfigSource>} sources - Sources by dotted key path
+ * @param {string[]} keys - Keys of a replaced value
+ */
+function forgetSources(sources, keys) {
+    const prefix = keys.join('.');
+    for (const keyPath of Object.keys(sources)) {
+        if (keyPath === prefix || keyPath.startsWith(`${prefix}.`)) {
+            delete sources[keyPath];
+        }
+    }
+}
+
+/**
+ * @private
+ * @param {ConfigSchema} schema - Object schema
+ * @param {string[]} keys - Keys leading to the schema
+ * @returns {string[][]} Keys of every non-object value the schema declares
+ */
+function listValueKeys(schema, keys) {
+    return Object.entries(schema.properties || {}).flatMap(([key, child]) => (child.type === 'object'
+        ? listValueKeys(child, [...keys, key])
+        : [[...keys, key]]));
+}
+
+/**
+ * Convert a string from the environment or command line to the type the
+ * schema declares.
+ *
+ * @private
+ * @param {string} raw - String value
+ * @param {ConfigSchema|null} schema - Schema of the value
+ * @returns {*} Converted value, or raw if it does not convert
+ */
+function parseValue(raw, schema) {
+    const types = [].concat(schema?.type);
+
+    if (!schema || types.includes('string')) {
+        return raw;
+    }
+    if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+        return raw === 'true';
+    }
+    if (types.includes('integer') && /^-?\d+$/.test(raw.trim())) {
+        return Number(raw);
+    }
+    if (types.includes('number') && /^-?\d+(?:\.\d+)?$/.test(raw.trim())) {
+        return Number(raw);
+    }
+    if (types.includes('array')) {
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return raw;
+}
+
+/**
+ * @private
+ * @param {Object} object - Object to write into
+ * @param {string[]} keys - Keys leading to the value
+ * @param {*} value - Value to set
+ * @returns {Object} The object
+ */
+function setAt(object, keys, value) {
+    let current = object;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(current[key])) {
+            current[key] = {};
+        }
+        current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+    return object;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    resolveConfig,
+    findConfigFile,
+    toOverrides,
+    toEnvName,
+    CONFIG_FILE_NAMES,
+    DEFAULT_CONFIG,
+    SECTION_DEFAULTS,
+};
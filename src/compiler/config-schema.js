@@ -0,0 +1,283 @@
+/**
+ * Configuration schema for GherkinLang compiler.
+ *
+ * Declares every key a configuration file accepts, with its type and allowed
+ * values. Validation reports each problem with the JSON path of the
+ * offending value, and suggests the closest known key or value for typos.
+ *
+ * @module compiler/config-schema
+ */
+
+const { EVICTION_POLICIES } = require('./cache-backends/filesystem');
+const { CASSETTE_MODES } = require('../ai/providers/cassette');
+
+/**
+ * @typedef {import('./types').ConfigSchema} ConfigSchema
+ * @typedef {import('./types').ConfigIssue} ConfigIssue
+ */
+
+/**
+ * Size strings accepted by CacheManager.parseSize.
+ * @type {RegExp}
+ */
+const SIZE_PATTERN = /^\d+(?:\.\d+)?\s*(?:KB|MB|GB|B)?$/i;
+
+/**
+ * Duration strings accepted by CacheManager.parseDuration.
+ * @type {RegExp}
+ */
+const DURATION_PATTERN = /^\d+(?:\.\d+)?\s*(?:ms|s|m|h|d|w)?$/i;
+
+/**
+ * Largest edit distance at which an unknown key or value is still
+ * considered a typo of a known one.
+ * @type {number}
+ */
+const MAX_SUGGESTION_DISTANCE = 2;
+
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const positiveInteger = { type: 'integer', min: 1 };
+const price = { type: ['number', 'integer'], min: 0 };
+
+/**
+ * Schema of a configuration file (.gherkinrc.json, .gherkinrc.yaml or gherkin.config.js).
+ * @type {ConfigSchema}
+ */
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        extends: { type: ['string', 'array'], items: string },
+        target: { type: 'string', enum: ['javascript', 'elixir'] },
+        moduleFormat: { type: 'string', enum: ['commonjs', 'esm'] },
+        concurrency: positiveInteger,
+        workspaces: { type: 'array', items: string },
+        rules: { type: 'array', items: string },
+        output: {
+            type: 'object',
+            properties: { dir: string, testDir: string, docsDir: string },
+        },
+        cache: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                dir: string,
+                maxSize: { type: 'string', pattern: SIZE_PATTERN, format: 'a size such as "100MB"' },
+                ttl: { type: ['string', 'integer'], pattern: DURATION_PATTERN, format: 'a duration such as "7d"' },
+                evictionPolicy: { type: 'string', enum: EVICTION_POLICIES },
+                remote: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['url'],
+                    properties: { url: string, timeout: positiveInteger },
+                },
+            },
+        },
+        validation: {
+            type: 'object',
+            properties: { syntax: boolean, purity: boolean, lint: boolean, lintConfig: string },
+        },
+        ai: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: ['ai', 'rules', 'hybrid'] },
+                provider: { type: 'string', enum: ['anthropic', 'cassette'] },
+                cassette: {
+                    type: 'object',
+                    properties: { dir: string, mode: { type: 'string', enum: CASSETTE_MODES } },
+                },
+                model: string,
+                maxRetries: { type: 'integer', min: 0 },
+                maxAttempts: positiveInteger,
+                timeout: positiveInteger,
+                promptCaching: boolean,
+                pricing: {
+                    type: 'object',
+                    values: {
+                        type: 'object',
+                        required: ['input', 'output'],
+                        properties: { input: price, output: price, cacheRead: price, cacheWrite: price },
+                    },
+                },
+                budget: {
+                    type: 'object',
+                    properties: {
+                        tokens: { ...positiveInteger, nullable: true },
+                        cost: { ...price, nullable: true },
+                    },
+                },
+            },
+        },
+        generation: {
+            type: 'object',
+            properties: { jsdoc: boolean, tests: boolean, docs: boolean, prettier: boolean },
+        },
+        watch: {
+            type: 'object',
+            properties: {
+                debounce: { type: 'integer', min: 0 },
+                ignore: { type: 'array', items: string },
+            },
+        },
+    },
+};
+
+/**
+ * Validate configuration data against a schema. Every problem is
+ * reported, in document order.
+ *
+ * @param {*} data - Parsed configuration file
+ * @param {Object} [options] - Validation options
+ * @param {ConfigSchema} [options.schema] - Schema to validate against (default: {@link CONFIG_SCHEMA})
+ * @param {boolean} [options.partial] - Skip required keys, for a layer that other layers complete
+ * @returns {ConfigIssue[]} Problems found; empty if the data is valid
+ */
+function validateConfig(data, options = {}) {
+    const issues = [];
+    validateValue(data, options.schema || CONFIG_SCHEMA, '$', issues, options.partial === true);
+    return issues;
+}
+
+/**
+ * Find the schema of a configuration value.
+ *
+ * @param {string[]} keys - Keys leading to the value (e.g., ['cache', 'maxSize'])
+ * @returns {ConfigSchema|null} Schema, or null if no such key is declared
+ */
+function getSchemaAt(keys) {
+    let schema = CONFIG_SCHEMA;
+    for (const key of keys) {
+        schema = schema.properties?.[key] || schema.values;
+        if (!schema) {
+            return null;
+        }
+    }
+    return schema;
+}
+
+/**
+ * @private
+ * @param {*} value - Value to check
+ * @param {ConfigSchema} schema - Schema of the value
+ * @param {string} path - JSON path of the value
+ * @param {ConfigIssue[]} issues - Problems found so far
+ * @param {boolean} partial - Whether to skip required keys
+ */
+function validateValue(value, schema, path, issues, partial) {
+    const report = message => issues.push({ path, message: `${path}: ${message}` });
+    const types = [].concat(schema.type);
+
+    if (value === null && schema.nullable) {
+        return;
+    }
+    if (!types.includes(typeOf(value))) {
+        report(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const expected = schema.enum.map(option => `"${option}"`).join(', ');
+        report(`must be one of ${expected}, got ${JSON.stringify(value)}${didYouMean(String(value), schema.enum)}`);
+    }
+    if (schema.pattern && !schema.pattern.test(String(value))) {
+        report(`must be ${schema.format}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.min !== undefined && value < schema.min) {
+        report(`must be at least ${schema.min}, got ${value}`);
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, issues, partial));
+    }
+
+    if (typeOf(value) === 'object') {
+        const known = Object.keys(schema.properties || {});
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = `${path}.${key}`;
+            if (known.includes(key)) {
+                validateValue(child, schema.properties[key], childPath, issues, partial);
+            } else if (schema.values) {
+                validateValue(child, schema.values, childPath, issues, partial);
+            } else {
+                issues.push({ path: childPath, message: `${childPath}: unknown key${didYouMean(key, known)}` });
+            }
+        }
+        for (const key of partial ? [] : schema.required || []) {
+            if (value[key] === undefined) {
+                report(`missing required key "${key}"`);
+            }
+        }
+    }
+}
+
+/**
+ * @private
+ * @param {*} value - JSON value
+ * @returns {string} JSON type name, with integers told apart from other numbers
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Suggest the known name closest to a misspelled one.
+ *
+ * @private
+ * @param {string} name - Unknown name
+ * @param {string[]} known - Known names
+ * @returns {string} Suggestion clause, or an empty string if nothing is close
+ */
+function didYouMean(name, known) {
+    let best = null;
+    let bestDistance = MAX_SUGGESTION_DISTANCE + 1;
+
+    for (const candidate of known) {
+        const distance = candidate.toLowerCase() === name.toLowerCase()
+            ? 0
+            : editDistance(name, candidate);
+        if (distance < bestDistance && distance < candidate.length) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return best ? ` (did you mean "${best}"?)` : '';
+}
+
+/**
+ * Levenshtein distance between two strings.
+ *
+ * @private
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Fewest single-character insertions, deletions and substitutions turning a into b
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+module.exports = {
+    validateConfig,
+    getSchemaAt,
+    CONFIG_SCHEMA,
+};
@@ -5,19 +5,52 @@
  * discovery, module registry, dependency graph construction, and configuration
  * loading. Enables cross-module references and determines compilation order.
  * 
+ * A project can be a workspace of packages (the `workspaces` setting), each
+ * with its own feature root and output directories. Modules of a workspace are
+ * named `<package>/<Feature>`; unqualified imports resolve within the
+ * importing package, and one dependency graph spans every package.
+ * 
+ * Only exported functions can be referenced from other modules: scenarios
+ * tagged @private, or left out of a module's export list step, are
+ * internal to the module.
+ * 
  * @module compiler/context
  */
 
 const { GherkinParser } = require('./parser');
 const { ContextBuildError } = require('./errors');
-const { findFiles, readFile, exists } = require('./utils/fs');
+const { resolveConfig } = require('./config-resolver');
+const { findFiles, exists } = require('./utils/fs');
 const path = require('path');
+const { glob } = require('glob');
 
 /**
  * @typedef {import('./types').ModuleInfo} ModuleInfo
+ * @typedef {import('./errors').ParseError} ParseError
  * @typedef {import('./types').DependencyGraph} DependencyGraph
  * @typedef {import('./types').ProjectConfiguration} ProjectConfiguration
+ * @typedef {import('./types').ConfigSource} ConfigSource
+ * @typedef {import('./types').WorkspacePackage} WorkspacePackage
+ * @typedef {import('./types').ExportedFunction} ExportedFunction
+ */
+
+/**
+ * Signature step: "function <name> accepts a and b as Type".
+ * @type {RegExp}
  */
+const SIGNATURE_PATTERN = /^function\s+(\w+)(?:\s+accepts\s+(.+))?$/;
+
+/**
+ * Package names usable as the qualifier of an import.
+ * @type {RegExp}
+ */
+const PACKAGE_NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * Settings a package configuration may set; the rest are build-wide.
+ * @type {string[]}
+ */
+const PACKAGE_CONFIG_KEYS = ['output.dir', 'output.testDir'];
 
 class ProjectContext {
     /**
@@ -34,22 +67,30 @@ class ProjectContext {
         this._graph = null;
         /** @type {ProjectConfiguration | null} */
         this._config = null;
+        /** @type {Object<string, ConfigSource>} */
+        this._configSources = {};
+        /** @type {WorkspacePackage[]} */
+        this._packages = [];
     }
 
     /**
      * Build project context by discovering files, parsing features, and constructing dependency graph.
      * 
      * @param {string} rootDir - Root directory to search for .feature files
-     * @param {string} [configPath] - Path to configuration file (default: rootDir/.gherkinrc.json)
+     * @param {string} [configPath] - Path to configuration file (default: closest configuration file
+     *   found from rootDir upwards)
+     * @param {Object} [options] - Configuration options
+     * @param {Object} [options.overrides] - Partial configuration overriding every other layer
+     * @param {Object<string, string>} [options.env] - Environment variables (default: process.env)
      * @returns {Promise<void>}
-     * @throws {ContextBuildError} If root directory not found or context building fails
+     * @throws {ContextBuildError} If root directory not found, a feature file has parse errors or
+     *   context building fails
      */
-    async build(rootDir, configPath = path.join(rootDir, '.gherkinrc.json')) {
+    async build(rootDir, configPath, options = {}) {
         // Normalize paths
         const root = path.resolve(rootDir);
-        const configFile = path.resolve(configPath);
 
-        this._config = await this._loadConfig(configFile);
+        await this.loadConfig(configPath, { ...options, cwd: root });
 
         if (!await exists(root)) {
             throw new ContextBuildError(`Root directory not found: ${root}`, {
@@ -57,12 +98,85 @@ class ProjectContext {
             });
         }
 
-        const featureFiles = await findFiles(root);
         const parser = new GherkinParser();
-        const parsedFeatures = await parser.parseMany(featureFiles);
+        const packages = await this.loadPackages(root, options);
+        const invalid = [];
+
+        if (packages.length === 0) {
+            invalid.push(...this._buildModuleRegistry(await parser.parseMany(await findFiles(root)), root, null));
+        } else {
+            for (const pkg of packages) {
+                invalid.push(...this._buildModuleRegistry(await parser.parseMany(await findFiles(pkg.dir)), root, pkg.name));
+            }
+        }
 
-        this._buildModuleRegistry(parsedFeatures, root);
-        this._buildAdjacentList(parsedFeatures, root);
+        this._rejectInvalidFeatures(invalid, root);
+        this._resolveImports(root);
+        this._checkReferences(root);
+        this._buildAdjacentList();
+    }
+
+    /**
+     * Find the packages of a workspace and resolve the configuration of
+     * each, looked up from the package directory upwards. Requires the
+     * root configuration to be loaded.
+     * 
+     * @param {string} rootDir - Workspace root directory
+     * @param {Object} [options] - Configuration options, as for {@link ProjectContext#build}
+     * @returns {Promise<WorkspacePackage[]>} Packages sorted by name; empty if the project is not a workspace
+     * @throws {ContextBuildError} If a package name is invalid or used twice, or if its
+     *   configuration sets anything but its output directories
+     */
+    async loadPackages(rootDir, options = {}) {
+        const root = path.resolve(rootDir);
+        const patterns = this._config?.workspaces || [];
+        const dirs = new Set();
+
+        for (const pattern of patterns) {
+            // A trailing slash makes glob match directories only
+            const matches = await glob(`${pattern.replace(/\/+$/, '')}/`, { cwd: root, absolute: true });
+            matches.forEach(dir => dirs.add(path.resolve(dir)));
+        }
+
+        const packages = [];
+        for (const dir of [...dirs].sort()) {
+            const name = path.basename(dir);
+            const duplicate = packages.find(pkg => pkg.name === name);
+            if (!PACKAGE_NAME_PATTERN.test(name) || duplicate) {
+                throw new ContextBuildError(
+                    duplicate
+                        ? `Duplicate package name "${name}" found in:\n  - ${duplicate.dir}\n  - ${dir}`
+                        : `Invalid package name "${name}" (${dir}): use letters, digits, "_" and "-"`,
+                    { rootDir: root }
+                );
+            }
+
+            const { config, sources } = await resolveConfig({ ...options, cwd: dir, configPath: undefined });
+            this._checkPackageConfig(name, dir, sources, root);
+            packages.push({ name, dir, config });
+        }
+
+        this._packages = packages.sort((a, b) => a.name.localeCompare(b.name));
+        return this._packages;
+    }
+
+    /**
+     * Load the project configuration without discovering or parsing features.
+     * 
+     * @param {string} [configPath] - Path to configuration file (default: closest configuration file
+     *   found from options.cwd upwards)
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.cwd] - Project directory (default: process.cwd())
+     * @param {Object} [options.overrides] - Partial configuration overriding every other layer
+     * @param {Object<string, string>} [options.env] - Environment variables (default: process.env)
+     * @returns {Promise<ProjectConfiguration>} Configuration with defaults applied
+     * @throws {ContextBuildError} If the configuration is invalid
+     */
+    async loadConfig(configPath, options = {}) {
+        const resolved = await resolveConfig({ ...options, configPath });
+        this._config = resolved.config;
+        this._configSources = resolved.sources;
+        return this._config;
     }
 
     /**
@@ -200,6 +314,80 @@ class ProjectContext {
         return Array.from(module.dependencies);
     }
 
+    /**
+     * Get modules that import a module directly.
+     *
+     * @param {string} moduleName - Module name (feature name)
+     * @returns {string[]} Array of dependent module names
+     */
+    getDependents(moduleName) {
+        return Array.from(this._graph?.reverseEdges.get(moduleName) || []);
+    }
+
+    /**
+     * Get the interface a module exposes to its importers: the function name
+     * of every exported scenario with its parameter names and declared types.
+     * Private scenarios and step bodies are not part of the interface.
+     *
+     * @param {string} moduleName - Module name (feature name)
+     * @returns {ExportedFunction[]} Exported functions in source order (empty if not found)
+     */
+    getModuleInterface(moduleName) {
+        const module = this._modules.get(moduleName);
+        if (!module) {
+            return [];
+        }
+
+        const scenarios = module.ast?.feature?.children.filter(child => child.type !== 'Background');
+        if (!scenarios) {
+            return module.exports.map(name => ({ name, params: [] }));
+        }
+
+        return scenarios.map((scenario) => {
+            const signature = scenario.steps
+                .map(step => step.text.match(SIGNATURE_PATTERN))
+                .find(Boolean);
+            if (!signature) {
+                return { name: scenario.name, params: [] };
+            }
+
+            const params = signature[2] ? signature[2].split(/\s+and\s+/) : [];
+            return {
+                name: signature[1],
+                params: params.map((param) => {
+                    const [name, type] = param.trim().split(/\s+as\s+/);
+                    return { name, type: type || null };
+                }),
+            };
+        }).filter(fn => module.exports.includes(fn.name));
+    }
+
+    /**
+     * Propagate changes along reverse edges to every module that depends on a
+     * changed module, directly or transitively.
+     *
+     * @param {Map<string, string>} changed - Changed module names mapped to why they changed
+     * @returns {Map<string, string>} Changed and affected module names mapped to rebuild reasons;
+     *   affected modules name the dependency the change reached them through
+     */
+    getAffectedModules(changed) {
+        const affected = new Map(changed);
+        const queue = [...changed.keys()];
+
+        while (queue.length > 0) {
+            const moduleName = queue.shift();
+
+            for (const dependent of this.getDependents(moduleName)) {
+                if (!affected.has(dependent)) {
+                    affected.set(dependent, `dependency ${moduleName} changed`);
+                    queue.push(dependent);
+                }
+            }
+        }
+
+        return affected;
+    }
+
     /**
      * Get loaded project configuration.
      * 
@@ -209,37 +397,203 @@ class ProjectContext {
         return this._config;
     }
 
-    _buildModuleRegistry(parsedFeatures, root) {
+    /**
+     * Get the layer each value of the loaded configuration came from.
+     * 
+     * @returns {Object<string, ConfigSource>} Sources by dotted key path (e.g., 'cache.maxSize'),
+     *   empty if no configuration is loaded
+     */
+    getConfigSources() {
+        return this._configSources;
+    }
+
+    /**
+     * Get the packages of a workspace.
+     * 
+     * @returns {WorkspacePackage[]} Packages sorted by name; empty if the project is not a workspace
+     */
+    getPackages() {
+        return this._packages;
+    }
+
+    /**
+     * Get a package of the workspace by name.
+     * 
+     * @param {string} name - Package name
+     * @returns {WorkspacePackage|null} Package or null if not found
+     */
+    getPackage(name) {
+        return this._packages.find(pkg => pkg.name === name) || null;
+    }
+
+    /**
+     * Reject package configuration files that set build-wide settings: only
+     * the output directories apply per package, everything else comes from
+     * the root configuration.
+     *
+     * @private
+     * @param {string} name - Package name
+     * @param {string} dir - Package directory
+     * @param {Object<string, ConfigSource>} sources - Sources of the package configuration
+     * @param {string} root - Workspace root directory
+     * @throws {ContextBuildError} If a package file sets anything but output.dir or output.testDir
+     */
+    _checkPackageConfig(name, dir, sources, root) {
+        const rootFiles = new Set(Object.values(this._configSources || {}).map(source => source.file));
+        const keys = Object.entries(sources)
+            .filter(([keyPath, source]) => source.layer === 'file' && !rootFiles.has(source.file)
+                && !PACKAGE_CONFIG_KEYS.includes(keyPath))
+            .map(([keyPath]) => keyPath);
+
+        if (keys.length > 0) {
+            throw new ContextBuildError(
+                `Package "${name}" (${dir}) sets ${keys.join(', ')}: a package configuration may only set `
+                    + 'output.dir and output.testDir, other settings come from the root configuration',
+                { rootDir: root }
+            );
+        }
+    }
+
+    /**
+     * Register the module of each parsed feature.
+     *
+     * @private
+     * @param {Map<string, ParsedFeature>} parsedFeatures - Parsed features by file path
+     * @param {string} root - Project root directory
+     * @param {string|null} packageName - Workspace package of the features
+     * @returns {Array<{filePath: string, errors: ParseError[]}>} Features left out because they have parse errors
+     * @throws {ContextBuildError} If two features define the same module
+     */
+    _buildModuleRegistry(parsedFeatures, root, packageName) {
+        const invalid = [];
+
         for (const [filePath, parsedFeature] of parsedFeatures.entries()) {
             if (parsedFeature.errors.length > 0) {
+                invalid.push({ filePath, errors: parsedFeature.errors });
                 continue;
             }
 
-            if (this._modules.has(parsedFeature.featureName)) {
-                const existingModule = this._modules.get(parsedFeature.featureName);
+            const moduleName = packageName
+                ? `${packageName}/${parsedFeature.featureName}`
+                : parsedFeature.featureName;
+
+            if (this._modules.has(moduleName)) {
+                const existingModule = this._modules.get(moduleName);
                 throw new ContextBuildError(
-                    `Duplicate feature name "${parsedFeature.featureName}" found in:\n` +
+                    `Duplicate feature name "${moduleName}" found in:\n` +
                     `  - ${existingModule?.file || 'unknown file'}\n` +
                     `  - ${filePath}`,
                     {
-                        featureName: parsedFeature.featureName,
+                        featureName: moduleName,
                         rootDir: root,
                     }
                 );
             }
 
-            this._fileToModule.set(filePath, parsedFeature.featureName);
+            this._fileToModule.set(filePath, moduleName);
 
-            this._modules.set(parsedFeature.featureName, {
+            this._modules.set(moduleName, {
                 file: filePath,
-                exports: parsedFeature.scenarios.map(scenario => scenario.name),
-                dependencies: parsedFeature.imports,
+                package: packageName,
+                exports: parsedFeature.exports,
+                imports: parsedFeature.dependencies,
+                dependencies: parsedFeature.dependencies,
+                examples: parsedFeature.examples,
+                ast: parsedFeature.ast,
+                warnings: parsedFeature.warnings || [],
                 parsedAt: new Date(),
             });
         }
+
+        return invalid;
+    }
+
+    /**
+     * Fail the build when feature files have parse errors, rather than
+     * leaving their modules out: a missing module would otherwise only
+     * show up as an unknown import, or not at all.
+     *
+     * @private
+     * @param {Array<{filePath: string, errors: ParseError[]}>} invalid - Features with parse errors
+     * @param {string} root - Project root directory
+     * @throws {ContextBuildError} If there is any, listing every error
+     */
+    _rejectInvalidFeatures(invalid, root) {
+        if (invalid.length === 0) {
+            return;
+        }
+
+        const lines = invalid.flatMap(({ filePath, errors }) => errors.map(error =>
+            `  - ${path.relative(root, filePath)}${error.line ? `:${error.line}` : ''}: ${error.message}`));
+        throw new ContextBuildError(`Invalid feature files:\n${lines.join('\n')}`, {
+            rootDir: root,
+            files: invalid.map(({ filePath }) => filePath),
+        });
     }
 
-    _buildAdjacentList(parsedFeatures, root) {
+    /**
+     * Resolve the imports of every module to module names. In a workspace,
+     * `<package>/<Feature>` names a module of any package and a bare
+     * feature name a module of the importing package.
+     * 
+     * @private
+     * @param {string} root - Project root directory
+     * @throws {ContextBuildError} If an import names no module
+     */
+    _resolveImports(root) {
+        for (const [moduleName, moduleInfo] of this._modules.entries()) {
+            moduleInfo.dependencies = moduleInfo.imports.map((name) => {
+                const dep = moduleInfo.package && !name.includes('/') ? `${moduleInfo.package}/${name}` : name;
+                if (this._modules.has(dep)) {
+                    return dep;
+                }
+
+                const elsewhere = moduleInfo.package
+                    ? [...this._modules.keys()].filter(other => other.endsWith(`/${name}`))
+                    : [];
+                throw new ContextBuildError(
+                    `Module "${moduleName}" depends on an unknown module "${name}"` +
+                    (elsewhere.length > 0 ? ` (did you mean ${elsewhere.map(other => `"${other}"`).join(' or ')}?)` : ''),
+                    { rootDir: root, featureName: moduleName },
+                );
+            });
+        }
+    }
+
+    /**
+     * Check that every `<Module>.<function>` reference in a step names a
+     * function the imported module exports.
+     * 
+     * @private
+     * @param {string} root - Project root directory
+     * @throws {ContextBuildError} If a step references a private or undefined function
+     */
+    _checkReferences(root) {
+        for (const [moduleName, moduleInfo] of this._modules.entries()) {
+            const steps = (moduleInfo.ast?.feature?.children || []).flatMap(child => child.steps || []);
+
+            for (const dep of moduleInfo.dependencies) {
+                const depInfo = this._modules.get(dep);
+                const namespace = dep.split('/').pop();
+                const pattern = new RegExp(`\\b${namespace}\\.(\\w+)`, 'g');
+
+                for (const step of steps) {
+                    for (const [reference, name] of step.text.matchAll(pattern)) {
+                        if (depInfo.exports.includes(name)) {
+                            continue;
+                        }
+                        throw new ContextBuildError(
+                            `Module "${moduleName}" references "${reference}" (line ${step.location.line}), ` +
+                            `which "${dep}" does not export`,
+                            { rootDir: root, featureName: moduleName },
+                        );
+                    }
+                }
+            }
+        }
+    }
+
+    _buildAdjacentList() {
         const nodes = new Set(this._modules.keys());
         const edges = new Map();
         const reverseEdges = new Map();
@@ -251,13 +605,6 @@ class ProjectContext {
 
         for (const [moduleName, moduleInfo] of this._modules.entries()) {
             for (const dep of moduleInfo.dependencies) {
-                if (!nodes.has(dep)) {
-                    throw new ContextBuildError(
-                        `Module "${moduleName}" depends on an unknow module "${dep}"`,
-                        { rootDir: root, featureName: moduleName },
-                    );
-                }
-
                 edges.get(moduleName).add(dep);
                 reverseEdges.get(dep).add(moduleName);
             }
@@ -270,64 +617,6 @@ class ProjectContext {
             compileOrder: [],
         };
     }
-
-    async _loadConfig(configFile) {
-        // T038: Load configuration
-        let configData = {};
-
-        if (await exists(configFile)) {
-            try {
-                const content = await readFile(configFile);
-                configData = JSON.parse(content);
-            } catch (error) {
-                throw new ContextBuildError(
-                    `Invalid configuration file: ${configFile} - ${error.message}`,
-                    { rootDir: path.dirname(configFile) }
-                );
-            }
-        }
-
-        // T039: Validate required fields and types
-        // T040: Apply defaults for missing optional fields
-        return {
-            target: configData.target || 'javascript',
-            moduleFormat: configData.moduleFormat || 'commonjs',
-            output: {
-                dir: configData.output?.dir || 'dist',
-                testDir: configData.output?.testDir || 'test/generated',
-                docsDir: configData.output?.docsDir || 'docs',
-            },
-            cache: {
-                enabled: configData.cache?.enabled ?? true,
-                dir: configData.cache?.dir || '.gherkin-cache',
-                maxSize: configData.cache?.maxSize || '100MB',
-                ttl: configData.cache?.ttl || '7d',
-            },
-            validation: {
-                syntax: configData.validation?.syntax ?? true,
-                purity: configData.validation?.purity ?? true,
-                lint: configData.validation?.lint ?? false,
-                lintConfig: configData.validation?.lintConfig || '.eslintrc.json',
-            },
-            ai: {
-                model: configData.ai?.model || 'claude-3-opus-20240229',
-                maxRetries: configData.ai?.maxRetries || 3,
-                timeout: configData.ai?.timeout || 60000,
-            },
-            generation: {
-                jsdoc: configData.generation?.jsdoc ?? true,
-                tests: configData.generation?.tests ?? true,
-                docs: configData.generation?.docs ?? false,
-                prettier: configData.generation?.prettier ?? true,
-            },
-            ...(configData.watch && {
-                watch: {
-                    debounce: configData.watch.debounce || 300,
-                    ignore: configData.watch.ignore || [],
-                },
-            }),
-        };
-    }
 }
 
 module.exports = { ProjectContext };
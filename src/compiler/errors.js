@@ -38,8 +38,8 @@ class ParseError extends Error {
    * @param {string} message - Error message
    * @param {Object} [options] - Additional error options
    * @param {string} [options.filePath] - Path to file that failed to parse
-   * @param {number} [options.line] - Line number where error occurred
-   * @param {number} [options.column] - Column number where error occurred
+   * @param {number} [options.line] - Line number where error occurred (1-indexed)
+   * @param {number} [options.column] - Column number where error occurred (0-indexed)
    * @param {string} [options.type] - Type of parse error ('syntax' | 'structure' | 'missing_feature' | 'system')
    */
   constructor(message, options = {}) {
@@ -62,6 +62,9 @@ class ContextBuildError extends Error {
    * @param {string} [options.rootDir] - Root directory that failed to build
    * @param {string} [options.featureName] - Feature name that caused the error (e.g., duplicate)
    * @param {Array<string>} [options.cycle] - Module names in circular dependency cycle
+   * @param {string} [options.path] - JSON path of the first invalid configuration value (e.g., '$.cache.maxSize')
+   * @param {Array<import('./types').ConfigIssue>} [options.issues] - Every configuration problem found
+   * @param {Array<string>} [options.files] - Feature files with parse errors
    */
   constructor(message, options = {}) {
     super(message);
@@ -69,6 +72,9 @@ class ContextBuildError extends Error {
     this.rootDir = options.rootDir;
     this.featureName = options.featureName;
     this.cycle = options.cycle;
+    this.path = options.path;
+    this.issues = options.issues;
+    this.files = options.files;
     Error.captureStackTrace(this, ContextBuildError);
   }
 }
@@ -1,11 +1,1220 @@
 /**
  * Compiler orchestrator for GherkinLang.
- * 
+ *
  * Coordinates all components to execute the compilation pipeline, including
  * file discovery, dependency resolution, cache management, AI transformation,
  * validation, code generation, and test generation.
- * 
+ *
  * @module compiler
  */
 
-throw new Error('src/compiler/index.js is not implemented');
+const path = require('path');
+const { ProjectContext } = require('./context');
+const { CacheManager } = require('./cache');
+const { createRemoteBackend } = require('./cache-backends');
+const { BuildScheduler } = require('./scheduler');
+const { splitModule, extractUnitsSource, splitCode, assembleModule } = require('./units');
+const { extractSignatures } = require('./signatures');
+const { resolveConfig } = require('./config-resolver');
+const { ContextBuildError, CacheError } = require('./errors');
+const { sha256 } = require('./utils/hash');
+const { readFile, writeFile } = require('./utils/fs');
+const { PromptBuilder } = require('../ai/prompt-builder');
+const { RuleTransformer, RULES_MODEL } = require('../ai/rule-transformer');
+const { RateLimiter } = require('../ai/rate-limiter');
+const { DEFAULT_PRICES, emptyUsage, addUsage, computeCost } = require('../ai/pricing');
+const { validate } = require('../validation/validator');
+const { generate, computeOutputPath } = require('../generation/generator');
+const { generateTests, computeTestPath } = require('../generation/test-generator');
+const { version: COMPILER_VERSION } = require('../../package.json');
+
+/**
+ * @typedef {import('./types').ProjectConfiguration} ProjectConfiguration
+ * @typedef {import('./types').CompileOptions} CompileOptions
+ * @typedef {import('./types').BuildReport} BuildReport
+ * @typedef {import('./types').ModuleBuildResult} ModuleBuildResult
+ * @typedef {import('./types').CacheEntry} CacheEntry
+ */
+
+/**
+ * Compiler orchestrator for GherkinLang projects.
+ *
+ * @class Compiler
+ */
+class Compiler {
+    /**
+     * Creates a new Compiler instance.
+     *
+     * @param {Object} [options={}] - Compiler options
+     * @param {Object} [options.transformer] - Transformer exposing `transform(source, context, options)`
+     *   (default: created lazily on the first cache miss according to `ai.mode`)
+     * @param {CacheManager} [options.cache] - Cache manager to use instead of one built from config
+     * @param {string} [options.compilerVersion] - Compiler version string (default: package.json version)
+     * @param {RateLimiter} [options.rateLimiter] - Rate limiter shared by concurrent AI transformations
+     *   (default: one per compiler)
+     */
+    constructor(options = {}) {
+        this._transformer = options.transformer || null;
+        this._aiTransformer = null;
+        this._cache = options.cache || null;
+        this._compilerVersion = options.compilerVersion || COMPILER_VERSION;
+        this._promptBuilder = new PromptBuilder();
+        this._rateLimiter = options.rateLimiter || new RateLimiter();
+        // Cache reads and writes of concurrently compiling modules are serialized
+        this._cacheQueue = Promise.resolve();
+    }
+
+    /**
+     * Compile every module of a project in dependency order.
+     *
+     * Builds the project context and compares every module against the state
+     * recorded by the previous build. Modules whose source, rules, config or
+     * compiler version changed are marked dirty, and the dirty set is
+     * propagated to their dependents. Dirty modules are transformed,
+     * validated and generated again; the rest are served from the cache.
+     * Modules whose dependencies are done compile in parallel, up to the
+     * configured concurrency. The transformer of each module is given the
+     * compiled signatures of the modules it imports.
+     *
+     * @param {string} rootDir - Project root directory containing .feature files
+     * @param {CompileOptions} [options={}] - Compilation options
+     * @returns {Promise<BuildReport>} Structured per-module build report
+     * @throws {ContextBuildError} If the project context cannot be built, has circular dependencies
+     *   or a requested file defines no module
+     */
+    async compileProject(rootDir, options = {}) {
+        const startTime = Date.now();
+        const root = path.resolve(rootDir);
+
+        const context = new ProjectContext();
+        await context.build(root, options.configPath, { overrides: options.configOverrides });
+
+        const cycles = context.detectCycles();
+        if (cycles.length > 0) {
+            throw new ContextBuildError(
+                `Circular dependencies detected: ${cycles.map(cycle => cycle.message).join(', ')}`,
+                { rootDir: root, cycle: cycles[0].modules }
+            );
+        }
+
+        const config = context.getConfig();
+        const rules = await this._loadRules(config, root);
+        const build = {
+            root,
+            context,
+            config,
+            target: options.target || config.target,
+            moduleFormat: options.moduleFormat || config.moduleFormat,
+            outputDir: path.resolve(root, options.outputDir || config.output.dir),
+            testDir: path.resolve(root, options.testDir || config.output.testDir),
+            // Workspace packages write to their own output directories
+            packages: new Map(context.getPackages().map(pkg => [pkg.name, {
+                outputDir: path.resolve(pkg.dir, options.outputDir || pkg.config.output.dir),
+                testDir: path.resolve(pkg.dir, options.testDir || pkg.config.output.testDir),
+            }])),
+            dryRun: options.dryRun === true,
+            // Transformer progress is only streamed when someone listens
+            onTransformEvent: options.onEvent
+                ? (moduleName, event) => this._emitEvent(options, { type: 'transform', moduleName, event })
+                : null,
+            signal: options.signal || null,
+            maxAttempts: Math.max(1, options.maxAttempts || config.ai.maxAttempts),
+            prices: { ...DEFAULT_PRICES, ...config.ai.pricing },
+            budget: config.ai.budget || {},
+            usage: { tokens: emptyUsage(), cost: 0 },
+            // Signatures of modules compiled or served from cache, for the prompts of their importers
+            interfaces: new Map(),
+            rules,
+            rulesHash: sha256(rules),
+            cache: this._getCache(config, root, options),
+        };
+        build.targetPrompt = await this._promptBuilder.getTargetPrompt(build.target);
+        build.configHash = this._hashBuildConfig(build);
+
+        // getCompilerOrder lists dependents before their dependencies
+        const selected = options.files ? this._selectModules(context, root, options.files) : null;
+        const compileOrder = [...context.getCompilerOrder()]
+            .reverse()
+            .filter(moduleName => !selected || selected.has(moduleName));
+        const previousState = build.cache ? await build.cache.getBuildState() : null;
+        Object.assign(build, await this._planBuild(compileOrder, build, previousState));
+
+        const scheduler = new BuildScheduler({
+            concurrency: options.concurrency ?? config.concurrency,
+            rateLimiter: this._rateLimiter,
+        });
+        const onRateLimit = ({ delay, until }) => this._emitEvent(options, { type: 'rate-limit', delay, until });
+        this._rateLimiter.on('pause', onRateLimit);
+
+        let modules;
+        try {
+            modules = await scheduler.run(compileOrder, {
+                getDependencies: moduleName => context.getDependencies(moduleName),
+                compile: moduleName => this._compileModule(moduleName, build),
+                skip: (moduleName, blockedBy) => this._skipModule(moduleName, context, blockedBy),
+                onEvent: event => this._emitEvent(options, event),
+            });
+        } finally {
+            this._rateLimiter.off('pause', onRateLimit);
+        }
+
+        if (build.cache && !build.dryRun) {
+            await this._flushCache(build.cache);
+            await this._saveBuildState(build, previousState, modules);
+        }
+
+        return {
+            success: modules.every(m => m.status === 'compiled' || m.status === 'cached'),
+            rootDir: root,
+            compileOrder,
+            modules,
+            stats: {
+                totalModules: modules.length,
+                compiledModules: modules.filter(m => m.status === 'compiled').length,
+                cachedModules: modules.filter(m => m.status === 'cached').length,
+                failedModules: modules.filter(m => m.status === 'failed').length,
+                skippedModules: modules.filter(m => m.status === 'skipped').length,
+                duration: Date.now() - startTime,
+                tokens: build.usage.tokens,
+                cost: build.usage.cost,
+            },
+        };
+    }
+
+    /**
+     * Get the effective rules of a project: the built-in rules followed by
+     * the rules files listed under `rules` in its configuration, later files
+     * taking precedence. This is the text the transformer is given and the
+     * cache keys are computed from.
+     *
+     * @param {string} rootDir - Project root directory
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.configPath] - Configuration file (default: looked up from rootDir)
+     * @param {Object} [options.configOverrides] - Partial configuration applied over every other layer
+     * @returns {Promise<string>} Effective rules content
+     * @throws {ContextBuildError} If the configuration is invalid or a rules file cannot be read
+     */
+    async getRules(rootDir, options = {}) {
+        const root = path.resolve(rootDir);
+        const { config } = await resolveConfig({
+            cwd: root,
+            configPath: options.configPath,
+            overrides: options.configOverrides,
+        });
+        return this._loadRules(config, root);
+    }
+
+    /**
+     * @private
+     * @param {ProjectConfiguration} config - Project configuration
+     * @param {string} root - Project root directory
+     * @returns {Promise<string>} Built-in rules followed by the project's rules files
+     * @throws {ContextBuildError} If a rules file cannot be read
+     */
+    async _loadRules(config, root) {
+        try {
+            return await this._promptBuilder.getRules({ rulesFiles: config.rules, rootDir: root });
+        } catch (error) {
+            throw new ContextBuildError(error.message, { rootDir: root });
+        }
+    }
+
+    /**
+     * Read module sources and decide which modules must be rebuilt.
+     *
+     * A module changed when it has no recorded state or when its source,
+     * the rules, the build config, the compiler version or the source of a
+     * direct dependency differs from the recorded fingerprint. Changes are
+     * then propagated to dependents through the graph's reverse edges.
+     *
+     * @private
+     * @param {string[]} compileOrder - Modules in this build
+     * @param {Object} build - Per-build state
+     * @param {import('./types').BuildState|null} previousState - State recorded by the previous build
+     * @returns {Promise<{sources: Map<string, string>, sourceHashes: Map<string, string>,
+     *   rebuildReasons: Map<string, string>}>} Sources, their hashes and why dirty modules are rebuilt
+     */
+    async _planBuild(compileOrder, build, previousState) {
+        const sources = new Map();
+        const sourceHashes = new Map();
+
+        for (const moduleName of compileOrder) {
+            try {
+                const source = await readFile(build.context.getModule(moduleName).file);
+                sources.set(moduleName, source);
+                sourceHashes.set(moduleName, sha256(source));
+            } catch {
+                // Reported as a module failure by _compileModule
+            }
+        }
+
+        const changed = new Map();
+        for (const moduleName of compileOrder) {
+            const reason = this._getChangeReason(moduleName, previousState?.modules[moduleName], sourceHashes, build);
+            if (reason) {
+                changed.set(moduleName, reason);
+            }
+        }
+
+        return { sources, sourceHashes, rebuildReasons: build.context.getAffectedModules(changed) };
+    }
+
+    /**
+     * Compare a module against its recorded fingerprint.
+     *
+     * @private
+     * @param {string} moduleName - Module name
+     * @param {import('./types').ModuleBuildState|undefined} previous - Fingerprint from the previous build
+     * @param {Map<string, string>} sourceHashes - Current source hashes
+     * @param {Object} build - Per-build state
+     * @returns {string|null} Why the module must be rebuilt, or null if it is unchanged
+     */
+    _getChangeReason(moduleName, previous, sourceHashes, build) {
+        if (!build.cache) {
+            return 'cache disabled';
+        }
+        if (!previous) {
+            return 'not built before';
+        }
+        if (previous.compilerVersion !== this._compilerVersion) {
+            return 'compiler version changed';
+        }
+        if (previous.rulesHash !== build.rulesHash) {
+            return 'rules changed';
+        }
+        if (previous.configHash !== build.configHash) {
+            return 'config changed';
+        }
+        if (previous.sourceHash !== sourceHashes.get(moduleName)) {
+            return 'source changed';
+        }
+
+        const changedDependency = build.context.getDependencies(moduleName)
+            .find(dep => previous.dependencies?.[dep] !== sourceHashes.get(dep));
+        return changedDependency ? `dependency ${changedDependency} changed` : null;
+    }
+
+    /**
+     * Hash the configuration that affects generated code.
+     *
+     * @private
+     * @param {Object} build - Per-build state
+     * @returns {string} SHA256 hash
+     */
+    _hashBuildConfig(build) {
+        return sha256(JSON.stringify({
+            target: build.target,
+            moduleFormat: build.moduleFormat,
+            outputDir: path.relative(build.root, build.outputDir),
+            testDir: path.relative(build.root, build.testDir),
+            ...(build.packages.size > 0 && {
+                packages: [...build.packages].map(([name, dirs]) => [
+                    name,
+                    path.relative(build.root, dirs.outputDir),
+                    path.relative(build.root, dirs.testDir),
+                ]),
+            }),
+            generation: build.config.generation,
+            validation: build.config.validation,
+            ai: { mode: build.config.ai.mode, model: build.config.ai.model },
+        }));
+    }
+
+    /**
+     * Record fingerprints of the modules that built successfully. Modules
+     * outside this build keep their previous state; failed and skipped
+     * modules lose it so the next build retries them.
+     *
+     * @private
+     * @param {Object} build - Per-build state
+     * @param {import('./types').BuildState|null} previousState - State recorded by the previous build
+     * @param {ModuleBuildResult[]} results - Module results of this build
+     * @returns {Promise<void>}
+     */
+    async _saveBuildState(build, previousState, results) {
+        const modules = Object.fromEntries(Object.entries(previousState?.modules || {})
+            .filter(([moduleName]) => build.context.getModule(moduleName)));
+
+        for (const { moduleName, status, cacheKey } of results) {
+            if (status !== 'compiled' && status !== 'cached') {
+                delete modules[moduleName];
+                continue;
+            }
+
+            modules[moduleName] = {
+                sourceHash: build.sourceHashes.get(moduleName),
+                rulesHash: build.rulesHash,
+                configHash: build.configHash,
+                compilerVersion: this._compilerVersion,
+                dependencies: Object.fromEntries(build.context.getDependencies(moduleName)
+                    .map(dep => [dep, build.sourceHashes.get(dep)])),
+                cacheKey,
+            };
+        }
+
+        try {
+            await build.cache.saveBuildState({ modules });
+        } catch (error) {
+            if (!(error instanceof CacheError)) {
+                throw error;
+            }
+            // Harmless: modules built now differ from the old state and are rebuilt next time
+        }
+    }
+
+    /**
+     * Resolve the modules defined under the given files or directories,
+     * together with everything they depend on.
+     *
+     * @private
+     * @param {ProjectContext} context - Built project context
+     * @param {string} root - Project root directory
+     * @param {string[]} files - Feature files or directories, relative to root
+     * @returns {Set<string>} Selected module names
+     * @throws {ContextBuildError} If a file or directory defines no module
+     */
+    _selectModules(context, root, files) {
+        const targets = files.map(file => path.resolve(root, file));
+        const matched = new Set();
+        const selected = new Set();
+        const visit = (moduleName) => {
+            if (!selected.has(moduleName)) {
+                selected.add(moduleName);
+                context.getDependencies(moduleName).forEach(visit);
+            }
+        };
+
+        for (const moduleName of context.getCompilerOrder()) {
+            const { file } = context.getModule(moduleName);
+            const containing = targets.filter(target => file === target || file.startsWith(`${target}${path.sep}`));
+            if (containing.length > 0) {
+                containing.forEach(target => matched.add(target));
+                visit(moduleName);
+            }
+        }
+
+        const unmatched = files.filter((file, index) => !matched.has(targets[index]));
+        if (unmatched.length > 0) {
+            throw new ContextBuildError(`No module found for: ${unmatched.join(', ')}`, { rootDir: root });
+        }
+
+        return selected;
+    }
+
+    /**
+     * Compile a single module, serving it from the cache when possible.
+     *
+     * @private
+     * @param {string} moduleName - Module name (feature name)
+     * @param {Object} build - Per-build state assembled by compileProject
+     * @returns {Promise<ModuleBuildResult>} Module build result
+     */
+    async _compileModule(moduleName, build) {
+        const startTime = Date.now();
+        const moduleInfo = build.context.getModule(moduleName);
+        const { outputDir, testDir } = this._getOutputDirs(moduleInfo, build);
+        const outputPath = computeOutputPath(moduleInfo.file, outputDir);
+        const result = this._createModuleResult(moduleName, moduleInfo.file);
+        const rebuildReason = build.rebuildReasons.get(moduleName);
+        result.outputPath = outputPath;
+        result.warnings.push(...(moduleInfo.warnings || []).map(warning => ({
+            stage: 'parse',
+            message: warning.message,
+            line: warning.line,
+        })));
+
+        try {
+            const source = build.sources.get(moduleName) ?? await readFile(moduleInfo.file);
+            const { cache } = build;
+
+            if (cache) {
+                // The content-addressed key alone decides, so a reverted edit, a dependency change
+                // that keeps its interface or a shared cache can serve modules marked for rebuild
+                result.cacheKey = this._generateCacheKey(cache, source, moduleInfo, build);
+                const entry = await this._readCache(cache, result.cacheKey, result);
+
+                if (entry) {
+                    result.testPath = entry.generatedTests ? computeTestPath(outputPath, testDir) : null;
+                    if (!build.dryRun) {
+                        await this._writeCachedOutputs(entry, result);
+                    }
+                    this._recordInterface(moduleName, entry.compiledCode, build);
+                    result.status = 'cached';
+                    result.metadata = entry.metadata;
+                    result.duration = Date.now() - startTime;
+                    return result;
+                }
+            }
+
+            result.rebuildReason = rebuildReason || 'not cached';
+
+            const units = cache ? await this._readUnits(cache, source, moduleInfo, build, result) : null;
+            const transformed = (units && await this._transformUnits(units, moduleName, moduleInfo, build, result))
+                || await this._transformAndValidate(source, moduleName, moduleInfo, build, result);
+            if (!transformed) {
+                result.duration = Date.now() - startTime;
+                return result;
+            }
+
+            const generated = await generate(transformed.code, {
+                sourcePath: moduleInfo.file,
+                featureName: moduleName,
+                scenarios: this._getScenarios(moduleInfo),
+                examples: moduleInfo.examples || [],
+                exports: moduleInfo.exports,
+                dependencies: this._resolveDependencies(moduleInfo, build),
+            }, {
+                outputDir,
+                moduleFormat: build.moduleFormat === 'esm' ? 'esm' : 'cjs',
+                dryRun: build.dryRun,
+                skipFormat: !build.config.generation.prettier,
+            });
+
+            if (generated.formatWarning) {
+                result.warnings.push({ stage: 'generate', message: generated.formatWarning });
+            }
+            this._recordInterface(moduleName, generated.formattedCode, build);
+
+            let generatedTests;
+            if (build.config.generation.tests) {
+                const suite = await generateTests(generated, {
+                    scenarios: this._getScenarios(moduleInfo),
+                    examples: moduleInfo.examples || [],
+                }, {
+                    testDir,
+                    moduleFormat: build.moduleFormat,
+                    dryRun: build.dryRun,
+                });
+                generatedTests = suite.code;
+                result.testPath = suite.testPath;
+            }
+
+            if (units && !build.dryRun) {
+                await this._writeUnits(cache, units, transformed, moduleInfo, build, result);
+            }
+
+            if (cache && !build.dryRun) {
+                await this._writeCache(cache, {
+                    key: result.cacheKey,
+                    sourceHash: sha256(source),
+                    sourcePath: path.relative(build.root, moduleInfo.file),
+                    rulesHash: build.rulesHash,
+                    compiledCode: generated.formattedCode,
+                    generatedTests,
+                    metadata: {
+                        timestamp: new Date().toISOString(),
+                        duration: Date.now() - startTime,
+                        model: transformed.metadata?.model,
+                        compilerVersion: this._compilerVersion,
+                        target: build.target,
+                    },
+                }, result);
+            }
+
+            result.status = 'compiled';
+            result.metadata = transformed.metadata || null;
+        } catch (error) {
+            result.status = 'failed';
+            result.errors.push({ stage: 'compile', message: error.message, name: error.name });
+        }
+
+        result.duration = Date.now() - startTime;
+        return result;
+    }
+
+    /**
+     * Transform and validate module source, feeding validation errors back to
+     * the transformer until the output is valid or the attempt budget runs out.
+     *
+     * Every attempt is recorded on the module result. When the attempt budget
+     * is exhausted the errors of the last attempt become the module errors.
+     * Once the build's token or cost budget is spent, no further attempt is
+     * started and the module is skipped.
+     *
+     * @private
+     * @param {string} source - GherkinLang source code
+     * @param {string} moduleName - Module name
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @param {ModuleBuildResult} result - Module result to record attempts and errors on
+     * @returns {Promise<import('../ai/types').TransformResult|null>} Valid transform result or null on failure
+     */
+    async _transformAndValidate(source, moduleName, moduleInfo, build, result) {
+        // Numbered after a failed scenario-level attempt, if there was one
+        const previousAttempts = result.attempts.length;
+        let feedback;
+
+        for (let attempt = 1; attempt <= build.maxAttempts; attempt++) {
+            const exceeded = this._getBudgetExceeded(build);
+            if (exceeded) {
+                result.status = 'skipped';
+                result.errors.push({
+                    stage: 'budget',
+                    message: `Skipped because the build budget was exceeded (${exceeded})`,
+                });
+                return null;
+            }
+
+            const attemptStart = Date.now();
+            const { transformed, error } = await this._transform(source, moduleName, moduleInfo, build, result, feedback);
+
+            if (error) {
+                result.attempts.push({
+                    attempt: previousAttempts + attempt,
+                    valid: false,
+                    errors: [error],
+                    duration: Date.now() - attemptStart,
+                });
+                result.status = 'failed';
+                result.errors.push(error);
+                return null;
+            }
+
+            const validation = await this._validate(transformed.code, build, result);
+            const errors = validation.errors.map(validationError => ({ stage: 'validate', ...validationError }));
+
+            result.attempts.push({
+                attempt: previousAttempts + attempt,
+                valid: validation.valid,
+                errors,
+                duration: Date.now() - attemptStart,
+            });
+
+            if (validation.valid) {
+                result.warnings.push(...validation.warnings.map(warning => ({ stage: 'validate', ...warning })));
+                return transformed;
+            }
+
+            if (attempt === build.maxAttempts) {
+                result.status = 'failed';
+                result.errors.push(...errors);
+                return null;
+            }
+
+            feedback = { previousCode: transformed.code, errors: validation.errors };
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate compiled module code with the project's validation settings.
+     *
+     * @private
+     * @param {string} code - Compiled module code
+     * @param {Object} build - Per-build state
+     * @param {ModuleBuildResult} result - Module result
+     * @returns {Promise<import('../validation/types').ValidationResult>} Validation result
+     */
+    async _validate(code, build, result) {
+        return validate(code, {
+            filename: path.basename(result.outputPath),
+            moduleFormat: build.moduleFormat === 'esm' ? 'esm' : 'cjs',
+            skipLint: !build.config.validation.lint,
+        });
+    }
+
+    /**
+     * Split a module into scenario units and look each one up in the cache.
+     *
+     * @private
+     * @param {CacheManager} cache - Cache manager
+     * @param {string} source - GherkinLang source code
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @param {ModuleBuildResult} result - Module result to record cache warnings on
+     * @returns {Promise<{split: import('./types').ModuleSplit, keys: Map<string, string>,
+     *   entries: Map<string, CacheEntry>}|null>} Units with their keys and cached entries, or null if the
+     *   module cannot be split
+     */
+    async _readUnits(cache, source, moduleInfo, build, result) {
+        const split = build.target === 'javascript' ? splitModule(source, moduleInfo.ast) : null;
+        if (!split) {
+            return null;
+        }
+
+        const keys = new Map();
+        const entries = new Map();
+        for (const unit of split.units) {
+            keys.set(unit.name, this._generateCacheKey(cache, unit.source, moduleInfo, build, unit.name));
+            const entry = await this._readCache(cache, keys.get(unit.name), result);
+            if (entry) {
+                entries.set(unit.name, entry);
+            }
+        }
+
+        return { split, keys, entries };
+    }
+
+    /**
+     * Transform only the scenarios missing from the unit cache and
+     * reassemble the module with the cached functions.
+     *
+     * Returns null, so the whole module is transformed instead, when no unit
+     * is cached or a cached function cannot be split out, when the build
+     * budget is spent, when the transformation fails, or when the
+     * transformed or reassembled code cannot be used: it does not declare
+     * each function at the top level, or the reassembled module fails
+     * validation. A transformation that was made is recorded as a failed
+     * attempt, with its errors, before falling back.
+     *
+     * @private
+     * @param {{split: import('./types').ModuleSplit, entries: Map<string, CacheEntry>}} units - Units read by
+     *   _readUnits
+     * @param {string} moduleName - Module name
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @param {ModuleBuildResult} result - Module result to record the attempt on
+     * @returns {Promise<import('../ai/types').TransformResult|null>} Reassembled module or null
+     */
+    async _transformUnits({ split, entries }, moduleName, moduleInfo, build, result) {
+        const cached = split.units.filter(unit => entries.has(unit.name));
+        const changed = split.units.filter(unit => !entries.has(unit.name));
+        if (cached.length === 0) {
+            return null;
+        }
+
+        const fragments = [];
+        for (const unit of cached) {
+            const fragment = splitCode(entries.get(unit.name).compiledCode, [unit.name]);
+            if (!fragment) {
+                return null;
+            }
+            fragments.push(fragment);
+        }
+
+        const startTime = Date.now();
+        const fallBack = (errors, reason) => {
+            result.attempts.push({ attempt: result.attempts.length + 1, valid: false, errors, duration: Date.now() - startTime });
+            result.warnings.push({ stage: 'cache', message: `${reason}; compiling the whole module` });
+            return null;
+        };
+        let transformed = null;
+
+        if (changed.length > 0) {
+            if (this._getBudgetExceeded(build)) {
+                return null;
+            }
+            const partialSource = extractUnitsSource(split, changed);
+            const attempt = await this._transform(partialSource, moduleName, moduleInfo, build, result);
+            if (attempt.error) {
+                return fallBack([attempt.error], 'Transforming the changed scenarios failed');
+            }
+
+            transformed = attempt.transformed;
+            const fragment = splitCode(transformed.code, changed.map(unit => unit.name));
+            if (!fragment) {
+                return fallBack([{
+                    stage: 'transform',
+                    message: 'Transformed scenarios do not declare each function at the top level',
+                }], 'Transformed scenarios could not be merged with the cached ones');
+            }
+            fragments.unshift(fragment);
+        }
+
+        const code = assembleModule(fragments, split.units.map(unit => unit.name), { moduleFormat: build.moduleFormat });
+        const validation = await this._validate(code, build, result);
+        if (!validation.valid) {
+            return fallBack(
+                validation.errors.map(validationError => ({ stage: 'validate', ...validationError })),
+                'Module reassembled from cached scenarios failed validation'
+            );
+        }
+
+        result.attempts.push({ attempt: result.attempts.length + 1, valid: true, errors: [], duration: Date.now() - startTime });
+        result.warnings.push(...validation.warnings.map(warning => ({ stage: 'validate', ...warning })));
+        result.units = { cached: cached.map(unit => unit.name), compiled: changed.map(unit => unit.name) };
+
+        return {
+            success: true,
+            code,
+            toolCalls: transformed?.toolCalls || [],
+            metadata: transformed?.metadata || {
+                model: entries.get(cached[0].name).metadata.model,
+                tokens: { input: 0, output: 0, total: 0 },
+                duration: Date.now() - startTime,
+                retryCount: 0,
+                cacheHit: true,
+            },
+        };
+    }
+
+    /**
+     * Cache each function of a compiled module under its unit key, together
+     * with the module-level code it may use. Units already cached are left
+     * alone.
+     *
+     * @private
+     * @param {CacheManager} cache - Cache manager
+     * @param {{split: import('./types').ModuleSplit, keys: Map<string, string>,
+     *   entries: Map<string, CacheEntry>}} units - Units read by _readUnits
+     * @param {import('../ai/types').TransformResult} transformed - Transformed module
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @param {ModuleBuildResult} result - Module result to record warnings on
+     * @returns {Promise<void>}
+     */
+    async _writeUnits(cache, { split, keys, entries }, transformed, moduleInfo, build, result) {
+        const fragment = splitCode(transformed.code, split.units.map(unit => unit.name));
+        if (!fragment) {
+            return;
+        }
+
+        const sourcePath = path.relative(build.root, moduleInfo.file);
+        for (const unit of split.units.filter(({ name }) => !entries.has(name))) {
+            await this._writeCache(cache, {
+                key: keys.get(unit.name),
+                sourceHash: sha256(unit.source),
+                sourcePath: `${sourcePath}#${unit.name}`,
+                rulesHash: build.rulesHash,
+                compiledCode: assembleModule([fragment], [unit.name]),
+                metadata: {
+                    timestamp: new Date().toISOString(),
+                    duration: 0,
+                    model: transformed.metadata?.model,
+                    compilerVersion: this._compilerVersion,
+                    target: build.target,
+                },
+            }, result);
+        }
+    }
+
+    /**
+     * Run a single transformation, converting failures into a module error.
+     * Tokens it consumed, whether it succeeded or not, are charged to the
+     * module and the build.
+     *
+     * @private
+     * @param {string} source - GherkinLang source code
+     * @param {string} moduleName - Module name
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @param {ModuleBuildResult} result - Module result to charge usage to
+     * @param {import('../ai/types').CorrectionFeedback} [feedback] - Previous attempt to correct
+     * @returns {Promise<{transformed?: import('../ai/types').TransformResult, error?: import('./types').ModuleBuildError}>}
+     */
+    async _transform(source, moduleName, moduleInfo, build, result, feedback) {
+        try {
+            const transformer = this._getTransformer(build.config, build.root);
+            const transformed = await transformer.transform(source, {
+                moduleName,
+                // Names as written in the source, which the transformer matches import steps against
+                dependencies: moduleInfo.imports,
+                imports: moduleInfo.imports,
+                interfaces: this._getDependencyInterfaces(moduleInfo, build),
+            }, {
+                target: build.target,
+                moduleFormat: build.moduleFormat,
+                rules: build.rules,
+                ...(feedback && { feedback }),
+                ...(build.onTransformEvent && { onEvent: event => build.onTransformEvent(moduleName, event) }),
+                ...(build.signal && { signal: build.signal }),
+            });
+            this._chargeUsage(transformed.metadata?.tokens, transformed.metadata?.model, build, result);
+
+            if (!transformed.success || !transformed.code) {
+                return {
+                    error: { stage: 'transform', message: transformed.error || 'Transformation produced no code' },
+                };
+            }
+
+            return { transformed };
+        } catch (error) {
+            this._chargeUsage(error.usage, build.config.ai.model, build, result);
+            return { error: { stage: 'transform', message: error.message, name: error.name } };
+        }
+    }
+
+    /**
+     * Add the tokens of a transformation, and what they cost, to the module
+     * and build totals.
+     *
+     * @private
+     * @param {import('../ai/types').TokenUsage|null|undefined} tokens - Tokens consumed
+     * @param {string|undefined} model - Model that consumed them
+     * @param {Object} build - Per-build state
+     * @param {ModuleBuildResult} result - Module result
+     * @returns {void}
+     */
+    _chargeUsage(tokens, model, build, result) {
+        if (!tokens?.total) {
+            return;
+        }
+
+        const priced = model || build.config.ai.model;
+        const cost = computeCost(tokens, priced, build.prices);
+        if (cost === null) {
+            const message = `No price is configured for model "${priced}"; its tokens are not included in the cost`;
+            if (!result.warnings.some(warning => warning.message === message)) {
+                result.warnings.push({ stage: 'transform', message });
+            }
+        }
+
+        result.usage = result.usage || { tokens: emptyUsage(), cost: 0 };
+        addUsage(result.usage.tokens, tokens);
+        addUsage(build.usage.tokens, tokens);
+        result.usage.cost += cost || 0;
+        build.usage.cost += cost || 0;
+    }
+
+    /**
+     * Check the build's usage against its token and cost budgets.
+     *
+     * @private
+     * @param {Object} build - Per-build state
+     * @returns {string|null} Description of the exceeded budget, or null if none is
+     */
+    _getBudgetExceeded(build) {
+        const { budget, usage } = build;
+        if (Number.isFinite(budget.tokens) && usage.tokens.total >= budget.tokens) {
+            return `${usage.tokens.total} of ${budget.tokens} tokens used`;
+        }
+        if (Number.isFinite(budget.cost) && usage.cost >= budget.cost) {
+            return `$${usage.cost.toFixed(2)} of $${budget.cost.toFixed(2)} spent`;
+        }
+        return null;
+    }
+
+    /**
+     * Cache key covering everything the compiled code depends on: source,
+     * rules, compiler version, target, the interfaces of direct dependencies,
+     * the target prompt, the model, the module format and the generation and
+     * validation settings.
+     *
+     * @private
+     * @param {CacheManager} cache - Cache manager
+     * @param {string} source - GherkinLang source code
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @param {string} [unit] - Function name, when keying a single scenario
+     * @returns {string} Cache key
+     */
+    _generateCacheKey(cache, source, moduleInfo, build, unit) {
+        const dependencies = Object.fromEntries(moduleInfo.dependencies.map(dep => [
+            dep,
+            sha256(JSON.stringify(build.context.getModuleInterface(dep))),
+        ]));
+
+        return cache.generateKey(source, build.rules, this._compilerVersion, build.target, {
+            dependencies,
+            template: build.targetPrompt,
+            model: build.config.ai.mode === 'rules' ? RULES_MODEL : build.config.ai.model,
+            moduleFormat: build.moduleFormat,
+            settings: { generation: build.config.generation, validation: build.config.validation },
+            unit,
+        });
+    }
+
+    /**
+     * Read a cache entry, treating cache failures as misses.
+     *
+     * @private
+     * @param {CacheManager} cache - Cache manager
+     * @param {string} key - Cache key
+     * @param {ModuleBuildResult} result - Module result to record warnings on
+     * @returns {Promise<CacheEntry|null>} Cache entry or null on miss
+     */
+    async _readCache(cache, key, result) {
+        try {
+            return await this._exclusive(() => cache.get(key));
+        } catch (error) {
+            if (!(error instanceof CacheError)) {
+                throw error;
+            }
+            result.warnings.push({ stage: 'cache', message: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Store a cache entry, downgrading cache failures to warnings.
+     *
+     * @private
+     * @param {CacheManager} cache - Cache manager
+     * @param {CacheEntry} entry - Cache entry to store
+     * @param {ModuleBuildResult} result - Module result to record warnings on
+     * @returns {Promise<void>}
+     */
+    async _writeCache(cache, entry, result) {
+        try {
+            await this._exclusive(() => cache.set(entry.key, entry));
+        } catch (error) {
+            if (!(error instanceof CacheError)) {
+                throw error;
+            }
+            result.warnings.push({ stage: 'cache', message: error.message });
+        }
+    }
+
+    /**
+     * Record the access times of this build's cache hits. A failure only
+     * costs eviction accuracy, so it does not fail the build.
+     *
+     * @private
+     * @param {CacheManager} cache - Cache manager
+     * @returns {Promise<void>}
+     */
+    async _flushCache(cache) {
+        try {
+            await this._exclusive(() => cache.flush());
+        } catch (error) {
+            if (!(error instanceof CacheError)) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Run a task after every previously queued one has settled.
+     *
+     * @private
+     * @template T
+     * @param {function(): Promise<T>} task - Task to run
+     * @returns {Promise<T>} Task result
+     */
+    _exclusive(task) {
+        const run = this._cacheQueue.then(task);
+        this._cacheQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Forward a scheduler event to the build callbacks. Finished modules are
+     * also reported through `onProgress`.
+     *
+     * @private
+     * @param {CompileOptions} options - Compilation options
+     * @param {import('./types').BuildEvent} event - Build event
+     * @returns {void}
+     */
+    _emitEvent(options, event) {
+        if (options.onEvent) {
+            options.onEvent(event);
+        }
+        if (event.type === 'finish' && options.onProgress) {
+            options.onProgress({ module: event.module, completed: event.completed, total: event.total });
+        }
+    }
+
+    /**
+     * @private
+     * @param {CacheEntry} entry - Cache entry served for the module
+     * @param {ModuleBuildResult} result - Module result holding the output and test paths
+     * @returns {Promise<void>}
+     */
+    async _writeCachedOutputs(entry, result) {
+        await writeFile(result.outputPath, entry.compiledCode);
+        if (entry.generatedTests && result.testPath) {
+            await writeFile(result.testPath, entry.generatedTests);
+        }
+    }
+
+    /**
+     * Read the signatures of a compiled module for the prompts of the
+     * modules that import it.
+     *
+     * @private
+     * @param {string} moduleName - Module name
+     * @param {string} code - Compiled module code
+     * @param {Object} build - Per-build state
+     * @returns {void}
+     */
+    _recordInterface(moduleName, code, build) {
+        build.interfaces.set(moduleName, extractSignatures(code, build.context.getModuleInterface(moduleName)));
+    }
+
+    /**
+     * Signatures of the compiled dependencies of a module, by the namespace
+     * its code calls them through. Dependencies always finish before their
+     * dependents, so each one is known by the time the module is transformed.
+     *
+     * @private
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @returns {Object<string, import('./types').FunctionSignature[]>} Signatures by namespace
+     */
+    _getDependencyInterfaces(moduleInfo, build) {
+        return Object.fromEntries(moduleInfo.dependencies
+            .filter(dep => build.interfaces.has(dep))
+            .map(dep => [dep.split('/').pop(), build.interfaces.get(dep)]));
+    }
+
+    /**
+     * Map module dependencies to namespace imports of their compiled outputs.
+     * The namespace is the feature name, also for modules of other packages.
+     *
+     * @private
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @returns {import('../generation/generator').Dependency[]} Generator dependencies
+     */
+    _resolveDependencies(moduleInfo, build) {
+        const fromDir = path.dirname(computeOutputPath(moduleInfo.file, this._getOutputDirs(moduleInfo, build).outputDir));
+
+        return moduleInfo.dependencies.map((dep) => {
+            const depInfo = build.context.getModule(dep);
+            const depPath = computeOutputPath(depInfo.file, this._getOutputDirs(depInfo, build).outputDir);
+            const modulePath = path.relative(fromDir, depPath).replace(/\.js$/, '').split(path.sep).join('/');
+            return {
+                modulePath: modulePath.startsWith('.') ? modulePath : `./${modulePath}`,
+                namespace: dep.split('/').pop(),
+            };
+        });
+    }
+
+    /**
+     * @private
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @param {Object} build - Per-build state
+     * @returns {{outputDir: string, testDir: string}} Output directories of the module's package,
+     *   or of the project outside workspaces
+     */
+    _getOutputDirs(moduleInfo, build) {
+        return build.packages.get(moduleInfo.package) || build;
+    }
+
+    /**
+     * Scenario nodes from the module's parsed AST, falling back to bare
+     * scenario names when no AST is available.
+     *
+     * @private
+     * @param {import('./types').ModuleInfo} moduleInfo - Module information
+     * @returns {Array<import('./types').ScenarioNode|{name: string}>} Scenarios for generation
+     */
+    _getScenarios(moduleInfo) {
+        const children = moduleInfo.ast?.feature?.children;
+        if (!children) {
+            return moduleInfo.exports.map(name => ({ name }));
+        }
+        return children.filter(child => child.type !== 'Background');
+    }
+
+    /**
+     * @private
+     * @param {string} moduleName - Module that cannot be compiled
+     * @param {ProjectContext} context - Project context
+     * @param {string} blockedBy - Dependency that failed to compile
+     * @returns {ModuleBuildResult} Skipped module result
+     */
+    _skipModule(moduleName, context, blockedBy) {
+        const result = this._createModuleResult(moduleName, context.getModule(moduleName).file);
+        result.status = 'skipped';
+        result.errors.push({
+            stage: 'dependencies',
+            message: `Skipped because dependency "${blockedBy}" failed to compile`,
+        });
+        return result;
+    }
+
+    /**
+     * @private
+     * @param {string} moduleName - Module name
+     * @param {string} sourcePath - Source .feature file
+     * @returns {ModuleBuildResult} Empty result, failed until the module compiles
+     */
+    _createModuleResult(moduleName, sourcePath) {
+        return {
+            moduleName,
+            sourcePath,
+            status: 'failed',
+            outputPath: null,
+            testPath: null,
+            cacheKey: null,
+            duration: 0,
+            errors: [],
+            warnings: [],
+            attempts: [],
+            metadata: null,
+            rebuildReason: null,
+            units: null,
+            usage: null,
+        };
+    }
+
+    /**
+     * Get the cache manager, created from the configuration of the first
+     * build that uses it.
+     *
+     * @private
+     * @param {ProjectConfiguration} config - Project configuration
+     * @param {string} root - Project root directory
+     * @param {CompileOptions} options - Compilation options
+     * @returns {CacheManager|null} Cache manager, or null if caching is disabled
+     */
+    _getCache(config, root, options) {
+        if (options.cache === false || !config.cache.enabled) {
+            return null;
+        }
+
+        if (!this._cache) {
+            this._cache = new CacheManager({
+                cacheDir: path.resolve(root, config.cache.dir),
+                maxSize: config.cache.maxSize,
+                ttl: config.cache.ttl,
+                evictionPolicy: config.cache.evictionPolicy,
+                compilerVersion: this._compilerVersion,
+                remote: config.cache.remote ? createRemoteBackend(config.cache.remote) : null,
+            });
+        }
+
+        return this._cache;
+    }
+
+    /**
+     * Get the transformer for `ai.mode`, created on the first cache miss.
+     *
+     * @private
+     * @param {ProjectConfiguration} config - Project configuration
+     * @param {string} root - Project root directory
+     * @returns {Object} Transformer exposing `transform(source, context, options)`
+     */
+    _getTransformer(config, root) {
+        if (!this._transformer) {
+            if (config.ai.mode === 'rules') {
+                this._transformer = new RuleTransformer();
+            } else if (config.ai.mode === 'hybrid') {
+                // Resolved per call so the AI client is only created when a step needs it
+                this._transformer = new RuleTransformer({
+                    fallback: { transform: (...args) => this._getAITransformer(config, root).transform(...args) },
+                });
+            } else {
+                this._transformer = this._getAITransformer(config, root);
+            }
+        }
+
+        return this._transformer;
+    }
+
+    /**
+     * Get the AI transformer, created when the first module needs it. It
+     * uses the provider, model and prompt caching settings of that build.
+     *
+     * @private
+     * @param {ProjectConfiguration} config - Project configuration
+     * @param {string} root - Project root directory, against which the cassette directory is resolved
+     * @returns {import('../ai/transformer').AITransformer} AI transformer
+     */
+    _getAITransformer(config, root) {
+        if (!this._aiTransformer) {
+            const { AITransformer } = require('../ai/transformer');
+            const { createProvider } = require('../ai/providers');
+            this._aiTransformer = new AITransformer({
+                model: config.ai.model,
+                maxRetries: config.ai.maxRetries,
+                promptCaching: config.ai.promptCaching,
+                rateLimiter: this._rateLimiter,
+                provider: createProvider({
+                    provider: config.ai.provider,
+                    cassette: {
+                        dir: path.resolve(root, config.ai.cassette.dir),
+                        mode: config.ai.cassette.mode,
+                    },
+                }),
+            });
+        }
+
+        return this._aiTransformer;
+    }
+}
+
+module.exports = { Compiler, COMPILER_VERSION };
@@ -1,22 +1,107 @@
 /**
- * Basic Gherkin parser for structure analysis.
+ * Gherkin parser for structure analysis.
  * 
  * Parses GherkinLang source files to extract structural information such as
  * feature names, scenarios, and basic syntax validation. Used for dependency
  * resolution and project context building before AI transformation.
  * 
+ * Alongside the summary fields, every parse produces a step-level AST
+ * (Feature, Background, Scenario, Scenario Outline, Steps, DocStrings, data
+ * tables, Examples, tags and comments) with line and column spans.
+ * 
  * @module compiler/parser
  */
 
 /**
  * @typedef {import('./types').ParsedFeature} ParsedFeature
  * @typedef {import('./types').ScenarioInfo} ScenarioInfo
+ * @typedef {import('./types').GherkinDocument} GherkinDocument
+ * @typedef {import('./types').SourceLocation} SourceLocation
+ * @typedef {import('./types').StepNode} StepNode
+ * @typedef {import('./types').TableRowNode} TableRowNode
+ * @typedef {import('./types').GherkinExample} GherkinExample
  */
 
 const { readFile, findFiles } = require('./utils/fs');
+const { mapConcurrent } = require('../utils/concurrency');
 const path = require('path');
 const { ParseError } = require('./errors');
 
+/**
+ * Block keywords recognized by the AST builder, longest first so that
+ * "Scenario Outline:" is not mistaken for "Scenario:".
+ */
+const BLOCK_KEYWORD_PATTERN = /^(Feature|Background|Scenario Outline|Scenario Template|Scenario|Examples|Scenarios|Example):(.*)$/;
+
+/**
+ * Step keywords. "Otherwise" is GherkinLang's else-branch and may stand alone.
+ */
+const STEP_KEYWORD_PATTERN = /^(?:(Given|When|Then|And|But)\s+(\S.*)|(\*)\s+(\S.*)|(Otherwise)(?:\s+(.*))?)$/;
+
+/**
+ * Scenario declarations, including Scenario Outline and its synonyms.
+ */
+const SCENARIO_LINE_PATTERN = /^(?:Scenario Outline|Scenario Template|Scenario|Example):(.*)$/;
+
+const DOC_STRING_DELIMITERS = ['"""', '```'];
+
+/**
+ * Import step: "import Mathematics", or "import billing/Invoice" for a
+ * module of another workspace package.
+ */
+const IMPORT_STEP_PATTERN = /^import\s+((?:[\w-]+\/)?\w+)$/i;
+
+/**
+ * Export list step: "exports add and subtract" (or "exports: add, subtract")
+ * names the functions a module exports; other scenarios stay private.
+ */
+const EXPORTS_STEP_PATTERN = /^exports:?\s+(.+)$/i;
+
+/**
+ * Tag marking a scenario as a private helper of its module.
+ */
+const PRIVATE_TAG = '@private';
+
+/**
+ * Scenario names following the "<name> defines a [recursive] function" convention.
+ */
+const FUNCTION_SCENARIO_PATTERN = /^(\w+)\s+defines\s+a\s+(?:recursive\s+)?function\b/i;
+
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+
+/**
+ * Convert an Examples table cell to a JavaScript value.
+ *
+ * Numbers, booleans and null are converted to their literal values, JSON
+ * arrays, objects and double-quoted strings are parsed, single-quoted
+ * strings lose their quotes, and anything else stays a string.
+ *
+ * @param {string} value - Trimmed cell value
+ * @returns {*} Coerced value
+ */
+const coerceExampleValue = (value) => {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value === 'null') {
+        return null;
+    }
+    if (NUMBER_PATTERN.test(value)) {
+        return Number(value);
+    }
+    if (/^(?:\[.*\]|\{.*\}|".*")$/s.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+    if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+        return value.slice(1, -1);
+    }
+    return value;
+};
+
 /**
  * Parser for GherkinLang source files.
  * 
@@ -41,51 +126,63 @@ class GherkinParser {
         const { imports, errors: importErrors } = this._extractImports(lines);
         const { scenarios, errors: scenarioErrors } = this._extractScenarios(lines);
 
-        const errors = [...featureErrors, ...importErrors, ...scenarioErrors];
+        const { ast, errors: astErrors, warnings } = this._buildAst(lines);
+        const { examples, errors: examplesErrors } = this._extractExamples(ast);
+        const { exports, errors: exportsErrors } = this._extractExports(ast);
+
+        const errors = [
+            ...featureErrors, ...importErrors, ...scenarioErrors, ...astErrors, ...examplesErrors, ...exportsErrors,
+        ];
 
         return {
             featureName,
             imports,
             scenarios,
-            dependencies: [], // TODO: Implement dependency extraction
+            exports,
+            dependencies: this._extractDependencies(ast, imports),
+            examples,
+            ast,
             errors,
+            warnings,
             lineCount: lines.length,
             filePath,
         };
     }
 
     /**
-     * Parse multiple .feature files.
+     * Parse multiple .feature files, several at a time.
      * @param {string[]} filePaths - Array of file paths to parse
-     * @returns {Promise<Map<string, ParsedFeature>>} Map of file path to parsed feature
+     * @param {Object} [options] - Parse options
+     * @param {number} [options.concurrency] - Files parsed at once (default: DEFAULT_CONCURRENCY)
+     * @returns {Promise<Map<string, ParsedFeature>>} Map of file path to parsed feature, in input order
      */
-    async parseMany(filePaths) {
-        const results = new Map();
-
-        // Parse each file (can be parallelized later, but sequential for now)
-        for (const filePath of filePaths) {
+    async parseMany(filePaths, options = {}) {
+        const parsed = await mapConcurrent(filePaths, options.concurrency, async (filePath) => {
             try {
-                const parsed = await this.parse(filePath);
-                results.set(filePath, parsed);
+                return await this.parse(filePath);
             } catch (error) {
                 // Create error result for failed parse
-                results.set(filePath, {
+                return {
                     featureName: '',
                     filePath,
                     scenarios: [],
+                    exports: [],
                     imports: [],
                     dependencies: [],
+                    examples: [],
+                    ast: { type: 'GherkinDocument', feature: null, comments: [] },
                     errors: [
                         new ParseError(error.message, {
                             type: 'system',
                         }),
                     ],
+                    warnings: [],
                     lineCount: 0
-                });
+                };
             }
-        }
+        });
 
-        return results;
+        return new Map(filePaths.map((filePath, index) => [filePath, parsed[index]]));
     }
 
     /**
@@ -103,7 +200,7 @@ class GherkinParser {
 
         for (const l of lines) {
             const line = l.trim();
-            const importMatch = line.match(/^Given\s+import\s+(\w+)$/i);
+            const importMatch = line.match(/^Given\s+import\s+((?:[\w-]+\/)?\w+)$/i);
             if (importMatch) {
                 imports.push(importMatch[1]); // Remove "Given import <moduleName>" prefix
             }
@@ -125,10 +222,10 @@ class GherkinParser {
 
         for (lineNumber; lineNumber <= lines.length; lineNumber++) {
             const line = lines[lineNumber - 1].trim();
-            if (line.startsWith('Scenario:')) {
-                const scenarioName = line.substring(9).trim(); // Remove "Scenario:" prefix
+            const scenarioMatch = line.match(SCENARIO_LINE_PATTERN);
+            if (scenarioMatch) {
                 scenarios.push({
-                    name: scenarioName,
+                    name: scenarioMatch[1].trim(), // Remove "Scenario:" (or synonym) prefix
                     lineNumber,
                 });
             }
@@ -189,6 +286,664 @@ class GherkinParser {
             errors,
         };
     }
+
+    /**
+     * Collect imported module names from import steps, in source order.
+     * @private
+     * @param {GherkinDocument} ast
+     * @param {string[]} imports - Imports found by the line scanner
+     * @returns {string[]} Deduplicated module names
+     */
+    _extractDependencies(ast, imports) {
+        const dependencies = new Set(imports);
+
+        for (const child of ast.feature?.children || []) {
+            for (const step of child.steps) {
+                const importMatch = step.text.match(IMPORT_STEP_PATTERN);
+                if (importMatch) {
+                    dependencies.add(importMatch[1]);
+                }
+            }
+        }
+
+        return Array.from(dependencies);
+    }
+
+    /**
+     * Bind each Examples table to the function its scenario defines and
+     * convert the rows to objects keyed by the header cells.
+     * @private
+     * @param {GherkinDocument} ast
+     * @returns {{examples: GherkinExample[], errors: ParseError[]}}
+     */
+    _extractExamples(ast) {
+        const examples = [];
+        const errors = [];
+
+        for (const scenario of ast.feature?.children || []) {
+            if (!scenario.examples) {
+                continue;
+            }
+
+            const functionName = this._getFunctionName(scenario.name);
+
+            for (const table of scenario.examples) {
+                if (!table.tableHeader) {
+                    errors.push(
+                        new ParseError(`${table.keyword} of "${scenario.name}" has no table`, {
+                            type: 'structure',
+                            line: table.location.line,
+                            column: table.location.column,
+                        })
+                    );
+                    continue;
+                }
+
+                const headers = table.tableHeader.cells.map(cell => cell.value);
+                examples.push({
+                    name: table.name || scenario.name,
+                    functionName,
+                    rows: table.tableBody.map(row =>
+                        Object.fromEntries(
+                            headers.map((header, i) => [header, coerceExampleValue(row.cells[i]?.value ?? '')])
+                        )
+                    ),
+                    line: table.location.line,
+                });
+            }
+        }
+
+        return { examples, errors };
+    }
+
+    /**
+     * Determine the functions a module exports. An export list step in the
+     * Background names them; without one, every scenario without the
+     * `@private` tag is exported.
+     * @private
+     * @param {GherkinDocument} ast
+     * @returns {{exports: string[], errors: ParseError[]}} Exported function names, in scenario order
+     */
+    _extractExports(ast) {
+        const children = ast.feature?.children || [];
+        const scenarios = children.filter(child => child.type !== 'Background');
+        const functions = scenarios.map(scenario => ({
+            name: this._getFunctionName(scenario.name) || scenario.name,
+            private: scenario.tags.some(tag => tag.name === PRIVATE_TAG),
+            line: scenario.location.line,
+        }));
+        const errors = [];
+
+        const listSteps = children
+            .filter(child => child.type === 'Background')
+            .flatMap(background => background.steps)
+            .filter(step => EXPORTS_STEP_PATTERN.test(step.text));
+
+        if (listSteps.length === 0) {
+            return { exports: functions.filter(fn => !fn.private).map(fn => fn.name), errors };
+        }
+
+        const listed = new Set();
+        for (const step of listSteps) {
+            const names = step.text.match(EXPORTS_STEP_PATTERN)[1].split(/\s*,\s*|\s+and\s+/).filter(Boolean);
+            for (const name of names) {
+                const fn = functions.find(candidate => candidate.name === name);
+                const problem = !fn
+                    ? `Exported function "${name}" is not defined by any scenario`
+                    : fn.private && `Exported function "${name}" is tagged ${PRIVATE_TAG}`;
+                if (problem) {
+                    errors.push(new ParseError(problem, {
+                        type: 'structure',
+                        line: step.location.line,
+                        column: step.location.column,
+                    }));
+                }
+                listed.add(name);
+            }
+        }
+
+        return { exports: functions.filter(fn => listed.has(fn.name) && !fn.private).map(fn => fn.name), errors };
+    }
+
+    /**
+     * Function name declared by a scenario ("add defines a function" → "add").
+     * Falls back to the scenario name when it is itself an identifier.
+     * @private
+     * @param {string} scenarioName
+     * @returns {string|null}
+     */
+    _getFunctionName(scenarioName) {
+        const match = scenarioName.match(FUNCTION_SCENARIO_PATTERN);
+        if (match) {
+            return match[1];
+        }
+        return /^\w+$/.test(scenarioName) ? scenarioName : null;
+    }
+
+    /**
+     * Build the step-level AST for a feature file.
+     *
+     * Lines before the "Feature:" line are ignored (the missing feature is
+     * reported by _extractFeatureName). Steps that appear before the first
+     * scenario are collected into an implicit Background. Orphan tags and
+     * text that belongs to no node are warnings: the module still compiles.
+     *
+     * @private
+     * @param {string[]} lines
+     * @returns {{ast: GherkinDocument, errors: ParseError[], warnings: ParseError[]}}
+     */
+    _buildAst(lines) {
+        const ast = { type: 'GherkinDocument', feature: null, comments: [] };
+        const errors = [];
+        const warnings = [];
+        const state = {
+            feature: null,      // Feature node, once declared
+            block: null,        // Background or scenario receiving steps
+            examples: null,     // Examples node receiving table rows
+            step: null,         // Last step; owner of doc strings and data tables
+            described: null,    // Node collecting free-text description lines
+            docString: null,    // Open doc string: { node, indent, lines }
+            tags: [],           // Tags waiting for the next taggable node
+        };
+
+        lines.forEach((raw, index) => {
+            const line = index + 1;
+            const text = raw.trim();
+            const column = raw.length - raw.trimStart().length;
+
+            if (state.docString) {
+                this._continueDocString(state, raw, text, line);
+                return;
+            }
+
+            if (!text) {
+                return;
+            }
+
+            if (text.startsWith('#')) {
+                ast.comments.push({
+                    type: 'Comment',
+                    text,
+                    location: this._location(line, column, line, raw.length),
+                });
+                return;
+            }
+
+            if (text.startsWith('@')) {
+                state.tags.push(...this._parseTags(raw, line));
+                return;
+            }
+
+            const blockMatch = text.match(BLOCK_KEYWORD_PATTERN);
+            if (blockMatch) {
+                this._startBlock(state, ast, errors, blockMatch[1], blockMatch[2].trim(), raw, line, column);
+                return;
+            }
+
+            if (!state.feature) {
+                return;
+            }
+
+            this._warnOrphanTags(state, warnings);
+
+            const stepMatch = text.match(STEP_KEYWORD_PATTERN);
+            if (stepMatch) {
+                const keyword = stepMatch[1] || stepMatch[3] || stepMatch[5];
+                const stepText = (stepMatch[2] || stepMatch[4] || stepMatch[6] || '').trim();
+                this._startStep(state, errors, keyword, stepText, raw, line, column);
+                return;
+            }
+
+            if (text.startsWith('|')) {
+                this._addTableRow(state, errors, raw, line, column);
+                return;
+            }
+
+            const delimiter = DOC_STRING_DELIMITERS.find(d => text.startsWith(d));
+            if (delimiter) {
+                this._openDocString(state, errors, delimiter, text, raw, line, column);
+                return;
+            }
+
+            this._addText(state, warnings, text, raw, line, column);
+        });
+
+        if (state.docString) {
+            const { location } = state.docString.node;
+            errors.push(
+                new ParseError('Unterminated doc string', {
+                    type: 'syntax',
+                    line: location.line,
+                    column: location.column,
+                })
+            );
+        }
+
+        this._warnOrphanTags(state, warnings);
+
+        return { ast, errors, warnings };
+    }
+
+    /**
+     * Handle a Feature, Background, Scenario, Scenario Outline or Examples line.
+     * @private
+     * @param {Object} state - Builder state (see _buildAst)
+     * @param {GherkinDocument} ast - Document receiving the Feature node
+     * @param {ParseError[]} errors - Collected errors, appended to
+     * @param {string} keyword - Block keyword, without the colon
+     * @param {string} name - Text after the colon
+     * @param {string} raw - Untrimmed source line
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} column - Indentation of the line (0-indexed)
+     * @returns {void}
+     */
+    _startBlock(state, ast, errors, keyword, name, raw, line, column) {
+        const location = this._location(line, column, line, raw.length);
+        const tags = state.tags;
+        state.tags = [];
+
+        if (keyword === 'Feature') {
+            if (state.feature) {
+                errors.push(new ParseError('Duplicate Feature declaration', { type: 'syntax', line, column }));
+                return;
+            }
+            state.feature = {
+                type: 'Feature',
+                keyword,
+                name,
+                description: '',
+                tags,
+                location,
+                children: [],
+            };
+            ast.feature = state.feature;
+            state.described = state.feature;
+            return;
+        }
+
+        if (!state.feature) {
+            return;
+        }
+
+        const { feature } = state;
+        let node;
+
+        if (keyword === 'Background') {
+            if (tags.length > 0) {
+                errors.push(new ParseError('Tags are not allowed on Background', { type: 'syntax', line, column }));
+            }
+            if (feature.children.some(child => child.type === 'Background')) {
+                errors.push(new ParseError('Duplicate Background declaration', { type: 'syntax', line, column }));
+            } else if (feature.children.length > 0) {
+                errors.push(new ParseError('Background must be declared before any scenario', { type: 'syntax', line, column }));
+            }
+            node = { type: 'Background', keyword, name, description: '', steps: [], location };
+            feature.children.push(node);
+            state.block = node;
+            state.examples = null;
+        } else if (keyword === 'Examples' || keyword === 'Scenarios') {
+            node = {
+                type: 'Examples',
+                keyword,
+                name,
+                description: '',
+                tags,
+                tableHeader: null,
+                tableBody: [],
+                location,
+            };
+            if (state.block && state.block.type !== 'Background') {
+                state.block.examples.push(node);
+                this._extend(line, raw.length, state.block);
+            } else {
+                errors.push(new ParseError(`${keyword} must belong to a Scenario Outline`, { type: 'syntax', line, column }));
+            }
+            state.examples = node;
+        } else {
+            node = {
+                type: /Outline|Template/.test(keyword) ? 'ScenarioOutline' : 'Scenario',
+                keyword,
+                name,
+                description: '',
+                tags,
+                steps: [],
+                examples: [],
+                location,
+            };
+            feature.children.push(node);
+            state.block = node;
+            state.examples = null;
+        }
+
+        this._extend(line, raw.length, feature);
+        state.step = null;
+        state.described = node;
+    }
+
+    /**
+     * Handle a step line (Given/When/Then/And/But/Otherwise/*).
+     * @private
+     * @param {Object} state - Builder state (see _buildAst)
+     * @param {ParseError[]} errors - Collected errors, appended to
+     * @param {string} keyword - Step keyword
+     * @param {string} text - Step text after the keyword
+     * @param {string} raw - Untrimmed source line
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} column - Indentation of the line (0-indexed)
+     * @returns {void}
+     */
+    _startStep(state, errors, keyword, text, raw, line, column) {
+        const { feature } = state;
+
+        if (!state.block) {
+            state.block = {
+                type: 'Background',
+                keyword: 'Background',
+                name: '',
+                description: '',
+                steps: [],
+                implicit: true,
+                location: this._location(line, column, line, raw.length),
+            };
+            feature.children.push(state.block);
+        }
+
+        const { block } = state;
+
+        if (block.examples?.length > 0) {
+            errors.push(new ParseError('Steps must be declared before Examples', { type: 'syntax', line, column }));
+        }
+
+        const previous = block.steps[block.steps.length - 1];
+        const isConjunction = keyword === 'And' || keyword === 'But' || keyword === '*';
+
+        /** @type {StepNode} */
+        const step = {
+            type: 'Step',
+            keyword,
+            effectiveKeyword: isConjunction ? (previous?.effectiveKeyword || null) : keyword,
+            text,
+            location: this._location(line, column, line, raw.length),
+            docString: null,
+            dataTable: null,
+        };
+
+        block.steps.push(step);
+        this._extend(line, raw.length, feature, block);
+        state.step = step;
+        state.examples = null;
+        state.described = null;
+    }
+
+    /**
+     * Attach a table row to the current Examples block or step data table.
+     * @private
+     * @param {Object} state - Builder state (see _buildAst)
+     * @param {ParseError[]} errors - Collected errors, appended to
+     * @param {string} raw - Untrimmed source line
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} column - Indentation of the line (0-indexed)
+     * @returns {void}
+     */
+    _addTableRow(state, errors, raw, line, column) {
+        const row = this._parseTableRow(raw, line, column);
+        let rows;
+
+        if (state.examples) {
+            const { examples } = state;
+            if (!examples.tableHeader) {
+                examples.tableHeader = row;
+            } else {
+                examples.tableBody.push(row);
+            }
+            rows = [examples.tableHeader, ...examples.tableBody];
+            this._extend(line, raw.length, state.feature, state.block, examples);
+        } else if (state.step && !state.step.docString) {
+            const { step } = state;
+            if (!step.dataTable) {
+                step.dataTable = { type: 'DataTable', rows: [], location: { ...row.location } };
+            }
+            step.dataTable.rows.push(row);
+            rows = step.dataTable.rows;
+            this._extend(line, raw.length, state.feature, state.block, step, step.dataTable);
+        } else {
+            errors.push(new ParseError('Table row must follow a step or Examples', { type: 'syntax', line, column }));
+            return;
+        }
+
+        if (row.cells.length !== rows[0].cells.length) {
+            errors.push(
+                new ParseError(
+                    `Inconsistent cell count within the table: expected ${rows[0].cells.length}, found ${row.cells.length}`,
+                    { type: 'syntax', line, column }
+                )
+            );
+        }
+
+        state.described = null;
+    }
+
+    /**
+     * Open a doc string after a step.
+     * @private
+     * @param {Object} state - Builder state (see _buildAst)
+     * @param {ParseError[]} errors - Collected errors, appended to
+     * @param {string} delimiter - Opening delimiter (""" or ```)
+     * @param {string} text - Trimmed line; any text after the delimiter is the media type
+     * @param {string} raw - Untrimmed source line
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} column - Indentation of the line (0-indexed)
+     * @returns {void}
+     */
+    _openDocString(state, errors, delimiter, text, raw, line, column) {
+        const node = {
+            type: 'DocString',
+            delimiter,
+            mediaType: text.substring(delimiter.length).trim() || null,
+            content: '',
+            location: this._location(line, column, line, raw.length),
+        };
+
+        if (state.step && !state.step.docString && !state.step.dataTable) {
+            state.step.docString = node;
+        } else {
+            errors.push(new ParseError('Doc string must directly follow a step', { type: 'syntax', line, column }));
+        }
+
+        state.docString = { node, indent: column, lines: [] };
+        state.described = null;
+    }
+
+    /**
+     * Consume a line inside an open doc string, closing it on the delimiter.
+     * @private
+     * @param {Object} state - Builder state (see _buildAst)
+     * @param {string} raw - Untrimmed source line
+     * @param {string} text - Trimmed line
+     * @param {number} line - Line number (1-indexed)
+     * @returns {void}
+     */
+    _continueDocString(state, raw, text, line) {
+        const { node, indent, lines } = state.docString;
+
+        if (text === node.delimiter) {
+            node.content = lines.join('\n');
+            this._extend(line, raw.length, node);
+            if (state.step?.docString === node) {
+                this._extend(line, raw.length, state.feature, state.block, state.step);
+            }
+            state.docString = null;
+            return;
+        }
+
+        const leading = raw.length - raw.trimStart().length;
+        lines.push(raw.substring(Math.min(indent, leading)));
+    }
+
+    /**
+     * Handle a free-text line: a description when it follows a block header,
+     * otherwise a continuation of the previous step (multi-line expressions).
+     * @private
+     * @param {Object} state - Builder state (see _buildAst)
+     * @param {ParseError[]} warnings - Collected warnings, appended to when the text belongs nowhere
+     * @param {string} text - Trimmed line
+     * @param {string} raw - Untrimmed source line
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} column - Indentation of the line (0-indexed)
+     * @returns {void}
+     */
+    _addText(state, warnings, text, raw, line, column) {
+        const node = state.described;
+
+        if (node) {
+            node.description = node.description ? `${node.description}\n${text}` : text;
+            this._extend(line, raw.length, node);
+            return;
+        }
+
+        const { step } = state;
+        if (step && !step.docString && !step.dataTable) {
+            step.text = `${step.text}\n${text}`;
+            this._extend(line, raw.length, state.feature, state.block, step);
+            return;
+        }
+
+        warnings.push(new ParseError(`Unexpected text: "${text}"`, { type: 'syntax', line, column }));
+    }
+
+    /**
+     * Warn about tags that are not followed by a Feature, Scenario or Examples.
+     * @private
+     * @param {Object} state - Builder state (see _buildAst)
+     * @param {ParseError[]} warnings - Collected warnings, appended to
+     * @returns {void}
+     */
+    _warnOrphanTags(state, warnings) {
+        if (state.tags.length === 0) {
+            return;
+        }
+
+        const { location } = state.tags[0];
+        warnings.push(
+            new ParseError('Tags must be followed by a Feature, Scenario or Examples', {
+                type: 'syntax',
+                line: location.line,
+                column: location.column,
+            })
+        );
+        state.tags = [];
+    }
+
+    /**
+     * Parse the tags on a line, stopping at a trailing comment.
+     * @private
+     * @param {string} raw - Untrimmed source line
+     * @param {number} line - Line number (1-indexed)
+     * @returns {TagNode[]}
+     */
+    _parseTags(raw, line) {
+        const commentIndex = raw.search(/\s#/);
+        const source = commentIndex === -1 ? raw : raw.substring(0, commentIndex);
+        const tags = [];
+
+        for (const match of source.matchAll(/@[^\s@]+/g)) {
+            tags.push({
+                type: 'Tag',
+                name: match[0],
+                location: this._location(line, match.index, line, match.index + match[0].length),
+            });
+        }
+
+        return tags;
+    }
+
+    /**
+     * Split a table row into cells, honouring the \|, \\ and \n escapes.
+     * @private
+     * @param {string} raw - Untrimmed source line
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} column - Column of the opening pipe (0-indexed)
+     * @returns {TableRowNode}
+     */
+    _parseTableRow(raw, line, column) {
+        const cells = [];
+        let value = '';
+        let start = -1;
+        let end = -1;
+
+        for (let i = column + 1; i < raw.length; i++) {
+            const char = raw[i];
+
+            if (char === '|') {
+                cells.push({
+                    value: value.trim(),
+                    location: start === -1
+                        ? this._location(line, i, line, i)
+                        : this._location(line, start, line, end),
+                });
+                value = '';
+                start = -1;
+                end = -1;
+                continue;
+            }
+
+            if (!/\s/.test(char)) {
+                if (start === -1) {
+                    start = i;
+                }
+                end = i + 1;
+            }
+
+            if (char === '\\' && i + 1 < raw.length) {
+                const next = raw[i + 1];
+                const escaped = { '|': '|', '\\': '\\', n: '\n' }[next];
+                if (escaped !== undefined) {
+                    value += escaped;
+                    end = i + 2;
+                    i++;
+                    continue;
+                }
+            }
+
+            value += char;
+        }
+
+        return {
+            type: 'TableRow',
+            cells,
+            location: this._location(line, column, line, raw.trimEnd().length),
+        };
+    }
+
+    /**
+     * Extend the end of each node's span to the given position.
+     * @private
+     * @param {number} line - Line number (1-indexed)
+     * @param {number} endColumn - New end column (0-indexed, exclusive)
+     * @param {...Object|null} nodes - Nodes to extend; null entries are skipped
+     * @returns {void}
+     */
+    _extend(line, endColumn, ...nodes) {
+        for (const node of nodes) {
+            if (node) {
+                node.location.endLine = line;
+                node.location.endColumn = endColumn;
+            }
+        }
+    }
+
+    /**
+     * Create a source span.
+     * @private
+     * @param {number} line - Start line (1-indexed)
+     * @param {number} column - Start column (0-indexed)
+     * @param {number} endLine - End line (1-indexed)
+     * @param {number} endColumn - End column (0-indexed, exclusive)
+     * @returns {SourceLocation}
+     */
+    _location(line, column, endLine, endColumn) {
+        return { line, column, endLine, endColumn };
+    }
 }
 
-module.exports = { GherkinParser };
+module.exports = { GherkinParser, coerceExampleValue };
@@ -0,0 +1,133 @@
+/**
+ * Build scheduler for GherkinLang projects.
+ *
+ * Compiles independent modules in parallel while respecting the dependency
+ * layers of the project: a module starts only once every dependency in the
+ * build has finished, and modules whose dependencies failed are skipped.
+ *
+ * @module compiler/scheduler
+ */
+
+const { normalizeConcurrency } = require('../utils/concurrency');
+
+/**
+ * @typedef {import('./types').ModuleBuildResult} ModuleBuildResult
+ * @typedef {import('./types').BuildEvent} BuildEvent
+ * @typedef {import('../ai/rate-limiter').RateLimiter} RateLimiter
+ */
+
+/**
+ * @typedef {Object} ScheduledTasks
+ * @property {function(string): string[]} getDependencies - Direct dependencies of a module
+ * @property {function(string): Promise<ModuleBuildResult>} compile - Compile a module
+ * @property {function(string, string): ModuleBuildResult} skip - Result for a module skipped
+ *   because the given dependency failed
+ * @property {function(BuildEvent): void} [onEvent] - Called when a module starts or finishes
+ */
+
+/**
+ * Concurrency-limited scheduler for module compilation.
+ *
+ * @class BuildScheduler
+ */
+class BuildScheduler {
+    /**
+     * Creates a new BuildScheduler instance.
+     *
+     * @param {Object} [options={}] - Scheduler options
+     * @param {number} [options.concurrency] - Modules compiled at once (default: DEFAULT_CONCURRENCY)
+     * @param {RateLimiter} [options.rateLimiter] - Limiter to wait on before starting a module
+     */
+    constructor(options = {}) {
+        this._concurrency = normalizeConcurrency(options.concurrency);
+        this._rateLimiter = options.rateLimiter || null;
+    }
+
+    /**
+     * Compile modules as soon as their dependencies are done, with at most
+     * `concurrency` modules in flight. Ready modules start in compile order,
+     * so earlier topological layers are preferred. Dependencies outside the
+     * build are treated as done.
+     *
+     * @param {string[]} compileOrder - Modules in dependency order (dependencies first)
+     * @param {ScheduledTasks} tasks - Callbacks doing the actual work
+     * @returns {Promise<ModuleBuildResult[]>} Module results in compile order
+     */
+    async run(compileOrder, tasks) {
+        const inBuild = new Set(compileOrder);
+        const results = new Map();
+        const failed = new Set();
+        const pending = [...compileOrder];
+        const running = new Map();
+
+        const record = (moduleName, result) => {
+            results.set(moduleName, result);
+            if (result.status === 'failed' || result.status === 'skipped') {
+                failed.add(moduleName);
+            }
+            this._emit(tasks, {
+                type: 'finish',
+                moduleName,
+                module: result,
+                completed: results.size,
+                total: compileOrder.length,
+            });
+        };
+
+        while (pending.length > 0 || running.size > 0) {
+            let index = 0;
+            while (index < pending.length && running.size < this._concurrency) {
+                const moduleName = pending[index];
+                const dependencies = tasks.getDependencies(moduleName).filter(dep => inBuild.has(dep));
+                const blockedBy = dependencies.find(dep => failed.has(dep));
+
+                if (blockedBy) {
+                    pending.splice(index, 1);
+                    record(moduleName, tasks.skip(moduleName, blockedBy));
+                } else if (dependencies.every(dep => results.has(dep))) {
+                    pending.splice(index, 1);
+                    running.set(moduleName, this._start(moduleName, tasks, compileOrder.length));
+                } else {
+                    index++;
+                }
+            }
+
+            if (running.size === 0) {
+                break;
+            }
+
+            const { moduleName, result } = await Promise.race(running.values());
+            running.delete(moduleName);
+            record(moduleName, result);
+        }
+
+        return compileOrder.map(moduleName => results.get(moduleName));
+    }
+
+    /**
+     * Start compiling a module once no rate-limit pause is in effect.
+     *
+     * @private
+     * @param {string} moduleName - Module name
+     * @param {ScheduledTasks} tasks - Scheduled callbacks
+     * @param {number} total - Modules in this build
+     * @returns {Promise<{moduleName: string, result: ModuleBuildResult}>} Settled module
+     */
+    async _start(moduleName, tasks, total) {
+        if (this._rateLimiter) {
+            await this._rateLimiter.wait();
+        }
+
+        this._emit(tasks, { type: 'start', moduleName, total });
+        const result = await tasks.compile(moduleName);
+        return { moduleName, result };
+    }
+
+    _emit(tasks, event) {
+        if (tasks.onEvent) {
+            tasks.onEvent(event);
+        }
+    }
+}
+
+module.exports = { BuildScheduler };
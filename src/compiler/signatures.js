@@ -0,0 +1,199 @@
+/**
+ * Public interfaces of compiled modules.
+ *
+ * Reads the exported functions of a compiled module back from its code:
+ * parameter names from the declaration, and parameter types, return type
+ * and summary from the JSDoc comment the generator put above it, falling
+ * back to the parameter types declared in the GherkinLang source. The
+ * compiler passes these signatures to the transformer of every module that
+ * imports the module, so calls across modules match what was generated.
+ *
+ * @module compiler/signatures
+ */
+
+const { parse } = require('@babel/parser');
+
+/**
+ * @typedef {import('./types').FunctionSignature} FunctionSignature
+ * @typedef {import('./types').ExportedFunction} ExportedFunction
+ */
+
+/**
+ * Extract the signatures of the functions a compiled module exports.
+ *
+ * @param {string} code - Compiled module code (CommonJS or ES module)
+ * @param {ExportedFunction[]} [declared] - Interface declared by the module's source, whose parameter
+ *   types stand in for missing `@param` types
+ * @returns {FunctionSignature[]} Exported functions in export order; empty if the code does not parse
+ */
+function extractSignatures(code, declared = []) {
+    let program;
+    try {
+        program = parse(code, { sourceType: 'unambiguous', allowUndeclaredExports: true }).program;
+    } catch {
+        return [];
+    }
+
+    const functions = new Map();
+    const exported = [];
+
+    for (const statement of program.body) {
+        exported.push(...getExportedNames(statement));
+
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+        const fn = declaration && getFunction(declaration);
+        if (fn) {
+            const comment = statement.leadingComments?.filter(isJSDoc).pop();
+            functions.set(fn.name, { node: fn.node, jsdoc: comment ? parseJSDoc(comment.value) : null });
+        }
+    }
+
+    return [...new Set(exported)]
+        .filter(name => functions.has(name))
+        .map(name => toSignature(name, functions.get(name), declared.find(fn => fn.name === name)));
+}
+
+/**
+ * @private
+ * @param {string} name - Function name
+ * @param {{node: Object, jsdoc: Object|null}} fn - Function node and its parsed JSDoc
+ * @param {ExportedFunction} [declared] - Function as declared in the source
+ * @returns {FunctionSignature}
+ */
+function toSignature(name, { node, jsdoc }, declared) {
+    return {
+        name,
+        params: node.params.map((param, index) => {
+            const paramName = getParamName(param, index);
+            const bareName = paramName.replace(/^\.\.\./, '');
+            const tag = jsdoc?.params.find(p => p.name === bareName);
+            return {
+                name: paramName,
+                type: tag?.type ?? declared?.params.find(p => p.name === bareName)?.type ?? null,
+                description: tag?.description ?? null,
+            };
+        }),
+        returns: jsdoc?.returns ?? null,
+        summary: jsdoc?.summary ?? null,
+    };
+}
+
+/**
+ * @private
+ * @param {Object} statement - Top-level Babel statement
+ * @returns {string[]} Names the statement exports
+ */
+function getExportedNames(statement) {
+    if (statement.type === 'ExportNamedDeclaration') {
+        return statement.declaration
+            ? [getFunction(statement.declaration)?.name].filter(Boolean)
+            : statement.specifiers.map(specifier => specifier.exported.name);
+    }
+    if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'AssignmentExpression') {
+        return [];
+    }
+
+    const { left, right } = statement.expression;
+    if (isMember(left, 'module', 'exports')) {
+        if (right.type === 'Identifier') {
+            return [right.name];
+        }
+        return right.type === 'ObjectExpression'
+            ? right.properties.filter(property => property.type === 'ObjectProperty').map(property => property.key.name)
+            : [];
+    }
+    if (left.type === 'MemberExpression' && !left.computed
+        && (isMember(left.object, 'module', 'exports') || left.object.name === 'exports')) {
+        return [left.property.name];
+    }
+    return [];
+}
+
+/**
+ * @private
+ * @param {Object} declaration - Top-level Babel declaration
+ * @returns {{name: string, node: Object}|null} Function the statement declares
+ */
+function getFunction(declaration) {
+    if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+        return { name: declaration.id.name, node: declaration };
+    }
+    if (declaration.type !== 'VariableDeclaration' || declaration.declarations.length !== 1) {
+        return null;
+    }
+
+    const [{ id, init }] = declaration.declarations;
+    const isFunction = init && (init.type === 'ArrowFunctionExpression' || init.type === 'FunctionExpression');
+    return id.type === 'Identifier' && isFunction ? { name: id.name, node: init } : null;
+}
+
+/**
+ * @private
+ * @param {Object} param - Babel function parameter
+ * @param {number} index - Parameter position
+ * @returns {string} Parameter name as written, or a positional name for destructured parameters
+ */
+function getParamName(param, index) {
+    switch (param.type) {
+        case 'Identifier':
+            return param.name;
+        case 'AssignmentPattern':
+            return getParamName(param.left, index);
+        case 'RestElement':
+            return `...${getParamName(param.argument, index)}`;
+        default:
+            return `arg${index}`;
+    }
+}
+
+/**
+ * Read the summary, `@param` and `@returns` tags of a JSDoc comment.
+ *
+ * @private
+ * @param {string} value - Comment text between the delimiters
+ * @returns {{summary: string|null, params: Array<{name: string, type: string|null, description: string|null}>,
+ *   returns: string|null}} Parsed comment
+ */
+function parseJSDoc(value) {
+    const lines = value.split('\n').map(line => line.replace(/^\s*\*\s?/, '').trim());
+    const firstTag = lines.findIndex(line => line.startsWith('@'));
+    const summary = lines.slice(0, firstTag === -1 ? lines.length : firstTag).join(' ').replace(/\s+/g, ' ').trim();
+
+    const params = [];
+    let returns = null;
+    for (const line of lines) {
+        const param = line.match(/^@param\s+(?:\{([^}]*)\}\s+)?\[?([\w$.]+)[^\s\]]*\]?(?:\s+-?\s*(.*))?$/);
+        if (param) {
+            params.push({ name: param[2], type: knownType(param[1]?.replace(/=$/, '')), description: param[3] || null });
+        }
+        const result = line.match(/^@returns?\s+\{([^}]*)\}/);
+        if (result) {
+            returns = knownType(result[1]);
+        }
+    }
+
+    return { summary: summary || null, params, returns };
+}
+
+/**
+ * @private
+ * @param {string|undefined} type - JSDoc type expression
+ * @returns {string|null} The type, or null when it says nothing (missing or `*`)
+ */
+function knownType(type) {
+    return type && type !== '*' ? type : null;
+}
+
+function isJSDoc(comment) {
+    return comment.type === 'CommentBlock' && comment.value.startsWith('*');
+}
+
+function isMember(node, object, property) {
+    return node.type === 'MemberExpression' && !node.computed
+        && node.object.type === 'Identifier' && node.object.name === object
+        && node.property.name === property;
+}
+
+module.exports = {
+    extractSignatures,
+};
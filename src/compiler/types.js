@@ -29,20 +29,166 @@ const { ParseError } = require('./errors');
  * @property {string} featureName - Name extracted from "Feature:" line
  * @property {string} filePath - Path to the .feature file
  * @property {ScenarioInfo[]} scenarios - List of scenarios found
+ * @property {string[]} exports - Function names the module exports: those of its export list step,
+ *   or of every scenario not tagged @private
  * @property {string[]} imports - List of imported module names (from import statements)
- * @property {string[]} dependencies - Resolved dependency module names
- * @property {ParseError[]} errors - Any parsing errors encountered
+ * @property {string[]} dependencies - Module names imported by import steps (deduplicated, source order)
+ * @property {GherkinExample[]} examples - Examples tables bound to the functions their scenarios define
+ * @property {GherkinDocument} ast - Step-level syntax tree
+ * @property {ParseError[]} errors - Any parsing errors encountered; the feature is not compiled
+ * @property {ParseError[]} warnings - Problems that do not prevent compilation (orphan tags, unexpected text)
  * @property {number} lineCount - Total lines in file
  */
 
+/**
+ * Examples table with type-coerced rows, in the shape consumed by the
+ * test generator and JSDoc formatter.
+ * @typedef {Object} GherkinExample
+ * @property {string} name - Examples name, or the scenario name when unnamed
+ * @property {string|null} functionName - Function defined by the owning scenario
+ * @property {Object.<string, *>[]} rows - One object per body row, keyed by header cell
+ * @property {number} line - Line of the Examples keyword (1-indexed)
+ */
+
+/**
+ * Source span of an AST node. Same shape as validation ErrorLocation: lines
+ * are 1-indexed, columns are 0-indexed offsets into the line (as in Babel
+ * locations). ParseError columns reuse these 0-indexed values.
+ * @typedef {Object} SourceLocation
+ * @property {number} line - Start line (1-indexed)
+ * @property {number} column - Start column (0-indexed)
+ * @property {number} endLine - End line (1-indexed)
+ * @property {number} endColumn - End column (0-indexed, exclusive)
+ */
+
+/**
+ * @typedef {Object} GherkinDocument
+ * @property {'GherkinDocument'} type
+ * @property {FeatureNode|null} feature - Feature node (null when no "Feature:" line was found)
+ * @property {CommentNode[]} comments - Every comment line in the file
+ */
+
+/**
+ * @typedef {Object} FeatureNode
+ * @property {'Feature'} type
+ * @property {string} keyword - Keyword as written ('Feature')
+ * @property {string} name - Feature (module) name
+ * @property {string} description - Free text following the Feature line
+ * @property {TagNode[]} tags - Tags preceding the Feature line
+ * @property {SourceLocation} location
+ * @property {Array<BackgroundNode|ScenarioNode>} children - Background and scenarios in source order
+ */
+
+/**
+ * @typedef {Object} BackgroundNode
+ * @property {'Background'} type
+ * @property {string} keyword - Keyword as written ('Background')
+ * @property {string} name - Optional name after "Background:"
+ * @property {string} description - Free text following the Background line
+ * @property {StepNode[]} steps
+ * @property {boolean} [implicit] - True when built from steps declared before the first scenario without a Background line
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} ScenarioNode
+ * @property {'Scenario'|'ScenarioOutline'} type
+ * @property {string} keyword - Keyword as written ('Scenario', 'Example', 'Scenario Outline', 'Scenario Template')
+ * @property {string} name - Scenario name
+ * @property {string} description - Free text following the Scenario line
+ * @property {TagNode[]} tags
+ * @property {StepNode[]} steps
+ * @property {ExamplesNode[]} examples
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} StepNode
+ * @property {'Step'} type
+ * @property {string} keyword - 'Given' | 'When' | 'Then' | 'And' | 'But' | 'Otherwise' | '*'
+ * @property {string|null} effectiveKeyword - Keyword And/But/* inherit from the previous step (null if none)
+ * @property {string} text - Step text; continuation lines are joined with newlines
+ * @property {DocStringNode|null} docString
+ * @property {DataTableNode|null} dataTable
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} DocStringNode
+ * @property {'DocString'} type
+ * @property {string} delimiter - '"""' or '```'
+ * @property {string|null} mediaType - Content type written after the opening delimiter
+ * @property {string} content - Content with the delimiter indentation removed
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} DataTableNode
+ * @property {'DataTable'} type
+ * @property {TableRowNode[]} rows
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} TableRowNode
+ * @property {'TableRow'} type
+ * @property {TableCellNode[]} cells
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} TableCellNode
+ * @property {string} value - Trimmed, unescaped cell value
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} ExamplesNode
+ * @property {'Examples'} type
+ * @property {string} keyword - Keyword as written ('Examples' or 'Scenarios')
+ * @property {string} name
+ * @property {string} description
+ * @property {TagNode[]} tags
+ * @property {TableRowNode|null} tableHeader
+ * @property {TableRowNode[]} tableBody
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} TagNode
+ * @property {'Tag'} type
+ * @property {string} name - Tag including the leading '@'
+ * @property {SourceLocation} location
+ */
+
+/**
+ * @typedef {Object} CommentNode
+ * @property {'Comment'} type
+ * @property {string} text - Comment text including the leading '#'
+ * @property {SourceLocation} location
+ */
+
 /**
  * @typedef {Object} ModuleInfo
  * @property {string} file - Path to .feature file
- * @property {string[]} exports - Function names exported by module
- * @property {string[]} dependencies - Module names this module depends on
+ * @property {string|null} package - Workspace package defining the module (null outside workspaces)
+ * @property {string[]} exports - Function names exported by module (private scenarios excluded)
+ * @property {string[]} imports - Imported module names as written (e.g., 'Invoice', 'billing/Invoice')
+ * @property {string[]} dependencies - Module names this module depends on (package-qualified in a workspace)
+ * @property {GherkinDocument} [ast] - Step-level syntax tree of the feature file
+ * @property {GherkinExample[]} [examples] - Examples tables bound to functions
+ * @property {ParseError[]} [warnings] - Parse warnings of the feature file
  * @property {Date} parsedAt - When module was parsed
  */
 
+/**
+ * @typedef {Object} WorkspacePackage
+ * @property {string} name - Package name (its directory name), used to qualify imports
+ * @property {string} dir - Absolute package directory, searched for .feature files
+ * @property {ProjectConfiguration} config - Configuration resolved from the package directory; its
+ *   output directories apply to the package's modules
+ */
+
 /**
  * @typedef {Object} DependencyGraph
  * @property {Set<string>} nodes - Set of module names (nodes)
@@ -70,6 +216,14 @@ const { ParseError } = require('./errors');
  * @property {string} dir - Cache directory path
  * @property {string} maxSize - Maximum cache size (e.g., '100MB')
  * @property {string} ttl - Time to live for cache entries (e.g., '7d')
+ * @property {'lru'|'lfu'|'keep-latest'} evictionPolicy - Which entries to evict when over maxSize
+ * @property {RemoteCacheConfig|null} remote - Shared cache layered behind the local one (null if none)
+ */
+
+/**
+ * @typedef {Object} RemoteCacheConfig
+ * @property {string} url - Base URL of the cache server (e.g., 'http://cache.internal:7373')
+ * @property {number} timeout - Request timeout in milliseconds
  */
 
 /**
@@ -82,9 +236,30 @@ const { ParseError } = require('./errors');
 
 /**
  * @typedef {Object} AIConfig
+ * @property {'ai'|'rules'|'hybrid'} mode - Transformation strategy: AI only, deterministic rules only,
+ *   or rules with the AI as fallback for unsupported steps
+ * @property {'anthropic'|'cassette'} provider - Backend answering AI requests
+ * @property {CassetteConfig} cassette - Recorded-response settings for the cassette provider
  * @property {string} model - AI model identifier (e.g., 'claude-3-opus-20240229')
  * @property {number} maxRetries - Maximum retry attempts for AI calls
+ * @property {number} maxAttempts - Maximum compile attempts per module, counting validation-driven corrections
  * @property {number} timeout - Timeout in milliseconds for AI calls
+ * @property {boolean} promptCaching - Mark the rules and target prompt for the API's prompt caching
+ * @property {Object<string, import('../ai/pricing').ModelPrice>} pricing - Prices per model, in US dollars
+ *   per million tokens, added to and overriding the built-in price table
+ * @property {BudgetConfig} budget - Limits on what one build may spend
+ */
+
+/**
+ * @typedef {Object} BudgetConfig
+ * @property {number|null} tokens - Tokens a build may consume before remaining modules are skipped
+ * @property {number|null} cost - US dollars a build may spend before remaining modules are skipped
+ */
+
+/**
+ * @typedef {Object} CassetteConfig
+ * @property {string} dir - Directory holding recorded responses, relative to the project root
+ * @property {'replay'|'record'|'auto'} mode - Replay only, always re-record, or record misses
  */
 
 /**
@@ -103,8 +278,15 @@ const { ParseError } = require('./errors');
 
 /**
  * @typedef {Object} ProjectConfiguration
+ * @property {string|string[]} [extends] - Configuration files or packages this file builds on
+ *   (only in configuration files; resolved away in the effective configuration)
  * @property {'javascript'|'elixir'} target - Target language
  * @property {'commonjs'|'esm'} moduleFormat - Module format
+ * @property {number} concurrency - Modules compiled at once (default: 4)
+ * @property {string[]} [workspaces] - Package directories of a workspace, relative to the root; may end
+ *   in a glob such as 'packages/*'
+ * @property {string[]} rules - Project rules files layered over the built-in rules, relative to the root;
+ *   later files take precedence (default: [])
  * @property {OutputConfig} output - Output directory configuration
  * @property {CacheConfig} cache - Cache configuration
  * @property {ValidationConfig} validation - Validation settings
@@ -113,6 +295,48 @@ const { ParseError } = require('./errors');
  * @property {WatchConfig} [watch] - Watch mode settings (optional)
  */
 
+/**
+ * @typedef {Object} ConfigSchema
+ * @property {string|string[]} type - Accepted JSON type(s): 'object', 'array', 'string', 'number', 'integer'
+ *   or 'boolean'
+ * @property {Object<string, ConfigSchema>} [properties] - Known keys of an object; any other key is rejected
+ * @property {ConfigSchema} [values] - Schema of the values of an object whose keys are free-form (e.g., model names)
+ * @property {string[]} [required] - Keys an object must have
+ * @property {ConfigSchema} [items] - Schema of each array item
+ * @property {Array<string>} [enum] - Allowed values
+ * @property {number} [min] - Smallest allowed number
+ * @property {RegExp} [pattern] - Pattern a string must match
+ * @property {string} [format] - Description of the pattern used in error messages
+ * @property {boolean} [nullable] - Whether null is accepted
+ */
+
+/**
+ * @typedef {Object} ConfigIssue
+ * @property {string} path - JSON path of the offending value (e.g., '$.cache.maxSize')
+ * @property {string} message - Problem description, starting with the path
+ */
+
+/**
+ * @typedef {Object} ConfigSource
+ * @property {'default'|'file'|'env'|'override'} layer - Layer that set the value
+ * @property {string} [file] - Configuration file that set the value (file layer)
+ * @property {string} [variable] - Environment variable that set the value (env layer)
+ */
+
+/**
+ * @typedef {Object} ConfigLayer
+ * @property {ConfigSource} source - Where the layer comes from
+ * @property {Object} data - Partial configuration the layer sets
+ */
+
+/**
+ * @typedef {Object} ResolvedConfig
+ * @property {ProjectConfiguration} config - Effective configuration
+ * @property {Object<string, ConfigSource>} sources - Layer of every effective value, by dotted key path
+ *   (e.g., 'cache.maxSize')
+ * @property {string[]} files - Configuration files read, in merge order
+ */
+
 /**
  * @typedef {Object} CacheMetadata
  * @property {string} timestamp - ISO 8601 timestamp
@@ -129,15 +353,48 @@ const { ParseError } = require('./errors');
  * @property {string} rulesHash - SHA256 hash of rules content
  * @property {string} compiledCode - Generated JavaScript code
  * @property {string} [generatedTests] - Generated test file content (optional)
+ * @property {string} [sourcePath] - Source file relative to the project root, for the 'keep-latest' policy;
+ *   scenario-level entries append '#' and their function name
  * @property {CacheMetadata} metadata - Compilation metadata
  */
 
+/**
+ * @typedef {Object} CacheKeyInputs
+ * @property {Object<string, string>} [dependencies] - Interface hash of each direct dependency, by module name
+ * @property {string} [template] - Target prompt template
+ * @property {string} [model] - Model that produces the code ('rules' for rule-based compilation)
+ * @property {'commonjs'|'esm'} [moduleFormat] - Module format of the generated code
+ * @property {Object} [settings] - Generation and validation settings the entry was produced with
+ * @property {string} [unit] - Function name, for the entry of a single scenario
+ */
+
+/**
+ * @typedef {Object} ExportedFunction
+ * @property {string} name - Function name from the signature step (scenario name if there is none)
+ * @property {Array<{name: string, type: string|null}>} params - Parameters with their declared types
+ */
+
+/**
+ * Exported function of a compiled module, as read back from its code.
+ *
+ * @typedef {Object} FunctionSignature
+ * @property {string} name - Function name
+ * @property {Array<{name: string, type: string|null, description: string|null}>} params - Parameters in
+ *   declaration order, with the type and description of their JSDoc `@param` tag
+ * @property {string|null} returns - Type of the JSDoc `@returns` tag
+ * @property {string|null} summary - JSDoc description, on one line
+ */
+
 /**
  * @typedef {Object} ManifestEntry
  * @property {string} key - Cache key
  * @property {string} file - Path to cache file
  * @property {number} size - Size of cache entry in bytes
  * @property {Date} lastAccessed - When entry was last read
+ * @property {Date} createdAt - When entry was written; entries expire a TTL after this
+ * @property {number} hits - Number of times entry was read
+ * @property {string|null} sourcePath - Source file the entry was compiled from
+ * @property {string} [digest] - SHA256 digest of the compiled code and generated tests
  */
 
 /**
@@ -154,6 +411,7 @@ const { ParseError } = require('./errors');
  * @property {number} totalSize - Total cache size in bytes
  * @property {number} hits - Number of cache hits
  * @property {number} misses - Number of cache misses
+ * @property {number} remoteHits - Hits served by the remote backend
  * @property {number} hitRate - Hit rate (0.0 to 1.0)
  */
 
@@ -162,6 +420,149 @@ const { ParseError } = require('./errors');
  * @property {string} [cacheDir] - Cache directory path (default: '.gherkin-cache')
  * @property {string} [maxSize] - Maximum cache size in bytes (default: '100MB')
  * @property {string} [compilerVersion] - Compiler version string (default: '1.0.0')
+ * @property {string} [ttl] - Time to live for cache entries (default: '7d')
+ * @property {'lru'|'lfu'|'keep-latest'} [evictionPolicy] - Which entries to evict first (default: 'lru')
+ * @property {CacheBackend} [backend] - Local store (default: a FileSystemBackend in cacheDir)
+ * @property {CacheBackend|null} [remote] - Shared store layered behind the local one (default: null)
+ */
+
+/**
+ * Storage behind CacheManager. Every backend reads and writes entries by
+ * key; the local backend also manages its contents (`isValid`, `flush`,
+ * `evict`, `gc`, `verify`, `exportEntries`, `importEntries`, `invalidate`,
+ * `getStats`, `calculateSize`, `clear` and `manifest`, as implemented by
+ * FileSystemBackend).
+ *
+ * @typedef {Object} CacheBackend
+ * @property {string} [name] - Backend name (e.g., 'filesystem', 'http')
+ * @property {function(string): Promise<CacheEntry|null>} get - Read an entry, null on a miss
+ * @property {function(string, CacheEntry): Promise<void>} set - Store an entry
+ */
+
+/**
+ * @typedef {Object} GcRemoval
+ * @property {string} key - Cache key of the removed entry
+ * @property {'expired'|'missing'|'superseded'|'size'} reason - Why the entry was removed
+ * @property {number} size - Size of the removed entry in bytes
+ * @property {string|null} sourcePath - Source file the entry was compiled from
+ */
+
+/**
+ * @typedef {Object} GcReport
+ * @property {GcRemoval[]} removed - Removed entries
+ * @property {number} freedBytes - Bytes freed
+ * @property {number} entries - Entries left in the cache
+ * @property {number} totalSize - Cache size left in bytes
+ */
+
+/**
+ * @typedef {Object} QuarantinedEntry
+ * @property {string} key - Cache key of the quarantined entry
+ * @property {'corrupt'|'digest-mismatch'} reason - Why the entry was quarantined
+ * @property {string} file - Where the entry file was moved
+ */
+
+/**
+ * @typedef {Object} VerifyReport
+ * @property {number} checked - Manifest entries checked
+ * @property {string[]} missing - Keys dropped because their file was gone
+ * @property {QuarantinedEntry[]} quarantined - Entries moved to quarantine
+ * @property {string[]} adopted - Keys of intact files added back to the manifest
+ * @property {string[]} resized - Keys whose recorded size was corrected
+ * @property {string[]} removedTempFiles - Stale temporary files removed
+ * @property {number} totalSizeDrift - Recorded minus actual total size before repair, in bytes
+ * @property {number} entries - Entries left in the cache
+ * @property {number} totalSize - Cache size left in bytes
+ */
+
+/**
+ * An entry read from or written to a cache bundle, with its manifest record.
+ *
+ * @typedef {Object} BundledEntry
+ * @property {CacheEntry} entry - Cache entry
+ * @property {string} digest - SHA256 digest of the compiled code and generated tests
+ * @property {number} hits - Number of times the entry was read
+ * @property {string|null} sourcePath - Source file the entry was compiled from
+ */
+
+/**
+ * @typedef {Object} BundleManifestEntry
+ * @property {string} key - Cache key
+ * @property {string} digest - SHA256 digest of the compiled code and generated tests
+ * @property {number} size - Size of the entry in bytes
+ * @property {number} hits - Number of times the entry was read
+ * @property {string|null} sourcePath - Source file the entry was compiled from
+ */
+
+/**
+ * @typedef {Object} CacheBundle
+ * @property {'gherkin-cache-bundle'} format - Format identifier
+ * @property {number} version - Bundle layout version
+ * @property {string} compilerVersion - Version of the compiler that created the bundle
+ * @property {string} createdAt - When the bundle was created (ISO 8601)
+ * @property {{entries: BundleManifestEntry[], totalSize: number}} manifest - Bundled entries
+ * @property {Object<string, CacheEntry>} entries - Entries by cache key
+ */
+
+/**
+ * @typedef {Object} BundleExportReport
+ * @property {string} file - Bundle file written
+ * @property {string[]} exported - Keys of the exported entries
+ * @property {string[]} missing - Requested keys that were not in the cache or no longer valid
+ * @property {number} size - Size of the bundle file in bytes
+ */
+
+/**
+ * @typedef {Object} BundleImportReport
+ * @property {string} file - Bundle file read
+ * @property {string[]} imported - Keys of the imported entries
+ * @property {Array<{key: string, reason: 'missing'|'corrupt'|'digest-mismatch'|'compiler-version'|'target'|'present'}>} skipped
+ *   - Entries not imported, and why
+ * @property {GcRemoval[]} removed - Entries removed by the garbage collection after the import
+ * @property {number} entries - Entries in the cache after the import
+ * @property {number} totalSize - Cache size after the import in bytes
+ */
+
+/**
+ * One scenario of a module, compiled and cached on its own.
+ *
+ * @typedef {Object} CompilationUnit
+ * @property {string} name - Function the scenario defines
+ * @property {ScenarioNode} scenario - Scenario node
+ * @property {string} text - Scenario source, from its tags to its last line
+ * @property {string} source - Feature line, Background and scenario; the unit's cache key covers this
+ */
+
+/**
+ * @typedef {Object} ModuleSplit
+ * @property {string} header - The Feature line
+ * @property {string} background - Background source ('' if none)
+ * @property {CompilationUnit[]} units - Units in source order
+ */
+
+/**
+ * Compiled code split into function declarations and the module-level
+ * statements they share.
+ *
+ * @typedef {Object} CodeFragment
+ * @property {Array<{names: string[], code: string}>} prelude - Module-level statements and the names they declare
+ * @property {Map<string, string>} functions - Declaration of each function, with its leading comments
+ */
+
+/**
+ * @typedef {Object} ModuleBuildState
+ * @property {string} sourceHash - SHA256 hash of the source that was built
+ * @property {string} rulesHash - SHA256 hash of the rules used
+ * @property {string} configHash - SHA256 hash of the build configuration used
+ * @property {string} compilerVersion - Compiler version used
+ * @property {Object<string, string>} dependencies - Source hashes of direct dependencies at build time
+ * @property {string} [cacheKey] - Cache key of the module's compiled output
+ */
+
+/**
+ * @typedef {Object} BuildState
+ * @property {Object<string, ModuleBuildState>} modules - Fingerprints of successfully built modules
+ * @property {string} [lastUpdated] - ISO 8601 timestamp of the last save
  */
 
 /**
@@ -172,6 +573,110 @@ const { ParseError } = require('./errors');
  * @property {Cycle[]} cycles - Detected circular dependencies
  */
 
+/**
+ * @typedef {Object} CompileOptions
+ * @property {string} [configPath] - Path to configuration file (default: closest configuration file
+ *   found from rootDir upwards)
+ * @property {Object} [configOverrides] - Partial configuration overriding every other layer
+ * @property {'javascript'|'elixir'} [target] - Target language (default from config)
+ * @property {'commonjs'|'esm'} [moduleFormat] - Module format (default from config)
+ * @property {string} [outputDir] - Output directory, relative to rootDir or, in a workspace, to each
+ *   package directory (default from config)
+ * @property {string} [testDir] - Test output directory, relative like outputDir (default from config)
+ * @property {boolean} [cache] - Set to false to bypass the cache (default: config.cache.enabled)
+ * @property {boolean} [dryRun] - Compile without writing outputs or cache entries (default: false)
+ * @property {number} [maxAttempts] - Maximum compile attempts per module (default: config.ai.maxAttempts)
+ * @property {string[]} [files] - Only build modules defined in these files or directories, plus their
+ *   dependencies (default: every module)
+ * @property {number} [concurrency] - Modules compiled at once (default: config.concurrency)
+ * @property {function(BuildProgress): void} [onProgress] - Called after each module finishes
+ * @property {function(BuildEvent): void} [onEvent] - Called when a module starts or finishes, as its AI
+ *   transformation progresses and when AI calls are paused by a rate limit
+ * @property {AbortSignal} [signal] - Aborts AI transformations; modules still transforming fail
+ */
+
+/**
+ * @typedef {Object} BuildEvent
+ * @property {'start'|'finish'|'transform'|'rate-limit'} type - Event type
+ * @property {string} [moduleName] - Module the event is about (start, finish, transform)
+ * @property {import('../ai/types').TransformEvent} [event] - Progress of the module's AI transformation (transform)
+ * @property {ModuleBuildResult} [module] - Result of the module that finished (finish)
+ * @property {number} [completed] - Modules finished so far (finish)
+ * @property {number} [total] - Modules in this build (start, finish)
+ * @property {number} [delay] - Milliseconds AI calls are held off (rate-limit)
+ * @property {Date} [until] - Time at which AI calls resume (rate-limit)
+ */
+
+/**
+ * @typedef {Object} BuildProgress
+ * @property {ModuleBuildResult} module - Result of the module that just finished
+ * @property {number} completed - Modules finished so far
+ * @property {number} total - Modules in this build
+ */
+
+/**
+ * @typedef {Object} CompileAttempt
+ * @property {number} attempt - Attempt number (1-indexed)
+ * @property {boolean} valid - Whether the attempt produced valid code
+ * @property {ModuleBuildError[]} errors - Transformation or validation errors for this attempt
+ * @property {number} duration - Time spent on this attempt in milliseconds
+ */
+
+/**
+ * @typedef {Object} ModuleBuildError
+ * @property {'parse'|'transform'|'validate'|'generate'|'compile'|'cache'|'dependencies'|'budget'} stage - Pipeline stage
+ *   that reported the issue
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * @typedef {Object} ModuleBuildResult
+ * @property {string} moduleName - Module name (feature name)
+ * @property {string} sourcePath - Path to .feature file
+ * @property {'compiled'|'cached'|'failed'|'skipped'} status - Outcome for this module
+ * @property {string|null} outputPath - Path to generated .js file
+ * @property {string|null} testPath - Path to generated test file
+ * @property {string|null} cacheKey - Cache key used for this module (null if cache disabled)
+ * @property {number} duration - Time spent on this module in milliseconds
+ * @property {ModuleBuildError[]} errors - Errors that failed or skipped the module
+ * @property {ModuleBuildError[]} warnings - Non-fatal issues (lint warnings, cache failures)
+ * @property {CompileAttempt[]} attempts - Every transform/validate attempt made for this module
+ * @property {Object|null} metadata - Transform metadata (compiled) or cache metadata (cached)
+ * @property {string|null} rebuildReason - Why the module was not served from cache, e.g. 'source changed',
+ *   'dependency ShoppingCart changed', 'rules changed' (null when cached or skipped)
+ * @property {{cached: string[], compiled: string[]}|null} units - Functions served from the scenario-level
+ *   cache and functions transformed, when the module was reassembled from units (null otherwise)
+ * @property {ModuleUsage|null} usage - Tokens and cost of every transformation attempt of the module
+ *   (null when no tokens were consumed, e.g. cached modules)
+ */
+
+/**
+ * @typedef {Object} ModuleUsage
+ * @property {import('../ai/types').TokenUsage} tokens - Tokens consumed
+ * @property {number} cost - Cost in US dollars, leaving out tokens of models without a price
+ */
+
+/**
+ * @typedef {Object} BuildStats
+ * @property {number} totalModules - Number of modules in the build
+ * @property {number} compiledModules - Modules transformed in this build
+ * @property {number} cachedModules - Modules served from cache
+ * @property {number} failedModules - Modules that failed to compile
+ * @property {number} skippedModules - Modules skipped because a dependency failed
+ * @property {number} duration - Total build duration in milliseconds
+ * @property {import('../ai/types').TokenUsage} tokens - Tokens consumed by every AI call of the build
+ * @property {number} cost - Cost of the build in US dollars, leaving out tokens of models without a price
+ */
+
+/**
+ * @typedef {Object} BuildReport
+ * @property {boolean} success - Whether every module compiled or was served from cache
+ * @property {string} rootDir - Absolute project root directory
+ * @property {string[]} compileOrder - Module names, dependencies first
+ * @property {ModuleBuildResult[]} modules - Per-module results in compile order
+ * @property {BuildStats} stats - Aggregate build statistics
+ */
+
 // Export types (for JSDoc reference, not runtime values)
 // In JavaScript, types are only used for documentation and IDE support
 module.exports = {
@@ -0,0 +1,248 @@
+/**
+ * Scenario-level compilation units for GherkinLang compiler.
+ *
+ * A module whose scenarios each define a distinct function can be split
+ * into units, one per scenario. Each unit is cached under its own key,
+ * covering the Feature line, the Background and the unit's scenario text,
+ * so editing one scenario (or a comment between scenarios) leaves the
+ * other units cached. Only changed scenarios are transformed, and their
+ * code is reassembled with the cached code of the others into one module.
+ *
+ * @module compiler/units
+ */
+
+const { parse } = require('@babel/parser');
+
+/**
+ * @typedef {import('./types').GherkinDocument} GherkinDocument
+ * @typedef {import('./types').ScenarioNode} ScenarioNode
+ * @typedef {import('./types').ModuleSplit} ModuleSplit
+ * @typedef {import('./types').CompilationUnit} CompilationUnit
+ * @typedef {import('./types').CodeFragment} CodeFragment
+ */
+
+/**
+ * Fewest scenarios worth splitting a module for.
+ * @type {number}
+ */
+const MIN_UNITS = 2;
+
+// Same naming rule as GherkinParser and StepCompiler
+const FUNCTION_SCENARIO_PATTERN = /^(\w+)\s+defines\s+a\s+(?:recursive\s+)?function\b/i;
+
+/**
+ * Split a module into one unit per scenario, using the scenario line
+ * ranges recorded by GherkinParser.
+ *
+ * @param {string} source - Feature file source
+ * @param {GherkinDocument} [ast] - Syntax tree of the source
+ * @returns {ModuleSplit|null} Units, or null if the module has fewer than two scenarios or
+ *   its scenarios do not each define a distinct function
+ */
+function splitModule(source, ast) {
+    const feature = ast?.feature;
+    const scenarios = feature?.children.filter(child => child.type !== 'Background') || [];
+    if (scenarios.length < MIN_UNITS) {
+        return null;
+    }
+
+    const names = scenarios.map(getFunctionName);
+    if (names.some(name => !name) || new Set(names).size !== names.length) {
+        return null;
+    }
+
+    const lines = source.split(/\r?\n/);
+    const slice = node => lines.slice(startLine(node) - 1, node.location.endLine).join('\n');
+    const split = {
+        header: lines[feature.location.line - 1],
+        background: feature.children.filter(child => child.type === 'Background').map(slice).join('\n'),
+        units: [],
+    };
+
+    split.units = scenarios.map((scenario, index) => {
+        const unit = { name: names[index], scenario, text: slice(scenario) };
+        return { ...unit, source: extractUnitsSource(split, [unit]) };
+    });
+
+    return split;
+}
+
+/**
+ * Reduce a module to its Feature line, its Background and the given units.
+ *
+ * @param {ModuleSplit} split - Split module
+ * @param {CompilationUnit[]} units - Units to keep
+ * @returns {string} Feature source containing only those scenarios
+ */
+function extractUnitsSource(split, units) {
+    return [
+        split.header,
+        ...(split.background ? [split.background] : []),
+        ...units.flatMap(unit => ['', unit.text]),
+    ].join('\n');
+}
+
+/**
+ * Split compiled JavaScript into the declarations of the given functions
+ * and the module-level code they share (imports, constants, helpers).
+ * Export statements are dropped.
+ *
+ * @param {string} code - Compiled module code
+ * @param {string[]} names - Functions to find
+ * @returns {CodeFragment|null} Fragment, or null if the code does not parse or does not declare
+ *   every function at the top level
+ */
+function splitCode(code, names) {
+    let program;
+    try {
+        program = parse(code, { sourceType: 'unambiguous', allowUndeclaredExports: true }).program;
+    } catch {
+        return null;
+    }
+
+    const prelude = [];
+    const functions = new Map();
+
+    for (const statement of program.body) {
+        if (isExportStatement(statement)) {
+            continue;
+        }
+
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+        const start = statement.leadingComments?.[0]?.start ?? statement.start;
+        const text = code.slice(start, statement.start) + code.slice(declaration.start, declaration.end);
+        const declared = getDeclaredNames(declaration);
+
+        if (declared.length === 1 && names.includes(declared[0]) && !functions.has(declared[0])) {
+            functions.set(declared[0], text);
+        } else {
+            prelude.push({ names: declared, code: text });
+        }
+    }
+
+    return names.every(name => functions.has(name)) ? { prelude, functions } : null;
+}
+
+/**
+ * Join fragments into one module. Module-level code is taken from the
+ * fragments in order, skipping statements that declare a name already
+ * declared; each function comes from the first fragment that has it.
+ *
+ * @param {CodeFragment[]} fragments - Fragments, freshest first
+ * @param {string[]} names - Functions of the module, in export order
+ * @param {Object} [options] - Assembly options
+ * @param {'commonjs'|'esm'} [options.moduleFormat] - Export style; without it no export statement is added
+ * @returns {string} Module code
+ */
+function assembleModule(fragments, names, options = {}) {
+    const declared = new Set();
+    const seen = new Set();
+    const prelude = [];
+
+    for (const statement of fragments.flatMap(fragment => fragment.prelude)) {
+        const duplicate = statement.names.length > 0
+            ? statement.names.some(name => declared.has(name))
+            : seen.has(statement.code);
+        if (!duplicate) {
+            statement.names.forEach(name => declared.add(name));
+            seen.add(statement.code);
+            prelude.push(statement.code);
+        }
+    }
+
+    const functions = names.map(name => fragments.find(fragment => fragment.functions.has(name)).functions.get(name));
+    const exports = !options.moduleFormat
+        ? []
+        : [options.moduleFormat === 'esm' ? `export { ${names.join(', ')} };` : `module.exports = { ${names.join(', ')} };`];
+
+    return [...prelude, ...functions, ...exports].join('\n\n');
+}
+
+/**
+ * @private
+ * @param {ScenarioNode} scenario - Scenario node
+ * @returns {string|null} Function the scenario defines
+ */
+function getFunctionName(scenario) {
+    const match = scenario.name.match(FUNCTION_SCENARIO_PATTERN);
+    if (match) {
+        return match[1];
+    }
+    return /^\w+$/.test(scenario.name) ? scenario.name : null;
+}
+
+function startLine(node) {
+    return node.tags?.[0]?.location.line ?? node.location.line;
+}
+
+/**
+ * @private
+ * @param {Object} statement - Top-level Babel statement
+ * @returns {boolean} True for `module.exports` assignments and exports of existing bindings
+ */
+function isExportStatement(statement) {
+    if (statement.type === 'ExportDefaultDeclaration' || statement.type === 'ExportAllDeclaration') {
+        return true;
+    }
+    if (statement.type === 'ExportNamedDeclaration') {
+        return !statement.declaration;
+    }
+    if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'AssignmentExpression') {
+        return false;
+    }
+
+    let target = statement.expression.left;
+    while (target.type === 'MemberExpression') {
+        if (target.object.type === 'Identifier' && target.object.name === 'module'
+            && target.property.name === 'exports') {
+            return true;
+        }
+        target = target.object;
+    }
+    return target.type === 'Identifier' && target.name === 'exports';
+}
+
+/**
+ * @private
+ * @param {Object} declaration - Top-level Babel statement
+ * @returns {string[]} Names the statement declares
+ */
+function getDeclaredNames(declaration) {
+    switch (declaration.type) {
+        case 'VariableDeclaration':
+            return declaration.declarations.flatMap(declarator => getPatternNames(declarator.id));
+        case 'FunctionDeclaration':
+        case 'ClassDeclaration':
+            return declaration.id ? [declaration.id.name] : [];
+        case 'ImportDeclaration':
+            return declaration.specifiers.map(specifier => specifier.local.name);
+        default:
+            return [];
+    }
+}
+
+function getPatternNames(pattern) {
+    switch (pattern.type) {
+        case 'Identifier':
+            return [pattern.name];
+        case 'ObjectPattern':
+            return pattern.properties.flatMap(property =>
+                getPatternNames(property.type === 'RestElement' ? property.argument : property.value));
+        case 'ArrayPattern':
+            return pattern.elements.filter(Boolean).flatMap(getPatternNames);
+        case 'AssignmentPattern':
+            return getPatternNames(pattern.left);
+        case 'RestElement':
+            return getPatternNames(pattern.argument);
+        default:
+            return [];
+    }
+}
+
+module.exports = {
+    splitModule,
+    extractUnitsSource,
+    splitCode,
+    assembleModule,
+    MIN_UNITS,
+};
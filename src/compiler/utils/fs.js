@@ -9,17 +9,19 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 
 /**
  * Read a file as UTF-8 string.
  * 
  * @param {string} filePath - Path to file
- * @returns {Promise<string>} File contents as string
+ * @param {string|null} [encoding='utf8'] - Encoding, or null to read raw bytes
+ * @returns {Promise<string|Buffer>} File contents as string, or a Buffer without encoding
  * @throws {Error} If file cannot be read
  */
-async function readFile(filePath) {
+async function readFile(filePath, encoding = 'utf8') {
   try {
-    return await fs.readFile(filePath, 'utf8');
+    return await fs.readFile(filePath, encoding);
   } catch (error) {
     if (error.code === 'ENOENT') {
       throw new Error(`File not found: ${filePath}`);
@@ -56,6 +58,29 @@ async function writeFile(filePath, content) {
   }
 }
 
+/**
+ * Write a string to a file atomically.
+ * Content goes to a temporary file in the same directory that is then
+ * renamed over the target, so readers see either the old or the new file,
+ * never a partial write.
+ * 
+ * @param {string} filePath - Path to file
+ * @param {string|Buffer} content - Content to write
+ * @returns {Promise<void>}
+ * @throws {Error} If file cannot be written
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+  try {
+    await writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
 /**
  * Check if a file or directory exists.
  * 
@@ -137,8 +162,47 @@ async function rm(filePath) {
   }
 }
 
+/**
+ * Move a file, creating the target directory if needed.
+ *
+ * @param {string} fromPath - Current path
+ * @param {string} toPath - New path
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be moved
+ */
+async function move(fromPath, toPath) {
+  await mkdir(path.dirname(toPath));
+  await fs.rename(fromPath, toPath);
+}
+
+/**
+ * List the names of the files directly inside a directory.
+ *
+ * @param {string} dirPath - Path to directory
+ * @returns {Promise<string[]>} Sorted file names, or an empty array if the directory does not exist
+ * @throws {Error} If directory cannot be read
+ */
+async function listFiles(dirPath) {
+  try {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries.filter(entry => entry.isFile()).map(entry => entry.name).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Directories never searched for source files.
+ * @type {Set<string>}
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
 /**
  * Find all files matching a pattern in a directory recursively.
+ * Skips node_modules and .git.
  * 
  * @param {string} dirPath - Path to directory to search
  * @returns {Promise<string[]>} Array of absolute file paths
@@ -155,7 +219,9 @@ async function findFiles(dirPath) {
         const fullPath = path.join(currentPath, entry.name);
         
         if (entry.isDirectory()) {
-          await walk(fullPath);
+          if (!IGNORED_DIRECTORIES.has(entry.name)) {
+            await walk(fullPath);
+          }
         } else if (entry.isFile() && patternRegex.test(entry.name)) {
           files.push(fullPath);
         }
@@ -180,9 +246,12 @@ async function findFiles(dirPath) {
 module.exports = {
   readFile,
   writeFile,
+  writeFileAtomic,
   exists,
   stat,
   mkdir,
   rm,
+  move,
+  listFiles,
   findFiles,
 };
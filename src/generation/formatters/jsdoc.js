@@ -512,6 +512,32 @@ const extractDescriptionFromScenario = (scenario) => {
   return scenario.name || null;
 };
 
+/**
+ * Example table columns holding the expected result (compared lowercased).
+ * @type {string[]}
+ */
+const RESULT_COLUMNS = ['result', 'expected', 'output', 'returns'];
+
+/**
+ * Splits an example row into argument columns and the result column. The
+ * declared parameters are the arguments when the table names at least one
+ * of them; otherwise every column but the result is an argument, in table
+ * order. Shared by @example sections and generated example tests.
+ *
+ * @param {Object<string, *>} row - Example row
+ * @param {string[]} paramNames - Declared parameter names, in order
+ * @returns {{argNames: string[], resultKey: string|undefined}} Argument columns and the result column
+ */
+const getExampleColumns = (row, paramNames) => {
+  const columns = Object.keys(row);
+  const resultKey = columns.find((k) => RESULT_COLUMNS.includes(k.toLowerCase()));
+  const argNames = paramNames.some((name) => name in row)
+    ? paramNames
+    : columns.filter((k) => !RESULT_COLUMNS.includes(k.toLowerCase()));
+
+  return { argNames, resultKey };
+};
+
 /**
  * Generates an @example section from a Gherkin Example table.
  *
@@ -533,16 +559,13 @@ const generateExampleSection = (functionName, example, params) => {
   // Generate example code from rows
   if (example.rows && example.rows.length > 0) {
     for (const row of example.rows.slice(0, 3)) { // Limit to 3 examples
-      const args = params.map((p) => {
-        const value = row[p.name];
+      const { argNames, resultKey: expectedKey } = getExampleColumns(row, params.map((p) => p.name));
+
+      const args = argNames.map((name) => {
+        const value = row[name];
         return value !== undefined ? formatValueForExample(value) : 'undefined';
       }).join(', ');
 
-      const expectedKey = Object.keys(row).find((k) =>
-        k.toLowerCase() === 'result' ||
-        k.toLowerCase() === 'expected' ||
-        k.toLowerCase() === 'output'
-      );
       const expected = expectedKey ? row[expectedKey] : undefined;
 
       if (expected !== undefined) {
@@ -592,7 +615,7 @@ const formatValueForExample = (value) => {
  * @returns {string[]} Array of wrapped lines
  */
 const wrapText = (text, width) => {
-  if (!text || text.length <= width) {
+  if (!text || (text.length <= width && !text.includes('\n'))) {
     return [text || ''];
   }
 
@@ -666,6 +689,7 @@ module.exports = {
   generateModuleJSDocComplete,
   generateExampleSection,
   extractDescriptionFromScenario,
+  getExampleColumns,
   // Type inference exports
   inferTypeFromName,
   inferReturnTypeFromName,
@@ -674,6 +698,7 @@ module.exports = {
   wrapText,
   formatValueForExample,
   // Constants for testing
+  RESULT_COLUMNS,
   PARAM_NAME_TYPE_MAP,
   FUNCTION_RETURN_TYPE_MAP,
 };
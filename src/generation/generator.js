@@ -10,9 +10,11 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { parse } = require('@babel/parser');
 const { formatCode } = require('./formatters/javascript');
 const { generateFunctionJSDoc, generateModuleJSDoc } = require('./formatters/jsdoc');
 const { createEmptyModule, createModuleExport } = require('./types');
+const { mapConcurrent } = require('../utils/concurrency');
 
 /**
  * @typedef {import('./types').GeneratedModule} GeneratedModule
@@ -28,6 +30,8 @@ const { createEmptyModule, createModuleExport } = require('./types');
  * @property {Object[]} [scenarios] - Parsed scenarios from Gherkin
  * @property {Object[]} [examples] - Gherkin Examples tables
  * @property {Dependency[]} [dependencies] - Cross-module dependencies
+ * @property {string[]} [exports] - Public function names; others are left out of the exports,
+ *   JSDoc and tests (default: every function)
  * @property {Object} [config] - Project configuration
  */
 
@@ -278,6 +282,108 @@ const generateCJSImport = (dep) => {
   return `require('${modulePath}');`;
 };
 
+/**
+ * Matches an existing CommonJS or ES module export statement.
+ * @type {RegExp}
+ */
+const EXPORT_STATEMENT_PATTERN = /^\s*(?:module\.exports\b|export\s)/m;
+
+/**
+ * Removes CommonJS and ES module export statements, keeping the
+ * declarations of inline exports. The code is parsed, so export objects
+ * spanning several lines are removed whole; code that does not parse is
+ * returned unchanged.
+ *
+ * @param {string} code - JavaScript code
+ * @returns {string} Code without exports
+ */
+const stripExports = (code) => {
+  let program;
+  try {
+    // errorRecovery tolerates names exported twice, e.g. inline and in an export list
+    program = parse(code, { sourceType: 'unambiguous', allowUndeclaredExports: true, errorRecovery: true }).program;
+  } catch {
+    return code.trim();
+  }
+
+  const declared = new Set(program.body.flatMap(getDeclaredNames));
+
+  // [start, end, replacement] edits, in source order
+  const removals = [];
+  for (const statement of program.body) {
+    const { declaration } = statement;
+    if (isExportAssignment(statement)) {
+      const { left, right } = statement.expression;
+      const name = !left.computed && left.property.name !== 'exports' ? left.property.name : null;
+      // `module.exports.add = (a, b) => ...` is the only definition of add: keep it as a declaration
+      if (name && right.type !== 'Identifier' && !declared.has(name)) {
+        removals.push([statement.start, right.start, `const ${name} = `]);
+      } else {
+        removals.push([statement.start, lineEnd(code, statement.end)]);
+      }
+    } else if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+      const keepsDeclaration = declaration && (statement.type === 'ExportNamedDeclaration' || declaration.id);
+      removals.push([statement.start, keepsDeclaration ? declaration.start : lineEnd(code, statement.end)]);
+    }
+  }
+
+  return removals
+    .reduceRight((result, [start, end, replacement = '']) => result.slice(0, start) + replacement + result.slice(end), code)
+    .trim();
+};
+
+/**
+ * Names a top-level statement declares, including inline exports.
+ *
+ * @private
+ * @param {Object} statement - Top-level Babel statement
+ * @returns {string[]} Declared names
+ */
+const getDeclaredNames = (statement) => {
+  const declaration = statement.type.startsWith('Export') ? statement.declaration : statement;
+  if (!declaration) {
+    return [];
+  }
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations.filter((d) => d.id.type === 'Identifier').map((d) => d.id.name);
+  }
+  return declaration.id ? [declaration.id.name] : [];
+};
+
+/**
+ * Extends a removal over the rest of its line when only whitespace follows.
+ *
+ * @private
+ * @param {string} code - JavaScript code
+ * @param {number} end - End offset of a statement
+ * @returns {number} Offset after the line break, or end
+ */
+const lineEnd = (code, end) => {
+  const match = /^[ \t]*\r?\n/.exec(code.slice(end));
+  return match ? end + match[0].length : end;
+};
+
+/**
+ * Whether a statement assigns `module.exports`, `module.exports.x` or `exports.x`.
+ *
+ * @private
+ * @param {Object} statement - Top-level Babel statement
+ * @returns {boolean}
+ */
+const isExportAssignment = (statement) => {
+  if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'AssignmentExpression') {
+    return false;
+  }
+
+  const isModuleExports = (node) => node.type === 'MemberExpression' &&
+    node.object.type === 'Identifier' && node.object.name === 'module' &&
+    node.property.type === 'Identifier' && node.property.name === 'exports';
+
+  const { left } = statement.expression;
+  return isModuleExports(left) || (left.type === 'MemberExpression' &&
+    (isModuleExports(left.object) || (left.object.type === 'Identifier' && left.object.name === 'exports')));
+};
+
 /**
  * Wraps code with appropriate module exports.
  *
@@ -427,8 +533,11 @@ const generate = async (validatedCode, context, options = {}) => {
   // Create result structure
   const result = createEmptyModule(sourcePath, outputPath);
 
-  // Extract or use provided exports
-  let exports = extractExportsFromCode(validatedCode);
+  // Extract exports, keeping only the public functions when they are given;
+  // the transformer's own exports are then replaced
+  const code = context.exports ? stripExports(validatedCode) : validatedCode;
+  const exports = extractExportsFromCode(code)
+    .filter((e) => !context.exports || context.exports.includes(e.name));
 
   // Generate JSDoc for module
   const moduleJSDoc = generateModuleJSDoc(featureName, config?.description);
@@ -436,12 +545,13 @@ const generate = async (validatedCode, context, options = {}) => {
   // Generate JSDoc for each exported function
   const functionJSDocs = [];
   for (const exp of exports) {
-    const scenario = scenarios?.find((s) =>
-      s.name?.toLowerCase().includes(exp.name.toLowerCase())
-    );
+    // Prefer the "<name> defines a function" convention before substring matches
+    const scenario = scenarios?.find((s) => s.name?.split(/\s+/)[0] === exp.name) ||
+      scenarios?.find((s) => s.name?.toLowerCase().includes(exp.name.toLowerCase()));
 
     const examplesForFunc = examples?.filter((e) =>
-      e.name?.toLowerCase().includes(exp.name.toLowerCase())
+      e.functionName === exp.name ||
+      (!e.functionName && e.name?.toLowerCase().includes(exp.name.toLowerCase()))
     ) || [];
 
     const jsdoc = generateFunctionJSDoc(exp.name, {
@@ -468,7 +578,7 @@ const generate = async (validatedCode, context, options = {}) => {
   })) || [];
 
   // Inject JSDoc comments before function declarations
-  let codeWithJSDoc = validatedCode;
+  let codeWithJSDoc = code;
   for (const { name, jsdoc } of functionJSDocs) {
     // Find function declaration and prepend JSDoc
     const patterns = [
@@ -486,8 +596,10 @@ const generate = async (validatedCode, context, options = {}) => {
     }
   }
 
-  // Wrap with exports
-  const codeWithExports = wrapWithExports(codeWithJSDoc, exports, moduleFormat);
+  // Wrap with exports, unless the transformer already exported the functions
+  const codeWithExports = EXPORT_STATEMENT_PATTERN.test(codeWithJSDoc)
+    ? codeWithJSDoc
+    : wrapWithExports(codeWithJSDoc, exports, moduleFormat);
 
   // Combine all parts
   const parts = [];
@@ -546,21 +658,16 @@ const generate = async (validatedCode, context, options = {}) => {
 };
 
 /**
- * Generates multiple modules in batch.
+ * Generates multiple modules in batch, several at a time.
  *
  * @param {Array<{code: string, context: GenerationContext}>} items - Items to generate
- * @param {GenerateOptions} [options={}] - Generation options
- * @returns {Promise<GeneratedModule[]>} Generated modules
+ * @param {GenerateOptions & {concurrency?: number}} [options={}] - Generation options, plus the
+ *   number of modules generated at once (default: DEFAULT_CONCURRENCY)
+ * @returns {Promise<GeneratedModule[]>} Generated modules, in input order
  */
 const generateBatch = async (items, options = {}) => {
-  const results = [];
-
-  for (const item of items) {
-    const result = await generate(item.code, item.context, options);
-    results.push(result);
-  }
-
-  return results;
+  const { concurrency, ...generateOptions } = options;
+  return mapConcurrent(items, concurrency, item => generate(item.code, item.context, generateOptions));
 };
 
 module.exports = {
@@ -570,6 +677,7 @@ module.exports = {
   wrapWithExports,
   wrapWithESMExports,
   wrapWithCJSExports,
+  stripExports,
   resolveImports,
   generateESMImport,
   generateCJSImport,
@@ -12,7 +12,7 @@
 const path = require('path');
 const fs = require('fs').promises;
 const { createEmptyTestSuite, createTestCase } = require('./types');
-const { inferTypeFromName, inferReturnTypeFromName } = require('./formatters/jsdoc');
+const { inferTypeFromName, inferReturnTypeFromName, getExampleColumns } = require('./formatters/jsdoc');
 
 /**
  * @typedef {import('./types').GeneratedModule} GeneratedModule
@@ -225,18 +225,9 @@ const generateExampleTests = (functionName, examples, paramNames = []) => {
     for (let i = 0; i < example.rows.length; i++) {
       const row = example.rows[i];
 
-      // Extract inputs based on param names or all non-result keys
-      const resultKeys = ['result', 'expected', 'output', 'returns'];
-      const inputKeys = paramNames.length > 0
-        ? paramNames
-        : Object.keys(row).filter((k) => !resultKeys.includes(k.toLowerCase()));
-
-      const inputs = inputKeys.map((k) => row[k]);
-
-      // Find expected result
-      const resultKey = Object.keys(row).find((k) =>
-        resultKeys.includes(k.toLowerCase())
-      );
+      // Inputs are the parameters the table names, or all non-result columns
+      const { argNames, resultKey } = getExampleColumns(row, paramNames);
+      const inputs = argNames.map((k) => row[k]);
       const expected = resultKey ? row[resultKey] : undefined;
 
       const inputStr = inputs.map((v) => formatValue(v)).join(', ');
@@ -750,7 +741,7 @@ const generateTests = async (module, context, options = {}) => {
     // Get examples for this function
     const funcExamples = examples.filter((e) =>
       e.functionName === funcName ||
-      e.name?.toLowerCase().includes(funcName.toLowerCase())
+      (!e.functionName && e.name?.toLowerCase().includes(funcName.toLowerCase()))
     );
 
     // Generate example tests
@@ -784,10 +775,13 @@ const generateTests = async (module, context, options = {}) => {
   // Get module name from path
   const moduleName = path.basename(module.outputPath, '.js');
 
+  // Import the module relative to the test file, which may live in another directory
+  const importPath = path.relative(path.dirname(testPath), module.outputPath).split(path.sep).join('/');
+
   // Create test file content
   result.code = createTestFile(
     moduleName,
-    module.outputPath,
+    importPath.startsWith('.') ? importPath : `./${importPath}`,
     exportNames,
     allTestCases,
     { moduleFormat }
@@ -13,12 +13,19 @@ const { AITransformer } = require('./ai/transformer');
 const { PromptBuilder } = require('./ai/prompt-builder');
 const { ResponseParser } = require('./ai/response-parser');
 const { RetryHandler } = require('./ai/retry-handler');
+const { RateLimiter } = require('./ai/rate-limiter');
+const { RuleTransformer } = require('./ai/rule-transformer');
+const { StepCompiler } = require('./ai/step-compiler');
+const { createProvider, AnthropicProvider, CassetteProvider } = require('./ai/providers');
 const {
   TransformationError,
   APIError,
   RateLimitError,
   InvalidCodeError,
   ToolTimeoutError,
+  UnsupportedStepError,
+  CassetteMissError,
+  TransformationAbortedError,
 } = require('./ai/errors');
 
 // MCP Client
@@ -37,9 +44,13 @@ const {
 } = require('./mcp/tools');
 
 // Compiler Core
+const { Compiler } = require('./compiler');
 const { GherkinParser } = require('./compiler/parser');
 const { ProjectContext } = require('./compiler/context');
 const { CacheManager } = require('./compiler/cache');
+const { FileSystemBackend, HttpBackend, createRemoteBackend } = require('./compiler/cache-backends');
+const { createCacheServer } = require('./compiler/cache-backends/server');
+const { BuildScheduler } = require('./compiler/scheduler');
 const { ParseError, ContextBuildError, CacheError } = require('./compiler/errors');
 
 // Validation
@@ -111,6 +122,14 @@ module.exports = {
   PromptBuilder,
   ResponseParser,
   RetryHandler,
+  RateLimiter,
+  RuleTransformer,
+  StepCompiler,
+
+  // AI Providers
+  createProvider,
+  AnthropicProvider,
+  CassetteProvider,
 
   // AI Errors
   TransformationError,
@@ -118,6 +137,9 @@ module.exports = {
   RateLimitError,
   InvalidCodeError,
   ToolTimeoutError,
+  UnsupportedStepError,
+  CassetteMissError,
+  TransformationAbortedError,
 
   // MCP Client
   MCPClient,
@@ -133,9 +155,15 @@ module.exports = {
   MCPTestGenerator,
 
   // Compiler Core
+  Compiler,
   GherkinParser,
   ProjectContext,
   CacheManager,
+  FileSystemBackend,
+  HttpBackend,
+  createRemoteBackend,
+  createCacheServer,
+  BuildScheduler,
 
   // Compiler Errors
   ParseError,
@@ -0,0 +1,68 @@
+/**
+ * Utility module for bounded concurrency.
+ *
+ * Runs asynchronous work over a list of items with at most a fixed number
+ * of tasks in flight, keeping results in input order. Shared by the
+ * compiler, generation and validation layers, so it depends on none of them.
+ *
+ * @module utils/concurrency
+ */
+
+/**
+ * Default number of tasks run at once.
+ * @type {number}
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Normalize a concurrency setting to a positive integer.
+ *
+ * @param {number} [concurrency] - Requested concurrency
+ * @returns {number} Concurrency of at least 1 (default: DEFAULT_CONCURRENCY)
+ */
+function normalizeConcurrency(concurrency) {
+  if (concurrency === undefined || concurrency === null) {
+    return DEFAULT_CONCURRENCY;
+  }
+  return Math.max(1, Math.floor(concurrency) || 1);
+}
+
+/**
+ * Map items through an async function with bounded concurrency.
+ *
+ * Rejects with the first error thrown by `fn`; tasks already running are
+ * left to settle but no new ones are started.
+ *
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} concurrency - Maximum tasks in flight
+ * @param {function(T, number): Promise<R>} fn - Task run for each item and its index
+ * @returns {Promise<R[]>} Results in input order
+ */
+async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Math.min(normalizeConcurrency(concurrency), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  normalizeConcurrency,
+  mapConcurrent,
+};
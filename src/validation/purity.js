@@ -642,6 +642,11 @@ const validatePurity = (ast, code, options = {}) => {
         // Check for mutating array methods
         const mutatingArrayMethod = getMutatingArrayMethod(path.node);
         if (mutatingArrayMethod) {
+          // A fresh array literal such as [...items] is a copy nobody else holds
+          if (path.node.callee.type === 'MemberExpression' && path.node.callee.object.type === 'ArrayExpression') {
+            return;
+          }
+
           // Check if it's on a local variable (allowed) BUT NOT a parameter
           // Mutating a parameter still mutates an external object
           if (
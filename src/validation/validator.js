@@ -12,6 +12,7 @@ const { validateSyntax } = require('./syntax');
 const { validatePurity } = require('./purity');
 const { validateLint } = require('./eslint-config');
 const { createValidationError, createEmptyValidationResult } = require('./types');
+const { mapConcurrent } = require('../utils/concurrency');
 
 /**
  * @typedef {import('./types').ValidationResult} ValidationResult
@@ -276,18 +277,15 @@ const validate = async (code, options = {}) => {
 };
 
 /**
- * Validates multiple code strings in sequence.
+ * Validates multiple code strings, several at a time.
  *
  * @param {Array<{code: string, options?: ValidateOptions}>} items - Items to validate
- * @returns {Promise<ValidationResult[]>} Array of validation results
+ * @param {Object} [batchOptions] - Batch options
+ * @param {number} [batchOptions.concurrency] - Items validated at once (default: DEFAULT_CONCURRENCY)
+ * @returns {Promise<ValidationResult[]>} Array of validation results, in input order
  */
-const validateBatch = async (items) => {
-  const results = [];
-  for (const item of items) {
-    const result = await validate(item.code, item.options);
-    results.push(result);
-  }
-  return results;
+const validateBatch = async (items, batchOptions = {}) => {
+  return mapConcurrent(items, batchOptions.concurrency, item => validate(item.code, item.options));
 };
 
 /**
@@ -0,0 +1,91 @@
+/**
+ * Integration tests for CacheManager shared by concurrent writers.
+ *
+ * Runs several Node processes against one cache directory and checks that
+ * no entry or size accounting is lost.
+ *
+ * @module test/integration/compiler/cache-concurrency
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { CacheManager } = require('../../../src/compiler/cache');
+
+const execFileAsync = promisify(execFile);
+
+const CACHE_MODULE = path.resolve(__dirname, '../../../src/compiler/cache');
+const PROCESSES = 3;
+const ENTRIES_PER_PROCESS = 10;
+
+// Each writer stores its own entries and reads back every entry it can see
+const WRITER = `
+const { CacheManager } = require(${JSON.stringify(CACHE_MODULE)});
+const [cacheDir, writer, count] = process.argv.slice(1);
+
+(async () => {
+  const cache = new CacheManager({ cacheDir });
+  for (let i = 0; i < Number(count); i++) {
+    const key = 'w' + writer + '-' + i;
+    await cache.set(key, {
+      key,
+      sourceHash: 'source',
+      rulesHash: 'rules',
+      compiledCode: 'const value = ' + i + ';',
+      metadata: { timestamp: new Date().toISOString(), duration: 1, compilerVersion: '1.0.0', target: 'javascript' },
+    });
+    await cache.get(key);
+  }
+  await cache.flush();
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+`;
+
+describe('CacheManager with concurrent writers', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-concurrency-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should keep every entry written by concurrent processes', async () => {
+    await Promise.all(Array.from({ length: PROCESSES }, (_, writer) => execFileAsync(
+      process.execPath,
+      ['-e', WRITER, cacheDir, String(writer), String(ENTRIES_PER_PROCESS)],
+      { timeout: 60000 },
+    )));
+
+    const manifest = JSON.parse(await fs.readFile(path.join(cacheDir, 'manifest.json'), 'utf8'));
+    const files = await fs.readdir(cacheDir);
+
+    expect(manifest.entries).toHaveLength(PROCESSES * ENTRIES_PER_PROCESS);
+    expect(manifest.totalSize).toBe(manifest.entries.reduce((sum, entry) => sum + entry.size, 0));
+    expect(files.filter(file => file.endsWith('.cache'))).toHaveLength(PROCESSES * ENTRIES_PER_PROCESS);
+    expect(files.filter(file => file.endsWith('.tmp') || file.endsWith('.lock'))).toEqual([]);
+  }, 90000);
+
+  it('should serve entries written by another instance', async () => {
+    const writer = new CacheManager({ cacheDir });
+    const reader = new CacheManager({ cacheDir });
+    const entry = {
+      key: 'shared',
+      sourceHash: 'source',
+      rulesHash: 'rules',
+      compiledCode: 'const value = 1;',
+      metadata: { timestamp: new Date().toISOString(), duration: 1, compilerVersion: '1.0.0', target: 'javascript' },
+    };
+
+    await reader.getStats();
+    await writer.set('shared', entry);
+
+    expect(await reader.get('shared')).toEqual(entry);
+  });
+});
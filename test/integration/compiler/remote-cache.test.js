@@ -0,0 +1,88 @@
+/**
+ * Integration tests for builds sharing a remote cache.
+ *
+ * Two checkouts of the same project compile against the reference cache
+ * server; the second one is served entirely from the remote.
+ *
+ * @module test/integration/compiler/remote-cache
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { Compiler } = require('../../../src/compiler');
+const { createCacheServer } = require('../../../src/compiler/cache-backends/server');
+
+const MATH_FEATURE = [
+  'Feature: Mathematics',
+  '',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+].join('\n');
+
+const createTransformer = () => ({
+  transform: jest.fn(async () => ({
+    success: true,
+    code: 'const add = (a, b) => a + b;',
+    toolCalls: [],
+    metadata: { model: 'test-model', tokens: { input: 1, output: 1, total: 2 }, duration: 1 },
+  })),
+});
+
+describe('Compiler with a remote cache', () => {
+  let tempDir;
+  let server;
+  let url;
+
+  const createCheckout = async (name, remoteUrl) => {
+    const dir = path.join(tempDir, name);
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(dir, 'mathematics.feature'), MATH_FEATURE, 'utf8');
+    await fs.writeFile(path.join(dir, '.gherkinrc.json'), JSON.stringify({
+      cache: { remote: { url: remoteUrl, timeout: 2000 } },
+    }));
+    return dir;
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'remote-cache-test-'));
+    server = createCacheServer({ dir: path.join(tempDir, 'server') });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should reuse compilations uploaded by another checkout', async () => {
+    const first = createTransformer();
+    const second = createTransformer();
+
+    const uploaded = await new Compiler({ transformer: first }).compileProject(await createCheckout('ci', url));
+    const report = await new Compiler({ transformer: second }).compileProject(await createCheckout('laptop', url));
+
+    expect(uploaded.modules[0].status).toBe('compiled');
+    expect(report.modules[0]).toMatchObject({ status: 'cached', cacheKey: uploaded.modules[0].cacheKey });
+    expect(second.transform).not.toHaveBeenCalled();
+    expect(await fs.readdir(path.join(tempDir, 'laptop', '.gherkin-cache')))
+      .toContain(`${uploaded.modules[0].cacheKey}.cache`);
+  });
+
+  it('should build with the local cache when the remote is down', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await new Promise(resolve => server.close(resolve));
+    server = createCacheServer({ dir: path.join(tempDir, 'server') });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const report = await new Compiler({ transformer: createTransformer() })
+      .compileProject(await createCheckout('offline', url));
+
+    expect(report.success).toBe(true);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Remote cache unavailable'));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for token accounting and model pricing.
+ *
+ * @module test/unit/ai/pricing
+ */
+
+const {
+  DEFAULT_PRICES,
+  emptyUsage,
+  addUsage,
+  findPrice,
+  computeCost,
+} = require('../../../src/ai/pricing');
+
+describe('pricing', () => {
+  describe('addUsage', () => {
+    it('should accumulate input, output and total tokens', () => {
+      const total = emptyUsage();
+
+      addUsage(total, { input: 100, output: 50, total: 150 });
+      addUsage(total, { input: 10, output: 5, total: 15 });
+
+      expect(total).toEqual({ input: 110, output: 55, cacheRead: 0, cacheWrite: 0, total: 165 });
+    });
+
+    it('should ignore missing usage', () => {
+      expect(addUsage(emptyUsage(), null)).toEqual(emptyUsage());
+    });
+
+    it('should count prompt cache reads and writes in the total', () => {
+      const total = addUsage(emptyUsage(), { input: 10, output: 5, cacheRead: 900, cacheWrite: 100 });
+
+      expect(total).toEqual({ input: 10, output: 5, cacheRead: 900, cacheWrite: 100, total: 1015 });
+    });
+  });
+
+  describe('findPrice', () => {
+    it('should match a dated model identifier by prefix', () => {
+      expect(findPrice('claude-sonnet-4-20250514')).toBe(DEFAULT_PRICES['claude-sonnet-4']);
+    });
+
+    it('should prefer the longest matching entry', () => {
+      expect(findPrice('claude-opus-4-5-20251101')).toBe(DEFAULT_PRICES['claude-opus-4-5']);
+      expect(findPrice('claude-opus-4-20250514')).toBe(DEFAULT_PRICES['claude-opus-4']);
+    });
+
+    it('should only match a prefix up to a dash', () => {
+      expect(findPrice('claude-sonnet-45', { 'claude-sonnet-4': { input: 3, output: 15 } })).toBeNull();
+    });
+
+    it('should return null for unknown or missing models', () => {
+      expect(findPrice('gpt-4')).toBeNull();
+      expect(findPrice(undefined)).toBeNull();
+    });
+  });
+
+  describe('computeCost', () => {
+    it('should price input and output tokens per million', () => {
+      const cost = computeCost({ input: 1000000, output: 200000 }, 'claude-3-opus-20240229');
+
+      expect(cost).toBeCloseTo(15 + 15);
+    });
+
+    it('should use the given price table', () => {
+      const prices = { 'my-model': { input: 1, output: 2 } };
+
+      expect(computeCost({ input: 500000, output: 500000 }, 'my-model', prices)).toBeCloseTo(1.5);
+    });
+
+    it('should price prompt cache reads and writes relative to input unless set', () => {
+      const usage = { input: 0, output: 0, cacheRead: 1000000, cacheWrite: 1000000 };
+
+      expect(computeCost(usage, 'claude-sonnet-4')).toBeCloseTo(0.3 + 3.75);
+      expect(computeCost(usage, 'm', { m: { input: 3, output: 15, cacheRead: 1, cacheWrite: 2 } })).toBeCloseTo(3);
+    });
+
+    it('should return null when the model has no price', () => {
+      expect(computeCost({ input: 10, output: 10 }, 'gpt-4')).toBeNull();
+    });
+
+    it('should cost nothing for rule-compiled code', () => {
+      expect(computeCost({ input: 0, output: 0 }, 'rules')).toBe(0);
+    });
+  });
+});
@@ -240,6 +240,92 @@ describe('PromptBuilder', () => {
     });
   });
 
+  describe('getRules', () => {
+    it('should return the built-in rules when the project has no rules files', async () => {
+      readFile.mockResolvedValueOnce('  Built-in rules\n');
+
+      await expect(builder.getRules()).resolves.toBe('Built-in rules');
+    });
+
+    it('should layer project rules files over the built-in rules in order', async () => {
+      readFile
+        .mockResolvedValueOnce('Built-in rules')
+        .mockResolvedValueOnce('Currency steps\n')
+        .mockResolvedValueOnce('Overrides');
+
+      const rules = await new PromptBuilder({
+        rulesFiles: ['rules/currency.md', 'rules/overrides.md'],
+        rootDir: '/project',
+      }).getRules();
+
+      expect(readFile.mock.calls.slice(1).map(([file]) => file)).toEqual([
+        path.resolve('/project', 'rules/currency.md'),
+        path.resolve('/project', 'rules/overrides.md'),
+      ]);
+      expect(rules).toMatch(/^Built-in rules\n\n## Project Rules\n\n.*takes precedence/);
+      expect(rules).toContain('### rules/currency.md\n\nCurrency steps\n\n### rules/overrides.md\n\nOverrides');
+    });
+
+    it('should take the rules files as arguments', async () => {
+      readFile.mockResolvedValueOnce('Built-in rules').mockResolvedValueOnce('Currency steps');
+
+      const rules = await builder.getRules({ rulesFiles: ['currency.md'], rootDir: '/project' });
+
+      expect(readFile).toHaveBeenLastCalledWith(path.resolve('/project', 'currency.md'));
+      expect(rules).toContain('### currency.md\n\nCurrency steps');
+    });
+
+    it('should skip empty rules files', async () => {
+      readFile.mockResolvedValueOnce('Built-in rules').mockResolvedValueOnce('\n');
+
+      await expect(builder.getRules({ rulesFiles: ['empty.md'] })).resolves.toBe('Built-in rules');
+    });
+
+    it('should throw error when a project rules file cannot be read', async () => {
+      readFile.mockResolvedValueOnce('Built-in rules').mockRejectedValueOnce(new Error('File not found'));
+
+      await expect(builder.getRules({ rulesFiles: ['missing.md'], rootDir: '/project' }))
+        .rejects.toThrow(`Failed to read project rules file: ${path.resolve('/project', 'missing.md')}. File not found`);
+    });
+
+    it('should send the rules it is given without reading rules files', async () => {
+      readFile.mockResolvedValueOnce('Sample target prompt');
+
+      const result = await new PromptBuilder({ rulesFiles: ['currency.md'] })
+        .build({ source: 'Feature: Test', target: 'javascript', rules: 'Hashed rules' });
+
+      expect(readFile).toHaveBeenCalledTimes(1);
+      expect(result.systemBlocks[0].text).toMatch(/Hashed rules$/);
+    });
+
+    it('should send the project rules with the built-in rules', async () => {
+      readFile
+        .mockResolvedValueOnce('Built-in rules')
+        .mockResolvedValueOnce('Currency steps')
+        .mockResolvedValueOnce('Sample target prompt');
+
+      const result = await new PromptBuilder({ rulesFiles: ['currency.md'] })
+        .build({ source: 'Feature: Test', target: 'javascript' });
+
+      expect(result.systemBlocks[0].text).toMatch(/Built-in rules[\s\S]*### currency.md\n\nCurrency steps$/);
+    });
+  });
+
+  describe('getTargetPrompt', () => {
+    it('should load the prompt of the target', async () => {
+      readFile.mockResolvedValueOnce('# JavaScript\n');
+
+      await expect(builder.getTargetPrompt('javascript')).resolves.toBe('# JavaScript');
+      expect(readFile).toHaveBeenCalledWith(path.join(__dirname, '../../../src/ai/prompts/javascript.md'));
+    });
+
+    it('should return an empty prompt when the target has none', async () => {
+      readFile.mockRejectedValueOnce(new Error('File not found'));
+
+      await expect(builder.getTargetPrompt('elixir')).resolves.toBe('');
+    });
+  });
+
   describe('_buildSystemMessage', () => {
     it('should include role definition', async () => {
       readFile
@@ -293,6 +379,33 @@ describe('PromptBuilder', () => {
     });
   });
 
+  describe('_buildSystemBlocks', () => {
+    it('should split the system message into cacheable rules and target prompt blocks', async () => {
+      readFile
+        .mockResolvedValueOnce('Sample rules content')
+        .mockResolvedValueOnce('Sample target prompt');
+
+      const result = await builder.build({ source: 'Feature: Test', target: 'javascript' });
+
+      expect(result.systemBlocks).toHaveLength(2);
+      expect(result.systemBlocks[0].text).toMatch(/^You are a compiler[\s\S]*Sample rules content$/);
+      expect(result.systemBlocks[1]).toEqual({
+        type: 'text',
+        text: 'Sample target prompt',
+        cache_control: { type: 'ephemeral' },
+      });
+      expect(result.systemBlocks[0].cache_control).toEqual({ type: 'ephemeral' });
+      expect(result.systemBlocks.map(block => block.text).join('\n\n')).toBe(result.systemMessage);
+    });
+
+    it('should send a single block without a target prompt', () => {
+      const blocks = builder._buildSystemBlocks('Sample rules content', null, 'elixir');
+
+      expect(blocks).toHaveLength(1);
+      expect(blocks[0].text).toContain('compiles to elixir');
+    });
+  });
+
   describe('_buildUserMessage', () => {
     it('should format source code in code block', async () => {
       readFile
@@ -331,5 +444,93 @@ describe('PromptBuilder', () => {
       expect(result.userMessage).toContain('Dependencies: dep1, dep2');
       expect(result.userMessage).toContain('Imports: import1, import2');
     });
+
+    it('should list the signatures of imported modules', async () => {
+      readFile
+        .mockResolvedValueOnce('Sample rules content')
+        .mockResolvedValueOnce('Sample target prompt');
+
+      const result = await builder.build({
+        source: 'Feature: Test',
+        target: 'javascript',
+        context: {
+          moduleName: 'ShoppingCart',
+          imports: ['Mathematics'],
+          interfaces: {
+            Mathematics: [
+              {
+                name: 'multiply',
+                params: [{ name: 'a', type: 'number', description: null }, { name: 'b', type: null, description: null }],
+                returns: 'number',
+                summary: 'Multiplies a by b',
+              },
+              { name: 'zero', params: [], returns: null, summary: null },
+            ],
+          },
+        },
+      });
+
+      expect(result.userMessage).toContain([
+        'Imported modules are already compiled. Call their functions exactly as declared:',
+        '',
+        'Mathematics',
+        '- Mathematics.multiply(a: number, b): number - Multiplies a by b',
+        '- Mathematics.zero()',
+      ].join('\n'));
+    });
+
+    it('should leave out the interfaces section without imported modules', async () => {
+      readFile
+        .mockResolvedValueOnce('Sample rules content')
+        .mockResolvedValueOnce('Sample target prompt');
+
+      const result = await builder.build({ source: 'Feature: Test', target: 'javascript', context: { interfaces: {} } });
+
+      expect(result.userMessage).not.toContain('Imported modules');
+    });
+
+    it('should append previous output and validation errors when feedback is provided', async () => {
+      readFile
+        .mockResolvedValueOnce('Sample rules content')
+        .mockResolvedValueOnce('Sample target prompt');
+
+      const result = await builder.build({
+        source: 'Feature: Test',
+        target: 'javascript',
+        feedback: {
+          previousCode: 'const add = (a, b) => { console.log(a); return a + b; };',
+          errors: [
+            {
+              type: 'purity',
+              message: 'Side effect: console.log',
+              location: { line: 1, column: 24 },
+              suggestion: 'Remove console statements for pure functions',
+            },
+            {
+              type: 'lint',
+              rule: 'no-var',
+              message: 'Unexpected var',
+              location: { line: 2, column: 0 },
+            },
+          ],
+        },
+      });
+
+      expect(result.userMessage).toContain('Your previous output failed validation');
+      expect(result.userMessage).toContain('```javascript\nconst add = (a, b) => { console.log(a); return a + b; };\n```');
+      expect(result.userMessage).toContain('1. [purity] (line 1, column 24) Side effect: console.log');
+      expect(result.userMessage).toContain('   Suggestion: Remove console statements for pure functions');
+      expect(result.userMessage).toContain('2. [lint no-var] (line 2, column 0) Unexpected var');
+    });
+
+    it('should not include a correction section without feedback', async () => {
+      readFile
+        .mockResolvedValueOnce('Sample rules content')
+        .mockResolvedValueOnce('Sample target prompt');
+
+      const result = await builder.build({ source: 'Feature: Test', target: 'javascript' });
+
+      expect(result.userMessage).not.toContain('failed validation');
+    });
   });
 });
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the Anthropic provider.
+ *
+ * @module test/unit/ai/providers/anthropic
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { AnthropicProvider } = require('../../../../src/ai/providers/anthropic');
+const {
+  TransformationError,
+  APIError,
+  RateLimitError,
+  TransformationAbortedError,
+} = require('../../../../src/ai/errors');
+
+jest.mock('@anthropic-ai/sdk');
+
+describe('AnthropicProvider', () => {
+  let mockClient;
+
+  const request = {
+    model: 'claude-sonnet-4-5',
+    max_tokens: 4096,
+    temperature: 0,
+    system: 'System message',
+    messages: [{ role: 'user', content: 'User message' }],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockClient = { messages: { create: jest.fn(), stream: jest.fn() } };
+    Anthropic.mockImplementation(() => mockClient);
+  });
+
+  afterEach(() => {
+    delete process.env.ANTHROPIC_API_KEY;
+  });
+
+  describe('constructor', () => {
+    it('should create a client with the given API key', () => {
+      const provider = new AnthropicProvider({ apiKey: 'test-key' });
+
+      expect(provider.name).toBe('anthropic');
+      expect(Anthropic).toHaveBeenCalledWith({ apiKey: 'test-key' });
+    });
+
+    it('should throw when no API key is available', () => {
+      expect(() => new AnthropicProvider()).toThrow(TransformationError);
+    });
+  });
+
+  describe('createMessage', () => {
+    it('should pass the request to the Messages API', async () => {
+      mockClient.messages.create.mockResolvedValue({ id: 'msg_123', content: [] });
+      const provider = new AnthropicProvider({ apiKey: 'test-key' });
+
+      const response = await provider.createMessage(request);
+
+      expect(mockClient.messages.create).toHaveBeenCalledWith(request);
+      expect(response.id).toBe('msg_123');
+    });
+
+    it('should map 429 status to RateLimitError', async () => {
+      const error = Object.assign(new Error('Rate limit'), { status: 429, headers: { 'retry-after': '60' } });
+      mockClient.messages.create.mockRejectedValue(error);
+      const provider = new AnthropicProvider({ apiKey: 'test-key' });
+
+      await expect(provider.createMessage(request)).rejects.toThrow(RateLimitError);
+    });
+
+    it('should map server errors to APIError with the status code', async () => {
+      mockClient.messages.create.mockRejectedValue(Object.assign(new Error('Overloaded'), { status: 529 }));
+      const provider = new AnthropicProvider({ apiKey: 'test-key' });
+
+      await expect(provider.createMessage(request)).rejects.toMatchObject({
+        name: 'APIError',
+        statusCode: 529,
+      });
+    });
+
+    it('should keep the errno code of network errors', async () => {
+      mockClient.messages.create.mockRejectedValue(Object.assign(new Error('reset'), { code: 'ECONNRESET' }));
+      const provider = new AnthropicProvider({ apiKey: 'test-key' });
+
+      const error = await provider.createMessage(request).catch(e => e);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.code).toBe('ECONNRESET');
+    });
+  });
+
+  describe('streamMessage', () => {
+    const createStream = (deltas, finalMessage) => {
+      const listeners = [];
+      return {
+        on: jest.fn((event, listener) => listeners.push(listener)),
+        finalMessage: jest.fn(async () => {
+          deltas.forEach(delta => listeners.forEach(listener => listener(delta, '')));
+          return finalMessage();
+        }),
+      };
+    };
+
+    it('should report text deltas and resolve with the final message', async () => {
+      const controller = new AbortController();
+      mockClient.messages.stream.mockReturnValue(createStream(['const ', 'x'], async () => ({ id: 'msg_123' })));
+      const provider = new AnthropicProvider({ apiKey: 'test-key' });
+      const onText = jest.fn();
+
+      const response = await provider.streamMessage(request, { onText, signal: controller.signal });
+
+      expect(mockClient.messages.stream).toHaveBeenCalledWith(request, { signal: controller.signal });
+      expect(onText.mock.calls).toEqual([['const '], ['x']]);
+      expect(response.id).toBe('msg_123');
+    });
+
+    it('should map stream failures and aborts', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'test-key' });
+      mockClient.messages.stream.mockReturnValue(createStream([], async () => {
+        throw Object.assign(new Error('Rate limit'), { status: 429 });
+      }));
+
+      await expect(provider.streamMessage(request)).rejects.toThrow(RateLimitError);
+
+      const controller = new AbortController();
+      controller.abort();
+      mockClient.messages.stream.mockReturnValue(createStream([], async () => {
+        throw new Error('Request was aborted.');
+      }));
+
+      await expect(provider.streamMessage(request, { signal: controller.signal }))
+        .rejects.toThrow(TransformationAbortedError);
+    });
+  });
+});
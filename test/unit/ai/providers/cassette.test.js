@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the cassette provider.
+ *
+ * @module test/unit/ai/providers/cassette
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { CassetteProvider, canonicalize } = require('../../../../src/ai/providers/cassette');
+const { createProvider } = require('../../../../src/ai/providers');
+const { CassetteMissError } = require('../../../../src/ai/errors');
+
+describe('CassetteProvider', () => {
+  let tempDir;
+  let recorder;
+
+  const request = {
+    model: 'claude-sonnet-4-5',
+    max_tokens: 4096,
+    temperature: 0,
+    system: 'System message',
+    messages: [{ role: 'user', content: 'Compile Mathematics' }],
+  };
+  const response = {
+    id: 'msg_123',
+    model: 'claude-sonnet-4-5',
+    content: [{ type: 'text', text: 'const add = (a, b) => a + b;' }],
+    usage: { input_tokens: 10, output_tokens: 5 },
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-test-'));
+    recorder = { name: 'test', createMessage: jest.fn().mockResolvedValue(response) };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('keyFor', () => {
+    it('should ignore key order and undefined values', () => {
+      const reordered = { messages: request.messages, system: request.system, temperature: 0, max_tokens: 4096, model: request.model, tools: undefined };
+
+      expect(CassetteProvider.keyFor(reordered)).toBe(CassetteProvider.keyFor(request));
+      expect(CassetteProvider.keyFor(request)).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should change when the prompt changes', () => {
+      const other = { ...request, messages: [{ role: 'user', content: 'Compile Strings' }] };
+
+      expect(CassetteProvider.keyFor(other)).not.toBe(CassetteProvider.keyFor(request));
+    });
+  });
+
+  describe('createMessage', () => {
+    it('should throw CassetteMissError in replay mode when nothing is recorded', async () => {
+      const provider = new CassetteProvider({ dir: tempDir, provider: recorder });
+
+      const error = await provider.createMessage(request).catch(e => e);
+
+      expect(error).toBeInstanceOf(CassetteMissError);
+      expect(error.key).toBe(CassetteProvider.keyFor(request));
+      expect(recorder.createMessage).not.toHaveBeenCalled();
+    });
+
+    it('should record misses in auto mode and replay them afterwards', async () => {
+      const provider = new CassetteProvider({ dir: tempDir, mode: 'auto', provider: recorder });
+
+      expect(await provider.createMessage(request)).toEqual(response);
+      expect(await provider.createMessage(request)).toEqual(response);
+
+      expect(recorder.createMessage).toHaveBeenCalledTimes(1);
+      const files = await fs.readdir(tempDir);
+      expect(files).toEqual([`${CassetteProvider.keyFor(request)}.json`]);
+    });
+
+    it('should replay recordings without a wrapped provider', async () => {
+      await new CassetteProvider({ dir: tempDir, mode: 'record', provider: recorder }).createMessage(request);
+
+      const replayed = await new CassetteProvider({ dir: tempDir }).createMessage(request);
+
+      expect(replayed).toEqual(response);
+    });
+
+    it('should write byte-identical recordings for the same request', async () => {
+      const provider = new CassetteProvider({ dir: tempDir, mode: 'record', provider: recorder });
+      const file = path.join(tempDir, `${CassetteProvider.keyFor(request)}.json`);
+
+      await provider.createMessage(request);
+      const first = await fs.readFile(file, 'utf8');
+      await provider.createMessage({ ...request });
+
+      expect(await fs.readFile(file, 'utf8')).toBe(first);
+      expect(JSON.parse(first)).toEqual(canonicalize({ key: CassetteProvider.keyFor(request), request, response }));
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => new CassetteProvider({ mode: 'rewind' })).toThrow('Unknown cassette mode');
+    });
+  });
+
+  describe('streamMessage', () => {
+    it('should report the text of a replayed response', async () => {
+      await new CassetteProvider({ dir: tempDir, mode: 'record', provider: recorder }).createMessage(request);
+      const provider = new CassetteProvider({ dir: tempDir });
+      const onText = jest.fn();
+
+      expect(await provider.streamMessage(request, { onText })).toEqual(response);
+      expect(onText.mock.calls).toEqual([['const add = (a, b) => a + b;']]);
+    });
+
+    it('should stream misses from the wrapped provider and record the final response', async () => {
+      recorder.streamMessage = jest.fn(async (streamed, options) => {
+        options.onText('const add');
+        return response;
+      });
+      const provider = new CassetteProvider({ dir: tempDir, mode: 'auto', provider: recorder });
+      const onText = jest.fn();
+
+      await provider.streamMessage(request, { onText });
+
+      expect(onText.mock.calls).toEqual([['const add']]);
+      expect(recorder.createMessage).not.toHaveBeenCalled();
+      expect(await provider.createMessage(request)).toEqual(response);
+    });
+  });
+
+  describe('createProvider', () => {
+    it('should replay cassettes without an API key', async () => {
+      delete process.env.ANTHROPIC_API_KEY;
+      await new CassetteProvider({ dir: tempDir, mode: 'record', provider: recorder }).createMessage(request);
+
+      const provider = createProvider({ provider: 'cassette', cassette: { dir: tempDir } });
+
+      expect(await provider.createMessage(request)).toEqual(response);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createProvider({ provider: 'openai' })).toThrow('Unknown AI provider "openai"');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the shared rate limiter.
+ *
+ * @module test/unit/ai/rate-limiter
+ */
+
+const { RateLimiter } = require('../../../src/ai/rate-limiter');
+
+describe('RateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    limiter = new RateLimiter();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should not be paused initially', async () => {
+    expect(limiter.isPaused()).toBe(false);
+    await expect(limiter.wait()).resolves.toBeUndefined();
+  });
+
+  it('should hold off waiters until the pause has passed', async () => {
+    const resolved = jest.fn();
+    limiter.pause(1000);
+
+    limiter.wait().then(resolved);
+    await jest.advanceTimersByTimeAsync(999);
+    expect(resolved).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(resolved).toHaveBeenCalled();
+    expect(limiter.isPaused()).toBe(false);
+  });
+
+  it('should keep waiters waiting when the pause is extended', async () => {
+    const resolved = jest.fn();
+    limiter.pause(1000);
+    limiter.wait().then(resolved);
+
+    await jest.advanceTimersByTimeAsync(500);
+    limiter.pause(1000);
+    await jest.advanceTimersByTimeAsync(500);
+    expect(resolved).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(resolved).toHaveBeenCalled();
+  });
+
+  it('should not shorten an existing pause', async () => {
+    const onPause = jest.fn();
+    limiter.on('pause', onPause);
+
+    limiter.pause(1000);
+    limiter.pause(10);
+
+    expect(onPause).toHaveBeenCalledTimes(1);
+    expect(onPause).toHaveBeenCalledWith({ delay: 1000, until: expect.any(Date) });
+    await jest.advanceTimersByTimeAsync(500);
+    expect(limiter.isPaused()).toBe(true);
+  });
+});
@@ -113,6 +113,22 @@ describe('RetryHandler', () => {
       expect(apiCall).toHaveBeenCalledTimes(2);
     });
 
+    it('should pause the shared rate limiter instead of sleeping on RateLimitError', async () => {
+      const rateLimiter = { wait: jest.fn(() => Promise.resolve()), pause: jest.fn() };
+      const sharedHandler = new RetryHandler({ rateLimiter });
+      const apiCall = jest.fn()
+        .mockRejectedValueOnce(new RateLimitError('Rate limited', { retryAfter: 5 }))
+        .mockResolvedValueOnce({ data: 'success' });
+      shouldRetry.mockReset();
+      shouldRetry.mockReturnValue(true);
+
+      await sharedHandler.execute(apiCall);
+
+      expect(rateLimiter.pause).toHaveBeenCalledWith(5000);
+      expect(rateLimiter.wait).toHaveBeenCalledTimes(2);
+      expect(delay).not.toHaveBeenCalled();
+    });
+
     it('should use exponential backoff for non-rate-limit retries', async () => {
       const apiCall = jest.fn()
         .mockRejectedValueOnce(new APIError('Server error', { statusCode: 500 }))
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the rule-based transformer.
+ *
+ * @module test/unit/ai/rule-transformer
+ */
+
+const { RuleTransformer } = require('../../../src/ai/rule-transformer');
+const { UnsupportedStepError } = require('../../../src/ai/errors');
+
+const SUPPORTED = [
+  'Feature: Mathematics',
+  '',
+  '  Background:',
+  '    Given constant RATE = 0.2',
+  '',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+].join('\n');
+
+const MIXED = [
+  SUPPORTED,
+  '',
+  '  @slow',
+  '  Scenario: weird defines a function',
+  '    Given function weird accepts x',
+  '    When frobnicate x wildly',
+  '    Then return result',
+].join('\n');
+
+describe('RuleTransformer', () => {
+  let fallback;
+
+  beforeEach(() => {
+    fallback = {
+      transform: jest.fn(async () => ({
+        success: true,
+        code: 'const RATE = 0.2;\n\nconst weird = (x) => x;\n\nmodule.exports = { weird };',
+        toolCalls: [],
+        metadata: { model: 'test-model', tokens: { input: 3, output: 4, total: 7 }, duration: 1, retryCount: 1 },
+      })),
+    };
+  });
+
+  describe('transform', () => {
+    it('should compile supported features without the fallback', async () => {
+      const transformer = new RuleTransformer({ fallback });
+
+      const result = await transformer.transform(SUPPORTED, { moduleName: 'Mathematics' });
+
+      expect(fallback.transform).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.code).toContain('const RATE = 0.2;');
+      expect(result.code).toContain('const add = (a, b) => {');
+      expect(result.code).toMatch(/module\.exports = \{ add \};$/);
+      expect(result.metadata).toMatchObject({
+        model: 'rules',
+        tokens: { input: 0, output: 0, total: 0 },
+        rules: { compiled: ['add'], fallback: [] },
+      });
+    });
+
+    it('should export with ESM syntax when requested', async () => {
+      const result = await new RuleTransformer().transform(SUPPORTED, {}, { moduleFormat: 'esm' });
+
+      expect(result.code).toMatch(/export \{ add \};$/);
+    });
+
+    it('should throw UnsupportedStepError without a fallback', async () => {
+      const transformer = new RuleTransformer();
+
+      const error = await transformer.transform(MIXED, { moduleName: 'Mathematics' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(UnsupportedStepError);
+      expect(error.message).toContain('line 14: When frobnicate x wildly');
+      expect(error.steps).toEqual([{ line: 14, text: 'When frobnicate x wildly', reason: 'Unrecognized step' }]);
+    });
+
+    it('should send only unsupported scenarios to the fallback and merge the code', async () => {
+      const transformer = new RuleTransformer({ fallback });
+      const context = { moduleName: 'Mathematics' };
+
+      const result = await transformer.transform(MIXED, context, { target: 'javascript' });
+
+      const [partialSource, fallbackContext] = fallback.transform.mock.calls[0];
+      expect(fallbackContext).toBe(context);
+      expect(partialSource).toContain('Given constant RATE = 0.2');
+      expect(partialSource).toContain('  @slow\n  Scenario: weird defines a function');
+      expect(partialSource).not.toContain('add defines a function');
+
+      expect(result.code.match(/const RATE/g)).toHaveLength(1);
+      expect(result.code.match(/module\.exports/g)).toHaveLength(1);
+      expect(result.code).toMatch(/module\.exports = \{ add, weird \};$/);
+      expect(result.metadata).toMatchObject({
+        model: 'test-model',
+        tokens: { input: 3, output: 4, total: 7 },
+        retryCount: 1,
+        rules: { compiled: ['add'], fallback: ['weird'] },
+      });
+    });
+
+    it('should delegate the whole feature when the Background is unsupported', async () => {
+      const source = SUPPORTED.replace('Given constant RATE = 0.2', 'Given import lodash as _');
+      const transformer = new RuleTransformer({ fallback });
+
+      const result = await transformer.transform(source, { moduleName: 'Mathematics' });
+
+      expect(fallback.transform.mock.calls[0][0]).toBe(source);
+      expect(result.metadata.rules).toEqual({ compiled: [], fallback: ['add'] });
+    });
+
+    it('should delegate correction attempts to the fallback', async () => {
+      const transformer = new RuleTransformer({ fallback });
+      const feedback = { attempt: 2, previousCode: 'x', errors: [] };
+
+      await transformer.transform(SUPPORTED, { moduleName: 'Mathematics' }, { feedback });
+
+      expect(fallback.transform).toHaveBeenCalledWith(SUPPORTED, { moduleName: 'Mathematics' }, { feedback });
+    });
+
+    it('should return a failed fallback result unchanged', async () => {
+      fallback.transform.mockResolvedValue({ success: false, code: '', error: 'API unavailable' });
+      const transformer = new RuleTransformer({ fallback });
+
+      const result = await transformer.transform(MIXED, { moduleName: 'Mathematics' });
+
+      expect(result).toEqual({ success: false, code: '', error: 'API unavailable' });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for the deterministic step compiler.
+ *
+ * @module test/unit/ai/step-compiler
+ */
+
+const { StepCompiler } = require('../../../src/ai/step-compiler');
+const { GherkinParser } = require('../../../src/compiler/parser');
+
+const parseFeature = async (lines) => {
+  const parsed = await new GherkinParser().parse('test.feature', lines.join('\n'));
+  return parsed.ast.feature;
+};
+
+const compileScenario = async (steps) => {
+  const feature = await parseFeature([
+    'Feature: Test',
+    '',
+    '  Scenario: fn defines a function',
+    ...steps.map(step => `    ${step}`),
+  ]);
+  return new StepCompiler().compileFeature(feature).functions[0];
+};
+
+describe('StepCompiler', () => {
+  describe('compileFeature', () => {
+    it('should compile arithmetic steps into an arrow function', async () => {
+      const fn = await compileScenario([
+        'Given function fn accepts a and b',
+        'When add a and b',
+        'Then return result',
+      ]);
+
+      expect(fn.name).toBe('fn');
+      expect(fn.unsupported).toEqual([]);
+      expect(fn.code).toBe('const fn = (a, b) => {\n  const result = a + b;\n  return result;\n};');
+    });
+
+    it('should compile collection operations with implicit item fields', async () => {
+      const fn = await compileScenario([
+        'Given function fn accepts items',
+        'When filter items where price > 0',
+        'Then return result',
+      ]);
+
+      expect(fn.code).toContain('items.filter((item) => item.price > 0)');
+    });
+
+    it('should sort without mutating the input', async () => {
+      const fn = await compileScenario([
+        'Given function fn accepts items',
+        'When sort items by price descending',
+        'Then return result',
+      ]);
+
+      expect(fn.code).toContain('[...items].sort(');
+      expect(fn.code).not.toContain('toSorted');
+    });
+
+    it('should compile conditionals with Otherwise', async () => {
+      const fn = await compileScenario([
+        'Given function fn accepts n',
+        'When n is 0',
+        'Then return 1',
+        'Otherwise',
+        'Then return n * 2',
+      ]);
+
+      expect(fn.unsupported).toEqual([]);
+      expect(fn.code).toContain('if (n === 0) {');
+      expect(fn.code).toContain('return n * 2;');
+    });
+
+    it('should turn Background constants into module constants and skip project imports', async () => {
+      const feature = await parseFeature([
+        'Feature: Test',
+        '',
+        '  Background:',
+        '    Given import Mathematics',
+        '    Given constant RATE = 0.2',
+        '',
+        '  Scenario: fn defines a function',
+        '    Given function fn accepts a',
+        '    When apply Mathematics.add to a and RATE',
+        '    Then return result',
+      ]);
+
+      const compiled = new StepCompiler().compileFeature(feature, { dependencies: ['Mathematics'] });
+
+      expect(compiled.unsupported).toEqual([]);
+      expect(compiled.constants).toEqual([{ name: 'RATE', code: 'const RATE = 0.2;' }]);
+      expect(compiled.functions[0].code).toContain('Mathematics.add(a, RATE)');
+    });
+
+    it('should skip package-qualified project imports', async () => {
+      const feature = await parseFeature([
+        'Feature: Test',
+        '',
+        '  Background:',
+        '    Given import core/Mathematics',
+        '',
+        '  Scenario: fn defines a function',
+        '    Given function fn accepts a',
+        '    When apply Mathematics.add to a and a',
+        '    Then return result',
+      ]);
+
+      const compiled = new StepCompiler().compileFeature(feature, { dependencies: ['core/Mathematics'] });
+
+      expect(compiled.unsupported).toEqual([]);
+      expect(compiled.functions[0].code).toContain('Mathematics.add(a, a)');
+    });
+
+    it('should skip the export list', async () => {
+      const feature = await parseFeature([
+        'Feature: Test',
+        '',
+        '  Background:',
+        '    Given exports fn',
+        '',
+        '  Scenario: fn defines a function',
+        '    Given function fn accepts a',
+        '    Then return a',
+      ]);
+
+      const compiled = new StepCompiler().compileFeature(feature);
+
+      expect(compiled.unsupported).toEqual([]);
+      expect(compiled.constants).toEqual([]);
+    });
+
+    it('should report unrecognized steps with their line', async () => {
+      const fn = await compileScenario([
+        'Given function fn accepts x',
+        'When frobnicate x wildly',
+        'Then return result',
+      ]);
+
+      expect(fn.code).toBeNull();
+      expect(fn.unsupported).toEqual([
+        { line: 5, text: 'When frobnicate x wildly', reason: 'Unrecognized step' },
+      ]);
+    });
+
+    it('should report Background steps other than imports and constants', async () => {
+      const feature = await parseFeature([
+        'Feature: Test',
+        '',
+        '  Background:',
+        '    Given import lodash as _',
+        '',
+        '  Scenario: fn defines a function',
+        '    Given function fn accepts a',
+        '    Then return a',
+      ]);
+
+      const compiled = new StepCompiler().compileFeature(feature);
+
+      expect(compiled.unsupported).toHaveLength(1);
+      expect(compiled.unsupported[0].line).toBe(4);
+    });
+  });
+});
@@ -14,6 +14,7 @@ const {
   APIError,
   RateLimitError,
   InvalidCodeError,
+  TransformationAbortedError,
 } = require('../../../src/ai/errors');
 
 // Mock dependencies
@@ -117,6 +118,28 @@ describe('AITransformer', () => {
       expect(instance).toBeInstanceOf(AITransformer);
     });
 
+    it('should use an injected provider without requiring an API key', async () => {
+      delete process.env.ANTHROPIC_API_KEY;
+      Anthropic.mockClear();
+      const provider = { name: 'test', createMessage: jest.fn().mockResolvedValue({ id: 'msg_1', content: [] }) };
+
+      const instance = new AITransformer({ provider });
+      await instance._callAPI({
+        systemMessage: 'System message',
+        userMessage: 'User message',
+        model: 'claude-sonnet-4-5',
+        temperature: 0.0,
+        maxTokens: 4096,
+        tools: [],
+      });
+
+      expect(Anthropic).not.toHaveBeenCalled();
+      expect(provider.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        system: 'System message',
+        messages: [{ role: 'user', content: 'User message' }],
+      }));
+    });
+
     it('should accept custom retryInvalidCode option', () => {
       const instance = new AITransformer({
         apiKey: mockAPIKey,
@@ -224,6 +247,38 @@ describe('AITransformer', () => {
       );
     });
 
+    it('should pass validation feedback to prompt builder', async () => {
+      const feedback = {
+        previousCode: 'var x = 1;',
+        errors: [{ type: 'lint', rule: 'no-var', message: 'Unexpected var', location: { line: 1, column: 0 } }],
+      };
+      mockPromptBuilder.build.mockResolvedValue(mockPrompt);
+      mockRetryHandler.execute.mockResolvedValue(mockAPIResponse);
+      mockResponseParser.parse.mockReturnValue(mockParsedResponse);
+
+      await transformer.transform(mockSource, mockContext, { feedback });
+
+      expect(mockPromptBuilder.build).toHaveBeenCalledWith(
+        expect.objectContaining({
+          feedback,
+        })
+      );
+    });
+
+    it('should pass the effective rules to prompt builder', async () => {
+      mockPromptBuilder.build.mockResolvedValue(mockPrompt);
+      mockRetryHandler.execute.mockResolvedValue(mockAPIResponse);
+      mockResponseParser.parse.mockReturnValue(mockParsedResponse);
+
+      await transformer.transform(mockSource, mockContext, { rules: '# Rules\n\n## Project Rules' });
+
+      expect(mockPromptBuilder.build).toHaveBeenCalledWith(
+        expect.objectContaining({
+          rules: '# Rules\n\n## Project Rules',
+        })
+      );
+    });
+
     it('should extract metadata from API response', async () => {
       mockPromptBuilder.build.mockResolvedValue(mockPrompt);
       mockRetryHandler.execute.mockResolvedValue(mockAPIResponse);
@@ -304,6 +359,28 @@ describe('AITransformer', () => {
       });
     });
 
+    it('should sum token usage over every turn', async () => {
+      transformer._toolInvoker = {
+        invokeTool: jest.fn().mockResolvedValue({ success: true, content: {}, duration: 1 }),
+        formatToolResult: jest.fn().mockReturnValue({ role: 'user', content: [] }),
+      };
+      mockPromptBuilder.build.mockResolvedValue(mockPrompt);
+      mockRetryHandler.execute
+        .mockResolvedValueOnce(mockAPIResponse)
+        .mockResolvedValueOnce({ ...mockAPIResponse, usage: { input_tokens: 300, output_tokens: 20 } });
+      mockResponseParser.parse
+        .mockReturnValueOnce({
+          code: null,
+          toolCalls: [{ id: 'tool_1', name: 'file_system', input: {} }],
+          hasCode: false,
+        })
+        .mockReturnValueOnce(mockParsedResponse);
+
+      const result = await transformer.transform(mockSource, mockContext);
+
+      expect(result.metadata.tokens).toEqual({ input: 400, output: 70, cacheRead: 0, cacheWrite: 0, total: 470 });
+    });
+
     it('should retry with clarification when code is missing', async () => {
       const clarificationResponse = {
         ...mockAPIResponse,
@@ -369,6 +446,21 @@ describe('AITransformer', () => {
       ).rejects.toThrow(InvalidCodeError);
     });
 
+    it('should attach the tokens consumed to a failed transformation', async () => {
+      mockPromptBuilder.build.mockResolvedValue(mockPrompt);
+      mockRetryHandler.execute.mockResolvedValue(mockAPIResponse);
+      mockResponseParser.parse.mockReturnValue({
+        code: null,
+        toolCalls: [],
+        hasCode: false,
+      });
+
+      const error = await transformer.transform(mockSource, mockContext).catch(e => e);
+
+      expect(error).toBeInstanceOf(InvalidCodeError);
+      expect(error.usage).toMatchObject({ input: 500, output: 250, total: 750 });
+    });
+
     it('should propagate APIError', async () => {
       const apiError = new APIError('API error', { statusCode: 500 });
       mockPromptBuilder.build.mockResolvedValue(mockPrompt);
@@ -422,6 +514,116 @@ describe('AITransformer', () => {
     });
   });
 
+  describe('streaming', () => {
+    const prompt = {
+      systemMessage: 'System message',
+      userMessage: 'User message',
+      model: 'claude-sonnet-4-5',
+      temperature: 0.0,
+      maxTokens: 4096,
+      tools: [],
+    };
+    const response = {
+      model: 'claude-sonnet-4-5',
+      stop_reason: 'end_turn',
+      content: [{ type: 'text', text: 'const x = 1;' }],
+      usage: { input_tokens: 10, output_tokens: 5 },
+    };
+    let provider;
+
+    beforeEach(() => {
+      provider = {
+        name: 'test',
+        createMessage: jest.fn().mockResolvedValue(response),
+        streamMessage: jest.fn(async (request, options) => {
+          options.onText('const x');
+          options.onText(' = 1;');
+          return response;
+        }),
+      };
+      transformer = new AITransformer({ provider });
+      mockPromptBuilder.build.mockResolvedValue(prompt);
+      mockRetryHandler.execute.mockImplementation(apiCall => apiCall());
+      mockResponseParser.parse.mockReturnValue({ code: 'const x = 1;', toolCalls: [], hasCode: true });
+    });
+
+    it('should stream the response and report text and completed turns', async () => {
+      const events = [];
+
+      const result = await transformer.transform(mockSource, mockContext, { onEvent: event => events.push(event) });
+
+      expect(provider.createMessage).not.toHaveBeenCalled();
+      expect(mockResponseParser.parse).toHaveBeenCalledWith(response, 'javascript');
+      expect(result.code).toBe('const x = 1;');
+      expect(events).toEqual([
+        { type: 'text', turn: 1, text: 'const x', length: 7 },
+        { type: 'text', turn: 1, text: ' = 1;', length: 12 },
+        { type: 'turn', turn: 1, stopReason: 'end_turn', tokens: { input: 10, output: 5, cacheRead: 0, cacheWrite: 0, total: 15 } },
+      ]);
+    });
+
+    it('should report tool calls', async () => {
+      transformer._toolInvoker = {
+        invokeTool: jest.fn().mockResolvedValue({ success: true, content: 'ok' }),
+        formatToolResult: jest.fn().mockReturnValue({ role: 'user', content: [] }),
+      };
+      mockResponseParser.parse
+        .mockReturnValueOnce({ code: null, toolCalls: [{ id: 't1', name: 'lint', input: {} }], hasCode: false });
+      const events = [];
+
+      await transformer.transform(mockSource, mockContext, { onEvent: event => events.push(event) });
+
+      expect(events.filter(event => event.type !== 'text').map(event => [event.type, event.turn])).toEqual([
+        ['turn', 1],
+        ['tool-call', 1],
+        ['turn', 2],
+      ]);
+      expect(events[3].toolCall).toMatchObject({ toolName: 'lint', success: true });
+    });
+
+    it('should not stream without an event listener or from providers that cannot', async () => {
+      await transformer.transform(mockSource, mockContext);
+      delete provider.streamMessage;
+      const events = [];
+      await transformer.transform(mockSource, mockContext, { onEvent: event => events.push(event) });
+
+      expect(provider.createMessage).toHaveBeenCalledTimes(2);
+      expect(events.map(event => event.type)).toEqual(['turn']);
+    });
+
+    it('should stop when the signal is aborted', async () => {
+      const controller = new AbortController();
+      provider.streamMessage.mockImplementation(async (request, options) => {
+        options.onText('const');
+        controller.abort();
+        return response;
+      });
+
+      await expect(transformer.transform(mockSource, mockContext, {
+        onEvent: () => {},
+        signal: controller.signal,
+      })).rejects.toThrow(TransformationAbortedError);
+      expect(mockResponseParser.parse).not.toHaveBeenCalled();
+      await expect(transformer.transform(mockSource, mockContext, { signal: controller.signal }))
+        .rejects.toThrow('AI transformation aborted');
+      expect(provider.createMessage).not.toHaveBeenCalled();
+    });
+
+    it('should pass the signal to the provider without an event listener', async () => {
+      const controller = new AbortController();
+      provider.streamMessage.mockImplementation(async (request, options) => {
+        expect(options).toEqual({ signal: controller.signal });
+        controller.abort();
+        throw new TransformationAbortedError('AI request aborted');
+      });
+
+      await expect(transformer.transform(mockSource, mockContext, { signal: controller.signal }))
+        .rejects.toThrow(TransformationAbortedError);
+      expect(provider.streamMessage).toHaveBeenCalledTimes(1);
+      expect(provider.createMessage).not.toHaveBeenCalled();
+    });
+  });
+
   describe('_callAPI', () => {
     it('should call Anthropic API with correct parameters', async () => {
       const prompt = {
@@ -456,6 +658,27 @@ describe('AITransformer', () => {
       expect(result.id).toBe('msg_123');
     });
 
+    it('should send the system prompt as cacheable blocks unless prompt caching is disabled', async () => {
+      const systemBlocks = [{ type: 'text', text: 'System message', cache_control: { type: 'ephemeral' } }];
+      const prompt = {
+        systemMessage: 'System message',
+        systemBlocks,
+        userMessage: 'User message',
+        model: 'claude-sonnet-4-5',
+        temperature: 0.0,
+        maxTokens: 4096,
+        tools: [],
+      };
+      mockClient.messages.create.mockResolvedValue({ id: 'msg_123', content: [] });
+
+      await transformer._callAPI(prompt);
+      transformer._promptCaching = false;
+      await transformer._callAPI(prompt);
+
+      expect(mockClient.messages.create.mock.calls[0][0].system).toBe(systemBlocks);
+      expect(mockClient.messages.create.mock.calls[1][0].system).toBe('System message');
+    });
+
     it('should include tools when provided', async () => {
       const prompt = {
         systemMessage: 'System message',
@@ -584,6 +807,13 @@ describe('AITransformer', () => {
       expect(extracted.imports).toEqual(['import1', 'import2']);
     });
 
+    it('should pass the interfaces of imported modules through', () => {
+      const interfaces = { Mathematics: [{ name: 'add', params: [], returns: null, summary: null }] };
+      const extracted = transformer._extractContext({ moduleName: 'test-module', interfaces });
+
+      expect(extracted.interfaces).toBe(interfaces);
+    });
+
     it('should extract from ProjectContext with getModule method', () => {
       const mockModule = {
         name: 'module-name',
@@ -642,6 +872,19 @@ describe('AITransformer', () => {
       expect(metadata.cacheHit).toBe(false);
     });
 
+    it('should count prompt cache reads and writes apart from input tokens', () => {
+      const metadata = transformer._extractMetadata({
+        usage: {
+          input_tokens: 20,
+          output_tokens: 50,
+          cache_read_input_tokens: 9000,
+          cache_creation_input_tokens: 300,
+        },
+      }, 0, 0);
+
+      expect(metadata.tokens).toEqual({ input: 20, output: 50, cacheRead: 9000, cacheWrite: 300, total: 9370 });
+    });
+
     it('should handle missing usage data', () => {
       const response = {
         model: 'claude-sonnet-4-5',
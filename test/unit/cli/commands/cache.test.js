@@ -0,0 +1,204 @@
+/**
+ * Unit tests for the cache command.
+ *
+ * @module test/unit/cli/commands/cache
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { cacheCommand, formatBytes } = require('../../../../src/cli/commands/cache');
+const { Logger } = require('../../../../src/cli/utils/logger');
+const { UsageError } = require('../../../../src/cli/errors');
+const { CacheManager } = require('../../../../src/compiler/cache');
+const { COMPILER_VERSION } = require('../../../../src/compiler');
+
+describe('cache command', () => {
+  let tempDir;
+  let context;
+  let key;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-cache-test-'));
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ cache: { dir: 'cache' } }));
+    context = {
+      cwd: tempDir,
+      configPath: path.join(tempDir, '.gherkinrc.json'),
+      logger: new Logger({ level: 'silent' }),
+    };
+
+    const cache = new CacheManager({ cacheDir: path.join(tempDir, 'cache'), compilerVersion: COMPILER_VERSION });
+    key = cache.generateKey('Feature: Mathematics', 'rules', COMPILER_VERSION, 'javascript');
+    await cache.set(key, {
+      key,
+      sourceHash: 'source',
+      rulesHash: 'rules',
+      compiledCode: 'const add = (a, b) => a + b;',
+      generatedTests: null,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        duration: 5,
+        model: 'rules',
+        compilerVersion: COMPILER_VERSION,
+        target: 'javascript',
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should show statistics by default', async () => {
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result).toMatchObject({ cacheDir: path.join(tempDir, 'cache'), entries: 1 });
+    expect(result.totalSize).toBeGreaterThan(0);
+  });
+
+  it('should inspect an entry by key prefix', async () => {
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { inspect: key.slice(0, 6) } }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result).toMatchObject({ key, compiledCode: 'const add = (a, b) => a + b;' });
+  });
+
+  it('should fail when no entry matches', async () => {
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { inspect: 'zzz' } }, context);
+
+    expect(exitCode).toBe(1);
+    expect(result.error).toBe('No cache entry matches "zzz"');
+  });
+
+  it('should clear all entries', async () => {
+    const { result } = await cacheCommand({ positionals: [], options: { clear: true } }, context);
+
+    expect(result.cleared).toBe(1);
+    const { result: stats } = await cacheCommand({ positionals: [], options: {} }, context);
+    expect(stats.entries).toBe(0);
+  });
+
+  it('should collect expired entries', async () => {
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ cache: { dir: 'cache', ttl: '1ms' } }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { gc: true } }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result.removed).toEqual([expect.objectContaining({ key, reason: 'expired' })]);
+    expect(result.entries).toBe(0);
+  });
+
+  it('should keep live entries when collecting garbage', async () => {
+    const { result } = await cacheCommand({ positionals: [], options: { gc: true } }, context);
+
+    expect(result).toMatchObject({ removed: [], freedBytes: 0, entries: 1 });
+  });
+
+  it('should report a clean cache when verifying', async () => {
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { verify: true } }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result).toMatchObject({ checked: 1, quarantined: [], missing: [], adopted: [], totalSizeDrift: 0, entries: 1 });
+  });
+
+  it('should quarantine a tampered entry when verifying', async () => {
+    const entryPath = path.join(tempDir, 'cache', `${key}.cache`);
+    const entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+    await fs.writeFile(entryPath, JSON.stringify({ ...entry, compiledCode: 'const add = (a, b) => a - b;' }));
+
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { verify: true } }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result.quarantined).toEqual([expect.objectContaining({ key, reason: 'digest-mismatch' })]);
+    expect(result.entries).toBe(0);
+    await expect(fs.readdir(path.join(tempDir, 'cache', 'quarantine'))).resolves.toHaveLength(1);
+  });
+
+  it('should export the entries of the last build to a bundle', async () => {
+    const cache = new CacheManager({ cacheDir: path.join(tempDir, 'cache'), compilerVersion: COMPILER_VERSION });
+    await cache.saveBuildState({ modules: { Mathematics: { cacheKey: key } } });
+
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { export: 'bundle.json.gz' } }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result).toMatchObject({ file: path.join(tempDir, 'bundle.json.gz'), exported: [key], missing: [] });
+  });
+
+  it('should refuse to export without a recorded build unless --all is given', async () => {
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { export: 'bundle.json.gz' } }, context);
+
+    expect(exitCode).toBe(1);
+    expect(result.error).toMatch(/No build recorded/);
+
+    const all = await cacheCommand({ positionals: [], options: { export: 'bundle.json.gz', all: true } }, context);
+    expect(all.result.exported).toEqual([key]);
+  });
+
+  it('should import a bundle into the cache', async () => {
+    await cacheCommand({ positionals: [], options: { export: 'bundle.json.gz', all: true } }, context);
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ cache: { dir: 'seeded' } }));
+
+    const { exitCode, result } = await cacheCommand({ positionals: [], options: { import: 'bundle.json.gz' } }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result).toMatchObject({ imported: [key], skipped: [], entries: 1 });
+    await expect(fs.readdir(path.join(tempDir, 'seeded'))).resolves.toContain(`${key}.cache`);
+  });
+
+  it('should skip bundled entries for another target', async () => {
+    await cacheCommand({ positionals: [], options: { export: 'bundle.json.gz', all: true } }, context);
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ cache: { dir: 'seeded' }, target: 'elixir' }));
+
+    const { result } = await cacheCommand({ positionals: [], options: { import: 'bundle.json.gz' } }, context);
+
+    expect(result.skipped).toEqual([{ key, reason: 'target' }]);
+  });
+
+  it('should serve the cache until the signal is aborted', async () => {
+    const controller = new AbortController();
+    const serving = cacheCommand({ positionals: [], options: { serve: true, port: '0' } }, {
+      ...context,
+      signal: controller.signal,
+    });
+    const url = await new Promise((resolve) => {
+      context.logger.success = message => resolve(message.match(/at (\S+)$/)[1]);
+    });
+
+    const response = await fetch(`${url}/entries/${key}`);
+    controller.abort();
+    const { exitCode, result } = await serving;
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).compiledCode).toBe('const add = (a, b) => a + b;');
+    expect(exitCode).toBe(0);
+    expect(result).toEqual({ url, cacheDir: path.join(tempDir, 'cache') });
+  });
+
+  it('should reject invalid ports and server options without --serve', async () => {
+    await expect(cacheCommand({ positionals: [], options: { serve: true, port: 'http' } }, context))
+      .rejects.toThrow(UsageError);
+    await expect(cacheCommand({ positionals: [], options: { serve: true, port: '70000' } }, context))
+      .rejects.toThrow(UsageError);
+    await expect(cacheCommand({ positionals: [], options: { port: '8080' } }, context))
+      .rejects.toThrow('Option --port requires --serve');
+  });
+
+  it('should reject --all without --export', async () => {
+    await expect(cacheCommand({ positionals: [], options: { all: true } }, context))
+      .rejects.toThrow(new UsageError('Option --all requires --export'));
+  });
+
+  it('should reject combined actions', async () => {
+    await expect(cacheCommand({ positionals: [], options: { clear: true, stats: true } }, context))
+      .rejects.toThrow(new UsageError('Options --clear and --stats cannot be combined'));
+  });
+
+  it('should format byte counts', () => {
+    expect(formatBytes(0)).toBe('0 B');
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(100 * 1024 * 1024)).toBe('100.0 MB');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for the compile command.
+ *
+ * @module test/unit/cli/commands/compile
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { compileCommand, toCompileOptions } = require('../../../../src/cli/commands/compile');
+const { Logger } = require('../../../../src/cli/utils/logger');
+const { UsageError } = require('../../../../src/cli/errors');
+
+const MATH_FEATURE = [
+  'Feature: Mathematics',
+  '',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+].join('\n');
+
+const STRINGS_FEATURE = [
+  'Feature: Strings',
+  '',
+  '  Scenario: shout defines a function',
+  '    Given function shout accepts words',
+  '    When map words to item.toUpperCase()',
+  '    Then return result',
+].join('\n');
+
+describe('compile command', () => {
+  let tempDir;
+  let context;
+  let transformer;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-compile-test-'));
+    await fs.mkdir(path.join(tempDir, 'math'));
+    await fs.writeFile(path.join(tempDir, 'math', 'mathematics.feature'), MATH_FEATURE);
+    await fs.writeFile(path.join(tempDir, 'strings.feature'), STRINGS_FEATURE);
+
+    transformer = {
+      transform: jest.fn(async (source, { moduleName }) => ({
+        success: true,
+        code: moduleName === 'Mathematics' ? 'const add = (a, b) => a + b;' : 'const shout = (words) => words;',
+        toolCalls: [],
+        metadata: { model: 'test-model', tokens: { input: 1, output: 1, total: 2 }, duration: 1 },
+      })),
+    };
+    context = {
+      cwd: tempDir,
+      configPath: path.join(tempDir, '.gherkinrc.json'),
+      json: false,
+      logger: new Logger({ level: 'silent' }),
+      stderr: { isTTY: false, write: jest.fn() },
+      compilerOptions: { transformer },
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should compile every module by default', async () => {
+    const { exitCode, result } = await compileCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result.compileOrder.sort()).toEqual(['Mathematics', 'Strings']);
+    expect(transformer.transform).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject files that do not exist', async () => {
+    await expect(compileCommand({ positionals: ['math', 'mathematic.feature'], options: {} }, context))
+      .rejects.toThrow(new UsageError('No such file or directory: mathematic.feature'));
+    expect(transformer.transform).not.toHaveBeenCalled();
+  });
+
+  it('should only compile the given files and directories', async () => {
+    const { result } = await compileCommand({ positionals: ['math'], options: { 'dry-run': true } }, context);
+
+    expect(result.modules.map(m => m.moduleName)).toEqual(['Mathematics']);
+    expect(transformer.transform).toHaveBeenCalledTimes(1);
+  });
+
+  it('should draw progress on terminals', async () => {
+    context.stderr.isTTY = true;
+
+    await compileCommand({ positionals: [], options: { 'dry-run': true } }, context);
+
+    const output = context.stderr.write.mock.calls.map(([chunk]) => chunk).join('');
+    expect(output).toContain('2/2 (100%)');
+  });
+
+  it('should show streamed transformer progress on terminals', async () => {
+    context.stderr.isTTY = true;
+    transformer.transform.mockImplementation(async (source, { moduleName }, { onEvent }) => {
+      onEvent({ type: 'text', turn: 1, text: 'const', length: 42 });
+      return { success: true, code: 'const add = (a, b) => a + b;', metadata: {} };
+    });
+
+    await compileCommand({ positionals: ['math'], options: { 'dry-run': true } }, context);
+
+    const output = context.stderr.write.mock.calls.map(([chunk]) => chunk).join('');
+    expect(output).toContain('0/1 (0%) Mathematics: receiving code (42 chars)');
+  });
+
+  it('should abort transformations through the context signal', async () => {
+    const controller = new AbortController();
+    context.signal = controller.signal;
+    let signal;
+    transformer.transform.mockImplementation(async (source, moduleContext, options) => {
+      signal = options.signal;
+      controller.abort();
+      throw new Error('AI transformation aborted');
+    });
+
+    const { exitCode, result } = await compileCommand({ positionals: ['math'], options: { 'dry-run': true } }, context);
+
+    expect(signal).toBe(controller.signal);
+    expect(exitCode).toBe(1);
+    expect(result.modules[0].errors[0].message).toBe('AI transformation aborted');
+  });
+
+  it('should stop listening for Ctrl-C once the build is done', async () => {
+    const listeners = process.listenerCount('SIGINT');
+
+    await compileCommand({ positionals: ['math'], options: { 'dry-run': true } }, context);
+
+    expect(process.listenerCount('SIGINT')).toBe(listeners);
+  });
+
+  it('should print the tokens and cost of each module and of the build', async () => {
+    await fs.writeFile(context.configPath, JSON.stringify({ ai: { pricing: { 'test-model': { input: 1000, output: 4000 } } } }));
+    const info = jest.spyOn(context.logger, 'info');
+    const success = jest.spyOn(context.logger, 'success');
+
+    await compileCommand({ positionals: [], options: { 'dry-run': true } }, context);
+
+    expect(info.mock.calls.map(([message]) => message).join('\n')).toContain('[2 tokens, $0.0050]');
+    expect(success.mock.calls[0][0]).toMatch(/2 module\(s\): 2 compiled, 0 cached in \d+\.\ds; 4 tokens, \$0\.0100$/);
+  });
+
+  it('should show how many tokens were read from the prompt cache', async () => {
+    transformer.transform.mockResolvedValue({
+      success: true,
+      code: 'const add = (a, b) => a + b;',
+      metadata: { model: 'claude-sonnet-4', tokens: { input: 10, output: 40, cacheRead: 9000, cacheWrite: 0, total: 9050 } },
+    });
+    const info = jest.spyOn(context.logger, 'info');
+
+    await compileCommand({ positionals: ['math'], options: { 'dry-run': true } }, context);
+
+    expect(info.mock.calls.map(([message]) => message).join('\n'))
+      .toContain('[9,050 tokens (9,000 from prompt cache), $0.0033]');
+  });
+
+  it('should report how many functions of a reassembled module were transformed', async () => {
+    const twoFunctions = `${STRINGS_FEATURE}\n\n  Scenario: whisper defines a function\n    Given function whisper accepts words\n    When map words to item.toLowerCase()\n    Then return result`;
+    await fs.writeFile(path.join(tempDir, 'strings.feature'), twoFunctions);
+    transformer.transform.mockImplementation(async source => ({
+      success: true,
+      code: [...source.matchAll(/Scenario: (\w+) defines/g)].map(([, name]) => `const ${name} = (words) => words;`).join('\n'),
+      toolCalls: [],
+      metadata: { model: 'test-model' },
+    }));
+    await compileCommand({ positionals: ['strings.feature'], options: {} }, context);
+    await fs.writeFile(path.join(tempDir, 'strings.feature'), twoFunctions.replace('item.toLowerCase()', 'item.toLocaleLowerCase()'));
+    const info = jest.spyOn(context.logger, 'info');
+
+    await compileCommand({ positionals: ['strings.feature'], options: {} }, context);
+
+    expect(info.mock.calls.map(([message]) => message).join('\n'))
+      .toContain('(source changed; 1 of 2 functions transformed)');
+  });
+
+  describe('toCompileOptions', () => {
+    it('should map CLI flags to compile options', () => {
+      expect(toCompileOptions({
+        target: 'javascript',
+        output: 'build',
+        format: 'esm',
+        concurrency: '8',
+        'no-cache': true,
+        'dry-run': true,
+      }, 'compile')).toEqual({
+        target: 'javascript',
+        outputDir: 'build',
+        moduleFormat: 'esm',
+        concurrency: 8,
+        cache: false,
+        dryRun: true,
+      });
+      expect(toCompileOptions({}, 'compile')).toEqual({});
+    });
+
+    it('should reject unknown module formats', () => {
+      expect(() => toCompileOptions({ format: 'amd' }, 'compile')).toThrow(UsageError);
+    });
+
+    it('should reject concurrency values that are not positive integers', () => {
+      expect(() => toCompileOptions({ concurrency: '0' }, 'compile')).toThrow(UsageError);
+      expect(() => toCompileOptions({ concurrency: 'many' }, 'compile')).toThrow(UsageError);
+    });
+  });
+});
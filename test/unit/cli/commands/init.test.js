@@ -0,0 +1,74 @@
+/**
+ * Unit tests for the init command.
+ *
+ * @module test/unit/cli/commands/init
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { initCommand } = require('../../../../src/cli/commands/init');
+const { Logger } = require('../../../../src/cli/utils/logger');
+const { UsageError } = require('../../../../src/cli/errors');
+const { Compiler } = require('../../../../src/compiler');
+
+describe('init command', () => {
+  let tempDir;
+  let context;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-init-test-'));
+    context = { cwd: tempDir, logger: new Logger({ level: 'silent' }) };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create the configuration and the basic template', async () => {
+    const { exitCode, result } = await initCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result.created.map(file => path.relative(tempDir, file)).sort()).toEqual([
+      '.gherkinrc.json',
+      '.gitignore',
+      path.join('features', 'mathematics.feature'),
+    ]);
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, '.gherkinrc.json'), 'utf8'));
+    expect(config).toMatchObject({ target: 'javascript', ai: { mode: 'hybrid' } });
+  });
+
+  it('should create the project in the given directory', async () => {
+    const { result } = await initCommand({ positionals: ['app'], options: { template: 'api' } }, context);
+
+    expect(result.projectDir).toBe(path.join(tempDir, 'app'));
+    expect(await fs.readFile(path.join(tempDir, 'app', 'features', 'users.feature'), 'utf8')).toContain('Feature: Users');
+  });
+
+  it('should skip existing files unless --force is given', async () => {
+    await fs.writeFile(path.join(tempDir, '.gitignore'), 'custom\n');
+
+    const { result } = await initCommand({ positionals: [], options: {} }, context);
+    expect(result.skipped).toEqual([path.join(tempDir, '.gitignore')]);
+    expect(await fs.readFile(path.join(tempDir, '.gitignore'), 'utf8')).toBe('custom\n');
+
+    await initCommand({ positionals: [], options: { force: true } }, context);
+    expect(await fs.readFile(path.join(tempDir, '.gitignore'), 'utf8')).toContain('.gherkin-cache/');
+  });
+
+  it('should reject unknown templates', async () => {
+    await expect(initCommand({ positionals: [], options: { template: 'game' } }, context))
+      .rejects.toThrow(UsageError);
+  });
+
+  it('should create templates that compile without the AI', async () => {
+    await initCommand({ positionals: [], options: { template: 'library' } }, context);
+    const config = JSON.parse(await fs.readFile(path.join(tempDir, '.gherkinrc.json'), 'utf8'));
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ ...config, ai: { mode: 'rules' } }));
+
+    const report = await new Compiler().compileProject(tempDir, { dryRun: true });
+
+    expect(report.success).toBe(true);
+    expect(report.compileOrder).toEqual(['Mathematics', 'Strings']);
+  });
+});
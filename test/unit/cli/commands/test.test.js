@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the test command.
+ *
+ * @module test/unit/cli/commands/test
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const { testCommand } = require('../../../../src/cli/commands/test');
+const { Logger } = require('../../../../src/cli/utils/logger');
+const { UsageError } = require('../../../../src/cli/errors');
+
+/**
+ * Fake child_process.spawn that exits with the given code and stdout.
+ */
+const createSpawn = (code, output = '') => jest.fn(() => {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  setImmediate(() => {
+    child.stdout.emit('data', output);
+    child.emit('close', code);
+  });
+  return child;
+});
+
+describe('test command', () => {
+  let tempDir;
+  let context;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-test-test-'));
+    context = {
+      cwd: tempDir,
+      configPath: path.join(tempDir, '.gherkinrc.json'),
+      json: false,
+      logger: new Logger({ level: 'silent' }),
+      stderr: { write: jest.fn() },
+      spawn: createSpawn(0),
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should run Jest on the generated test directory', async () => {
+    const { exitCode } = await testCommand({ positionals: [], options: { coverage: true } }, context);
+
+    expect(exitCode).toBe(0);
+    const [node, args, options] = context.spawn.mock.calls[0];
+    expect(node).toBe(process.execPath);
+    expect(args[0]).toMatch(/jest/);
+    expect(args.slice(1)).toEqual([
+      '--config', JSON.stringify({ rootDir: tempDir }),
+      '--coverage',
+      path.join('test', 'generated'),
+    ]);
+    expect(options).toMatchObject({ cwd: tempDir, stdio: 'inherit' });
+  });
+
+  it('should run the generated tests of every workspace package', async () => {
+    await fs.mkdir(path.join(tempDir, 'packages', 'core'), { recursive: true });
+    await fs.mkdir(path.join(tempDir, 'packages', 'shop'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ workspaces: ['packages/*'] }));
+    await fs.writeFile(path.join(tempDir, 'packages', 'core', '.gherkinrc.json'), JSON.stringify({ output: { testDir: 'spec' } }));
+
+    await testCommand({ positionals: [], options: {} }, context);
+
+    expect(context.spawn.mock.calls[0][1].slice(-2)).toEqual([
+      path.join('packages', 'core', 'spec'),
+      path.join('packages', 'shop', 'test', 'generated'),
+    ]);
+  });
+
+  it('should leave configuration to the project when it has one', async () => {
+    await fs.writeFile(path.join(tempDir, 'package.json'), '{}');
+
+    await testCommand({ positionals: ['dist/a.test.js'], options: {} }, context);
+
+    expect(context.spawn.mock.calls[0][1].slice(1)).toEqual([path.join('dist', 'a.test.js')]);
+  });
+
+  it('should return the failure code when tests fail', async () => {
+    context.spawn = createSpawn(1);
+
+    const { exitCode } = await testCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(1);
+  });
+
+  it('should capture the Jest JSON report with --json', async () => {
+    context.json = true;
+    context.spawn = createSpawn(0, JSON.stringify({ success: true, numTotalTests: 4 }));
+
+    const { result } = await testCommand({ positionals: [], options: {} }, context);
+
+    expect(result).toEqual({ success: true, numTotalTests: 4 });
+    expect(context.spawn.mock.calls[0][1]).toContain('--json');
+  });
+
+  it('should reject --watch with --json', async () => {
+    context.json = true;
+
+    await expect(testCommand({ positionals: [], options: { watch: true } }, context)).rejects.toThrow(UsageError);
+  });
+});
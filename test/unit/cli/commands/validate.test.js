@@ -0,0 +1,122 @@
+/**
+ * Unit tests for the validate command.
+ *
+ * @module test/unit/cli/commands/validate
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { validateCommand } = require('../../../../src/cli/commands/validate');
+const { Logger } = require('../../../../src/cli/utils/logger');
+const { UsageError } = require('../../../../src/cli/errors');
+
+const MATH_FEATURE = [
+  'Feature: Mathematics',
+  '',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+].join('\n');
+
+const feature = (name, imports = []) => [
+  `Feature: ${name}`,
+  ...(imports.length > 0 ? ['', '  Background:', ...imports.map(i => `    Given import ${i}`)] : []),
+  '',
+  '  Scenario: f defines a function',
+  '    Given function f accepts x',
+  '    Then return x',
+].join('\n');
+
+describe('validate command', () => {
+  let tempDir;
+  let context;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-validate-test-'));
+    await fs.writeFile(path.join(tempDir, 'mathematics.feature'), MATH_FEATURE);
+    context = {
+      cwd: tempDir,
+      configPath: path.join(tempDir, '.gherkinrc.json'),
+      logger: new Logger({ level: 'silent' }),
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report valid files', async () => {
+    const { exitCode, result } = await validateCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(0);
+    expect(result).toEqual({
+      success: true,
+      files: [{
+        file: path.join(tempDir, 'mathematics.feature'),
+        featureName: 'Mathematics',
+        valid: true,
+        errors: [],
+        warnings: [],
+      }],
+      projectErrors: [],
+    });
+  });
+
+  it('should report syntax errors with line numbers', async () => {
+    await fs.writeFile(path.join(tempDir, 'broken.feature'), 'Scenario: no feature\n  Given x\n');
+
+    const { exitCode, result } = await validateCommand({ positionals: ['broken.feature'], options: {} }, context);
+
+    expect(exitCode).toBe(1);
+    expect(result.files).toHaveLength(1);
+    expect(result.files[0].valid).toBe(false);
+    expect(result.files[0].errors[0].message).toEqual(expect.any(String));
+  });
+
+  it('should report parse errors once and warnings without failing', async () => {
+    await fs.writeFile(path.join(tempDir, 'broken.feature'), `${MATH_FEATURE}\n    | a |\n    | 1 | 2 |\n`);
+    await fs.writeFile(path.join(tempDir, 'loose.feature'), `${MATH_FEATURE.replace('Mathematics', 'Loose')}\n  @orphan\n`);
+
+    const { exitCode, result } = await validateCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(1);
+    expect(result.files.map(file => [path.basename(file.file), file.valid, file.warnings.map(w => w.message)])).toEqual([
+      ['broken.feature', false, []],
+      ['loose.feature', true, ['Tags must be followed by a Feature, Scenario or Examples']],
+      ['mathematics.feature', true, []],
+    ]);
+    expect(result.projectErrors).toEqual([]);
+  });
+
+  it('should report circular dependencies as project errors', async () => {
+    await fs.writeFile(path.join(tempDir, 'a.feature'), feature('A', ['B']));
+    await fs.writeFile(path.join(tempDir, 'b.feature'), feature('B', ['A']));
+
+    const { exitCode, result } = await validateCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(1);
+    expect(result.files.every(file => file.valid)).toBe(true);
+    expect(result.projectErrors[0].message).toMatch(/^Circular dependency: /);
+  });
+
+  it('should validate the rules with --rules', async () => {
+    const { result } = await validateCommand({ positionals: [], options: { rules: true } }, context);
+
+    expect(result.rules).toEqual({ valid: true, size: expect.any(Number), hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+  });
+
+  it('should validate the project rules files with --rules', async () => {
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ rules: ['missing.md'] }));
+
+    const { exitCode, result } = await validateCommand({ positionals: [], options: { rules: true } }, context);
+
+    expect(exitCode).toBe(1);
+    expect(result.rules).toEqual({ valid: false, error: expect.stringContaining('Failed to read project rules file') });
+  });
+
+  it('should reject missing paths', async () => {
+    await expect(validateCommand({ positionals: ['missing'], options: {} }, context)).rejects.toThrow(UsageError);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for the watch command.
+ *
+ * @module test/unit/cli/commands/watch
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { watchCommand } = require('../../../../src/cli/commands/watch');
+const { Logger } = require('../../../../src/cli/utils/logger');
+const { UsageError } = require('../../../../src/cli/errors');
+
+const MATH_FEATURE = [
+  'Feature: Mathematics',
+  '',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+].join('\n');
+
+describe('watch command', () => {
+  let tempDir;
+  let controller;
+  let events;
+  let context;
+
+  const waitForEvents = async (count) => {
+    for (let i = 0; i < 200 && events.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-watch-test-'));
+    await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ ai: { mode: 'rules' } }));
+    await fs.writeFile(path.join(tempDir, 'mathematics.feature'), MATH_FEATURE);
+
+    controller = new AbortController();
+    events = [];
+    context = {
+      cwd: tempDir,
+      configPath: path.join(tempDir, '.gherkinrc.json'),
+      json: true,
+      logger: new Logger({ level: 'silent' }),
+      stdout: { write: chunk => events.push(JSON.parse(chunk)) },
+      stderr: { isTTY: false, write: jest.fn() },
+      signal: controller.signal,
+    };
+  });
+
+  afterEach(async () => {
+    controller.abort();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should build once and stop when the signal is aborted', async () => {
+    controller.abort();
+
+    const { exitCode } = await watchCommand({ positionals: [], options: {} }, context);
+
+    expect(exitCode).toBe(0);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ event: 'build', changed: [], success: true });
+  });
+
+  it('should rebuild when a feature file changes', async () => {
+    const watching = watchCommand({ positionals: [], options: { debounce: '10' } }, context);
+    await waitForEvents(1);
+
+    await fs.writeFile(path.join(tempDir, 'mathematics.feature'), `${MATH_FEATURE}\n`);
+    await waitForEvents(2);
+    controller.abort();
+    await watching;
+
+    expect(events[1]).toMatchObject({ event: 'build', changed: ['mathematics.feature'], success: true });
+    expect(events[1].modules[0].status).toBe('compiled');
+  });
+
+  it('should rebuild when a feature file changes in a directory created while watching', async () => {
+    const watching = watchCommand({ positionals: [], options: { debounce: '10' } }, context);
+    await waitForEvents(1);
+
+    await fs.mkdir(path.join(tempDir, 'lib'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await fs.writeFile(path.join(tempDir, 'lib', 'statistics.feature'), MATH_FEATURE.replace('Mathematics', 'Statistics'));
+    await waitForEvents(2);
+    controller.abort();
+    await watching;
+
+    expect(events[1]).toMatchObject({ event: 'build', changed: [path.join('lib', 'statistics.feature')], success: true });
+  });
+
+  it('should apply a changed configuration to the next build', async () => {
+    const watching = watchCommand({ positionals: [], options: { debounce: '10' } }, context);
+    await waitForEvents(1);
+
+    await fs.writeFile(context.configPath, JSON.stringify({ ai: { mode: 'rules' }, cache: { dir: '.other-cache' } }));
+    await waitForEvents(2);
+    controller.abort();
+    await watching;
+
+    expect(events[1]).toMatchObject({ event: 'build', changed: ['.gherkinrc.json'], success: true });
+    expect(events[1].modules[0].rebuildReason).toBe('not built before');
+    await expect(fs.stat(path.join(tempDir, '.other-cache'))).resolves.toBeDefined();
+  });
+
+  it('should rebuild when a rules file changes, inside or outside the watched directory', async () => {
+    const shared = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-watch-rules-'));
+    await fs.mkdir(path.join(tempDir, 'src'));
+    await fs.rename(path.join(tempDir, 'mathematics.feature'), path.join(tempDir, 'src', 'mathematics.feature'));
+    await fs.writeFile(path.join(tempDir, 'domain.md'), '## Currency');
+    await fs.writeFile(path.join(shared, 'shared.md'), '## Rounding');
+    await fs.writeFile(context.configPath, JSON.stringify({
+      ai: { mode: 'rules' },
+      rules: ['domain.md', path.join(shared, 'shared.md')],
+    }));
+    const watching = watchCommand({ positionals: ['src'], options: { debounce: '10' } }, context);
+    await waitForEvents(1);
+
+    try {
+      await fs.writeFile(path.join(tempDir, 'domain.md'), '## Currency conversion');
+      await waitForEvents(2);
+      await fs.writeFile(path.join(shared, 'shared.md'), '## Rounding to cents');
+      await waitForEvents(3);
+    } finally {
+      controller.abort();
+      await watching;
+      await fs.rm(shared, { recursive: true, force: true });
+    }
+
+    expect(events.slice(1).map(event => [event.changed, event.modules[0].rebuildReason])).toEqual([
+      [['domain.md'], 'rules changed'],
+      [[path.relative(tempDir, path.join(shared, 'shared.md'))], 'rules changed'],
+    ]);
+  });
+
+  it('should ignore files that are not features', async () => {
+    const watching = watchCommand({ positionals: [], options: { debounce: '10' } }, context);
+    await waitForEvents(1);
+
+    await fs.writeFile(path.join(tempDir, 'notes.txt'), 'hello');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    controller.abort();
+    await watching;
+
+    expect(events).toHaveLength(1);
+  });
+
+  it('should ignore the built-in directories along with watch.ignore', async () => {
+    await fs.writeFile(context.configPath, JSON.stringify({ ai: { mode: 'rules' }, watch: { ignore: ['drafts'] } }));
+    await fs.mkdir(path.join(tempDir, 'node_modules'));
+    await fs.mkdir(path.join(tempDir, 'drafts'));
+    const watching = watchCommand({ positionals: [], options: { debounce: '10' } }, context);
+    await waitForEvents(1);
+
+    await fs.writeFile(path.join(tempDir, 'node_modules', 'vendor.feature'), MATH_FEATURE);
+    await fs.writeFile(path.join(tempDir, 'drafts', 'draft.feature'), MATH_FEATURE);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    controller.abort();
+    await watching;
+
+    expect(events).toHaveLength(1);
+  });
+
+  it('should reject invalid debounce values', async () => {
+    await expect(watchCommand({ positionals: [], options: { debounce: 'soon' } }, context))
+      .rejects.toThrow(UsageError);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for CLI argument parsing and command routing.
+ *
+ * @module test/unit/cli/index
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { run, COMMANDS, formatHelp, serializeError } = require('../../../src/cli');
+const { EXIT_CODES, UsageError } = require('../../../src/cli/errors');
+const { ContextBuildError } = require('../../../src/compiler/errors');
+const { version } = require('../../../package.json');
+
+const MATH_FEATURE = [
+  'Feature: Mathematics',
+  '',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+].join('\n');
+
+const createStream = () => {
+  const stream = { isTTY: false, output: '' };
+  stream.write = (chunk) => { stream.output += chunk; };
+  return stream;
+};
+
+describe('CLI', () => {
+  let tempDir;
+  let stdout;
+  let stderr;
+
+  const cli = (...argv) => run(argv, { cwd: tempDir, stdout, stderr });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-test-'));
+    stdout = createStream();
+    stderr = createStream();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('help and version', () => {
+    it('should print help listing every command when no command is given', async () => {
+      expect(await cli()).toBe(EXIT_CODES.SUCCESS);
+
+      expect(stdout.output).toBe(formatHelp());
+      for (const name of Object.keys(COMMANDS)) {
+        expect(stdout.output).toContain(`  ${name}`);
+      }
+    });
+
+    it('should print command help with its options', async () => {
+      expect(await cli('compile', '--help')).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout.output).toContain('Usage: gherkin compile [files...] [options]');
+      expect(stdout.output).toContain('--no-cache');
+
+      stdout.output = '';
+      expect(await cli('help', 'cache')).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout.output).toContain('--inspect <key>');
+    });
+
+    it('should print the package version', async () => {
+      expect(await cli('--version')).toBe(EXIT_CODES.SUCCESS);
+      expect(stdout.output).toBe(`${version}\n`);
+    });
+  });
+
+  describe('usage errors', () => {
+    it('should reject unknown commands with the usage exit code', async () => {
+      expect(await cli('deploy')).toBe(EXIT_CODES.USAGE);
+      expect(stderr.output).toContain('Unknown command "deploy"');
+    });
+
+    it('should reject unknown options', async () => {
+      expect(await cli('compile', '--bogus')).toBe(EXIT_CODES.USAGE);
+      expect(stderr.output).toContain('--bogus');
+      expect(stderr.output).toContain('Run "gherkin compile --help" for usage.');
+    });
+
+    it('should reject invalid option values', async () => {
+      expect(await cli('compile', '--target', 'cobol', '--no-color')).toBe(EXIT_CODES.USAGE);
+      expect(stderr.output).toContain('error Unknown target "cobol" (expected javascript, elixir)');
+    });
+
+    it('should print usage errors as JSON with --json', async () => {
+      expect(await cli('compile', '--bogus', '--json')).toBe(EXIT_CODES.USAGE);
+
+      const output = JSON.parse(stdout.output);
+      expect(output.success).toBe(false);
+      expect(output.error).toMatchObject({ name: 'UsageError', command: 'compile' });
+      expect(stderr.output).toBe('');
+    });
+  });
+
+  describe('commands', () => {
+    beforeEach(async () => {
+      await fs.writeFile(path.join(tempDir, '.gherkinrc.json'), JSON.stringify({ ai: { mode: 'rules' } }));
+      await fs.writeFile(path.join(tempDir, 'mathematics.feature'), MATH_FEATURE);
+    });
+
+    it('should compile the project and print a summary', async () => {
+      expect(await cli('compile', '--no-color')).toBe(EXIT_CODES.SUCCESS);
+
+      expect(stdout.output).toMatch(/✔ Mathematics {2}compiled {2}dist[/\\]mathematics\.js/);
+      expect(stdout.output).toContain('1 module(s): 1 compiled, 0 cached');
+      expect(await fs.readFile(path.join(tempDir, 'dist', 'mathematics.js'), 'utf8')).toContain('add');
+    });
+
+    it('should print the build report with --json', async () => {
+      expect(await cli('compile', '--json', '--dry-run')).toBe(EXIT_CODES.SUCCESS);
+
+      const report = JSON.parse(stdout.output);
+      expect(report.success).toBe(true);
+      expect(report.modules[0]).toMatchObject({ moduleName: 'Mathematics', status: 'compiled' });
+    });
+
+    it('should exit with the failure code when a module fails to compile', async () => {
+      await fs.writeFile(path.join(tempDir, 'mathematics.feature'), MATH_FEATURE.replace('add a and b', 'juggle a and b'));
+
+      expect(await cli('compile', '--quiet', '--no-color')).toBe(EXIT_CODES.FAILURE);
+      expect(stdout.output).toBe('');
+      expect(stderr.output).toContain('1 failed');
+    });
+
+    it('should map project errors to the configuration exit code', async () => {
+      await fs.writeFile(path.join(tempDir, 'copy.feature'), MATH_FEATURE);
+
+      expect(await cli('compile', '--json')).toBe(EXIT_CODES.CONFIG);
+      expect(JSON.parse(stdout.output).error.name).toBe('ContextBuildError');
+    });
+
+    it('should use the configuration file given with --config', async () => {
+      await fs.writeFile(path.join(tempDir, 'custom.json'), JSON.stringify({
+        ai: { mode: 'rules' },
+        output: { dir: 'build' },
+      }));
+
+      expect(await cli('compile', '-c', 'custom.json', '-q')).toBe(EXIT_CODES.SUCCESS);
+      expect(await fs.readFile(path.join(tempDir, 'build', 'mathematics.js'), 'utf8')).toContain('add');
+    });
+
+    it('should find the configuration file above the working directory', async () => {
+      await fs.mkdir(path.join(tempDir, 'features'));
+      await fs.rename(path.join(tempDir, 'mathematics.feature'), path.join(tempDir, 'features', 'mathematics.feature'));
+
+      const code = await run(['compile', '--dry-run', '--json'], { cwd: path.join(tempDir, 'features'), stdout, stderr });
+
+      expect(code).toBe(EXIT_CODES.SUCCESS);
+      expect(JSON.parse(stdout.output).modules[0].status).toBe('compiled');
+    });
+
+    it('should override configuration values with --set', async () => {
+      expect(await cli('compile', '--set', 'output.dir=out', '--set', 'concurrency=1', '-q')).toBe(EXIT_CODES.SUCCESS);
+      expect(await fs.readFile(path.join(tempDir, 'out', 'mathematics.js'), 'utf8')).toContain('add');
+
+      expect(await cli('compile', '--set', 'output.dri=out', '--json')).toBe(EXIT_CODES.CONFIG);
+      expect(JSON.parse(stdout.output).error).toMatchObject({
+        name: 'ContextBuildError',
+        path: '$.output.dri',
+      });
+    });
+
+    it('should reject --set values without a key', async () => {
+      expect(await cli('compile', '--set', 'dist')).toBe(EXIT_CODES.USAGE);
+      expect(stderr.output).toContain('Invalid --set "dist" (expected key=value)');
+    });
+  });
+
+  describe('serializeError', () => {
+    it('should keep the name, message and primitive context fields', () => {
+      const error = Object.assign(new ContextBuildError('Circular dependency', { cycle: ['A', 'B'] }), {
+        cause: new Error('x'),
+      });
+
+      expect(serializeError(error)).toMatchObject({ name: 'ContextBuildError', message: 'Circular dependency', cycle: ['A', 'B'] });
+      expect(serializeError(error).cause).toBeUndefined();
+      expect(serializeError(new UsageError('bad', { command: 'init' }))).toEqual({
+        name: 'UsageError',
+        message: 'bad',
+        command: 'init',
+      });
+    });
+  });
+});
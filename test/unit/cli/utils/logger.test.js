@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the CLI logger.
+ *
+ * @module test/unit/cli/utils/logger
+ */
+
+const { Logger, supportsColor } = require('../../../../src/cli/utils/logger');
+
+const createStream = (isTTY = false) => {
+  const stream = { isTTY, output: '' };
+  stream.write = (chunk) => { stream.output += chunk; };
+  return stream;
+};
+
+describe('Logger', () => {
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    stdout = createStream();
+    stderr = createStream();
+  });
+
+  it('should write info and success to stdout and warnings and errors to stderr', () => {
+    const logger = new Logger({ stdout, stderr, color: false });
+
+    logger.info('compiling');
+    logger.success('done');
+    logger.warn('slow');
+    logger.error('broken');
+
+    expect(stdout.output).toBe('compiling\n✔ done\n');
+    expect(stderr.output).toBe('warning slow\nerror broken\n');
+  });
+
+  it('should only print messages up to the configured level', () => {
+    const quiet = new Logger({ stdout, stderr, level: 'error', color: false });
+
+    quiet.debug('details');
+    quiet.info('compiling');
+    quiet.warn('slow');
+    quiet.error('broken');
+
+    expect(stdout.output).toBe('');
+    expect(stderr.output).toBe('error broken\n');
+    expect(new Logger({ level: 'debug' }).isEnabled('debug')).toBe(true);
+    expect(new Logger({ level: 'silent' }).isEnabled('error')).toBe(false);
+  });
+
+  it('should reject unknown levels', () => {
+    expect(() => new Logger({ level: 'loud' })).toThrow('Unknown log level "loud"');
+  });
+
+  it('should format errors with their location', () => {
+    const logger = new Logger({ stdout, stderr, color: false });
+    const error = Object.assign(new Error('Unexpected token'), { filePath: 'math.feature', line: 3, column: 5 });
+
+    logger.error(error);
+
+    expect(stderr.output).toBe('error math.feature:3:5: Unexpected token\n');
+  });
+
+  it('should include the stack trace at debug level', () => {
+    const logger = new Logger({ stdout, stderr, level: 'debug', color: false });
+
+    expect(logger.formatError(new Error('boom'))).toMatch(/^boom\n\s+at /);
+  });
+
+  it('should colorize only when colors are enabled', () => {
+    expect(new Logger({ color: true }).colorize('red', 'x')).toBe('\u001b[31mx\u001b[0m');
+    expect(new Logger({ color: false }).colorize('red', 'x')).toBe('x');
+  });
+});
+
+describe('supportsColor', () => {
+  it('should follow the stream TTY state by default', () => {
+    expect(supportsColor(createStream(true), {})).toBe(true);
+    expect(supportsColor(createStream(false), {})).toBe(false);
+  });
+
+  it('should honor NO_COLOR and FORCE_COLOR', () => {
+    expect(supportsColor(createStream(true), { NO_COLOR: '' })).toBe(false);
+    expect(supportsColor(createStream(false), { FORCE_COLOR: '1' })).toBe(true);
+    expect(supportsColor(createStream(true), { FORCE_COLOR: '0' })).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the CLI progress indicator.
+ *
+ * @module test/unit/cli/utils/progress
+ */
+
+const { Progress } = require('../../../../src/cli/utils/progress');
+
+const createStream = (isTTY) => {
+  const stream = { isTTY, output: '' };
+  stream.write = (chunk) => { stream.output += chunk; };
+  return stream;
+};
+
+describe('Progress', () => {
+  it('should format a bar with count, percentage and label', () => {
+    const progress = new Progress({ stream: createStream(true) });
+
+    progress.start(10, 'Mathematics');
+    progress.update(3);
+
+    expect(progress.format()).toBe('[======              ] 3/10 (30%) Mathematics');
+  });
+
+  it('should advance with tick and never exceed the total', () => {
+    const progress = new Progress({ stream: createStream(true) });
+
+    progress.start(2);
+    progress.tick('a');
+    progress.tick('b');
+    progress.tick('c');
+
+    expect(progress.format()).toBe('[====================] 2/2 (100%) c');
+  });
+
+  it('should redraw a single line and erase it on stop', () => {
+    const stream = createStream(true);
+    const progress = new Progress({ stream });
+
+    progress.start(2);
+    progress.tick();
+    progress.stop();
+    progress.stop();
+
+    expect(stream.output.match(/\r\u001b\[2K/g)).toHaveLength(3);
+    expect(stream.output.endsWith('\r\u001b[2K')).toBe(true);
+  });
+
+  it('should not write anything when the stream is not a terminal', () => {
+    const stream = createStream(false);
+    const progress = new Progress({ stream });
+
+    progress.start(3);
+    progress.tick();
+    progress.stop();
+
+    expect(stream.output).toBe('');
+  });
+});
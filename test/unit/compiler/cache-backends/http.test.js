@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the HTTP cache backend.
+ *
+ * @module test/unit/compiler/cache-backends/http
+ */
+
+const { HttpBackend, DEFAULT_REMOTE_TIMEOUT } = require('../../../../src/compiler/cache-backends/http');
+const { CacheError } = require('../../../../src/compiler/errors');
+
+const KEY = 'a'.repeat(64);
+const ENTRY = {
+  key: KEY,
+  sourceHash: 'source',
+  rulesHash: 'rules',
+  compiledCode: 'const add = (a, b) => a + b;',
+  metadata: { timestamp: '2024-01-01T00:00:00.000Z', duration: 1, compilerVersion: '1.0.0', target: 'javascript' },
+};
+
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+});
+
+describe('HttpBackend', () => {
+  let fetch;
+  let backend;
+
+  beforeEach(() => {
+    fetch = jest.spyOn(global, 'fetch');
+    backend = new HttpBackend({ url: 'http://cache.test:7373/' });
+  });
+
+  afterEach(() => {
+    fetch.mockRestore();
+  });
+
+  it('should require an http(s) URL', () => {
+    expect(() => new HttpBackend({})).toThrow(CacheError);
+    expect(() => new HttpBackend({ url: 'ftp://cache.test' })).toThrow(CacheError);
+    expect(new HttpBackend({ url: 'https://cache.test' }).timeout).toBe(DEFAULT_REMOTE_TIMEOUT);
+  });
+
+  it('should GET entries by key', async () => {
+    fetch.mockResolvedValue(respond(200, ENTRY));
+
+    expect(await backend.get(KEY)).toEqual(ENTRY);
+    expect(fetch).toHaveBeenCalledWith(`http://cache.test:7373/entries/${KEY}`, expect.objectContaining({
+      method: 'GET',
+      signal: expect.any(AbortSignal),
+    }));
+  });
+
+  it('should treat 404 as a miss', async () => {
+    fetch.mockResolvedValue(respond(404, { error: 'Not cached' }));
+
+    expect(await backend.get(KEY)).toBeNull();
+  });
+
+  it('should PUT entries as JSON', async () => {
+    fetch.mockResolvedValue(respond(204));
+
+    await backend.set(KEY, ENTRY);
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(`http://cache.test:7373/entries/${KEY}`);
+    expect(init.method).toBe('PUT');
+    expect(init.headers['content-type']).toBe('application/json');
+    expect(JSON.parse(init.body)).toEqual(ENTRY);
+  });
+
+  it('should send the bearer token', async () => {
+    fetch.mockResolvedValue(respond(404));
+
+    await new HttpBackend({ url: 'http://cache.test', token: 'secret' }).get(KEY);
+
+    expect(fetch.mock.calls[0][1].headers.authorization).toBe('Bearer secret');
+  });
+
+  it('should throw CacheError for error statuses', async () => {
+    fetch.mockResolvedValue(respond(401));
+
+    await expect(backend.set(KEY, ENTRY)).rejects.toMatchObject({
+      name: 'CacheError',
+      operation: 'set',
+      code: 'HTTP_401',
+      key: KEY,
+    });
+  });
+
+  it('should throw CacheError when the server is unreachable', async () => {
+    fetch.mockRejectedValue(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }));
+
+    await expect(backend.get(KEY)).rejects.toMatchObject({ operation: 'get', code: 'ECONNREFUSED' });
+  });
+
+  it('should report timeouts', async () => {
+    fetch.mockRejectedValue(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+
+    await expect(backend.get(KEY)).rejects.toThrow(`timed out after ${DEFAULT_REMOTE_TIMEOUT}ms`);
+  });
+
+  it('should throw CacheError for unreadable entries', async () => {
+    fetch.mockResolvedValue(respond(200, '{not json'));
+
+    await expect(backend.get(KEY)).rejects.toThrow(CacheError);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for the cache backend registry.
+ *
+ * @module test/unit/compiler/cache-backends/index
+ */
+
+const { createRemoteBackend, isCacheEntry, HttpBackend } = require('../../../../src/compiler/cache-backends');
+const { CacheError } = require('../../../../src/compiler/errors');
+
+describe('cache backends', () => {
+  describe('createRemoteBackend', () => {
+    const originalToken = process.env.GHERKIN_CACHE_TOKEN;
+
+    afterEach(() => {
+      if (originalToken === undefined) {
+        delete process.env.GHERKIN_CACHE_TOKEN;
+      } else {
+        process.env.GHERKIN_CACHE_TOKEN = originalToken;
+      }
+    });
+
+    it('should create an HTTP backend for http and https URLs', () => {
+      const backend = createRemoteBackend({ url: 'https://cache.test', timeout: 2000 });
+
+      expect(backend).toBeInstanceOf(HttpBackend);
+      expect(backend).toMatchObject({ url: 'https://cache.test', timeout: 2000 });
+    });
+
+    it('should take the token from GHERKIN_CACHE_TOKEN', () => {
+      process.env.GHERKIN_CACHE_TOKEN = 'secret';
+
+      expect(createRemoteBackend({ url: 'http://cache.test' })._token).toBe('secret');
+    });
+
+    it('should throw CacheError for unsupported URLs', () => {
+      expect(() => createRemoteBackend({ url: 's3://bucket/cache' })).toThrow(CacheError);
+      expect(() => createRemoteBackend({})).toThrow(CacheError);
+    });
+  });
+
+  describe('isCacheEntry', () => {
+    const entry = {
+      key: 'key1',
+      sourceHash: 'source',
+      rulesHash: 'rules',
+      compiledCode: 'const a = 1;',
+      metadata: { compilerVersion: '1.0.0' },
+    };
+
+    it('should accept complete entries for the key', () => {
+      expect(isCacheEntry(entry, 'key1')).toBe(true);
+    });
+
+    it('should reject entries for another key or with missing fields', () => {
+      expect(isCacheEntry(entry, 'key2')).toBe(false);
+      expect(isCacheEntry({ ...entry, compiledCode: undefined }, 'key1')).toBe(false);
+      expect(isCacheEntry({ ...entry, metadata: null }, 'key1')).toBe(false);
+      expect(isCacheEntry(null, 'key1')).toBe(false);
+      expect(isCacheEntry('entry', 'key1')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for the reference cache server.
+ *
+ * @module test/unit/compiler/cache-backends/server
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { createCacheServer, MAX_ENTRY_SIZE } = require('../../../../src/compiler/cache-backends/server');
+const { HttpBackend } = require('../../../../src/compiler/cache-backends/http');
+const { CacheManager } = require('../../../../src/compiler/cache');
+
+const KEY = 'b'.repeat(64);
+const ENTRY = {
+  key: KEY,
+  sourceHash: 'source',
+  rulesHash: 'rules',
+  compiledCode: 'const add = (a, b) => a + b;',
+  metadata: { timestamp: '2024-01-01T00:00:00.000Z', duration: 1, compilerVersion: '1.0.0', target: 'javascript' },
+};
+
+describe('createCacheServer', () => {
+  let tempDir;
+  let server;
+  let url;
+
+  const start = async (options = {}) => {
+    server = createCacheServer({ dir: tempDir, ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const put = (key, body, headers = {}) => fetch(`${url}/entries/${key}`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-server-test-'));
+  });
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should store entries on PUT and serve them on GET', async () => {
+    await start();
+
+    expect((await put(KEY, ENTRY)).status).toBe(204);
+    const response = await fetch(`${url}/entries/${KEY}`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual(ENTRY);
+    expect(await fs.readdir(tempDir)).toContain(`${KEY}.cache`);
+  });
+
+  it('should answer 404 for unknown entries and paths', async () => {
+    await start();
+
+    expect((await fetch(`${url}/entries/${KEY}`)).status).toBe(404);
+    expect((await fetch(`${url}/entries/../manifest.json`)).status).toBe(404);
+    expect((await fetch(`${url}/entries/not-a-key`)).status).toBe(404);
+  });
+
+  it('should reject bodies that are not an entry for the key', async () => {
+    await start();
+
+    expect((await put(KEY, '{not json')).status).toBe(400);
+    expect((await put(KEY, { ...ENTRY, key: 'c'.repeat(64) })).status).toBe(400);
+    expect((await put(KEY, { key: KEY })).status).toBe(400);
+    expect((await fetch(`${url}/entries/${KEY}`)).status).toBe(404);
+  });
+
+  it('should reject oversized entries', async () => {
+    await start();
+
+    const response = await put(KEY, { ...ENTRY, compiledCode: 'x'.repeat(MAX_ENTRY_SIZE) });
+
+    expect(response.status).toBe(413);
+  });
+
+  it('should reject other methods', async () => {
+    await start();
+
+    const response = await fetch(`${url}/entries/${KEY}`, { method: 'DELETE' });
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET, PUT');
+  });
+
+  it('should require the token when one is set', async () => {
+    await start({ token: 'secret' });
+
+    expect((await put(KEY, ENTRY)).status).toBe(401);
+    expect((await put(KEY, ENTRY, { authorization: 'Bearer wrong' })).status).toBe(401);
+    expect((await put(KEY, ENTRY, { authorization: 'Bearer secret2' })).status).toBe(401);
+    expect((await put(KEY, ENTRY, { authorization: 'Bearer secret' })).status).toBe(204);
+  });
+
+  it('should serve a given cache manager', async () => {
+    const cache = new CacheManager({ cacheDir: path.join(tempDir, 'shared') });
+    await cache.set(KEY, ENTRY);
+    await start({ cache });
+
+    expect(await new HttpBackend({ url }).get(KEY)).toEqual(ENTRY);
+  });
+
+  it('should round-trip entries through HttpBackend', async () => {
+    await start({ token: 'secret' });
+    const backend = new HttpBackend({ url, token: 'secret' });
+
+    await backend.set(KEY, ENTRY);
+
+    expect(await backend.get(KEY)).toEqual(ENTRY);
+    expect(await backend.get('d'.repeat(64))).toBeNull();
+  });
+});
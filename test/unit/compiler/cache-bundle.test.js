@@ -0,0 +1,204 @@
+/**
+ * Unit tests for cache bundles.
+ *
+ * @module test/unit/compiler/cache-bundle
+ */
+
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const fs = require('fs').promises;
+const { CacheManager } = require('../../../src/compiler/cache');
+const { CacheError } = require('../../../src/compiler/errors');
+const { readBundle, checkBundledEntry, BUNDLE_FORMAT, BUNDLE_VERSION } = require('../../../src/compiler/cache-bundle');
+
+const createEntry = (key, overrides = {}) => ({
+  key,
+  sourceHash: `source-${key}`,
+  rulesHash: 'rules',
+  compiledCode: `const ${key} = () => '${key}';`,
+  generatedTests: null,
+  sourcePath: `${key}.feature`,
+  metadata: { timestamp: '2024-01-01T00:00:00.000Z', duration: 1, compilerVersion: '1.0.0', target: 'javascript' },
+  ...overrides,
+});
+
+describe('cache bundles', () => {
+  let tempDir;
+  let source;
+  let target;
+  let bundlePath;
+
+  const writeRawBundle = async (mutate) => {
+    await source.exportBundle(bundlePath);
+    const bundle = JSON.parse(zlib.gunzipSync(await fs.readFile(bundlePath)).toString('utf8'));
+    mutate(bundle);
+    await fs.writeFile(bundlePath, zlib.gzipSync(JSON.stringify(bundle)));
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-bundle-test-'));
+    source = new CacheManager({ cacheDir: path.join(tempDir, 'source') });
+    target = new CacheManager({ cacheDir: path.join(tempDir, 'target') });
+    bundlePath = path.join(tempDir, 'bundle.json.gz');
+
+    await source.set('alpha', createEntry('alpha'));
+    await source.set('beta', createEntry('beta'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('exportBundle', () => {
+    it('should write the manifest and entries to a gzipped bundle', async () => {
+      const report = await source.exportBundle(bundlePath);
+      const bundle = JSON.parse(zlib.gunzipSync(await fs.readFile(bundlePath)).toString('utf8'));
+
+      expect(report).toEqual({ file: bundlePath, exported: ['alpha', 'beta'], missing: [], size: expect.any(Number) });
+      expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, compilerVersion: '1.0.0' });
+      expect(bundle.manifest.entries.map(entry => entry.key)).toEqual(['alpha', 'beta']);
+      expect(bundle.manifest.entries[0]).toEqual({
+        key: 'alpha',
+        digest: expect.stringMatching(/^[a-f0-9]{64}$/),
+        size: expect.any(Number),
+        hits: 0,
+        sourcePath: 'alpha.feature',
+      });
+      expect(bundle.entries.alpha).toEqual(createEntry('alpha'));
+    });
+
+    it('should export only the requested keys and report those not cached', async () => {
+      const report = await source.exportBundle(bundlePath, { keys: ['beta', 'gone'] });
+
+      expect(report.exported).toEqual(['beta']);
+      expect(report.missing).toEqual(['gone']);
+    });
+
+    it('should leave out entries that fail their digest', async () => {
+      const entryPath = path.join(tempDir, 'source', 'alpha.cache');
+      const stored = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+      await fs.writeFile(entryPath, JSON.stringify({ ...stored, compiledCode: 'tampered' }));
+
+      const report = await source.exportBundle(bundlePath);
+
+      expect(report.exported).toEqual(['beta']);
+    });
+  });
+
+  describe('importBundle', () => {
+    it('should import every entry of a bundle', async () => {
+      await source.get('alpha');
+      await source.flush();
+      await source.exportBundle(bundlePath);
+
+      const report = await target.importBundle(bundlePath, { target: 'javascript' });
+
+      expect(report).toMatchObject({ imported: ['alpha', 'beta'], skipped: [], removed: [], entries: 2 });
+      expect(await target.get('alpha')).toEqual(createEntry('alpha'));
+      expect(target.manifest.entries.find(entry => entry.key === 'alpha')).toMatchObject({
+        hits: 1,
+        sourcePath: 'alpha.feature',
+      });
+    });
+
+    it('should restart the TTL of imported entries', async () => {
+      await source.exportBundle(bundlePath);
+      const before = Date.now();
+
+      await target.importBundle(bundlePath);
+
+      expect(target.manifest.entries[0].createdAt.getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    it('should merge into existing entries and keep the local copy of shared keys', async () => {
+      await target.set('beta', createEntry('beta'));
+      await target.set('gamma', createEntry('gamma'));
+      await source.exportBundle(bundlePath);
+
+      const report = await target.importBundle(bundlePath);
+
+      expect(report.imported).toEqual(['alpha']);
+      expect(report.skipped).toEqual([{ key: 'beta', reason: 'present' }]);
+      expect(target.manifest.entries.map(entry => entry.key).sort()).toEqual(['alpha', 'beta', 'gamma']);
+    });
+
+    it('should skip entries from another compiler version or target', async () => {
+      const metadata = createEntry('beta').metadata;
+      await source.set('beta', createEntry('beta', { metadata: { ...metadata, compilerVersion: '0.9.0' } }));
+      await source.set('gamma', createEntry('gamma', { metadata: { ...metadata, target: 'elixir' } }));
+      await source.exportBundle(bundlePath);
+
+      const report = await target.importBundle(bundlePath, { target: 'javascript' });
+
+      expect(report.imported).toEqual(['alpha']);
+      expect(report.skipped).toEqual([
+        { key: 'beta', reason: 'compiler-version' },
+        { key: 'gamma', reason: 'target' },
+      ]);
+    });
+
+    it('should skip entries that do not match their key or digest', async () => {
+      await writeRawBundle((bundle) => {
+        bundle.entries.alpha.compiledCode = 'tampered';
+        bundle.entries.beta.key = 'alpha';
+        bundle.manifest.entries.push({ key: 'gamma', digest: 'x', size: 1, hits: 0, sourcePath: null });
+      });
+
+      const report = await target.importBundle(bundlePath);
+
+      expect(report.imported).toEqual([]);
+      expect(report.skipped).toEqual([
+        { key: 'alpha', reason: 'digest-mismatch' },
+        { key: 'beta', reason: 'corrupt' },
+        { key: 'gamma', reason: 'missing' },
+      ]);
+      expect(report.entries).toBe(0);
+    });
+
+    it('should evict imported entries that do not fit', async () => {
+      const small = new CacheManager({ cacheDir: path.join(tempDir, 'small'), maxSize: '500B' });
+      await source.exportBundle(bundlePath);
+
+      const report = await small.importBundle(bundlePath);
+
+      expect(report.imported).toEqual(['alpha', 'beta']);
+      expect(report.removed.map(removal => removal.reason)).toEqual(['size']);
+      expect(report.entries).toBe(1);
+    });
+  });
+
+  describe('readBundle', () => {
+    it('should accept an uncompressed bundle', async () => {
+      await writeRawBundle(() => {});
+      const bundle = zlib.gunzipSync(await fs.readFile(bundlePath));
+      await fs.writeFile(bundlePath, bundle);
+
+      await expect(readBundle(bundlePath)).resolves.toMatchObject({ format: BUNDLE_FORMAT });
+    });
+
+    it('should reject files that are not bundles', async () => {
+      await fs.writeFile(bundlePath, JSON.stringify({ entries: [] }));
+
+      await expect(readBundle(bundlePath)).rejects.toThrow(`Not a cache bundle: ${bundlePath}`);
+    });
+
+    it('should reject unreadable files and other bundle versions', async () => {
+      await expect(readBundle(path.join(tempDir, 'missing.json.gz'))).rejects.toThrow(CacheError);
+
+      await writeRawBundle((bundle) => {
+        bundle.version = 2;
+      });
+      await expect(readBundle(bundlePath)).rejects.toThrow('Unsupported cache bundle version 2');
+    });
+  });
+
+  describe('checkBundledEntry', () => {
+    it('should accept any target when none is required', async () => {
+      await source.exportBundle(bundlePath);
+      const bundle = await readBundle(bundlePath);
+
+      expect(checkBundledEntry(bundle.manifest.entries[0], bundle.entries.alpha, { compilerVersion: '1.0.0' })).toBeNull();
+    });
+  });
+});
@@ -6,39 +6,115 @@
 
 const { CacheManager } = require('../../../src/compiler/cache');
 const { CacheError } = require('../../../src/compiler/errors');
-const { readFile, writeFile, exists, mkdir, rm } = require('../../../src/compiler/utils/fs');
+const { FileSystemBackend } = require('../../../src/compiler/cache-backends');
+const { computeEntryDigest } = require('../../../src/compiler/cache-backends/filesystem');
+const {
+  readFile, writeFileAtomic, exists, mkdir, rm, move, listFiles, stat,
+} = require('../../../src/compiler/utils/fs');
 const { sha256Concat } = require('../../../src/compiler/utils/hash');
+const lockfile = require('proper-lockfile');
 const path = require('path');
 
 // Mock dependencies
 jest.mock('../../../src/compiler/utils/fs', () => ({
   readFile: jest.fn(),
-  writeFile: jest.fn(),
+  writeFileAtomic: jest.fn(),
   exists: jest.fn(),
   mkdir: jest.fn(),
   rm: jest.fn(),
+  move: jest.fn(),
+  listFiles: jest.fn(),
   stat: jest.fn(),
 }));
 
 jest.mock('../../../src/compiler/utils/hash', () => ({
+  ...jest.requireActual('../../../src/compiler/utils/hash'),
   sha256Concat: jest.fn(),
 }));
 
+jest.mock('proper-lockfile', () => ({
+  lock: jest.fn(),
+}));
+
 describe('CacheManager', () => {
   let cache;
+  let disk;
+  let mtimes;
+  let release;
   const testCacheDir = '/test-cache';
   const testManifestPath = path.join(testCacheDir, 'manifest.json');
+  const entryPath = key => path.join(testCacheDir, `${key}.cache`);
+
+  const createEntry = key => ({
+    key,
+    sourceHash: 'source-hash',
+    rulesHash: 'rules-hash',
+    compiledCode: 'console.log("test");',
+    metadata: {
+      timestamp: '2024-01-01T00:00:00.000Z',
+      duration: 100,
+      model: 'test-model',
+      compilerVersion: '1.0.0',
+      target: 'javascript',
+    },
+  });
+
+  // Writes a manifest, and entry files for every entry given, to the fake disk
+  const seedCache = (entries, files = {}) => {
+    disk.set(testManifestPath, JSON.stringify({
+      entries: entries.map(entry => ({
+        file: entryPath(entry.key),
+        lastAccessed: new Date('2024-01-01'),
+        createdAt: new Date(),
+        hits: 0,
+        sourcePath: null,
+        ...entry,
+      })),
+      totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxSize: 104857600,
+      lastUpdated: new Date().toISOString(),
+    }));
+    for (const entry of entries) {
+      disk.set(entryPath(entry.key), JSON.stringify(files[entry.key] || createEntry(entry.key)));
+    }
+  };
+
+  const readManifest = () => JSON.parse(disk.get(testManifestPath));
 
   beforeEach(() => {
     cache = new CacheManager({ cacheDir: testCacheDir });
     jest.clearAllMocks();
-    
-    // Default mocks - assume directory doesn't exist initially
-    exists.mockResolvedValue(false);
+
+    disk = new Map();
+    mtimes = new Map();
+    release = jest.fn().mockResolvedValue();
+    exists.mockImplementation(async filePath => disk.has(filePath));
+    readFile.mockImplementation(async (filePath) => {
+      if (!disk.has(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      return disk.get(filePath);
+    });
+    writeFileAtomic.mockImplementation(async (filePath, content) => {
+      disk.set(filePath, content);
+    });
+    rm.mockImplementation(async (filePath) => {
+      disk.delete(filePath);
+    });
+    move.mockImplementation(async (fromPath, toPath) => {
+      if (!disk.has(fromPath)) {
+        throw Object.assign(new Error(`File not found: ${fromPath}`), { code: 'ENOENT' });
+      }
+      disk.set(toPath, disk.get(fromPath));
+      disk.delete(fromPath);
+    });
+    listFiles.mockImplementation(async dirPath => [...disk.keys()]
+      .filter(filePath => path.dirname(filePath) === dirPath)
+      .map(filePath => path.basename(filePath))
+      .sort());
+    stat.mockImplementation(async filePath => ({ mtimeMs: mtimes.get(filePath) ?? Date.now() }));
     mkdir.mockResolvedValue();
-    readFile.mockResolvedValue('');
-    writeFile.mockResolvedValue();
-    rm.mockResolvedValue();
+    lockfile.lock.mockResolvedValue(release);
   });
 
   describe('constructor', () => {
@@ -65,6 +141,12 @@ describe('CacheManager', () => {
       expect(customCache.maxSize).toBe(50 * 1024 * 1024); // 50MB
       expect(customCache.compilerVersion).toBe('2.0.0');
     });
+
+    it('should store entries in a filesystem backend by default', () => {
+      expect(cache.backend).toBeInstanceOf(FileSystemBackend);
+      expect(cache.backend).toMatchObject({ cacheDir: testCacheDir, maxSize: cache.maxSize, ttl: cache.ttl });
+      expect(cache.remote).toBeNull();
+    });
   });
 
   describe('generateKey', () => {
@@ -89,6 +171,26 @@ describe('CacheManager', () => {
       expect(key1).toBe(key2);
     });
 
+    it('should fold additional compilation inputs into the key', () => {
+      sha256Concat.mockReturnValue('k'.repeat(64));
+
+      cache.generateKey('source', 'rules', '1.0.0', 'javascript', {
+        dependencies: { Strings: 'h2', Mathematics: 'h1' },
+        template: '# JavaScript',
+        model: 'claude-sonnet-4-5',
+        moduleFormat: 'esm',
+        settings: { generation: { tests: true } },
+      });
+
+      expect(sha256Concat).toHaveBeenCalledWith('source', 'rules', '1.0.0', 'javascript', JSON.stringify({
+        dependencies: [['Mathematics', 'h1'], ['Strings', 'h2']],
+        template: '# JavaScript',
+        model: 'claude-sonnet-4-5',
+        moduleFormat: 'esm',
+        settings: { generation: { tests: true } },
+      }));
+    });
+
     it('should generate different keys for different inputs', () => {
       sha256Concat.mockReturnValueOnce('key1' + '0'.repeat(60));
       sha256Concat.mockReturnValueOnce('key2' + '0'.repeat(60));
@@ -130,104 +232,87 @@ describe('CacheManager', () => {
 
   describe('set', () => {
     const testKey = 'test-key-123';
-    const testEntry = {
-      key: testKey,
-      sourceHash: 'source-hash',
-      rulesHash: 'rules-hash',
-      compiledCode: 'console.log("test");',
-      metadata: {
-        timestamp: new Date().toISOString(),
-        duration: 100,
-        model: 'test-model',
-        compilerVersion: '1.0.0',
-        target: 'javascript',
-      },
-    };
 
-    beforeEach(async () => {
-      // Mock manifest doesn't exist initially
-      exists.mockImplementation((path) => {
-        if (path === testManifestPath) return false;
-        if (path === testCacheDir) return false;
-        return false;
-      });
-      
-      await cache._initializeManifest();
-      jest.clearAllMocks();
+    it('should store new cache entry', async () => {
+      await cache.set(testKey, createEntry(testKey));
+
+      expect(writeFileAtomic).toHaveBeenCalledWith(entryPath(testKey), expect.stringContaining(testKey));
+      const manifest = readManifest();
+      expect(manifest.entries).toHaveLength(1);
+      expect(manifest.entries[0].key).toBe(testKey);
+      expect(manifest.totalSize).toBeGreaterThan(0);
     });
 
-    it('should store new cache entry', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      exists.mockResolvedValue(false); // Entry doesn't exist
+    it('should update existing cache entry', async () => {
+      seedCache([{ key: testKey, size: 100 }]);
 
-      await cache.set(testKey, testEntry);
+      await cache.set(testKey, { ...createEntry(testKey), compiledCode: 'console.log("updated");' });
 
-      expect(writeFile).toHaveBeenCalledWith(cachePath, expect.stringContaining(testKey));
-      expect(cache.manifest.entries).toHaveLength(1);
-      expect(cache.manifest.entries[0].key).toBe(testKey);
-      expect(cache.manifest.totalSize).toBeGreaterThan(0);
+      const manifest = readManifest();
+      expect(manifest.entries).toHaveLength(1);
+      expect(manifest.entries[0].size).not.toBe(100);
+      expect(manifest.totalSize).toBe(manifest.entries[0].size);
     });
 
-    it('should update existing cache entry', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      // Add existing entry
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
+    it('should keep entries written by other processes', async () => {
+      await cache.get('warm-up'); // Loads the (empty) manifest into memory
+      seedCache([{ key: 'other', size: 100 }]);
+
+      await cache.set(testKey, createEntry(testKey));
+
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['other', testKey]);
+    });
+
+    it('should write the entry file and then the manifest under the lock', async () => {
+      const order = [];
+      writeFileAtomic.mockImplementation(async (filePath, content) => {
+        order.push(filePath === testManifestPath ? 'manifest' : 'entry');
+        disk.set(filePath, content);
+      });
+      lockfile.lock.mockImplementation(async () => {
+        order.push('lock');
+        return async () => order.push('release');
       });
-      cache.manifest.totalSize = 100;
-      exists.mockResolvedValue(false);
 
-      const updatedEntry = { ...testEntry, compiledCode: 'console.log("updated");' };
-      await cache.set(testKey, updatedEntry);
+      await cache.set(testKey, createEntry(testKey));
 
-      expect(cache.manifest.entries).toHaveLength(1);
-      expect(cache.manifest.entries[0].size).not.toBe(100);
-      expect(writeFile).toHaveBeenCalled();
+      expect(order).toEqual(['lock', 'entry', 'manifest', 'release']);
+      expect(lockfile.lock).toHaveBeenCalledWith(testManifestPath, expect.objectContaining({ realpath: false }));
     });
 
     it('should throw CacheError on write failure', async () => {
-      writeFile.mockRejectedValue(new Error('Write failed'));
+      writeFileAtomic.mockRejectedValue(new Error('Write failed'));
 
-      await expect(cache.set(testKey, testEntry)).rejects.toThrow(CacheError);
+      await expect(cache.set(testKey, createEntry(testKey))).rejects.toThrow(CacheError);
     });
 
-    it('should initialize manifest if not loaded', async () => {
-      cache.manifest.entries = [];
-      exists.mockImplementation((path) => {
-        if (path === testManifestPath) return false;
-        return false;
+    it('should throw CacheError when the manifest lock cannot be acquired', async () => {
+      lockfile.lock.mockRejectedValue(Object.assign(new Error('Lock file is already being held'), { code: 'ELOCKED' }));
+
+      await expect(cache.set(testKey, createEntry(testKey))).rejects.toMatchObject({
+        name: 'CacheError',
+        operation: 'set',
+        code: 'ELOCKED',
       });
+    });
 
-      await cache.set(testKey, testEntry);
+    it('should release the lock when the manifest cannot be written', async () => {
+      writeFileAtomic.mockImplementation(async (filePath, content) => {
+        if (filePath === testManifestPath) {
+          throw new Error('disk full');
+        }
+        disk.set(filePath, content);
+      });
 
-      expect(writeFile).toHaveBeenCalled(); // Should save manifest
+      await expect(cache.set(testKey, createEntry(testKey))).rejects.toThrow(CacheError);
+      expect(release).toHaveBeenCalled();
     });
   });
 
   describe('get', () => {
     const testKey = 'test-key-123';
-    const testEntry = {
-      key: testKey,
-      sourceHash: 'source-hash',
-      rulesHash: 'rules-hash',
-      compiledCode: 'console.log("test");',
-      metadata: {
-        timestamp: new Date().toISOString(),
-        duration: 100,
-        model: 'test-model',
-        compilerVersion: '1.0.0',
-        target: 'javascript',
-      },
-    };
 
     it('should return null for missing entry', async () => {
-      exists.mockResolvedValue(false);
-      await cache._initializeManifest();
-
       const result = await cache.get(testKey);
 
       expect(result).toBeNull();
@@ -235,128 +320,120 @@ describe('CacheManager', () => {
     });
 
     it('should retrieve existing cache entry', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      // Set up manifest entry
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
-      });
-
-      exists.mockImplementation((path) => {
-        if (path === cachePath) return true;
-        if (path === testManifestPath) return true;
-        return false;
-      });
-      
-      readFile.mockResolvedValue(JSON.stringify(testEntry));
+      seedCache([{ key: testKey, size: 100 }]);
 
       const result = await cache.get(testKey);
 
-      expect(result).toEqual(testEntry);
+      expect(result).toEqual(createEntry(testKey));
       expect(cache.stats.hits).toBe(1);
-      expect(readFile).toHaveBeenCalledWith(cachePath);
+      expect(readFile).toHaveBeenCalledWith(entryPath(testKey));
     });
 
-    it('should return null for corrupted entry', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
-      });
+    it('should not rewrite the manifest on a hit', async () => {
+      seedCache([{ key: testKey, size: 100 }]);
 
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify({ invalid: 'entry' })); // Missing required fields
-      rm.mockResolvedValue(); // Mock clear() operations
+      await cache.get(testKey);
+
+      expect(writeFileAtomic).not.toHaveBeenCalled();
+      expect(lockfile.lock).not.toHaveBeenCalled();
+    });
+
+    it('should return null for corrupted entry', async () => {
+      seedCache([{ key: testKey, size: 100 }], { [testKey]: { invalid: 'entry' } });
 
       const result = await cache.get(testKey);
 
       expect(result).toBeNull();
       expect(cache.stats.misses).toBe(1);
+      expect(readManifest().entries).toHaveLength(0);
     });
 
     it('should return null when manifest entry exists but file is missing', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
-      });
-
-      exists.mockImplementation((path) => {
-        if (path === cachePath) return false; // File missing
-        if (path === testManifestPath) return true;
-        return false;
-      });
+      seedCache([{ key: testKey, size: 100 }]);
+      disk.delete(entryPath(testKey));
 
       const result = await cache.get(testKey);
 
       expect(result).toBeNull();
       expect(cache.stats.misses).toBe(1);
-      expect(cache.manifest.entries).toHaveLength(0); // Entry removed
+      expect(readManifest().entries).toHaveLength(0); // Entry removed
     });
 
     it('should throw CacheError on read failure', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
+      seedCache([{ key: testKey, size: 100 }]);
+      readFile.mockImplementation(async (filePath) => {
+        if (filePath === testManifestPath) {
+          return disk.get(filePath);
+        }
+        throw new Error('Read failed');
       });
 
-      exists.mockResolvedValue(true);
-      readFile.mockRejectedValue(new Error('Read failed'));
-
       await expect(cache.get(testKey)).rejects.toThrow(CacheError);
     });
   });
 
+  describe('flush', () => {
+    it('should write batched access times to the manifest', async () => {
+      seedCache([{ key: 'key1', size: 100 }, { key: 'key2', size: 100 }]);
+
+      await cache.get('key1');
+      await cache.flush();
+
+      const [key1, key2] = readManifest().entries;
+      expect(new Date(key1.lastAccessed).getTime()).toBeGreaterThan(new Date('2024-01-01').getTime());
+      expect(key2.lastAccessed).toBe(new Date('2024-01-01').toISOString());
+    });
+
+    it('should do nothing without pending access times', async () => {
+      await cache.flush();
+
+      expect(lockfile.lock).not.toHaveBeenCalled();
+      expect(writeFileAtomic).not.toHaveBeenCalled();
+    });
+
+    it('should fold pending access times into other manifest updates', async () => {
+      seedCache([{ key: 'key1', size: 100 }]);
+
+      await cache.get('key1');
+      await cache.set('key2', createEntry('key2'));
+      writeFileAtomic.mockClear();
+      await cache.flush();
+
+      expect(new Date(readManifest().entries[0].lastAccessed).getFullYear()).toBeGreaterThan(2024);
+      expect(writeFileAtomic).not.toHaveBeenCalled();
+    });
+
+    it('should flush automatically after many hits', async () => {
+      const entries = Array.from({ length: 50 }, (_, i) => ({ key: `key${i}`, size: 1 }));
+      seedCache(entries);
+
+      for (const { key } of entries) {
+        await cache.get(key);
+      }
+
+      expect(lockfile.lock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw CacheError when the manifest cannot be updated', async () => {
+      seedCache([{ key: 'key1', size: 100 }]);
+      await cache.get('key1');
+      lockfile.lock.mockRejectedValue(new Error('Lock file is already being held'));
+
+      await expect(cache.flush()).rejects.toMatchObject({ name: 'CacheError', operation: 'flush' });
+    });
+  });
+
   describe('isValid', () => {
     const testKey = 'test-key-123';
-    const testEntry = {
-      key: testKey,
-      sourceHash: 'source-hash',
-      rulesHash: 'rules-hash',
-      compiledCode: 'console.log("test");',
-      metadata: {
-        timestamp: new Date().toISOString(),
-        duration: 100,
-        model: 'test-model',
-        compilerVersion: '1.0.0',
-        target: 'javascript',
-      },
-    };
 
     it('should return false for missing entry', async () => {
-      exists.mockResolvedValue(false);
-      await cache._initializeManifest();
-
       const result = await cache.isValid(testKey);
 
       expect(result).toBe(false);
     });
 
     it('should return true for valid entry', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
-      });
-
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify(testEntry));
+      seedCache([{ key: testKey, size: 100 }]);
 
       const result = await cache.isValid(testKey);
 
@@ -364,17 +441,7 @@ describe('CacheManager', () => {
     });
 
     it('should return false for corrupted entry', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
-      });
-
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify({ invalid: 'entry' }));
+      seedCache([{ key: testKey, size: 100 }], { [testKey]: { invalid: 'entry' } });
 
       const result = await cache.isValid(testKey);
 
@@ -382,17 +449,8 @@ describe('CacheManager', () => {
     });
 
     it('should return false on read error', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey}.cache`);
-      
-      cache.manifest.entries.push({
-        key: testKey,
-        file: cachePath,
-        size: 100,
-        lastAccessed: new Date(),
-      });
-
-      exists.mockResolvedValue(true);
-      readFile.mockRejectedValue(new Error('Read failed'));
+      seedCache([{ key: testKey, size: 100 }]);
+      disk.set(entryPath(testKey), '{not json');
 
       const result = await cache.isValid(testKey);
 
@@ -401,224 +459,140 @@ describe('CacheManager', () => {
   });
 
   describe('clear', () => {
-    const testKey1 = 'key1';
-    const testKey2 = 'key2';
-
-    beforeEach(async () => {
-      await cache._initializeManifest();
-      
-      // Add some entries
-      cache.manifest.entries.push(
-        {
-          key: testKey1,
-          file: path.join(testCacheDir, `${testKey1}.cache`),
-          size: 100,
-          lastAccessed: new Date(),
-        },
-        {
-          key: testKey2,
-          file: path.join(testCacheDir, `${testKey2}.cache`),
-          size: 200,
-          lastAccessed: new Date(),
-        }
-      );
-      cache.manifest.totalSize = 300;
+    beforeEach(() => {
+      seedCache([{ key: 'key1', size: 100 }, { key: 'key2', size: 200 }]);
     });
 
     it('should clear specific entry', async () => {
-      const cachePath = path.join(testCacheDir, `${testKey1}.cache`);
-      exists.mockResolvedValue(true);
-      rm.mockResolvedValue();
-
-      await cache.clear(testKey1);
+      await cache.clear('key1');
 
-      expect(rm).toHaveBeenCalledWith(cachePath);
-      expect(cache.manifest.entries).toHaveLength(1);
-      expect(cache.manifest.entries[0].key).toBe(testKey2);
-      expect(cache.manifest.totalSize).toBe(200);
+      expect(rm).toHaveBeenCalledWith(entryPath('key1'));
+      const manifest = readManifest();
+      expect(manifest.entries).toHaveLength(1);
+      expect(manifest.entries[0].key).toBe('key2');
+      expect(manifest.totalSize).toBe(200);
     });
 
     it('should clear all entries when no key provided', async () => {
-      const cachePath1 = path.join(testCacheDir, `${testKey1}.cache`);
-      const cachePath2 = path.join(testCacheDir, `${testKey2}.cache`);
-      exists.mockResolvedValue(true);
-      rm.mockResolvedValue();
-
       await cache.clear();
 
-      expect(rm).toHaveBeenCalledWith(cachePath1);
-      expect(rm).toHaveBeenCalledWith(cachePath2);
-      expect(cache.manifest.entries).toHaveLength(0);
-      expect(cache.manifest.totalSize).toBe(0);
+      expect(rm).toHaveBeenCalledWith(entryPath('key1'));
+      expect(rm).toHaveBeenCalledWith(entryPath('key2'));
+      const manifest = readManifest();
+      expect(manifest.entries).toHaveLength(0);
+      expect(manifest.totalSize).toBe(0);
     });
 
     it('should throw CacheError on clear failure', async () => {
       rm.mockRejectedValue(new Error('Remove failed'));
 
-      await expect(cache.clear(testKey1)).rejects.toThrow(CacheError);
+      await expect(cache.clear('key1')).rejects.toThrow(CacheError);
+      expect(release).toHaveBeenCalled();
     });
   });
 
   describe('evict', () => {
-    beforeEach(async () => {
-      await cache._initializeManifest();
-    });
-
     it('should not evict when under size limit', async () => {
-      cache.manifest.entries = [
-        { key: 'key1', file: 'file1', size: 100, lastAccessed: new Date() },
-      ];
-      cache.manifest.totalSize = 100;
+      seedCache([{ key: 'key1', size: 100 }]);
 
       await cache.evict(1000);
 
-      expect(cache.manifest.entries).toHaveLength(1);
+      expect(readManifest().entries).toHaveLength(1);
       expect(rm).not.toHaveBeenCalled();
     });
 
     it('should evict oldest entries when over size limit', async () => {
-      const oldDate = new Date('2020-01-01');
-      const newDate = new Date('2024-01-01');
-      
-      cache.manifest.entries = [
-        { key: 'key1', file: 'file1', size: 400, lastAccessed: oldDate },
-        { key: 'key2', file: 'file2', size: 400, lastAccessed: newDate },
-      ];
-      cache.manifest.totalSize = 800;
-
-      exists.mockResolvedValue(true);
-      rm.mockResolvedValue();
+      seedCache([
+        { key: 'key1', size: 400, lastAccessed: new Date('2020-01-01') },
+        { key: 'key2', size: 400, lastAccessed: new Date('2024-01-01') },
+      ]);
 
       await cache.evict(500);
 
-      expect(cache.manifest.entries).toHaveLength(1);
-      expect(cache.manifest.entries[0].key).toBe('key2');
-      expect(cache.manifest.totalSize).toBe(400);
-      expect(rm).toHaveBeenCalledWith('file1');
+      const manifest = readManifest();
+      expect(manifest.entries).toHaveLength(1);
+      expect(manifest.entries[0].key).toBe('key2');
+      expect(manifest.totalSize).toBe(400);
+      expect(rm).toHaveBeenCalledWith(entryPath('key1'));
     });
 
     it('should evict multiple entries to stay under limit', async () => {
-      const dates = [
-        new Date('2020-01-01'),
-        new Date('2021-01-01'),
-        new Date('2022-01-01'),
-        new Date('2023-01-01'),
-      ];
-      
-      cache.manifest.entries = dates.map((date, i) => ({
+      seedCache(['2020', '2021', '2022', '2023'].map((year, i) => ({
         key: `key${i + 1}`,
-        file: `file${i + 1}`,
         size: 300,
-        lastAccessed: date,
-      }));
-      cache.manifest.totalSize = 1200;
+        lastAccessed: new Date(`${year}-01-01`),
+      })));
 
-      exists.mockResolvedValue(true);
-      rm.mockResolvedValue();
+      await cache.evict(500);
 
+      const manifest = readManifest();
+      expect(manifest.entries.length).toBeLessThanOrEqual(2);
+      expect(manifest.totalSize).toBeLessThanOrEqual(500);
+    });
+
+    it('should evict by access times recorded since the last flush', async () => {
+      seedCache([
+        { key: 'key1', size: 400, lastAccessed: new Date('2020-01-01') },
+        { key: 'key2', size: 400, lastAccessed: new Date('2024-01-01') },
+      ]);
+
+      await cache.get('key1');
       await cache.evict(500);
 
-      expect(cache.manifest.entries.length).toBeLessThanOrEqual(2);
-      expect(cache.manifest.totalSize).toBeLessThanOrEqual(500);
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['key1']);
     });
 
     it('should handle eviction errors gracefully', async () => {
-      cache.manifest.entries = [
-        { key: 'key1', file: 'file1', size: 1000, lastAccessed: new Date() },
-      ];
-      cache.manifest.totalSize = 1000;
-
-      exists.mockResolvedValue(true);
+      seedCache([{ key: 'key1', size: 1000 }]);
       rm.mockRejectedValue(new Error('Eviction failed'));
 
       // Evict should continue even if individual file removal fails
       await cache.evict(100);
 
-      expect(cache.manifest.entries).toHaveLength(0);
-      expect(cache.manifest.totalSize).toBe(0);
+      const manifest = readManifest();
+      expect(manifest.entries).toHaveLength(0);
+      expect(manifest.totalSize).toBe(0);
     });
   });
 
   describe('invalidate', () => {
-    const testEntry1 = {
-      key: 'key1',
-      sourceHash: 'hash1',
-      rulesHash: 'rules1',
-      metadata: { compilerVersion: '1.0.0', target: 'javascript' },
-    };
-    const testEntry2 = {
-      key: 'key2',
-      sourceHash: 'hash2',
-      rulesHash: 'rules2',
-      metadata: { compilerVersion: '1.0.0', target: 'javascript' },
-    };
-
-    beforeEach(async () => {
-      await cache._initializeManifest();
-      
-      cache.manifest.entries.push(
-        { key: 'key1', file: 'file1', size: 100, lastAccessed: new Date() },
-        { key: 'key2', file: 'file2', size: 100, lastAccessed: new Date() }
-      );
-      
-      rm.mockResolvedValue();
+    beforeEach(() => {
+      seedCache([{ key: 'key1', size: 100 }]);
     });
 
     it('should invalidate entries with mismatched source hash', async () => {
-      exists.mockResolvedValue(true);
-      readFile.mockImplementation((path) => {
-        if (path === 'file1') return Promise.resolve(JSON.stringify(testEntry1));
-        if (path === 'file2') return Promise.resolve(JSON.stringify(testEntry2));
-        return Promise.resolve('{}');
-      });
-
-      await cache.invalidate('new-hash', 'rules1', '1.0.0', 'javascript');
+      await cache.invalidate('new-hash', 'rules-hash', '1.0.0', 'javascript');
 
-      expect(rm).toHaveBeenCalled(); // Should clear invalid entries
+      expect(rm).toHaveBeenCalledWith(entryPath('key1'));
+      expect(readManifest().entries).toHaveLength(0);
     });
 
     it('should invalidate entries with mismatched rules hash', async () => {
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify(testEntry1));
-
-      await cache.invalidate('hash1', 'new-rules', '1.0.0', 'javascript');
+      await cache.invalidate('source-hash', 'new-rules', '1.0.0', 'javascript');
 
       expect(rm).toHaveBeenCalled();
     });
 
     it('should invalidate entries with mismatched compiler version', async () => {
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify(testEntry1));
-
-      await cache.invalidate('hash1', 'rules1', '2.0.0', 'javascript');
+      await cache.invalidate('source-hash', 'rules-hash', '2.0.0', 'javascript');
 
       expect(rm).toHaveBeenCalled();
     });
 
     it('should invalidate entries with mismatched target', async () => {
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify(testEntry1));
-
-      await cache.invalidate('hash1', 'rules1', '1.0.0', 'elixir');
+      await cache.invalidate('source-hash', 'rules-hash', '1.0.0', 'elixir');
 
       expect(rm).toHaveBeenCalled();
     });
 
     it('should keep valid entries', async () => {
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify(testEntry1));
-
-      await cache.invalidate('hash1', 'rules1', '1.0.0', 'javascript');
+      await cache.invalidate('source-hash', 'rules-hash', '1.0.0', 'javascript');
 
       expect(rm).not.toHaveBeenCalled(); // No invalid entries
     });
   });
 
   describe('getStats', () => {
-    beforeEach(async () => {
-      await cache._initializeManifest();
-    });
-
     it('should return correct stats for empty cache', async () => {
       const stats = await cache.getStats();
 
@@ -627,45 +601,16 @@ describe('CacheManager', () => {
         totalSize: 0,
         hits: 0,
         misses: 0,
+        remoteHits: 0,
         hitRate: 0,
       });
     });
 
     it('should return correct stats with entries', async () => {
-      // Set up manifest entries before calling getStats
-      cache.manifest.entries = [
-        { key: 'key1', file: 'file1', size: 100, lastAccessed: new Date() },
-        { key: 'key2', file: 'file2', size: 200, lastAccessed: new Date() },
-      ];
-      cache.manifest.totalSize = 300;
+      seedCache([{ key: 'key1', size: 100 }, { key: 'key2', size: 200 }]);
       cache.stats.hits = 5;
       cache.stats.misses = 2;
 
-      // Mock that manifest exists and return current state so it doesn't get reset
-      exists.mockImplementation((path) => {
-        if (path === testManifestPath) return true;
-        return false;
-      });
-      readFile.mockResolvedValue(JSON.stringify({
-        entries: [
-          {
-            key: 'key1',
-            file: 'file1',
-            size: 100,
-            lastAccessed: cache.manifest.entries[0].lastAccessed.toISOString(),
-          },
-          {
-            key: 'key2',
-            file: 'file2',
-            size: 200,
-            lastAccessed: cache.manifest.entries[1].lastAccessed.toISOString(),
-          },
-        ],
-        totalSize: 300,
-        maxSize: 104857600,
-        lastUpdated: new Date().toISOString(),
-      }));
-
       const stats = await cache.getStats();
 
       expect(stats.entries).toBe(2);
@@ -683,6 +628,57 @@ describe('CacheManager', () => {
 
       expect(stats.hitRate).toBeCloseTo(10 / 15, 5);
     });
+
+    it('should not create a manifest', async () => {
+      await cache.getStats();
+
+      expect(writeFileAtomic).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('build state', () => {
+    const buildStatePath = path.join(testCacheDir, 'build-state.json');
+    const state = {
+      modules: {
+        Mathematics: { sourceHash: 'a', rulesHash: 'r', configHash: 'c', compilerVersion: '1.0.0', dependencies: {} },
+      },
+    };
+
+    it('should return null when no build state was saved', async () => {
+      expect(await cache.getBuildState()).toBeNull();
+    });
+
+    it('should read a saved build state', async () => {
+      disk.set(buildStatePath, JSON.stringify(state));
+
+      expect(await cache.getBuildState()).toEqual(state);
+    });
+
+    it('should ignore an unreadable build state', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      disk.set(buildStatePath, '{not json');
+
+      expect(await cache.getBuildState()).toBeNull();
+      warn.mockRestore();
+    });
+
+    it('should write the build state atomically with a timestamp', async () => {
+      await cache.saveBuildState(state);
+
+      expect(writeFileAtomic).toHaveBeenCalledWith(buildStatePath, expect.any(String));
+      const written = JSON.parse(disk.get(buildStatePath));
+      expect(written.modules).toEqual(state.modules);
+      expect(written.lastUpdated).toEqual(expect.any(String));
+    });
+
+    it('should throw CacheError when the build state cannot be written', async () => {
+      writeFileAtomic.mockRejectedValue(Object.assign(new Error('disk full'), { code: 'ENOSPC' }));
+
+      await expect(cache.saveBuildState(state)).rejects.toMatchObject({
+        name: 'CacheError',
+        operation: 'saveBuildState',
+      });
+    });
   });
 
   describe('calculateSize', () => {
@@ -701,44 +697,25 @@ describe('CacheManager', () => {
 
   describe('manifest operations', () => {
     it('should load existing manifest', async () => {
-      const manifestData = {
-        entries: [
-          {
-            key: 'test-key',
-            file: 'test-file',
-            size: 100,
-            lastAccessed: new Date().toISOString(),
-          },
-        ],
-        totalSize: 100,
-        maxSize: 104857600,
-        lastUpdated: new Date().toISOString(),
-      };
-
-      exists.mockResolvedValue(true);
-      readFile.mockResolvedValue(JSON.stringify(manifestData));
-
-      await cache._loadManifest();
-
-      expect(cache.manifest.entries).toHaveLength(1);
-      expect(cache.manifest.totalSize).toBe(100);
-      expect(cache.manifest.entries[0].lastAccessed).toBeInstanceOf(Date);
-    });
-
-    it('should create new manifest if none exists', async () => {
-      exists.mockImplementation((path) => {
-        if (path === testManifestPath) return false;
-        return false;
-      });
+      seedCache([{ key: 'test-key', size: 100 }]);
 
-      await cache._initializeManifest();
+      const manifest = await cache.backend._loadManifest();
 
-      expect(writeFile).toHaveBeenCalledWith(testManifestPath, expect.any(String));
-      expect(cache.manifest.entries).toEqual([]);
-      expect(cache.manifest.totalSize).toBe(0);
+      expect(manifest).toBe(cache.manifest);
+      expect(manifest.entries).toHaveLength(1);
+      expect(manifest.totalSize).toBe(100);
+      expect(manifest.entries[0].lastAccessed).toBeInstanceOf(Date);
     });
 
-    it('should save manifest correctly', async () => {
+    it('should start from an empty manifest if none exists', async () => {
+      const manifest = await cache.backend._loadManifest();
+
+      expect(manifest.entries).toEqual([]);
+      expect(manifest.totalSize).toBe(0);
+      expect(manifest.maxSize).toBe(cache.maxSize);
+    });
+
+    it('should save manifest atomically', async () => {
       cache.manifest.entries = [
         {
           key: 'test-key',
@@ -748,41 +725,545 @@ describe('CacheManager', () => {
         },
       ];
       cache.manifest.totalSize = 100;
-      cache.manifest.maxSize = 104857600;
 
-      await cache._saveManifest();
+      await cache.backend._saveManifest();
 
-      expect(writeFile).toHaveBeenCalledWith(testManifestPath, expect.any(String));
-      const savedContent = JSON.parse(writeFile.mock.calls[0][1]);
+      expect(writeFileAtomic).toHaveBeenCalledWith(testManifestPath, expect.any(String));
+      const savedContent = readManifest();
       expect(savedContent.entries).toHaveLength(1);
       expect(savedContent.entries[0].lastAccessed).toMatch(/^\d{4}-\d{2}-\d{2}/); // ISO string
     });
   });
 
+  describe('parseDuration', () => {
+    it('should parse durations with units', () => {
+      expect(cache.parseDuration('500ms')).toBe(500);
+      expect(cache.parseDuration('30s')).toBe(30 * 1000);
+      expect(cache.parseDuration('15m')).toBe(15 * 60 * 1000);
+      expect(cache.parseDuration('12h')).toBe(12 * 60 * 60 * 1000);
+      expect(cache.parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(cache.parseDuration('2w')).toBe(14 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should treat bare numbers as milliseconds', () => {
+      expect(cache.parseDuration('250')).toBe(250);
+    });
+
+    it('should throw CacheError for invalid duration string', () => {
+      expect(() => cache.parseDuration('soon')).toThrow(CacheError);
+      expect(() => cache.parseDuration('7y')).toThrow(CacheError);
+    });
+  });
+
+  describe('expiry', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    it('should default to a TTL of seven days', () => {
+      expect(cache.ttl).toBe(7 * DAY);
+    });
+
+    it('should treat entries older than the TTL as misses and remove them', async () => {
+      seedCache([{ key: 'old', size: 100, createdAt: new Date(Date.now() - 8 * DAY) }]);
+
+      expect(await cache.get('old')).toBeNull();
+      expect(cache.stats.misses).toBe(1);
+      expect(disk.has(entryPath('old'))).toBe(false);
+      expect(readManifest().entries).toEqual([]);
+    });
+
+    it('should keep an expired entry that another process rewrote after the manifest was read', async () => {
+      seedCache([{ key: 'old', size: 100, createdAt: new Date(Date.now() - 8 * DAY) }]);
+      lockfile.lock.mockImplementationOnce(async () => {
+        const manifest = readManifest();
+        manifest.entries[0].createdAt = new Date().toISOString();
+        disk.set(testManifestPath, JSON.stringify(manifest));
+        return release;
+      });
+
+      expect(await cache.get('old')).toBeNull();
+      expect(disk.has(entryPath('old'))).toBe(true);
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['old']);
+    });
+
+    it('should report expired entries as invalid', async () => {
+      seedCache([{ key: 'old', size: 100, createdAt: new Date(Date.now() - 8 * DAY) }]);
+
+      expect(await cache.isValid('old')).toBe(false);
+    });
+
+    it('should keep entries forever with a TTL of 0', async () => {
+      const forever = new CacheManager({ cacheDir: testCacheDir, ttl: '0' });
+      seedCache([{ key: 'old', size: 100, createdAt: new Date('2020-01-01') }]);
+
+      expect(await forever.get('old')).not.toBeNull();
+    });
+
+    it('should keep entries forever with an integer TTL of 0', async () => {
+      const forever = new CacheManager({ cacheDir: testCacheDir, ttl: 0 });
+
+      expect(forever.ttl).toBe(0);
+    });
+
+    it('should age entries without a creation time from their last access', async () => {
+      seedCache([{ key: 'legacy', size: 100, createdAt: undefined, lastAccessed: new Date('2020-01-01') }]);
+
+      expect(await cache.get('legacy')).toBeNull();
+    });
+
+    it('should remove expired entries when writing', async () => {
+      seedCache([{ key: 'old', size: 100, createdAt: new Date(Date.now() - 8 * DAY) }]);
+
+      await cache.set('new', createEntry('new'));
+
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['new']);
+      expect(disk.has(entryPath('old'))).toBe(false);
+    });
+  });
+
+  describe('automatic eviction', () => {
+    it('should evict down to maxSize when writing', async () => {
+      const small = new CacheManager({ cacheDir: testCacheDir, maxSize: '1KB' });
+      seedCache([
+        { key: 'old', size: 600, lastAccessed: new Date('2020-01-01') },
+        { key: 'recent', size: 300, lastAccessed: new Date('2024-01-01') },
+      ]);
+
+      await small.set('new', createEntry('new'));
+
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['recent', 'new']);
+      expect(disk.has(entryPath('old'))).toBe(false);
+    });
+
+    it('should never evict the entry just written', async () => {
+      const tiny = new CacheManager({ cacheDir: testCacheDir, maxSize: '10B' });
+
+      await tiny.set('new', createEntry('new'));
+
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['new']);
+    });
+
+    it('should record the source file of new entries', async () => {
+      await cache.set('new', { ...createEntry('new'), sourcePath: 'features/math.feature' });
+
+      expect(readManifest().entries[0]).toMatchObject({ sourcePath: 'features/math.feature', hits: 0 });
+    });
+
+    it('should throw CacheError for an unknown eviction policy', () => {
+      expect(() => new CacheManager({ evictionPolicy: 'fifo' })).toThrow(CacheError);
+    });
+  });
+
+  describe('gc', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    it('should report removed entries with reasons', async () => {
+      const small = new CacheManager({ cacheDir: testCacheDir, maxSize: '500B' });
+      seedCache([
+        { key: 'expired', size: 100, createdAt: new Date(Date.now() - 8 * DAY) },
+        { key: 'missing', size: 100 },
+        { key: 'lru', size: 400, lastAccessed: new Date('2020-01-01') },
+        { key: 'kept', size: 400, lastAccessed: new Date('2024-01-01') },
+      ]);
+      disk.delete(entryPath('missing'));
+
+      const report = await small.gc();
+
+      expect(report.removed).toEqual([
+        { key: 'expired', reason: 'expired', size: 100, sourcePath: null },
+        { key: 'missing', reason: 'missing', size: 100, sourcePath: null },
+        { key: 'lru', reason: 'size', size: 400, sourcePath: null },
+      ]);
+      expect(report).toMatchObject({ freedBytes: 600, entries: 1, totalSize: 400 });
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['kept']);
+    });
+
+    it('should remove nothing from a healthy cache', async () => {
+      seedCache([{ key: 'key1', size: 100 }]);
+
+      const report = await cache.gc();
+
+      expect(report).toEqual({ removed: [], freedBytes: 0, entries: 1, totalSize: 100 });
+    });
+
+    it('should evict least frequently used entries first with the lfu policy', async () => {
+      const lfu = new CacheManager({ cacheDir: testCacheDir, maxSize: '500B', evictionPolicy: 'lfu' });
+      seedCache([
+        { key: 'popular', size: 400, hits: 10, lastAccessed: new Date('2020-01-01') },
+        { key: 'rare', size: 400, hits: 1, lastAccessed: new Date('2024-01-01') },
+      ]);
+
+      const report = await lfu.gc();
+
+      expect(report.removed.map(removal => removal.key)).toEqual(['rare']);
+    });
+
+    it('should count batched hits for the lfu policy', async () => {
+      const lfu = new CacheManager({ cacheDir: testCacheDir, maxSize: '500B', evictionPolicy: 'lfu' });
+      seedCache([
+        { key: 'first', size: 400, hits: 1 },
+        { key: 'second', size: 400, hits: 2 },
+      ]);
+
+      await lfu.get('first');
+      await lfu.get('first');
+      const report = await lfu.gc();
+
+      expect(report.removed.map(removal => removal.key)).toEqual(['second']);
+    });
+
+    it('should keep only the newest entry per source file with the keep-latest policy', async () => {
+      const latest = new CacheManager({ cacheDir: testCacheDir, evictionPolicy: 'keep-latest' });
+      seedCache([
+        { key: 'math-v1', size: 100, sourcePath: 'math.feature', createdAt: new Date(Date.now() - 2 * DAY) },
+        { key: 'math-v2', size: 100, sourcePath: 'math.feature', createdAt: new Date(Date.now() - DAY) },
+        { key: 'cart-v1', size: 100, sourcePath: 'cart.feature', createdAt: new Date(Date.now() - 2 * DAY) },
+      ]);
+
+      const report = await latest.gc();
+
+      expect(report.removed).toEqual([
+        { key: 'math-v1', reason: 'superseded', size: 100, sourcePath: 'math.feature' },
+      ]);
+    });
+
+    it('should throw CacheError when the manifest cannot be locked', async () => {
+      lockfile.lock.mockRejectedValue(new Error('Lock file is already being held'));
+
+      await expect(cache.gc()).rejects.toMatchObject({ name: 'CacheError', operation: 'gc' });
+    });
+  });
+
+  describe('integrity', () => {
+    const testKey = 'test-key';
+    const quarantined = () => [...disk.keys()].filter(filePath => filePath.startsWith(path.join(testCacheDir, 'quarantine')));
+    let warn;
+
+    beforeEach(() => {
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    // Rewrites a stored entry file, keeping its manifest entry
+    const tamper = (key, change) => {
+      disk.set(entryPath(key), JSON.stringify({ ...JSON.parse(disk.get(entryPath(key))), ...change }));
+    };
+
+    it('should store a digest of the compiled code and tests with each entry', async () => {
+      const entry = { ...createEntry(testKey), generatedTests: 'test("adds", () => {});' };
+
+      await cache.set(testKey, entry);
+
+      const digest = computeEntryDigest(entry);
+      expect(digest).toMatch(/^[a-f0-9]{64}$/);
+      expect(JSON.parse(disk.get(entryPath(testKey))).digest).toBe(digest);
+      expect(readManifest().entries[0].digest).toBe(digest);
+    });
+
+    it('should serve verified entries without their digest', async () => {
+      await cache.set(testKey, createEntry(testKey));
+
+      expect(await cache.get(testKey)).toEqual(createEntry(testKey));
+    });
+
+    it('should quarantine entries whose code no longer matches the digest', async () => {
+      await cache.set(testKey, createEntry(testKey));
+      tamper(testKey, { compiledCode: 'console.log("edited");' });
+
+      expect(await cache.get(testKey)).toBeNull();
+      expect(cache.stats.misses).toBe(1);
+      expect(disk.has(entryPath(testKey))).toBe(false);
+      expect(quarantined()).toEqual([expect.stringMatching(new RegExp(`quarantine/${testKey}\\.\\d+\\.cache$`))]);
+      expect(readManifest().entries).toEqual([]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('digest-mismatch'));
+    });
+
+    it('should quarantine entries edited together with their stored digest', async () => {
+      await cache.set(testKey, createEntry(testKey));
+      const edited = { ...createEntry(testKey), generatedTests: 'test("edited", () => {});' };
+      tamper(testKey, { generatedTests: edited.generatedTests, digest: computeEntryDigest(edited) });
+
+      expect(await cache.get(testKey)).toBeNull();
+      expect(quarantined()).toHaveLength(1);
+    });
+
+    it('should quarantine unparseable entries', async () => {
+      seedCache([{ key: testKey, size: 100 }]);
+      disk.set(entryPath(testKey), '{"key": "truncat');
+
+      expect(await cache.get(testKey)).toBeNull();
+      expect(quarantined()).toHaveLength(1);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('corrupt'));
+    });
+
+    it('should quarantine entries stored under another key', async () => {
+      seedCache([{ key: testKey, size: 100 }], { [testKey]: createEntry('other-key') });
+
+      expect(await cache.get(testKey)).toBeNull();
+      expect(quarantined()).toHaveLength(1);
+    });
+
+    it('should serve an entry rewritten by another process after the manifest was read', async () => {
+      await cache.set(testKey, createEntry(testKey));
+      const rewritten = { ...createEntry(testKey), compiledCode: 'const add = (a, b) => b + a;' };
+      // Another build rewrites the entry and records its digest while this one reads the file
+      tamper(testKey, { compiledCode: rewritten.compiledCode, digest: computeEntryDigest(rewritten) });
+      lockfile.lock.mockImplementationOnce(async () => {
+        const manifest = readManifest();
+        manifest.entries[0].digest = computeEntryDigest(rewritten);
+        disk.set(testManifestPath, JSON.stringify(manifest));
+        return release;
+      });
+
+      expect(await cache.get(testKey)).toEqual(rewritten);
+      expect(quarantined()).toEqual([]);
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should serve entries written before digests were recorded', async () => {
+      seedCache([{ key: testKey, size: 100 }]);
+
+      expect(await cache.get(testKey)).toEqual(createEntry(testKey));
+    });
+
+    it('should report tampered entries as invalid and leave them in place', async () => {
+      await cache.set(testKey, createEntry(testKey));
+      tamper(testKey, { compiledCode: 'console.log("edited");' });
+
+      expect(await cache.isValid(testKey)).toBe(false);
+      expect(disk.has(entryPath(testKey))).toBe(true);
+    });
+  });
+
+  describe('verify', () => {
+    let warn;
+
+    beforeEach(() => {
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    it('should report a consistent cache as such', async () => {
+      await cache.set('key1', createEntry('key1'));
+
+      const report = await cache.verify();
+
+      expect(report).toEqual({
+        checked: 1,
+        missing: [],
+        quarantined: [],
+        adopted: [],
+        resized: [],
+        removedTempFiles: [],
+        totalSizeDrift: 0,
+        entries: 1,
+        totalSize: readManifest().totalSize,
+      });
+    });
+
+    it('should drop entries whose files are missing', async () => {
+      seedCache([{ key: 'key1', size: 100 }, { key: 'key2', size: 100 }]);
+      disk.delete(entryPath('key1'));
+
+      const report = await cache.verify();
+
+      expect(report.missing).toEqual(['key1']);
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['key2']);
+    });
+
+    it('should quarantine corrupted entries', async () => {
+      await cache.set('key1', createEntry('key1'));
+      disk.set(entryPath('key1'), JSON.stringify({ ...createEntry('key1'), compiledCode: 'edited' }));
+
+      const report = await cache.verify();
+
+      expect(report.quarantined).toEqual([{
+        key: 'key1',
+        reason: 'digest-mismatch',
+        file: expect.stringContaining(path.join(testCacheDir, 'quarantine', 'key1.')),
+      }]);
+      expect(disk.has(report.quarantined[0].file)).toBe(true);
+      expect(readManifest().entries).toEqual([]);
+    });
+
+    it('should correct recorded sizes and a drifted total', async () => {
+      seedCache([{ key: 'key1', size: 100 }]);
+      disk.set(testManifestPath, JSON.stringify({ ...readManifest(), totalSize: 5000 }));
+      const actualSize = Buffer.byteLength(disk.get(entryPath('key1')), 'utf8');
+
+      const report = await cache.verify();
+
+      expect(report.resized).toEqual(['key1']);
+      expect(report.totalSizeDrift).toBe(4900);
+      expect(readManifest().totalSize).toBe(actualSize);
+      expect(readManifest().entries[0].size).toBe(actualSize);
+    });
+
+    it('should adopt intact orphaned entry files and quarantine broken ones', async () => {
+      seedCache([]);
+      const orphan = createEntry('orphan');
+      orphan.metadata.timestamp = new Date().toISOString();
+      disk.set(entryPath('orphan'), JSON.stringify({ ...orphan, sourcePath: 'math.feature' }));
+      disk.set(entryPath('broken'), '{not json');
+
+      const report = await cache.verify();
+
+      expect(report.adopted).toEqual(['orphan']);
+      expect(report.quarantined).toEqual([expect.objectContaining({ key: 'broken', reason: 'corrupt' })]);
+      expect(readManifest().entries).toEqual([expect.objectContaining({
+        key: 'orphan',
+        sourcePath: 'math.feature',
+        digest: computeEntryDigest(createEntry('orphan')),
+        size: Buffer.byteLength(disk.get(entryPath('orphan')), 'utf8'),
+      })]);
+      expect(await cache.get('orphan')).toMatchObject({ key: 'orphan' });
+    });
+
+    it('should remove temporary files left by crashed writes', async () => {
+      seedCache([]);
+      const stale = path.join(testCacheDir, 'key1.cache.123.abcd.tmp');
+      const fresh = path.join(testCacheDir, 'key2.cache.456.ef01.tmp');
+      disk.set(stale, '{');
+      disk.set(fresh, '{');
+      mtimes.set(stale, Date.now() - 5 * 60 * 1000);
+
+      const report = await cache.verify();
+
+      expect(report.removedTempFiles).toEqual(['key1.cache.123.abcd.tmp']);
+      expect(disk.has(stale)).toBe(false);
+      expect(disk.has(fresh)).toBe(true);
+    });
+
+    it('should throw CacheError when the manifest cannot be locked', async () => {
+      lockfile.lock.mockRejectedValue(new Error('Lock file is already being held'));
+
+      await expect(cache.verify()).rejects.toMatchObject({ name: 'CacheError', operation: 'verify' });
+    });
+  });
+
+  describe('remote backend', () => {
+    let remote;
+    let layered;
+    let warn;
+
+    beforeEach(() => {
+      remote = { name: 'fake', get: jest.fn().mockResolvedValue(null), set: jest.fn().mockResolvedValue() };
+      layered = new CacheManager({ cacheDir: testCacheDir, remote });
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    it('should serve local hits without asking the remote', async () => {
+      seedCache([{ key: 'local', size: 100 }]);
+
+      expect(await layered.get('local')).toEqual(createEntry('local'));
+      expect(remote.get).not.toHaveBeenCalled();
+    });
+
+    it('should read through to the remote on a local miss and keep the entry locally', async () => {
+      remote.get.mockResolvedValue(createEntry('shared'));
+
+      expect(await layered.get('shared')).toEqual(createEntry('shared'));
+      expect(remote.get).toHaveBeenCalledWith('shared');
+      expect(JSON.parse(disk.get(entryPath('shared')))).toEqual({ ...createEntry('shared'), digest: expect.any(String) });
+      expect(readManifest().entries.map(entry => entry.key)).toEqual(['shared']);
+      expect(layered.stats).toEqual({ hits: 1, misses: 0, remoteHits: 1 });
+    });
+
+    it('should report a miss when neither store has the entry', async () => {
+      expect(await layered.get('unknown')).toBeNull();
+      expect(layered.stats).toEqual({ hits: 0, misses: 1, remoteHits: 0 });
+    });
+
+    it('should write through to the remote', async () => {
+      await layered.set('new', createEntry('new'));
+
+      expect(disk.has(entryPath('new'))).toBe(true);
+      expect(remote.set).toHaveBeenCalledWith('new', createEntry('new'));
+    });
+
+    it('should ignore malformed remote entries', async () => {
+      remote.get.mockResolvedValue({ ...createEntry('other'), key: 'other' });
+
+      expect(await layered.get('shared')).toBeNull();
+      expect(disk.has(entryPath('shared'))).toBe(false);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('malformed'));
+    });
+
+    it('should fall back to the local store once the remote fails', async () => {
+      remote.get.mockRejectedValue(new CacheError('Remote cache GET failed: ECONNREFUSED'));
+
+      expect(await layered.get('key1')).toBeNull();
+      await layered.set('key1', createEntry('key1'));
+      expect(await layered.get('key2')).toBeNull();
+
+      expect(remote.get).toHaveBeenCalledTimes(1);
+      expect(remote.set).not.toHaveBeenCalled();
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('ECONNREFUSED'));
+    });
+
+    it('should not fail writes when the upload fails', async () => {
+      remote.set.mockRejectedValue(new CacheError('Remote cache PUT failed: HTTP 503'));
+
+      await expect(layered.set('new', createEntry('new'))).resolves.toBeUndefined();
+      expect(disk.has(entryPath('new'))).toBe(true);
+    });
+
+    it('should leave the remote alone when clearing', async () => {
+      remote.clear = jest.fn();
+      seedCache([{ key: 'key1', size: 100 }]);
+
+      await layered.clear();
+
+      expect(remote.clear).not.toHaveBeenCalled();
+    });
+
+    it('should use a custom local backend', async () => {
+      const backend = { get: jest.fn().mockResolvedValue(createEntry('key1')), set: jest.fn() };
+      const custom = new CacheManager({ backend, remote });
+
+      expect(await custom.get('key1')).toEqual(createEntry('key1'));
+      await custom.set('key2', createEntry('key2'));
+
+      expect(backend.set).toHaveBeenCalledWith('key2', createEntry('key2'));
+      expect(remote.set).toHaveBeenCalledWith('key2', createEntry('key2'));
+    });
+  });
+
   describe('error handling', () => {
     it('should handle directory creation errors gracefully', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
       mkdir.mockRejectedValue(new Error('Permission denied'));
 
       // Should not throw
-      await expect(cache._initializeCacheDir()).resolves.not.toThrow();
+      await expect(cache.backend._initializeCacheDir()).resolves.not.toThrow();
+      warn.mockRestore();
     });
 
-    it('should handle manifest load errors gracefully', async () => {
-      exists.mockResolvedValue(true);
-      readFile.mockRejectedValue(new Error('Read failed'));
+    it('should treat an unreadable manifest as empty', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      disk.set(testManifestPath, '{not json');
 
-      const result = await cache._loadManifest();
+      const manifest = await cache.backend._loadManifest();
 
-      expect(result).toBe(false);
-      expect(cache.manifest.entries).toEqual([]);
+      expect(manifest.entries).toEqual([]);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
     });
 
-    it('should handle manifest save errors gracefully', async () => {
-      cache.manifest.entries = [{ key: 'test', file: 'test', size: 100, lastAccessed: new Date() }];
-      writeFile.mockRejectedValue(new Error('Write failed'));
+    it('should reject when the manifest cannot be saved', async () => {
+      writeFileAtomic.mockRejectedValue(new Error('Write failed'));
 
-      // Should not throw
-      await expect(cache._saveManifest()).resolves.not.toThrow();
+      await expect(cache.backend._saveManifest()).rejects.toThrow('Write failed');
     });
   });
 });
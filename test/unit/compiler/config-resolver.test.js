@@ -0,0 +1,239 @@
+/**
+ * Unit tests for configuration resolution.
+ *
+ * @module test/unit/compiler/config-resolver
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { ContextBuildError } = require('../../../src/compiler/errors');
+const {
+  resolveConfig,
+  findConfigFile,
+  toOverrides,
+  toEnvName,
+  DEFAULT_CONFIG,
+} = require('../../../src/compiler/config-resolver');
+
+describe('config-resolver', () => {
+  let tempDir;
+
+  const write = async (relativePath, content) => {
+    const filePath = path.join(tempDir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+  const resolve = (options = {}) => resolveConfig({ cwd: tempDir, env: {}, ...options });
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'config-resolver-test-')));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('resolveConfig', () => {
+    it('should return the defaults when there is no configuration file', async () => {
+      const { config, sources, files } = await resolve();
+
+      expect(config).toEqual(DEFAULT_CONFIG);
+      expect(files).toEqual([]);
+      expect(sources['cache.maxSize']).toEqual({ layer: 'default' });
+      expect(sources['cache.remote']).toEqual({ layer: 'default' });
+    });
+
+    it('should find the closest configuration file above the project directory', async () => {
+      const configFile = await write('.gherkinrc.yaml', 'target: elixir\ncache:\n  maxSize: 1GB\n');
+      await fs.mkdir(path.join(tempDir, 'packages', 'app'), { recursive: true });
+
+      const { config, sources, files } = await resolve({ cwd: path.join(tempDir, 'packages', 'app') });
+
+      expect(config.target).toBe('elixir');
+      expect(config.cache).toMatchObject({ maxSize: '1GB', dir: '.gherkin-cache' });
+      expect(files).toEqual([configFile]);
+      expect(sources.target).toEqual({ layer: 'file', file: configFile });
+      expect(sources['cache.dir']).toEqual({ layer: 'default' });
+    });
+
+    it('should prefer .gherkinrc.json and accept gherkin.config.js exporting a function', async () => {
+      await write('a/.gherkinrc.json', { target: 'elixir' });
+      await write('a/gherkin.config.js', "module.exports = { target: 'javascript' };");
+      await write('b/gherkin.config.js', "module.exports = async () => ({ moduleFormat: 'esm' });");
+
+      expect(await findConfigFile(path.join(tempDir, 'a'))).toBe(path.join(tempDir, 'a', '.gherkinrc.json'));
+      expect((await resolve({ cwd: path.join(tempDir, 'b') })).config.moduleFormat).toBe('esm');
+    });
+
+    it('should use an explicit configuration file, falling back to defaults if it does not exist', async () => {
+      await write('.gherkinrc.json', { target: 'elixir' });
+      await write('custom.yml', 'moduleFormat: esm\n');
+
+      expect((await resolve({ configPath: 'custom.yml' })).config).toMatchObject({ target: 'javascript', moduleFormat: 'esm' });
+      expect((await resolve({ configPath: 'missing.json' })).config).toEqual(DEFAULT_CONFIG);
+    });
+
+    it('should merge the files a configuration extends, in order, before the file itself', async () => {
+      const shared = await write('shared/base.yaml', [
+        'cache:',
+        '  remote:',
+        '    url: http://cache.internal:7373',
+        'watch:',
+        '  ignore: [node_modules, .git]',
+      ].join('\n'));
+      const strict = await write('shared/strict.json', { validation: { lint: true }, concurrency: 2 });
+      const configFile = await write('.gherkinrc.json', {
+        extends: ['./shared/base.yaml', './shared/strict.json'],
+        concurrency: 8,
+        watch: { ignore: ['dist'] },
+      });
+
+      const { config, sources, files } = await resolve();
+
+      expect(files).toEqual([shared, strict, configFile]);
+      expect(config.cache.remote).toEqual({ url: 'http://cache.internal:7373', timeout: 5000 });
+      expect(config.validation.lint).toBe(true);
+      expect(config.concurrency).toBe(8);
+      expect(config.watch).toEqual({ ignore: ['dist'], debounce: 300 });
+      expect(config).not.toHaveProperty('extends');
+      expect(sources).toMatchObject({
+        'cache.remote.url': { layer: 'file', file: shared },
+        'cache.remote.timeout': { layer: 'default' },
+        'validation.lint': { layer: 'file', file: strict },
+        concurrency: { layer: 'file', file: configFile },
+      });
+      expect(sources).not.toHaveProperty('cache.remote');
+    });
+
+    it('should extend configuration files from installed packages', async () => {
+      await write('node_modules/@acme/gherkin-config/package.json', { name: '@acme/gherkin-config', main: 'config.json' });
+      await write('node_modules/@acme/gherkin-config/config.json', { ai: { mode: 'rules' } });
+      await write('.gherkinrc.json', { extends: '@acme/gherkin-config' });
+
+      expect((await resolve()).config.ai.mode).toBe('rules');
+    });
+
+    it('should reject missing and circular extends', async () => {
+      await write('.gherkinrc.json', { extends: './missing.json' });
+      await expect(resolve()).rejects.toMatchObject({
+        name: 'ContextBuildError',
+        path: '$.extends',
+        message: expect.stringContaining('Cannot find configuration "./missing.json"'),
+      });
+
+      await write('.gherkinrc.json', { extends: './base.json' });
+      await write('base.json', { extends: './.gherkinrc.json' });
+      await expect(resolve()).rejects.toThrow(/^Circular extends: .*\.gherkinrc\.json -> .*base\.json -> .*\.gherkinrc\.json$/);
+    });
+
+    it('should report invalid files with the file name and JSON path', async () => {
+      await write('.gherkinrc.yaml', 'cache: [broken');
+      await expect(resolve()).rejects.toThrow(ContextBuildError);
+
+      const base = await write('base.json', { output: { dri: 'lib' } });
+      await write('.gherkinrc.yaml', 'extends: ./base.json\n');
+      await expect(resolve()).rejects.toMatchObject({
+        path: '$.output.dri',
+        message: `Invalid configuration file: ${base}\n  $.output.dri: unknown key (did you mean "dir"?)`,
+      });
+    });
+
+    it('should apply GHERKIN_* environment variables over the configuration file', async () => {
+      await write('.gherkinrc.json', { cache: { maxSize: '1GB', enabled: true } });
+
+      const { config, sources } = await resolve({
+        env: {
+          GHERKIN_CACHE_MAX_SIZE: '2GB',
+          GHERKIN_CACHE_ENABLED: 'false',
+          GHERKIN_CONCURRENCY: '6',
+          GHERKIN_WATCH_IGNORE: 'node_modules, dist',
+          GHERKIN_AI_CASSETTE_MODE: 'record',
+          GHERKIN_CACHE_TOKEN: 'secret',
+          GHERKIN_TARGET: '',
+          GHERKIN_AI_BUDGET_COST: '1.25',
+        },
+      });
+
+      expect(config.cache).toMatchObject({ maxSize: '2GB', enabled: false });
+      expect(config.concurrency).toBe(6);
+      expect(config.watch).toEqual({ ignore: ['node_modules', 'dist'], debounce: 300 });
+      expect(config.ai.cassette.mode).toBe('record');
+      expect(config.ai.budget).toEqual({ tokens: null, cost: 1.25 });
+      expect(config.target).toBe('javascript');
+      expect(sources['cache.maxSize']).toEqual({ layer: 'env', variable: 'GHERKIN_CACHE_MAX_SIZE' });
+    });
+
+    it('should reject environment values that do not match the schema', async () => {
+      await expect(resolve({ env: { GHERKIN_CONCURRENCY: 'many' } })).rejects.toMatchObject({
+        path: '$.concurrency',
+        message: 'Invalid configuration in GHERKIN_CONCURRENCY\n  $.concurrency: expected integer, got string',
+      });
+    });
+
+    it('should apply overrides last', async () => {
+      await write('.gherkinrc.json', { cache: { remote: { url: 'http://cache.internal:7373', timeout: 100 } } });
+
+      const { config, sources } = await resolve({
+        env: { GHERKIN_TARGET: 'elixir' },
+        overrides: { target: 'javascript', cache: { remote: null } },
+      });
+
+      expect(config.target).toBe('javascript');
+      expect(config.cache.remote).toBeNull();
+      expect(sources.target).toEqual({ layer: 'override' });
+      expect(sources['cache.remote']).toEqual({ layer: 'override' });
+      expect(sources).not.toHaveProperty(['cache.remote.url']);
+
+      await expect(resolve({ overrides: { moduleFormat: 'umd' } })).rejects.toThrow('Invalid configuration override');
+    });
+
+    it('should validate the merged configuration', async () => {
+      await write('.gherkinrc.json', { cache: { remote: { timeout: 100 } } });
+
+      await expect(resolve()).rejects.toMatchObject({
+        path: '$.cache.remote',
+        message: 'Invalid configuration\n  $.cache.remote: missing required key "url"',
+      });
+    });
+  });
+
+  describe('toOverrides', () => {
+    it('should nest dotted keys and convert values to their declared types', () => {
+      expect(toOverrides([
+        ['cache.maxSize', '1GB'],
+        ['cache.enabled', 'false'],
+        ['concurrency', '2'],
+        ['watch.ignore', 'a,b'],
+        ['cache.ttl', '3600000'],
+        ['unknown.key', '1'],
+      ])).toEqual({
+        cache: { maxSize: '1GB', enabled: false, ttl: '3600000' },
+        concurrency: 2,
+        watch: { ignore: ['a', 'b'] },
+        unknown: { key: '1' },
+      });
+    });
+
+    it('should convert prices and budgets to numbers, including per-model prices', () => {
+      expect(toOverrides([
+        ['ai.budget.cost', '2.5'],
+        ['ai.budget.tokens', '100000'],
+        ['ai.pricing.my-model.input', '0.25'],
+      ])).toEqual({
+        ai: {
+          budget: { cost: 2.5, tokens: 100000 },
+          pricing: { 'my-model': { input: 0.25 } },
+        },
+      });
+    });
+  });
+
+  describe('toEnvName', () => {
+    it('should join upper snake case keys under the GHERKIN_ prefix', () => {
+      expect(toEnvName(['cache', 'remote', 'url'])).toBe('GHERKIN_CACHE_REMOTE_URL');
+      expect(toEnvName(['ai', 'maxRetries'])).toBe('GHERKIN_AI_MAX_RETRIES');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the configuration schema.
+ *
+ * @module test/unit/compiler/config-schema
+ */
+
+const { validateConfig } = require('../../../src/compiler/config-schema');
+
+describe('config-schema', () => {
+  describe('validateConfig', () => {
+    it('should accept an empty or complete configuration', () => {
+      expect(validateConfig({})).toEqual([]);
+      expect(validateConfig({
+        target: 'elixir',
+        moduleFormat: 'esm',
+        concurrency: 2,
+        rules: ['rules/currency.md'],
+        output: { dir: 'lib', testDir: 'test/generated', docsDir: 'docs' },
+        cache: {
+          enabled: true,
+          dir: '.gherkin-cache',
+          maxSize: '1.5GB',
+          ttl: '12h',
+          evictionPolicy: 'lfu',
+          remote: { url: 'http://cache.internal:7373', timeout: 2000 },
+        },
+        validation: { syntax: true, purity: false, lint: true, lintConfig: '.eslintrc.json' },
+        ai: {
+          mode: 'hybrid',
+          provider: 'cassette',
+          cassette: { dir: 'cassettes', mode: 'auto' },
+          model: 'claude-3-opus-20240229',
+          maxRetries: 0,
+          maxAttempts: 3,
+          timeout: 60000,
+          promptCaching: false,
+          pricing: {
+            'claude-3-opus': { input: 15, output: 75 },
+            'my-model': { input: 0.5, output: 1.25, cacheRead: 0.05, cacheWrite: 0.6 },
+          },
+          budget: { tokens: 100000, cost: 2.5 },
+        },
+        generation: { jsdoc: true, tests: false, docs: true, prettier: false },
+        watch: { debounce: 0, ignore: ['node_modules'] },
+      })).toEqual([]);
+    });
+
+    it('should reject values of the wrong type', () => {
+      expect(validateConfig({ target: 42, cache: { enabled: 'yes' }, concurrency: 1.5 })).toEqual([
+        { path: '$.target', message: '$.target: expected string, got integer' },
+        { path: '$.cache.enabled', message: '$.cache.enabled: expected boolean, got string' },
+        { path: '$.concurrency', message: '$.concurrency: expected integer, got number' },
+      ]);
+      expect(validateConfig([])).toEqual([{ path: '$', message: '$: expected object, got array' }]);
+    });
+
+    it('should reject values outside an enum and suggest close ones', () => {
+      expect(validateConfig({ moduleFormat: 'umd', ai: { mode: 'hybird' } }).map(issue => issue.message)).toEqual([
+        '$.moduleFormat: must be one of "commonjs", "esm", got "umd"',
+        '$.ai.mode: must be one of "ai", "rules", "hybrid", got "hybird" (did you mean "hybrid"?)',
+      ]);
+    });
+
+    it('should reject unknown keys and suggest the closest known key', () => {
+      expect(validateConfig({ valdiation: {}, cache: { maxsize: '1MB' }, plugins: [] })).toEqual([
+        { path: '$.valdiation', message: '$.valdiation: unknown key (did you mean "validation"?)' },
+        { path: '$.cache.maxsize', message: '$.cache.maxsize: unknown key (did you mean "maxSize"?)' },
+        { path: '$.plugins', message: '$.plugins: unknown key' },
+      ]);
+    });
+
+    it('should check sizes, durations and lower bounds', () => {
+      expect(validateConfig({
+        concurrency: 0,
+        cache: { maxSize: 'lots', ttl: 3600000 },
+        ai: { maxRetries: -1 },
+      }).map(issue => issue.message)).toEqual([
+        '$.concurrency: must be at least 1, got 0',
+        '$.cache.maxSize: must be a size such as "100MB", got "lots"',
+        '$.ai.maxRetries: must be at least 0, got -1',
+      ]);
+      expect(validateConfig({ cache: { ttl: '7 days' } })[0].path).toBe('$.cache.ttl');
+    });
+
+    it('should check every model price and the budgets', () => {
+      expect(validateConfig({
+        ai: {
+          pricing: { 'my-model': { input: '3' }, other: { input: 1, output: 2, cached: 0 } },
+          budget: { tokens: 0, cost: -1 },
+        },
+      }).map(issue => issue.message)).toEqual([
+        '$.ai.pricing.my-model.input: expected number or integer, got string',
+        '$.ai.pricing.my-model: missing required key "output"',
+        '$.ai.pricing.other.cached: unknown key',
+        '$.ai.budget.tokens: must be at least 1, got 0',
+        '$.ai.budget.cost: must be at least 0, got -1',
+      ]);
+      expect(validateConfig({ ai: { budget: { tokens: null, cost: null } } })).toEqual([]);
+    });
+
+    it('should index array items and require the remote cache url', () => {
+      expect(validateConfig({
+        cache: { remote: { timeout: 100 } },
+        watch: { ignore: ['node_modules', 7] },
+      }).map(issue => issue.message)).toEqual([
+        '$.cache.remote: missing required key "url"',
+        '$.watch.ignore[1]: expected string, got integer',
+      ]);
+      expect(validateConfig({ cache: { remote: null } })).toEqual([]);
+    });
+
+    it('should require the project rules to be a list of files', () => {
+      expect(validateConfig({ rules: 'rules.md' }).map(issue => issue.message))
+        .toEqual(['$.rules: expected array, got string']);
+      expect(validateConfig({ rules: ['rules.md', null] }).map(issue => issue.message))
+        .toEqual(['$.rules[1]: expected string, got null']);
+    });
+  });
+});
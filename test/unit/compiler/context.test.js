@@ -248,7 +248,7 @@ describe('ProjectContext', () => {
       await expect(context.build(rootDir)).rejects.toThrow('Duplicate feature name');
     });
 
-    it('should skip feature files with parsing errors', async () => {
+    it('should reject feature files with parsing errors', async () => {
       const featureFiles = [
         path.join(rootDir, 'features', 'valid.feature'),
         path.join(rootDir, 'features', 'invalid.feature'),
@@ -286,11 +286,11 @@ describe('ProjectContext', () => {
       mockParser.parseMany.mockResolvedValue(parsedFeatures);
       readFile.mockResolvedValue('{}');
 
-      await context.build(rootDir);
+      const error = await context.build(rootDir).catch(e => e);
 
-      expect(context._modules.size).toBe(1);
-      expect(context._modules.has('Valid')).toBe(true);
-      expect(context._modules.has('Invalid')).toBe(false);
+      expect(error).toBeInstanceOf(ContextBuildError);
+      expect(error.message).toBe('Invalid feature files:\n  - features/invalid.feature:1: Missing scenarios');
+      expect(error.files).toEqual([featureFiles[1]]);
     });
 
     it('should throw ContextBuildError when module depends on unknown module', async () => {
@@ -323,7 +323,7 @@ describe('ProjectContext', () => {
 
       const buildPromise = testContext.build(rootDir);
       await expect(buildPromise).rejects.toThrow(ContextBuildError);
-      await expect(buildPromise).rejects.toThrow('depends on an unknow module');
+      await expect(buildPromise).rejects.toThrow('depends on an unknown module');
     });
 
     it('should build dependency graph correctly with dependencies', async () => {
@@ -740,6 +740,118 @@ describe('ProjectContext', () => {
     });
   });
 
+  describe('getModuleInterface', () => {
+    const scenario = (name, ...steps) => ({
+      type: 'Scenario',
+      name,
+      steps: steps.map(text => ({ type: 'Step', keyword: 'Given', text })),
+    });
+
+    it('should return function names with parameters and declared types', () => {
+      context._modules.set('Mathematics', {
+        file: '/path/to/mathematics.feature',
+        exports: ['add', 'describe', 'pi defines a constant'],
+        dependencies: [],
+        ast: {
+          feature: {
+            children: [
+              { type: 'Background', steps: [{ text: 'import Strings' }] },
+              scenario('add defines a function', 'function add accepts a as number and b as number', 'add a and b'),
+              scenario('describe defines a function', 'function describe accepts value'),
+              scenario('pi defines a constant', 'return 3.14'),
+            ],
+          },
+        },
+      });
+
+      expect(context.getModuleInterface('Mathematics')).toEqual([
+        { name: 'add', params: [{ name: 'a', type: 'number' }, { name: 'b', type: 'number' }] },
+        { name: 'describe', params: [{ name: 'value', type: null }] },
+        { name: 'pi defines a constant', params: [] },
+      ]);
+    });
+
+    it('should leave out private functions', () => {
+      context._modules.set('Mathematics', {
+        file: '/path/to/mathematics.feature',
+        exports: ['add'],
+        dependencies: [],
+        ast: {
+          feature: {
+            children: [
+              scenario('add defines a function', 'function add accepts a and b'),
+              scenario('clamp defines a function', 'function clamp accepts value'),
+            ],
+          },
+        },
+      });
+
+      expect(context.getModuleInterface('Mathematics')).toEqual([
+        { name: 'add', params: [{ name: 'a', type: null }, { name: 'b', type: null }] },
+      ]);
+    });
+
+    it('should fall back to export names without an AST', () => {
+      context._modules.set('Legacy', { file: '/legacy.feature', exports: ['run'], dependencies: [] });
+
+      expect(context.getModuleInterface('Legacy')).toEqual([{ name: 'run', params: [] }]);
+      expect(context.getModuleInterface('Unknown')).toEqual([]);
+    });
+  });
+
+  describe('getDependents', () => {
+    it('should return modules importing the module', () => {
+      context._graph = { reverseEdges: new Map([['Mathematics', new Set(['Cart', 'Stats'])]]) };
+
+      expect(context.getDependents('Mathematics')).toEqual(['Cart', 'Stats']);
+      expect(context.getDependents('Unknown')).toEqual([]);
+    });
+
+    it('should return empty array before build', () => {
+      expect(context.getDependents('Mathematics')).toEqual([]);
+    });
+  });
+
+  describe('getAffectedModules', () => {
+    beforeEach(() => {
+      // Mathematics <- Cart <- Checkout, Mathematics <- Stats, Strings standalone
+      context._graph = {
+        reverseEdges: new Map([
+          ['Mathematics', new Set(['Cart', 'Stats'])],
+          ['Cart', new Set(['Checkout'])],
+          ['Stats', new Set()],
+          ['Checkout', new Set()],
+          ['Strings', new Set()],
+        ]),
+      };
+    });
+
+    it('should propagate changes transitively through dependents', () => {
+      const affected = context.getAffectedModules(new Map([['Mathematics', 'source changed']]));
+
+      expect(Object.fromEntries(affected)).toEqual({
+        Mathematics: 'source changed',
+        Cart: 'dependency Mathematics changed',
+        Stats: 'dependency Mathematics changed',
+        Checkout: 'dependency Cart changed',
+      });
+    });
+
+    it('should keep the reason of modules that changed themselves', () => {
+      const affected = context.getAffectedModules(new Map([
+        ['Mathematics', 'source changed'],
+        ['Checkout', 'source changed'],
+      ]));
+
+      expect(affected.get('Checkout')).toBe('source changed');
+      expect(affected.has('Strings')).toBe(false);
+    });
+
+    it('should return an empty map when nothing changed', () => {
+      expect(context.getAffectedModules(new Map()).size).toBe(0);
+    });
+  });
+
   describe('getConfig', () => {
     it('should return null before build', () => {
       expect(context.getConfig()).toBeNull();
@@ -809,6 +921,187 @@ describe('ProjectContext', () => {
     });
   });
 
+  describe('workspaces', () => {
+    const actualFs = jest.requireActual('../../../src/compiler/utils/fs');
+    const { GherkinParser: ActualParser } = jest.requireActual('../../../src/compiler/parser');
+    const os = require('os');
+    const fs = require('fs').promises;
+    let workspace;
+
+    const write = async (relativePath, content) => {
+      const filePath = path.join(workspace, relativePath);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    };
+    const feature = (name, imports = []) => [
+      `Feature: ${name}`,
+      ...(imports.length > 0 ? ['', '  Background:', ...imports.map(i => `    Given import ${i}`)] : []),
+      '',
+      '  Scenario: run defines a function',
+      '    Given function run accepts a',
+      '    Then return a',
+    ].join('\n');
+
+    beforeEach(async () => {
+      workspace = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'context-workspace-test-')));
+      findFiles.mockImplementation(actualFs.findFiles);
+      readFile.mockImplementation(actualFs.readFile);
+      exists.mockImplementation(actualFs.exists);
+      GherkinParser.mockImplementation(() => new ActualParser());
+
+      await write('.gherkinrc.json', JSON.stringify({ workspaces: ['packages/*', 'tools/cli'] }));
+      await write('packages/core/money.feature', feature('Money'));
+      await write('packages/billing/.gherkinrc.json', JSON.stringify({ output: { dir: 'lib' } }));
+      await write('packages/billing/money.feature', feature('Money', ['core/Money']));
+      await write('packages/billing/invoice.feature', feature('Invoice', ['Money', 'core/Money']));
+      await write('tools/cli/main.feature', feature('Main', ['billing/Invoice']));
+      await write('unlisted/ignored.feature', feature('Ignored'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    it('should load each package with its own configuration', async () => {
+      await context.build(workspace, undefined, { env: {} });
+
+      expect(context.getPackages().map(pkg => [pkg.name, pkg.dir, pkg.config.output.dir])).toEqual([
+        ['billing', path.join(workspace, 'packages', 'billing'), 'lib'],
+        ['cli', path.join(workspace, 'tools', 'cli'), 'dist'],
+        ['core', path.join(workspace, 'packages', 'core'), 'dist'],
+      ]);
+      expect(context.getPackage('core').dir).toBe(path.join(workspace, 'packages', 'core'));
+      expect(context.getPackage('unlisted')).toBeNull();
+    });
+
+    it('should qualify module names by package and resolve imports within the package first', async () => {
+      await context.build(workspace, undefined, { env: {} });
+
+      expect([...context._modules.keys()].sort()).toEqual([
+        'billing/Invoice', 'billing/Money', 'cli/Main', 'core/Money',
+      ]);
+      expect(context.getModule('billing/Invoice')).toMatchObject({
+        package: 'billing',
+        imports: ['Money', 'core/Money'],
+        dependencies: ['billing/Money', 'core/Money'],
+      });
+      expect(context._fileToModule.get(path.join(workspace, 'packages', 'core', 'money.feature'))).toBe('core/Money');
+    });
+
+    it('should order the build across packages', async () => {
+      await context.build(workspace, undefined, { env: {} });
+
+      const order = [...context.getCompilerOrder()].reverse();
+      expect(order.indexOf('core/Money')).toBeLessThan(order.indexOf('billing/Money'));
+      expect(order.indexOf('billing/Money')).toBeLessThan(order.indexOf('billing/Invoice'));
+      expect(order.indexOf('billing/Invoice')).toBeLessThan(order.indexOf('cli/Main'));
+    });
+
+    it('should point unqualified imports of other packages at the qualified name', async () => {
+      await write('tools/cli/main.feature', feature('Main', ['Invoice']));
+
+      await expect(context.build(workspace, undefined, { env: {} })).rejects.toThrow(
+        'Module "cli/Main" depends on an unknown module "Invoice" (did you mean "billing/Invoice"?)'
+      );
+    });
+
+    it('should reject duplicate package names', async () => {
+      await write('.gherkinrc.json', JSON.stringify({ workspaces: ['packages/*', 'vendor/*'] }));
+      await write('vendor/core/other.feature', feature('Other'));
+
+      await expect(context.build(workspace, undefined, { env: {} })).rejects.toThrow('Duplicate package name "core"');
+    });
+
+    it('should reject build-wide settings in a package configuration', async () => {
+      await write('packages/billing/.gherkinrc.json', JSON.stringify({
+        output: { dir: 'lib' },
+        target: 'elixir',
+        ai: { maxAttempts: 5 },
+      }));
+
+      await expect(context.build(workspace, undefined, { env: {} })).rejects.toThrow(
+        `Package "billing" (${path.join(workspace, 'packages', 'billing')}) sets target, ai.maxAttempts: `
+          + 'a package configuration may only set output.dir and output.testDir'
+      );
+    });
+
+    it('should accept packages that inherit the root configuration', async () => {
+      await write('.gherkinrc.json', JSON.stringify({ workspaces: ['packages/*', 'tools/cli'], target: 'elixir' }));
+      await write('packages/billing/.gherkinrc.json', JSON.stringify({
+        extends: '../../.gherkinrc.json',
+        output: { dir: 'lib', testDir: 'spec' },
+      }));
+
+      await context.build(workspace, undefined, { env: {} });
+
+      expect(context.getPackage('billing').config).toMatchObject({
+        target: 'elixir',
+        output: { dir: 'lib', testDir: 'spec' },
+      });
+    });
+  });
+
+  describe('visibility', () => {
+    const { GherkinParser: ActualParser } = jest.requireActual('../../../src/compiler/parser');
+    const rootDir = '/project';
+    const sources = {
+      '/project/mathematics.feature': [
+        'Feature: Mathematics',
+        '',
+        '  Scenario: add defines a function',
+        '    Given function add accepts a and b',
+        '    Then return a + b',
+        '',
+        '  @private',
+        '  Scenario: clamp defines a function',
+        '    Given function clamp accepts value',
+        '    Then return value',
+      ].join('\n'),
+    };
+    const app = step => [
+      'Feature: App',
+      '',
+      '  Background:',
+      '    Given import Mathematics',
+      '',
+      '  Scenario: run defines a function',
+      '    Given function run accepts a',
+      `    When apply ${step} to a and a`,
+      '    Then return result',
+    ].join('\n');
+
+    beforeEach(() => {
+      GherkinParser.mockImplementation(() => new ActualParser());
+      findFiles.mockResolvedValue(['/project/app.feature', '/project/mathematics.feature']);
+      exists.mockResolvedValue(true);
+    });
+
+    const build = (step) => {
+      readFile.mockImplementation(async (filePath) =>
+        filePath === '/project/app.feature' ? app(step) : sources[filePath] || '{}');
+      return context.build(rootDir);
+    };
+
+    it('should record only exported functions', async () => {
+      await build('Mathematics.add');
+
+      expect(context.getModule('Mathematics').exports).toEqual(['add']);
+    });
+
+    it('should reject references to private functions of imported modules', async () => {
+      const buildPromise = build('Mathematics.clamp');
+
+      await expect(buildPromise).rejects.toThrow(ContextBuildError);
+      await expect(buildPromise).rejects.toThrow(
+        'Module "App" references "Mathematics.clamp" (line 8), which "Mathematics" does not export'
+      );
+    });
+
+    it('should reject references to functions an imported module does not define', async () => {
+      await expect(build('Mathematics.round')).rejects.toThrow('references "Mathematics.round"');
+    });
+  });
+
   describe('config loading defaults', () => {
     it('should apply all default values when config file does not exist', async () => {
       const rootDir = '/project/root';
@@ -840,11 +1133,14 @@ describe('ProjectContext', () => {
 
       expect(config.target).toBe('javascript');
       expect(config.moduleFormat).toBe('commonjs');
+      expect(config.concurrency).toBe(4);
       expect(config.output.dir).toBe('dist');
       expect(config.output.testDir).toBe('test/generated');
       expect(config.output.docsDir).toBe('docs');
       expect(config.cache.enabled).toBe(true);
       expect(config.cache.dir).toBe('.gherkin-cache');
+      expect(config.cache.evictionPolicy).toBe('lru');
+      expect(config.cache.remote).toBeNull();
       expect(config.cache.maxSize).toBe('100MB');
       expect(config.cache.ttl).toBe('7d');
       expect(config.validation.syntax).toBe(true);
@@ -861,6 +1157,46 @@ describe('ProjectContext', () => {
       expect(config.watch).toBeUndefined();
     });
 
+    it('should reject configuration that does not match the schema', async () => {
+      exists.mockResolvedValue(true);
+      readFile.mockResolvedValue(JSON.stringify({ target: 42, valdiation: { lint: true } }));
+
+      const error = await context.loadConfig('/project/root/.gherkinrc.json').catch(e => e);
+
+      expect(error).toBeInstanceOf(ContextBuildError);
+      expect(error.path).toBe('$.target');
+      expect(error.issues).toHaveLength(2);
+      expect(error.message).toBe([
+        'Invalid configuration file: /project/root/.gherkinrc.json',
+        '  $.target: expected string, got integer',
+        '  $.valdiation: unknown key (did you mean "validation"?)',
+      ].join('\n'));
+      expect(context.getConfig()).toBeNull();
+    });
+
+    it('should report where each configuration value came from', async () => {
+      exists.mockImplementation(async filePath => filePath === '/project/root/.gherkinrc.json');
+      readFile.mockResolvedValue(JSON.stringify({ target: 'elixir' }));
+
+      await context.loadConfig(undefined, { cwd: '/project/root', env: {}, overrides: { concurrency: 2 } });
+
+      expect(context.getConfigSources()).toMatchObject({
+        target: { layer: 'file', file: '/project/root/.gherkinrc.json' },
+        concurrency: { layer: 'override' },
+        moduleFormat: { layer: 'default' },
+      });
+    });
+
+    it('should read the remote cache with a default timeout', async () => {
+      exists.mockResolvedValue(true);
+      readFile.mockResolvedValue(JSON.stringify({ cache: { remote: { url: 'http://cache.internal:7373' } } }));
+
+      const config = await context.loadConfig('/project/root/.gherkinrc.json');
+
+      expect(config.cache.remote).toEqual({ url: 'http://cache.internal:7373', timeout: 5000 });
+      expect(config.cache.dir).toBe('.gherkin-cache');
+    });
+
     it('should include watch config when provided', async () => {
       const rootDir = '/project/root';
       const featureFiles = [path.join(rootDir, 'features', 'math.feature')];
@@ -0,0 +1,998 @@
+/**
+ * Unit tests for the Compiler orchestrator.
+ *
+ * @module test/unit/compiler/index
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { Compiler } = require('../../../src/compiler');
+const { ContextBuildError } = require('../../../src/compiler/errors');
+const { RateLimiter } = require('../../../src/ai/rate-limiter');
+const { exists } = require('../../../src/compiler/utils/fs');
+
+const MATH_FEATURE = [
+  'Feature: Mathematics',
+  '',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+].join('\n');
+
+const CART_FEATURE = [
+  'Feature: ShoppingCart',
+  '',
+  '  Background:',
+  '    Given import Mathematics',
+  '',
+  '  Scenario: total defines a function',
+  '    Given function total accepts a and b',
+  '    When apply Mathematics.add to a and b',
+  '    Then return result',
+].join('\n');
+
+const COMPILED = {
+  Mathematics: 'const add = (a, b) => a + b;',
+  ShoppingCart: 'const total = (a, b) => Mathematics.add(a, b);',
+  Statistics: 'const add = (a, b) => a + b;',
+};
+
+const ADD_SIGNATURE = {
+  name: 'add',
+  params: [
+    { name: 'a', type: null, description: null },
+    { name: 'b', type: null, description: null },
+  ],
+  returns: null,
+  summary: 'Given function add accepts a and b, When add a and b, Then return result',
+};
+
+const writeProject = async (dir, files) => {
+  for (const [name, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), content, 'utf8');
+  }
+};
+
+describe('Compiler', () => {
+  let tempDir;
+  let transformer;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'compiler-test-'));
+    await writeProject(tempDir, {
+      'mathematics.feature': MATH_FEATURE,
+      'shopping_cart.feature': CART_FEATURE,
+    });
+
+    transformer = {
+      transform: jest.fn(async (source, context) => ({
+        success: true,
+        code: COMPILED[context.moduleName],
+        toolCalls: [],
+        metadata: { model: 'test-model', tokens: { input: 1, output: 1, total: 2 }, duration: 1 },
+      })),
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('compileProject', () => {
+    it('should compile modules in dependency order and write outputs', async () => {
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir);
+
+      expect(report.success).toBe(true);
+      expect(report.compileOrder).toEqual(['Mathematics', 'ShoppingCart']);
+      expect(report.modules.map(m => m.status)).toEqual(['compiled', 'compiled']);
+      expect(report.stats).toMatchObject({
+        totalModules: 2,
+        compiledModules: 2,
+        cachedModules: 0,
+        failedModules: 0,
+        skippedModules: 0,
+      });
+
+      const cart = report.modules[1];
+      expect(cart.outputPath).toBe(path.join(tempDir, 'dist', 'shopping_cart.js'));
+      expect(cart.testPath).toBe(path.join(tempDir, 'test/generated', 'shopping_cart.test.js'));
+      expect(cart.metadata.model).toBe('test-model');
+
+      const output = await fs.readFile(cart.outputPath, 'utf8');
+      expect(output).toContain("const Mathematics = require('./mathematics');");
+      expect(output).toContain('module.exports = { total };');
+      expect(await exists(cart.testPath)).toBe(true);
+    });
+
+    it('should document functions from their parsed scenario steps', async () => {
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir);
+
+      const output = await fs.readFile(report.modules[0].outputPath, 'utf8');
+      expect(output).toContain('Given function add accepts a and b, When add a and b, Then return result');
+    });
+
+    it('should leave private functions out of exports and generated tests', async () => {
+      await writeProject(tempDir, {
+        'mathematics.feature': [
+          MATH_FEATURE,
+          '',
+          '  @private',
+          '  Scenario: twice defines a function',
+          '    Given function twice accepts a',
+          '    When add a and a',
+          '    Then return result',
+        ].join('\n'),
+      });
+      transformer.transform.mockResolvedValueOnce({
+        success: true,
+        code: 'const twice = (a) => a + a;\nconst add = (a, b) => a + b;\nmodule.exports = { twice, add };',
+        metadata: {},
+      });
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir);
+
+      const math = report.modules[0];
+      const output = await fs.readFile(math.outputPath, 'utf8');
+      const tests = await fs.readFile(math.testPath, 'utf8');
+      expect(output).toContain('const twice = (a) => a + a;');
+      expect(output).toContain('module.exports = { add };');
+      expect(tests).not.toContain('twice');
+    });
+
+    it('should turn Examples tables into @example blocks and generated tests', async () => {
+      await writeProject(tempDir, {
+        'mathematics.feature': [
+          'Feature: Mathematics',
+          '',
+          '  Scenario Outline: add defines a function',
+          '    Given function add accepts a and b',
+          '    Then return a + b',
+          '',
+          '    Examples:',
+          '      | a | b | result |',
+          '      | 1 | 2 | 3      |',
+        ].join('\n'),
+      });
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir);
+
+      const [math] = report.modules;
+      expect(await fs.readFile(math.outputPath, 'utf8')).toContain('add(1, 2); // => 3');
+      expect(await fs.readFile(math.testPath, 'utf8')).toContain('should return 3 when given (1, 2)');
+    });
+
+    it('should pass module context to the transformer', async () => {
+      const compiler = new Compiler({ transformer });
+
+      await compiler.compileProject(tempDir);
+
+      expect(transformer.transform).toHaveBeenCalledWith(
+        CART_FEATURE,
+        {
+          moduleName: 'ShoppingCart',
+          dependencies: ['Mathematics'],
+          imports: ['Mathematics'],
+          interfaces: { Mathematics: [ADD_SIGNATURE] },
+        },
+        { target: 'javascript', moduleFormat: 'commonjs', rules: expect.stringMatching(/^# GherkinLang Compilation Rules/) }
+      );
+      expect(transformer.transform.mock.calls[0][1].interfaces).toEqual({});
+    });
+
+    it('should pass the signatures of dependencies served from cache', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir);
+      await writeProject(tempDir, { 'shopping_cart.feature': `${CART_FEATURE}\n` });
+      transformer.transform.mockClear();
+
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+
+      expect(report.modules.map(m => m.status)).toEqual(['cached', 'compiled']);
+      expect(transformer.transform.mock.calls[0][1].interfaces).toEqual({ Mathematics: [ADD_SIGNATURE] });
+    });
+
+    it('should compile without the AI when ai.mode is "rules"', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ ai: { mode: 'rules' } }),
+      });
+      const compiler = new Compiler();
+
+      const report = await compiler.compileProject(tempDir);
+
+      expect(report.success).toBe(true);
+      const [math, cart] = report.modules;
+      expect(math.metadata).toMatchObject({ model: 'rules', rules: { compiled: ['add'], fallback: [] } });
+      const output = await fs.readFile(cart.outputPath, 'utf8');
+      expect(output).toContain('Mathematics.add(a, b)');
+      expect(output.match(/module\.exports/g)).toHaveLength(1);
+    });
+
+    it('should replay AI responses from cassettes when ai.provider is "cassette"', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ ai: { provider: 'cassette', cassette: { dir: 'cassettes' } } }),
+      });
+      const compiler = new Compiler();
+
+      const report = await compiler.compileProject(tempDir);
+
+      expect(report.modules[0].errors[0]).toMatchObject({ stage: 'transform', name: 'CassetteMissError' });
+      expect(report.modules[0].errors[0].message).toContain(path.join(tempDir, 'cassettes'));
+    });
+
+    it('should give the transformer the project rules it hashes', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ rules: ['domain.md'] }),
+        'domain.md': '## Domain',
+      });
+
+      await new Compiler({ transformer }).compileProject(tempDir);
+
+      const rules = transformer.transform.mock.calls[0][2].rules;
+      expect(rules).toMatch(/### domain.md\n\n## Domain$/);
+      expect(rules).toBe(await new Compiler().getRules(tempDir));
+    });
+
+    it('should serve unchanged modules from cache on the next build', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir);
+      await fs.rm(path.join(tempDir, 'dist'), { recursive: true });
+      transformer.transform.mockClear();
+
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+
+      expect(transformer.transform).not.toHaveBeenCalled();
+      expect(report.modules.map(m => m.status)).toEqual(['cached', 'cached']);
+      expect(report.modules[0].cacheKey).toMatch(/^[a-f0-9]{64}$/);
+      expect(await exists(path.join(tempDir, 'dist', 'mathematics.js'))).toBe(true);
+    });
+
+    it('should record the source file of each cache entry', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir);
+
+      const manifest = JSON.parse(await fs.readFile(path.join(tempDir, '.gherkin-cache', 'manifest.json'), 'utf8'));
+
+      expect(manifest.entries.map(entry => entry.sourcePath).sort()).toEqual(['mathematics.feature', 'shopping_cart.feature']);
+    });
+
+    it('should rebuild changed modules and their dependents only', async () => {
+      await writeProject(tempDir, { 'statistics.feature': MATH_FEATURE.replace('Mathematics', 'Statistics') });
+      const first = await new Compiler({ transformer }).compileProject(tempDir);
+      expect(first.modules.map(m => m.rebuildReason)).toEqual(['not built before', 'not built before', 'not built before']);
+
+      await writeProject(tempDir, { 'mathematics.feature': MATH_FEATURE.replace('accepts a and b', 'accepts x and y') });
+      transformer.transform.mockClear();
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+
+      const byName = Object.fromEntries(report.modules.map(m => [m.moduleName, m]));
+      expect(byName.Mathematics).toMatchObject({ status: 'compiled', rebuildReason: 'source changed' });
+      expect(byName.ShoppingCart).toMatchObject({ status: 'compiled', rebuildReason: 'dependency Mathematics changed' });
+      expect(byName.Statistics).toMatchObject({ status: 'cached', rebuildReason: null });
+      expect(transformer.transform.mock.calls.map(([, context]) => context.moduleName)).toEqual(['Mathematics', 'ShoppingCart']);
+    });
+
+    it('should serve modules marked for rebuild whose cache key is unchanged', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir);
+      await writeProject(tempDir, { 'mathematics.feature': MATH_FEATURE.replace('When add a and b', 'When add b and a') });
+      const edited = await new Compiler({ transformer }).compileProject(tempDir);
+
+      await writeProject(tempDir, { 'mathematics.feature': MATH_FEATURE });
+      transformer.transform.mockClear();
+      const reverted = await new Compiler({ transformer }).compileProject(tempDir);
+
+      // The edit keeps the interface of Mathematics, so ShoppingCart keeps its key
+      expect(edited.modules.map(m => [m.moduleName, m.status])).toEqual([
+        ['Mathematics', 'compiled'],
+        ['ShoppingCart', 'cached'],
+      ]);
+      expect(reverted.modules.map(m => [m.moduleName, m.status])).toEqual([
+        ['Mathematics', 'cached'],
+        ['ShoppingCart', 'cached'],
+      ]);
+      expect(transformer.transform).not.toHaveBeenCalled();
+    });
+
+    it('should rebuild everything when the rules or config change', async () => {
+      const rebuild = async (compilerOptions, options) => {
+        const compiler = new Compiler({ transformer, ...compilerOptions });
+        jest.spyOn(compiler._promptBuilder, '_getGherkinLangRules').mockResolvedValue(compilerOptions.rules);
+        const report = await compiler.compileProject(tempDir, options);
+        return report.modules.map(m => m.rebuildReason);
+      };
+      await rebuild({ rules: '# Rules' });
+
+      expect(await rebuild({ rules: '# Rules' }, { moduleFormat: 'esm' })).toEqual(['config changed', 'config changed']);
+      expect(await rebuild({ rules: '# New rules' }, { moduleFormat: 'esm' })).toEqual(['rules changed', 'rules changed']);
+      expect(await rebuild({ rules: '# New rules', compilerVersion: '9.9.9' }, { moduleFormat: 'esm' }))
+        .toEqual(['compiler version changed', 'compiler version changed']);
+    });
+
+    it('should rebuild everything when a project rules file changes', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ rules: ['domain.md'] }),
+        'domain.md': '## Currency',
+      });
+      const first = await new Compiler({ transformer }).compileProject(tempDir);
+
+      await writeProject(tempDir, { 'domain.md': '## Currency conversion' });
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+
+      expect(report.modules.map(m => m.rebuildReason)).toEqual(['rules changed', 'rules changed']);
+      expect(report.modules[0].cacheKey).not.toBe(first.modules[0].cacheKey);
+    });
+
+    it('should fail the build when a project rules file is missing', async () => {
+      await writeProject(tempDir, { '.gherkinrc.json': JSON.stringify({ rules: ['missing.md'] }) });
+
+      await expect(new Compiler({ transformer }).compileProject(tempDir)).rejects.toThrow(ContextBuildError);
+      expect(transformer.transform).not.toHaveBeenCalled();
+    });
+
+    it('should rebuild dependents that a partial build left stale', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir);
+      await writeProject(tempDir, { 'mathematics.feature': MATH_FEATURE.replace('accepts a and b', 'accepts x and y') });
+      await new Compiler({ transformer }).compileProject(tempDir, { files: ['mathematics.feature'] });
+
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+
+      expect(report.modules.map(m => [m.moduleName, m.status, m.rebuildReason])).toEqual([
+        ['Mathematics', 'cached', null],
+        ['ShoppingCart', 'compiled', 'dependency Mathematics changed'],
+      ]);
+    });
+
+    it('should retry modules that failed in the previous build', async () => {
+      transformer.transform.mockRejectedValueOnce(new Error('overloaded'));
+      await new Compiler({ transformer }).compileProject(tempDir);
+
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+
+      expect(report.modules.map(m => m.rebuildReason)).toEqual(['not built before', 'not built before']);
+    });
+
+    it('should recompile unchanged modules missing from the cache', async () => {
+      const compiler = new Compiler({ transformer });
+      await compiler.compileProject(tempDir);
+      await compiler._cache.clear();
+
+      const report = await compiler.compileProject(tempDir);
+
+      expect(report.modules.map(m => [m.status, m.rebuildReason])).toEqual([
+        ['compiled', 'not cached'],
+        ['compiled', 'not cached'],
+      ]);
+    });
+
+    it('should not record build state in dry run mode', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir, { dryRun: true });
+
+      expect(await exists(path.join(tempDir, '.gherkin-cache', 'build-state.json'))).toBe(false);
+    });
+
+    it('should record the cache key of each module in the build state', async () => {
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+      const state = JSON.parse(await fs.readFile(path.join(tempDir, '.gherkin-cache', 'build-state.json'), 'utf8'));
+
+      expect(Object.fromEntries(Object.entries(state.modules).map(([name, module]) => [name, module.cacheKey])))
+        .toEqual(Object.fromEntries(report.modules.map(m => [m.moduleName, m.cacheKey])));
+    });
+
+    it('should serve modules from the cache when no build state was recorded', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir);
+      await fs.rm(path.join(tempDir, '.gherkin-cache', 'build-state.json'));
+      transformer.transform.mockClear();
+
+      const report = await new Compiler({ transformer }).compileProject(tempDir);
+
+      expect(transformer.transform).not.toHaveBeenCalled();
+      expect(report.modules.map(m => m.status)).toEqual(['cached', 'cached']);
+    });
+
+    it('should change dependent cache keys only when a dependency interface changes', async () => {
+      const cartKey = async () => {
+        const report = await new Compiler({ transformer }).compileProject(tempDir, { dryRun: true });
+        return report.modules.find(m => m.moduleName === 'ShoppingCart').cacheKey;
+      };
+      const original = await cartKey();
+
+      await writeProject(tempDir, { 'mathematics.feature': MATH_FEATURE.replace('When add a and b', 'When add b and a') });
+      expect(await cartKey()).toBe(original);
+
+      await writeProject(tempDir, { 'mathematics.feature': MATH_FEATURE.replace('accepts a and b', 'accepts a and b and c') });
+      expect(await cartKey()).not.toBe(original);
+    });
+
+    it('should include the module format in cache keys', async () => {
+      const compiler = new Compiler({ transformer });
+
+      const cjs = await compiler.compileProject(tempDir, { dryRun: true });
+      const esm = await compiler.compileProject(tempDir, { dryRun: true, moduleFormat: 'esm' });
+
+      expect(esm.modules[0].cacheKey).not.toBe(cjs.modules[0].cacheKey);
+    });
+
+    it('should bypass the cache when cache option is false', async () => {
+      await new Compiler({ transformer }).compileProject(tempDir);
+      transformer.transform.mockClear();
+
+      const report = await new Compiler({ transformer }).compileProject(tempDir, { cache: false });
+
+      expect(transformer.transform).toHaveBeenCalledTimes(2);
+      expect(report.modules[0].cacheKey).toBeNull();
+      expect(report.modules[0].rebuildReason).toBe('cache disabled');
+    });
+
+    it('should fail invalid modules and skip their dependents', async () => {
+      transformer.transform.mockImplementation(async (source, context) => ({
+        success: true,
+        code: context.moduleName === 'Mathematics'
+          ? 'const add = (a, b) => { console.log(a); return a + b; };'
+          : COMPILED[context.moduleName],
+        metadata: {},
+      }));
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir);
+
+      expect(report.success).toBe(false);
+      const [math, cart] = report.modules;
+      expect(math.status).toBe('failed');
+      expect(math.errors[0]).toMatchObject({ stage: 'validate', type: 'purity' });
+      expect(cart.status).toBe('skipped');
+      expect(cart.errors[0].message).toContain('"Mathematics"');
+      expect(transformer.transform).toHaveBeenCalledTimes(3);
+    });
+
+    it('should feed validation errors back to the transformer until the code is valid', async () => {
+      const impure = 'const add = (a, b) => { console.log(a); return a + b; };';
+      transformer.transform.mockImplementation(async (source, context, options) => ({
+        success: true,
+        code: context.moduleName === 'Mathematics' && !options.feedback ? impure : COMPILED[context.moduleName],
+        metadata: {},
+      }));
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir);
+
+      const math = report.modules[0];
+      expect(math.status).toBe('compiled');
+      expect(math.attempts).toHaveLength(2);
+      expect(math.attempts[0].valid).toBe(false);
+      expect(math.attempts[0].errors[0]).toMatchObject({ stage: 'validate', type: 'purity' });
+      expect(math.attempts[1]).toMatchObject({ attempt: 2, valid: true, errors: [] });
+
+      const { feedback } = transformer.transform.mock.calls[1][2];
+      expect(feedback.previousCode).toBe(impure);
+      expect(feedback.errors[0].suggestion).toBe('Remove console statements for pure functions');
+    });
+
+    it('should stop after the configured attempt budget', async () => {
+      transformer.transform.mockResolvedValue({
+        success: true,
+        code: 'const add = (a, b) => { console.log(a); return a + b; };',
+        metadata: {},
+      });
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, { maxAttempts: 2 });
+
+      expect(transformer.transform).toHaveBeenCalledTimes(2);
+      expect(report.modules[0].attempts.map(a => a.attempt)).toEqual([1, 2]);
+      expect(report.modules[0].errors).toEqual(report.modules[0].attempts[1].errors);
+    });
+
+    it('should record transformer errors on the module', async () => {
+      transformer.transform.mockRejectedValue(new Error('API unavailable'));
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir);
+
+      expect(report.modules[0].status).toBe('failed');
+      expect(report.modules[0].errors[0]).toMatchObject({
+        stage: 'transform',
+        message: 'API unavailable',
+      });
+      expect(report.stats.failedModules).toBe(1);
+      expect(report.stats.skippedModules).toBe(1);
+    });
+
+    it('should charge the tokens and cost of every module to the build', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ ai: { pricing: { 'test-model': { input: 1000, output: 2000 } } } }),
+      });
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, { dryRun: true });
+
+      expect(report.modules[0].usage.tokens).toMatchObject({ input: 1, output: 1, total: 2 });
+      expect(report.modules[0].usage.cost).toBeCloseTo(0.003);
+      expect(report.stats.tokens).toMatchObject({ input: 2, output: 2, total: 4 });
+      expect(report.stats.cost).toBeCloseTo(0.006);
+    });
+
+    it('should count tokens of failed transformations and of models without a price', async () => {
+      await writeProject(tempDir, { '.gherkinrc.json': JSON.stringify({ ai: { model: 'local-model' } }) });
+      const error = Object.assign(new Error('No code generated'), { usage: { input: 7, output: 3, total: 10 } });
+      transformer.transform.mockRejectedValue(error);
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, { dryRun: true });
+
+      expect(report.modules[0].usage).toEqual({
+        tokens: { input: 7, output: 3, cacheRead: 0, cacheWrite: 0, total: 10 },
+        cost: 0,
+      });
+      expect(report.modules[0].warnings).toContainEqual({
+        stage: 'transform',
+        message: 'No price is configured for model "local-model"; its tokens are not included in the cost',
+      });
+      expect(report.stats.tokens.total).toBe(10);
+    });
+
+    it('should skip the remaining modules once the token budget is spent', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ concurrency: 1, ai: { budget: { tokens: 2 } } }),
+        'statistics.feature': MATH_FEATURE.replace('Mathematics', 'Statistics'),
+      });
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, { dryRun: true });
+
+      expect(transformer.transform).toHaveBeenCalledTimes(1);
+      expect(report.success).toBe(false);
+      expect(report.stats).toMatchObject({ compiledModules: 1, skippedModules: 2 });
+      const skipped = report.modules.find(m => m.status === 'skipped' && m.moduleName !== 'ShoppingCart');
+      expect(skipped.errors).toEqual([{
+        stage: 'budget',
+        message: 'Skipped because the build budget was exceeded (2 of 2 tokens used)',
+      }]);
+    });
+
+    it('should stop correcting a module once the cost budget is spent', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({
+          ai: { pricing: { 'test-model': { input: 5000, output: 5000 } }, budget: { cost: 0.01 } },
+        }),
+      });
+      transformer.transform.mockResolvedValue({
+        success: true,
+        code: 'const add = (a, b) => { console.log(a); return a + b; };',
+        metadata: { model: 'test-model', tokens: { input: 1, output: 1, total: 2 } },
+      });
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, { dryRun: true });
+
+      expect(report.modules[0].attempts).toHaveLength(1);
+      expect(report.modules[0].status).toBe('skipped');
+      expect(report.modules[0].errors[0].message)
+        .toBe('Skipped because the build budget was exceeded ($0.01 of $0.01 spent)');
+    });
+
+    it('should not write outputs or cache entries in dry run mode', async () => {
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, { dryRun: true });
+
+      expect(report.success).toBe(true);
+      expect(await exists(path.join(tempDir, 'dist'))).toBe(false);
+      expect(await exists(path.join(tempDir, '.gherkin-cache', `${report.modules[0].cacheKey}.cache`))).toBe(false);
+    });
+
+    it('should only build the given files and their dependencies', async () => {
+      await writeProject(tempDir, { 'strings.feature': MATH_FEATURE.replace('Mathematics', 'Strings') });
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, { files: ['shopping_cart.feature'], dryRun: true });
+
+      expect(report.compileOrder).toEqual(['Mathematics', 'ShoppingCart']);
+      expect(report.stats.totalModules).toBe(2);
+    });
+
+    it('should compile features with parse warnings and report them', async () => {
+      await writeProject(tempDir, { 'mathematics.feature': `${MATH_FEATURE}\n  @orphan\n` });
+
+      const report = await new Compiler({ transformer }).compileProject(tempDir, { dryRun: true });
+
+      expect(report.success).toBe(true);
+      expect(report.modules.find(m => m.moduleName === 'Mathematics').warnings).toContainEqual(
+        { stage: 'parse', message: 'Tags must be followed by a Feature, Scenario or Examples', line: 7 }
+      );
+    });
+
+    it('should fail the build when a feature has parse errors', async () => {
+      await writeProject(tempDir, { 'mathematics.feature': `${MATH_FEATURE}\n    | a |\n    | 1 | 2 |\n` });
+
+      await expect(new Compiler({ transformer }).compileProject(tempDir)).rejects.toThrow(
+        'Invalid feature files:\n  - mathematics.feature:8: Inconsistent cell count within the table: expected 1, found 2'
+      );
+      expect(transformer.transform).not.toHaveBeenCalled();
+    });
+
+    it('should reject files that define no module', async () => {
+      const compiler = new Compiler({ transformer });
+
+      await expect(compiler.compileProject(tempDir, { files: ['shopping_cart.feature', 'missing.feature', 'docs'] }))
+        .rejects.toThrow(new ContextBuildError('No module found for: missing.feature, docs'));
+      expect(transformer.transform).not.toHaveBeenCalled();
+    });
+
+    it('should report progress after each module', async () => {
+      const onProgress = jest.fn();
+      const compiler = new Compiler({ transformer });
+
+      await compiler.compileProject(tempDir, { dryRun: true, onProgress });
+
+      expect(onProgress.mock.calls.map(([event]) => [event.module.moduleName, event.completed, event.total])).toEqual([
+        ['Mathematics', 1, 2],
+        ['ShoppingCart', 2, 2],
+      ]);
+    });
+
+    it('should compile independent modules in parallel', async () => {
+      await writeProject(tempDir, { 'statistics.feature': MATH_FEATURE.replace('Mathematics', 'Statistics') });
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const transform = transformer.transform.getMockImplementation();
+      transformer.transform.mockImplementation(async (...args) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        inFlight--;
+        return transform(...args);
+      });
+      const events = [];
+      const compiler = new Compiler({ transformer });
+
+      const report = await compiler.compileProject(tempDir, {
+        dryRun: true,
+        concurrency: 2,
+        onEvent: event => events.push(`${event.type} ${event.moduleName}`),
+      });
+
+      expect(report.success).toBe(true);
+      expect(report.modules.map(m => m.moduleName)).toEqual(report.compileOrder);
+      expect(maxInFlight).toBe(2);
+      expect(events.indexOf('start ShoppingCart')).toBeGreaterThan(events.indexOf('finish Mathematics'));
+    });
+
+    it('should compile one module at a time with a concurrency of 1', async () => {
+      await writeProject(tempDir, { 'statistics.feature': MATH_FEATURE.replace('Mathematics', 'Statistics') });
+      const events = [];
+      const compiler = new Compiler({ transformer });
+
+      await compiler.compileProject(tempDir, {
+        dryRun: true,
+        concurrency: 1,
+        onEvent: event => events.push(event.type),
+      });
+
+      expect(events).toEqual(['start', 'finish', 'start', 'finish', 'start', 'finish']);
+    });
+
+    it('should read the concurrency from the configuration', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ concurrency: 1 }),
+        'statistics.feature': MATH_FEATURE.replace('Mathematics', 'Statistics'),
+      });
+      const compiler = new Compiler({ transformer });
+      const events = [];
+
+      await compiler.compileProject(tempDir, { dryRun: true, onEvent: event => events.push(event.type) });
+
+      expect(events).toEqual(['start', 'finish', 'start', 'finish', 'start', 'finish']);
+    });
+
+    it('should report rate limit pauses as build events', async () => {
+      const rateLimiter = new RateLimiter();
+      const transform = transformer.transform.getMockImplementation();
+      transformer.transform.mockImplementationOnce(async (...args) => {
+        rateLimiter.pause(10);
+        return transform(...args);
+      });
+      const onEvent = jest.fn();
+      const compiler = new Compiler({ transformer, rateLimiter });
+
+      const report = await compiler.compileProject(tempDir, { dryRun: true, onEvent });
+
+      expect(report.success).toBe(true);
+      expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'rate-limit', delay: 10 }));
+      expect(rateLimiter.listenerCount('pause')).toBe(0);
+    });
+
+    it('should forward transformer progress and the abort signal', async () => {
+      const transform = transformer.transform.getMockImplementation();
+      transformer.transform.mockImplementation(async (source, context, options) => {
+        options.onEvent({ type: 'turn', turn: 1, stopReason: 'end_turn' });
+        return transform(source, context, options);
+      });
+      const controller = new AbortController();
+      const events = [];
+      const compiler = new Compiler({ transformer });
+
+      await compiler.compileProject(tempDir, {
+        dryRun: true,
+        signal: controller.signal,
+        onEvent: event => events.push(event),
+      });
+
+      expect(transformer.transform.mock.calls[0][2].signal).toBe(controller.signal);
+      expect(events.filter(event => event.type === 'transform')).toEqual([
+        { type: 'transform', moduleName: 'Mathematics', event: { type: 'turn', turn: 1, stopReason: 'end_turn' } },
+        { type: 'transform', moduleName: 'ShoppingCart', event: { type: 'turn', turn: 1, stopReason: 'end_turn' } },
+      ]);
+    });
+
+    it('should not ask for transformer progress without an event listener', async () => {
+      const compiler = new Compiler({ transformer });
+
+      await compiler.compileProject(tempDir, { dryRun: true });
+
+      expect(transformer.transform.mock.calls[0][2]).not.toHaveProperty('onEvent');
+    });
+
+    it('should throw ContextBuildError for circular dependencies', async () => {
+      await writeProject(tempDir, {
+        'mathematics.feature': MATH_FEATURE.replace('\n\n', '\n\n  Given import ShoppingCart\n\n'),
+      });
+      const compiler = new Compiler({ transformer });
+
+      await expect(compiler.compileProject(tempDir)).rejects.toThrow(ContextBuildError);
+      expect(transformer.transform).not.toHaveBeenCalled();
+    });
+
+    describe('scenario-level caching', () => {
+      const OPERATORS = { add: '+', subtract: '-', multiply: '*' };
+      const ARITHMETIC_FEATURE = [
+        'Feature: Arithmetic',
+        '',
+        '  Background:',
+        '    Given constant PRECISION = 2',
+        '',
+        ...Object.keys(OPERATORS).flatMap(name => [
+          `  # ${name}`,
+          `  Scenario: ${name} defines a function`,
+          `    Given function ${name} accepts a and b`,
+          `    When ${name} a and b`,
+          '    Then return result',
+          '',
+        ]),
+      ].join('\n');
+
+      // Compiles whichever scenarios it is given, like the AI does
+      const compileScenarios = source => [
+        'const PRECISION = 2;',
+        ...[...source.matchAll(/Scenario: (\w+) defines/g)]
+          .map(([, name]) => `const ${name} = (a, b) => a ${OPERATORS[name] || '+'} b;`),
+        `module.exports = { ${[...source.matchAll(/Scenario: (\w+) defines/g)].map(([, name]) => name).join(', ')} };`,
+      ].join('\n\n');
+
+      const compile = () => new Compiler({ transformer }).compileProject(tempDir);
+
+      beforeEach(async () => {
+        await fs.rm(path.join(tempDir, 'mathematics.feature'));
+        await fs.rm(path.join(tempDir, 'shopping_cart.feature'));
+        await writeProject(tempDir, { 'arithmetic.feature': ARITHMETIC_FEATURE });
+        transformer.transform.mockImplementation(async source => ({
+          success: true,
+          code: compileScenarios(source),
+          toolCalls: [],
+          metadata: { model: 'test-model', tokens: { input: 1, output: 1, total: 2 }, duration: 1 },
+        }));
+      });
+
+      it('should transform only the scenarios that changed', async () => {
+        await compile();
+        await writeProject(tempDir, {
+          'arithmetic.feature': ARITHMETIC_FEATURE.replace('When subtract a and b', 'When subtract b from a'),
+        });
+        transformer.transform.mockClear();
+
+        const report = await compile();
+
+        const [module] = report.modules;
+        expect(module).toMatchObject({
+          status: 'compiled',
+          rebuildReason: 'source changed',
+          units: { cached: ['add', 'multiply'], compiled: ['subtract'] },
+        });
+        expect(transformer.transform).toHaveBeenCalledTimes(1);
+        const [partialSource] = transformer.transform.mock.calls[0];
+        expect(partialSource).toContain('Scenario: subtract defines a function');
+        expect(partialSource).toContain('Given constant PRECISION = 2');
+        expect(partialSource).not.toContain('Scenario: add defines a function');
+
+        const output = await fs.readFile(module.outputPath, 'utf8');
+        expect(output).toMatch(/const add = \(a, b\) => a \+ b;[\s\S]*const subtract[\s\S]*const multiply/);
+        expect(output).toContain('module.exports = { add, subtract, multiply };');
+        expect(output.match(/const PRECISION/g)).toHaveLength(1);
+      });
+
+      it('should reassemble a module without transforming when only comments changed', async () => {
+        await compile();
+        await writeProject(tempDir, { 'arithmetic.feature': ARITHMETIC_FEATURE.replace('# add', '# addition') });
+        transformer.transform.mockClear();
+
+        const report = await compile();
+
+        expect(transformer.transform).not.toHaveBeenCalled();
+        expect(report.modules[0]).toMatchObject({
+          status: 'compiled',
+          units: { cached: ['add', 'subtract', 'multiply'], compiled: [] },
+          metadata: { model: 'test-model', cacheHit: true },
+        });
+      });
+
+      it('should recompile every scenario when the Background changes', async () => {
+        await compile();
+        await writeProject(tempDir, { 'arithmetic.feature': ARITHMETIC_FEATURE.replace('PRECISION = 2', 'PRECISION = 3') });
+        transformer.transform.mockClear();
+
+        const report = await compile();
+
+        expect(transformer.transform).toHaveBeenCalledTimes(1);
+        expect(transformer.transform.mock.calls[0][0]).toBe(ARITHMETIC_FEATURE.replace('PRECISION = 2', 'PRECISION = 3'));
+        expect(report.modules[0].units).toBeNull();
+      });
+
+      it('should compile the whole module when the changed scenarios cannot be split out', async () => {
+        await compile();
+        await writeProject(tempDir, {
+          'arithmetic.feature': ARITHMETIC_FEATURE.replace('When subtract a and b', 'When subtract b from a'),
+        });
+        transformer.transform.mockClear();
+        transformer.transform.mockImplementationOnce(async () => ({
+          success: true,
+          code: 'module.exports = { subtract: (a, b) => a - b };',
+          metadata: {},
+        }));
+
+        const report = await compile();
+
+        expect(transformer.transform).toHaveBeenCalledTimes(2);
+        expect(transformer.transform.mock.calls[1][0]).toContain('Scenario: add defines a function');
+        expect(report.modules[0]).toMatchObject({ status: 'compiled', units: null });
+        expect(report.modules[0].attempts.map(({ attempt, valid }) => [attempt, valid])).toEqual([[1, false], [2, true]]);
+      });
+
+      it('should record a failed transformation of the changed scenarios before compiling the whole module', async () => {
+        await compile();
+        await writeProject(tempDir, {
+          'arithmetic.feature': ARITHMETIC_FEATURE.replace('When subtract a and b', 'When subtract b from a'),
+        });
+        transformer.transform.mockClear();
+        transformer.transform.mockImplementationOnce(async () => ({
+          success: false,
+          error: 'overloaded',
+          metadata: { model: 'test-model', tokens: { input: 1, output: 1, total: 2 } },
+        }));
+
+        const [module] = (await compile()).modules;
+
+        expect(transformer.transform).toHaveBeenCalledTimes(2);
+        expect(module.status).toBe('compiled');
+        expect(module.attempts).toEqual([
+          expect.objectContaining({ attempt: 1, valid: false, errors: [{ stage: 'transform', message: 'overloaded' }] }),
+          expect.objectContaining({ attempt: 2, valid: true }),
+        ]);
+        expect(module.warnings).toContainEqual({
+          stage: 'cache',
+          message: 'Transforming the changed scenarios failed; compiling the whole module',
+        });
+        expect(module.usage.tokens.total).toBe(4);
+      });
+
+      it('should not compile the whole module once a failed scenario transformation spent the budget', async () => {
+        await compile();
+        await writeProject(tempDir, {
+          'arithmetic.feature': ARITHMETIC_FEATURE.replace('When subtract a and b', 'When subtract b from a'),
+        });
+        transformer.transform.mockClear();
+        transformer.transform.mockImplementationOnce(async () => ({
+          success: false,
+          error: 'overloaded',
+          metadata: { model: 'test-model', tokens: { input: 1, output: 1, total: 2 } },
+        }));
+
+        const report = await new Compiler({ transformer })
+          .compileProject(tempDir, { configOverrides: { ai: { budget: { tokens: 2 } } } });
+
+        expect(transformer.transform).toHaveBeenCalledTimes(1);
+        expect(report.modules[0]).toMatchObject({ status: 'skipped', attempts: [expect.objectContaining({ valid: false })] });
+        expect(report.modules[0].errors).toEqual([expect.objectContaining({ stage: 'budget' })]);
+      });
+
+      it('should not split modules with a single scenario', async () => {
+        await writeProject(tempDir, { 'mathematics.feature': MATH_FEATURE });
+        transformer.transform.mockImplementation(async () => ({ success: true, code: COMPILED.Mathematics, metadata: {} }));
+        const compiler = new Compiler({ transformer });
+
+        await compiler.compileProject(tempDir, { files: ['mathematics.feature'] });
+
+        expect((await compiler._cache.getStats()).entries).toBe(1);
+      });
+    });
+
+    describe('workspaces', () => {
+      beforeEach(async () => {
+        await fs.rm(path.join(tempDir, 'mathematics.feature'));
+        await fs.rm(path.join(tempDir, 'shopping_cart.feature'));
+        await fs.mkdir(path.join(tempDir, 'packages', 'core'), { recursive: true });
+        await fs.mkdir(path.join(tempDir, 'packages', 'shop'), { recursive: true });
+        await writeProject(tempDir, {
+          '.gherkinrc.json': JSON.stringify({ workspaces: ['packages/*'] }),
+          'packages/core/.gherkinrc.json': JSON.stringify({ output: { dir: 'lib' } }),
+          'packages/core/mathematics.feature': MATH_FEATURE,
+          'packages/shop/shopping_cart.feature': CART_FEATURE.replace('Given import Mathematics', 'Given import core/Mathematics'),
+        });
+        transformer.transform.mockImplementation(async (source, context) => ({
+          success: true,
+          code: COMPILED[context.moduleName.split('/').pop()],
+          metadata: {},
+        }));
+      });
+
+      it('should build every package in dependency order into its own output directory', async () => {
+        const compiler = new Compiler({ transformer });
+
+        const report = await compiler.compileProject(tempDir);
+
+        expect(report.success).toBe(true);
+        expect(report.compileOrder).toEqual(['core/Mathematics', 'shop/ShoppingCart']);
+        expect(report.modules.map(module => path.relative(tempDir, module.outputPath))).toEqual([
+          path.join('packages', 'core', 'lib', 'mathematics.js'),
+          path.join('packages', 'shop', 'dist', 'shopping_cart.js'),
+        ]);
+        expect(transformer.transform.mock.calls[1][1]).toMatchObject({
+          moduleName: 'shop/ShoppingCart',
+          dependencies: ['core/Mathematics'],
+        });
+
+        const cart = await fs.readFile(path.join(tempDir, 'packages', 'shop', 'dist', 'shopping_cart.js'), 'utf8');
+        expect(cart).toContain("const Mathematics = require('../../core/lib/mathematics');");
+      });
+
+      it('should rebuild dependents in other packages when a module changes', async () => {
+        const compiler = new Compiler({ transformer });
+        await compiler.compileProject(tempDir);
+
+        await writeProject(tempDir, {
+          'packages/core/mathematics.feature': MATH_FEATURE.replace('accepts a and b', 'accepts x and y'),
+        });
+        const report = await compiler.compileProject(tempDir);
+
+        expect(report.modules.map(module => [module.moduleName, module.status, module.rebuildReason])).toEqual([
+          ['core/Mathematics', 'compiled', 'source changed'],
+          ['shop/ShoppingCart', 'compiled', 'dependency core/Mathematics changed'],
+        ]);
+      });
+    });
+  });
+
+  describe('getRules', () => {
+    it('should return the built-in rules followed by the project rules files', async () => {
+      await writeProject(tempDir, {
+        '.gherkinrc.json': JSON.stringify({ rules: ['domain.md'] }),
+        'domain.md': '## Currency\n',
+      });
+
+      const rules = await new Compiler().getRules(tempDir);
+
+      expect(rules).toMatch(/^# GherkinLang Compilation Rules[\s\S]*## Project Rules[\s\S]*### domain.md\n\n## Currency$/);
+    });
+
+    it('should apply configuration overrides', async () => {
+      const compiler = new Compiler();
+
+      const rules = await compiler.getRules(tempDir);
+
+      expect(rules).not.toContain('## Project Rules');
+      await expect(compiler.getRules(tempDir, { configOverrides: { rules: ['missing.md'] } }))
+        .rejects.toThrow(/Failed to read project rules file: .*missing\.md/);
+    });
+  });
+});
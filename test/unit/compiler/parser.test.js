@@ -200,6 +200,17 @@ describe('GherkinParser', () => {
       expect(result.imports).toEqual(['Module1', 'Module2', 'Module3']);
     });
 
+    it('should extract package-qualified imports', async () => {
+      const filePath = '/path/to/qualified.feature';
+      const content = 'Feature: Checkout\n\n  Background:\n    Given import billing/Invoice\n    Given import shared-utils/Money\n';
+      readFile.mockResolvedValue(content);
+
+      const result = await parser.parse(filePath);
+
+      expect(result.imports).toEqual(['billing/Invoice', 'shared-utils/Money']);
+      expect(result.dependencies).toEqual(['billing/Invoice', 'shared-utils/Money']);
+    });
+
     it('should extract imports with whitespace trimming', async () => {
       const filePath = '/path/to/imports.feature';
       const content = 'Feature: Imports\n\nGiven import   MathUtils   \n';
@@ -268,6 +279,352 @@ describe('GherkinParser', () => {
     });
   });
 
+  describe('ast', () => {
+    const parse = async (lines) => {
+      readFile.mockResolvedValue(lines.join('\n'));
+      return parser.parse('/path/to/ast.feature');
+    };
+
+    it('should build feature, background and scenario nodes with steps', async () => {
+      const result = await parse([
+        '@core',
+        'Feature: Mathematics',
+        '  Basic arithmetic',
+        '',
+        '  Background:',
+        '    Given import Utils',
+        '    And constant PI = 3.14',
+        '',
+        '  # adds two numbers',
+        '  Scenario: add defines a function',
+        '    Given function add accepts a and b',
+        '    When add a and b',
+        '    But keep it pure',
+        '    Then return result',
+      ]);
+
+      const { feature, comments } = result.ast;
+      expect(feature).toMatchObject({
+        type: 'Feature',
+        name: 'Mathematics',
+        description: 'Basic arithmetic',
+        tags: [{ type: 'Tag', name: '@core', location: { line: 1, column: 0, endLine: 1, endColumn: 5 } }],
+        location: { line: 2, column: 0, endLine: 14, endColumn: 22 },
+      });
+      expect(comments).toEqual([
+        { type: 'Comment', text: '# adds two numbers', location: { line: 9, column: 2, endLine: 9, endColumn: 20 } },
+      ]);
+
+      const [background, scenario] = feature.children;
+      expect(background.type).toBe('Background');
+      expect(background.steps.map(step => step.text)).toEqual(['import Utils', 'constant PI = 3.14']);
+      expect(scenario).toMatchObject({ type: 'Scenario', name: 'add defines a function', examples: [] });
+      expect(scenario.steps[2]).toEqual({
+        type: 'Step',
+        keyword: 'But',
+        effectiveKeyword: 'When',
+        text: 'keep it pure',
+        location: { line: 13, column: 4, endLine: 13, endColumn: 20 },
+        docString: null,
+        dataTable: null,
+      });
+    });
+
+    it('should collect steps before the first scenario into an implicit background', async () => {
+      const result = await parse([
+        'Feature: Cart',
+        '',
+        'Given import Mathematics',
+        '',
+        'Scenario: total defines a function',
+        '  Given function total accepts items',
+      ]);
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.ast.feature.children[0]).toMatchObject({ type: 'Background', implicit: true });
+      expect(result.ast.feature.children[0].steps[0].text).toBe('import Mathematics');
+    });
+
+    it('should parse scenario outlines with tagged examples tables', async () => {
+      const result = await parse([
+        'Feature: Mathematics',
+        '',
+        '  Scenario Outline: add defines a function',
+        '    Given function add accepts a and b',
+        '    Then return a + b',
+        '',
+        '    @smoke',
+        '    Examples: sums',
+        '      | a | b | result |',
+        '      | 1 | 2 | 3      |',
+        '      | 2 | 2 | 4      |',
+      ]);
+
+      const outline = result.ast.feature.children[0];
+      expect(result.errors).toHaveLength(0);
+      expect(outline.type).toBe('ScenarioOutline');
+      expect(outline.location).toEqual({ line: 3, column: 2, endLine: 11, endColumn: 24 });
+
+      const [examples] = outline.examples;
+      expect(examples).toMatchObject({ type: 'Examples', name: 'sums', tags: [{ name: '@smoke' }] });
+      expect(examples.tableHeader.cells.map(cell => cell.value)).toEqual(['a', 'b', 'result']);
+      expect(examples.tableBody.map(row => row.cells.map(cell => cell.value))).toEqual([
+        ['1', '2', '3'],
+        ['2', '2', '4'],
+      ]);
+      expect(examples.tableHeader.cells[2].location).toEqual({ line: 9, column: 16, endLine: 9, endColumn: 22 });
+    });
+
+    it('should attach data tables with escaped cells to the preceding step', async () => {
+      const result = await parse([
+        'Feature: Pipeline',
+        '',
+        'Scenario: score defines a function',
+        '  When let multiplier = action matches',
+        "    | 'a\\|b' | 1.0 |",
+        '    | _      | 0.5 |',
+        '  Then return multiplier',
+      ]);
+
+      const [matchStep, returnStep] = result.ast.feature.children[0].steps;
+      expect(result.errors).toHaveLength(0);
+      expect(matchStep.dataTable.type).toBe('DataTable');
+      expect(matchStep.dataTable.rows[0].cells.map(cell => cell.value)).toEqual(["'a|b'", '1.0']);
+      expect(matchStep.dataTable.location).toMatchObject({ line: 5, endLine: 6 });
+      expect(returnStep.dataTable).toBeNull();
+    });
+
+    it('should parse doc strings with media type and strip their indentation', async () => {
+      const result = await parse([
+        'Feature: Docs',
+        '',
+        'Scenario: render defines a function',
+        '  Given template',
+        '    """html',
+        '    <p>',
+        '      hi',
+        '    </p>',
+        '    """',
+      ]);
+
+      const { docString, location } = result.ast.feature.children[0].steps[0];
+      expect(result.errors).toHaveLength(0);
+      expect(docString).toEqual({
+        type: 'DocString',
+        delimiter: '"""',
+        mediaType: 'html',
+        content: '<p>\n  hi\n</p>',
+        location: { line: 5, column: 4, endLine: 9, endColumn: 7 },
+      });
+      expect(location.endLine).toBe(9);
+    });
+
+    it('should join continuation lines into the previous step', async () => {
+      const result = await parse([
+        'Feature: Pipeline',
+        '',
+        'Scenario: parse defines a function',
+        '  When let activity = {',
+        '    userId: parts[0]',
+        '  }',
+        '  Then return activity',
+      ]);
+
+      const [step] = result.ast.feature.children[0].steps;
+      expect(step.text).toBe('let activity = {\nuserId: parts[0]\n}');
+      expect(step.location).toEqual({ line: 4, column: 2, endLine: 6, endColumn: 3 });
+    });
+
+    it('should report structural errors with line and column', async () => {
+      const result = await parse([
+        'Feature: Broken',
+        '',
+        'Scenario: add defines a function',
+        '  Given function add accepts a and b',
+        '    | a | b |',
+        '    | 1 |',
+        '  Then return result',
+        '    """',
+        '    never closed',
+      ]);
+
+      expect(result.errors.map(e => [e.message, e.line, e.column])).toEqual([
+        ['Inconsistent cell count within the table: expected 2, found 1', 6, 4],
+        ['Unterminated doc string', 8, 4],
+      ]);
+      expect(result.errors[0]).toBeInstanceOf(ParseError);
+    });
+
+    it('should warn about orphan tags and unexpected text without failing the feature', async () => {
+      const result = await parse([
+        'Feature: Loose',
+        '',
+        '  Scenario: add defines a function',
+        '    Given function add accepts a and b',
+        '    | a | b |',
+        '    stray text',
+        '  @orphan',
+      ]);
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings.map(w => [w.message, w.line, w.column])).toEqual([
+        ['Unexpected text: "stray text"', 6, 4],
+        ['Tags must be followed by a Feature, Scenario or Examples', 7, 2],
+      ]);
+      expect(result.warnings[0]).toBeInstanceOf(ParseError);
+    });
+
+    it('should reject examples outside of a scenario', async () => {
+      const result = await parse([
+        'Feature: Broken',
+        '',
+        'Background:',
+        '  Given import Utils',
+        'Examples:',
+        '  | a |',
+        'Scenario: a defines a function',
+      ]);
+
+      expect(result.errors.map(e => e.message)).toEqual(['Examples must belong to a Scenario Outline']);
+    });
+
+    it('should return an empty document when the Feature line is missing', async () => {
+      const result = await parse(['Scenario: Some scenario']);
+
+      expect(result.ast).toEqual({ type: 'GherkinDocument', feature: null, comments: [] });
+    });
+  });
+
+  describe('examples', () => {
+    it('should bind type-coerced Examples rows to the scenario function', async () => {
+      readFile.mockResolvedValue([
+        'Feature: Mathematics',
+        '',
+        '  Scenario Outline: add defines a function',
+        '    Given function add accepts a and b',
+        '    Then return a + b',
+        '',
+        '    Examples: integers',
+        '      | a  | b    | result |',
+        '      | 1  | 2    | 3      |',
+        '      | -1 | 2.5  | 1.5    |',
+        '',
+        '    Examples:',
+        '      | a       | b       | result   |',
+        '      | true    | null    | "quoted" |',
+        "      | [1, 2]  | {\"k\": 1} | 'single' |",
+        '      | plain   |         | [broken  |',
+      ].join('\n'));
+
+      const result = await parser.parse('/path/to/math.feature');
+
+      expect(result.errors).toHaveLength(0);
+      expect(result.examples).toEqual([
+        {
+          name: 'integers',
+          functionName: 'add',
+          rows: [
+            { a: 1, b: 2, result: 3 },
+            { a: -1, b: 2.5, result: 1.5 },
+          ],
+          line: 7,
+        },
+        {
+          name: 'add defines a function',
+          functionName: 'add',
+          rows: [
+            { a: true, b: null, result: 'quoted' },
+            { a: [1, 2], b: { k: 1 }, result: 'single' },
+            { a: 'plain', b: '', result: '[broken' },
+          ],
+          line: 12,
+        },
+      ]);
+    });
+
+    it('should report Examples without a table', async () => {
+      readFile.mockResolvedValue([
+        'Feature: Mathematics',
+        '',
+        'Scenario Outline: add defines a function',
+        '  Given function add accepts a and b',
+        '  Examples:',
+      ].join('\n'));
+
+      const result = await parser.parse('/path/to/math.feature');
+
+      expect(result.examples).toEqual([]);
+      expect(result.errors.map(e => [e.message, e.line])).toEqual([
+        ['Examples of "add defines a function" has no table', 5],
+      ]);
+    });
+  });
+
+  describe('dependencies', () => {
+    it('should list modules imported by any import step without duplicates', async () => {
+      readFile.mockResolvedValue([
+        'Feature: App',
+        '',
+        'Background:',
+        '  Given import Mathematics',
+        '  And import StringUtils',
+        '  And import Mathematics',
+        '  And import standard math functions',
+        '',
+        'Scenario: run defines a function',
+      ].join('\n'));
+
+      const result = await parser.parse('/path/to/app.feature');
+
+      expect(result.imports).toEqual(['Mathematics']);
+      expect(result.dependencies).toEqual(['Mathematics', 'StringUtils']);
+    });
+  });
+
+  describe('exports', () => {
+    const MODULE = [
+      'Feature: Mathematics',
+      '',
+      '  Scenario: add defines a function',
+      '    Given function add accepts a and b',
+      '',
+      '  @private',
+      '  Scenario: clamp defines a function',
+      '    Given function clamp accepts value',
+      '',
+      '  Scenario: negate defines a function',
+      '    Given function negate accepts a',
+    ];
+
+    it('should export every scenario not tagged @private', async () => {
+      const result = await parser.parse('/path/to/math.feature', MODULE.join('\n'));
+
+      expect(result.errors).toEqual([]);
+      expect(result.exports).toEqual(['add', 'negate']);
+    });
+
+    it('should export only the functions of an export list', async () => {
+      const source = [...MODULE.slice(0, 2), '  Background:', '    Given exports: negate, add', ...MODULE.slice(1)];
+
+      const result = await parser.parse('/path/to/math.feature', source.join('\n'));
+
+      expect(result.errors).toEqual([]);
+      expect(result.exports).toEqual(['add', 'negate']);
+    });
+
+    it('should report listed functions that are undefined or private', async () => {
+      const source = [...MODULE.slice(0, 2), '  Background:', '    Given exports add and clamp and round', ...MODULE.slice(1)];
+
+      const result = await parser.parse('/path/to/math.feature', source.join('\n'));
+
+      expect(result.errors.map(error => [error.message, error.line])).toEqual([
+        ['Exported function "clamp" is tagged @private', 4],
+        ['Exported function "round" is not defined by any scenario', 4],
+      ]);
+      expect(result.exports).toEqual(['add']);
+    });
+  });
+
   describe('parseMany', () => {
     it('should parse multiple feature files', async () => {
       const filePaths = ['/path/to/file1.feature', '/path/to/file2.feature'];
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the build scheduler.
+ *
+ * @module test/unit/compiler/scheduler
+ */
+
+const { BuildScheduler } = require('../../../src/compiler/scheduler');
+const { RateLimiter } = require('../../../src/ai/rate-limiter');
+
+// Base <- Left, Base <- Right, Left + Right <- Top
+const GRAPH = {
+  Base: [],
+  Left: ['Base'],
+  Right: ['Base'],
+  Top: ['Left', 'Right'],
+};
+const ORDER = ['Base', 'Left', 'Right', 'Top'];
+
+describe('BuildScheduler', () => {
+  let events;
+  let tasks;
+  let statuses;
+
+  beforeEach(() => {
+    events = [];
+    statuses = {};
+    tasks = {
+      getDependencies: moduleName => GRAPH[moduleName] || [],
+      compile: jest.fn(async (moduleName) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { moduleName, status: statuses[moduleName] || 'compiled' };
+      }),
+      skip: jest.fn((moduleName, blockedBy) => ({ moduleName, status: 'skipped', blockedBy })),
+      onEvent: event => events.push(`${event.type} ${event.moduleName}`),
+    };
+  });
+
+  it('should return results in compile order', async () => {
+    const scheduler = new BuildScheduler({ concurrency: 4 });
+
+    const results = await scheduler.run(ORDER, tasks);
+
+    expect(results.map(result => result.moduleName)).toEqual(ORDER);
+    expect(results.every(result => result.status === 'compiled')).toBe(true);
+  });
+
+  it('should start a module only after its dependencies finish', async () => {
+    const scheduler = new BuildScheduler({ concurrency: 4 });
+
+    await scheduler.run(ORDER, tasks);
+
+    expect(events.indexOf('start Left')).toBeGreaterThan(events.indexOf('finish Base'));
+    expect(events.indexOf('start Top')).toBeGreaterThan(events.indexOf('finish Left'));
+    expect(events.indexOf('start Top')).toBeGreaterThan(events.indexOf('finish Right'));
+  });
+
+  it('should compile independent modules of a layer in parallel', async () => {
+    const scheduler = new BuildScheduler({ concurrency: 4 });
+
+    await scheduler.run(ORDER, tasks);
+
+    expect(events.slice(2, 4)).toEqual(['start Left', 'start Right']);
+  });
+
+  it('should never run more modules than the concurrency allows', async () => {
+    const scheduler = new BuildScheduler({ concurrency: 1 });
+
+    await scheduler.run(ORDER, tasks);
+
+    expect(events).toEqual([
+      'start Base', 'finish Base',
+      'start Left', 'finish Left',
+      'start Right', 'finish Right',
+      'start Top', 'finish Top',
+    ]);
+  });
+
+  it('should skip dependents of failed modules without compiling them', async () => {
+    statuses.Left = 'failed';
+    const scheduler = new BuildScheduler({ concurrency: 2 });
+
+    const results = await scheduler.run(ORDER, tasks);
+
+    expect(results.map(result => result.status)).toEqual(['compiled', 'failed', 'compiled', 'skipped']);
+    expect(tasks.skip).toHaveBeenCalledWith('Top', 'Left');
+    expect(tasks.compile).not.toHaveBeenCalledWith('Top');
+  });
+
+  it('should treat dependencies outside the build as done', async () => {
+    const scheduler = new BuildScheduler();
+
+    const results = await scheduler.run(['Top'], tasks);
+
+    expect(results).toEqual([{ moduleName: 'Top', status: 'compiled' }]);
+  });
+
+  it('should count finished modules in finish events', async () => {
+    const finished = [];
+    tasks.onEvent = event => event.type === 'finish' && finished.push([event.completed, event.total]);
+    const scheduler = new BuildScheduler({ concurrency: 2 });
+
+    await scheduler.run(ORDER, tasks);
+
+    expect(finished).toEqual([[1, 4], [2, 4], [3, 4], [4, 4]]);
+  });
+
+  it('should not start modules while the rate limiter is paused', async () => {
+    const rateLimiter = new RateLimiter();
+    rateLimiter.pause(30);
+    const scheduler = new BuildScheduler({ rateLimiter });
+    const startTime = Date.now();
+
+    await scheduler.run(['Base'], tasks);
+
+    expect(tasks.compile).toHaveBeenCalledTimes(1);
+    expect(Date.now() - startTime).toBeGreaterThanOrEqual(25);
+  });
+});
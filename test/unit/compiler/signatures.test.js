@@ -0,0 +1,82 @@
+/**
+ * Unit tests for reading signatures back from compiled modules.
+ *
+ * @module test/unit/compiler/signatures
+ */
+
+const { extractSignatures } = require('../../../src/compiler/signatures');
+
+const COMPILED = [
+  '/**',
+  ' * @module Mathematics',
+  ' */',
+  '',
+  '/**',
+  ' * Multiplies a by b and',
+  ' * rounds the product',
+  ' *',
+  ' * @param {number} a - Multiplicand',
+  ' * @param {number} [b=1]',
+  ' * @returns {number}',
+  ' */',
+  'const multiply = (a, b = 1) => Math.round(a * b);',
+  '',
+  'const helper = x => x;',
+  '',
+  '/**',
+  ' * @returns {*}',
+  ' */',
+  'function clamp(value, [low, high], ...rest) {',
+  '  return Math.min(Math.max(value, low), high);',
+  '}',
+  '',
+  'module.exports = { multiply, clamp };',
+].join('\n');
+
+describe('extractSignatures', () => {
+  it('should read exported functions with their JSDoc types and summary', () => {
+    const [multiply, clamp] = extractSignatures(COMPILED);
+
+    expect(multiply).toEqual({
+      name: 'multiply',
+      params: [
+        { name: 'a', type: 'number', description: 'Multiplicand' },
+        { name: 'b', type: 'number', description: null },
+      ],
+      returns: 'number',
+      summary: 'Multiplies a by b and rounds the product',
+    });
+    expect(clamp).toEqual({
+      name: 'clamp',
+      params: [
+        { name: 'value', type: null, description: null },
+        { name: 'arg1', type: null, description: null },
+        { name: '...rest', type: null, description: null },
+      ],
+      returns: null,
+      summary: null,
+    });
+  });
+
+  it('should leave out functions that are not exported', () => {
+    expect(extractSignatures(COMPILED).map(fn => fn.name)).toEqual(['multiply', 'clamp']);
+  });
+
+  it('should fall back to the parameter types declared in the source', () => {
+    const [, clamp] = extractSignatures(COMPILED, [
+      { name: 'clamp', params: [{ name: 'value', type: 'number' }, { name: 'rest', type: 'array' }] },
+    ]);
+
+    expect(clamp.params.map(param => param.type)).toEqual(['number', null, 'array']);
+  });
+
+  it('should read ES module exports', () => {
+    const code = 'export const double = (n) => n * 2;\nfunction half(n) { return n / 2; }\nexport { half };';
+
+    expect(extractSignatures(code).map(fn => fn.name)).toEqual(['double', 'half']);
+  });
+
+  it('should return no signatures for code that does not parse', () => {
+    expect(extractSignatures('const = ;')).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for scenario-level compilation units.
+ *
+ * @module test/unit/compiler/units
+ */
+
+const { GherkinParser } = require('../../../src/compiler/parser');
+const { splitModule, extractUnitsSource, splitCode, assembleModule } = require('../../../src/compiler/units');
+
+const FEATURE = [
+  'Feature: Mathematics',
+  '  Basic arithmetic',
+  '',
+  '  Background:',
+  '    Given constant ZERO = 0',
+  '',
+  '  # Addition',
+  '  @pure',
+  '  Scenario: add defines a function',
+  '    Given function add accepts a and b',
+  '    When add a and b',
+  '    Then return result',
+  '',
+  '  Scenario: negate defines a function',
+  '    Given function negate accepts a',
+  '    When subtract a from ZERO',
+  '    Then return result',
+].join('\n');
+
+const parse = async source => (await new GherkinParser().parse('mathematics.feature', source)).ast;
+
+describe('units', () => {
+  describe('splitModule', () => {
+    it('should split a module into one unit per scenario', async () => {
+      const split = splitModule(FEATURE, await parse(FEATURE));
+
+      expect(split.header).toBe('Feature: Mathematics');
+      expect(split.background).toBe('  Background:\n    Given constant ZERO = 0');
+      expect(split.units.map(unit => unit.name)).toEqual(['add', 'negate']);
+      expect(split.units[0].text).toBe([
+        '  @pure',
+        '  Scenario: add defines a function',
+        '    Given function add accepts a and b',
+        '    When add a and b',
+        '    Then return result',
+      ].join('\n'));
+      expect(split.units[1].source).toBe([
+        'Feature: Mathematics',
+        '  Background:',
+        '    Given constant ZERO = 0',
+        '',
+        split.units[1].text,
+      ].join('\n'));
+    });
+
+    it('should keep unit sources unchanged when comments or other scenarios change', async () => {
+      const edited = FEATURE.replace('# Addition', '# Sum of two numbers').replace('When add a and b', 'When add b and a');
+
+      const before = splitModule(FEATURE, await parse(FEATURE));
+      const after = splitModule(edited, await parse(edited));
+
+      expect(after.units[1].source).toBe(before.units[1].source);
+      expect(after.units[0].source).not.toBe(before.units[0].source);
+    });
+
+    it('should not split modules with one scenario or duplicate function names', async () => {
+      const single = FEATURE.split('\n').slice(0, 12).join('\n');
+      const duplicate = FEATURE.replace('negate defines', 'add defines');
+
+      expect(splitModule(single, await parse(single))).toBeNull();
+      expect(splitModule(duplicate, await parse(duplicate))).toBeNull();
+      expect(splitModule(FEATURE, undefined)).toBeNull();
+    });
+  });
+
+  describe('extractUnitsSource', () => {
+    it('should keep the Feature line, the Background and the given units', async () => {
+      const split = splitModule(FEATURE, await parse(FEATURE));
+
+      const source = extractUnitsSource(split, [split.units[1]]);
+
+      expect(source).toBe(split.units[1].source);
+      expect(source).not.toContain('add defines');
+    });
+  });
+
+  describe('splitCode', () => {
+    const CODE = [
+      "const { round } = require('./math');",
+      'const ZERO = 0;',
+      '',
+      '/** Adds two numbers. */',
+      'const add = (a, b) => a + b;',
+      '',
+      'const negate = a => ZERO - a;',
+      '',
+      'module.exports = { add, negate };',
+    ].join('\n');
+
+    it('should separate function declarations from shared module code', () => {
+      const fragment = splitCode(CODE, ['add', 'negate']);
+
+      expect([...fragment.functions]).toEqual([
+        ['add', '/** Adds two numbers. */\nconst add = (a, b) => a + b;'],
+        ['negate', 'const negate = a => ZERO - a;'],
+      ]);
+      expect(fragment.prelude).toEqual([
+        { names: ['round'], code: "const { round } = require('./math');" },
+        { names: ['ZERO'], code: 'const ZERO = 0;' },
+      ]);
+    });
+
+    it('should unwrap ES module exports', () => {
+      const fragment = splitCode('import x from "x";\nexport const add = (a, b) => a + b;\nexport default add;', ['add']);
+
+      expect(fragment.functions.get('add')).toBe('const add = (a, b) => a + b;');
+      expect(fragment.prelude).toEqual([{ names: ['x'], code: 'import x from "x";' }]);
+    });
+
+    it('should return null when a function is missing or the code does not parse', () => {
+      expect(splitCode('module.exports = { add: (a, b) => a + b };', ['add'])).toBeNull();
+      expect(splitCode('const add = (a, b) =>', ['add'])).toBeNull();
+    });
+  });
+
+  describe('assembleModule', () => {
+    it('should merge shared code once and export every function in order', () => {
+      const fresh = splitCode('const ZERO = 0;\nconst negate = a => ZERO - a;', ['negate']);
+      const cached = splitCode('const ZERO = 0;\nconst twice = x => x * 2;\nconst add = (a, b) => twice(a + b) / 2;', ['add']);
+
+      expect(assembleModule([fresh, cached], ['add', 'negate'], { moduleFormat: 'commonjs' })).toBe([
+        'const ZERO = 0;',
+        'const twice = x => x * 2;',
+        'const add = (a, b) => twice(a + b) / 2;',
+        'const negate = a => ZERO - a;',
+        'module.exports = { add, negate };',
+      ].join('\n\n'));
+    });
+
+    it('should add no export statement without a module format', () => {
+      const fragment = splitCode('const add = (a, b) => a + b;\nexport { add };', ['add']);
+
+      expect(assembleModule([fragment], ['add'])).toBe('const add = (a, b) => a + b;');
+      expect(assembleModule([fragment], ['add'], { moduleFormat: 'esm' })).toContain('export { add };');
+    });
+  });
+});
@@ -6,7 +6,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { readFile, writeFile, exists, stat, mkdir, rm } = require('../../../../src/compiler/utils/fs');
+const {
+  readFile, writeFile, writeFileAtomic, exists, stat, mkdir, rm, move, listFiles,
+} = require('../../../../src/compiler/utils/fs');
 
 // Mock fs.promises
 jest.mock('fs', () => ({
@@ -18,6 +20,8 @@ jest.mock('fs', () => ({
     mkdir: jest.fn(),
     rmdir: jest.fn(),
     unlink: jest.fn(),
+    rename: jest.fn(),
+    readdir: jest.fn(),
   },
 }));
 
@@ -39,6 +43,16 @@ describe('fs utility module', () => {
       expect(fs.readFile).toHaveBeenCalledTimes(1);
     });
 
+    it('should read raw bytes when no encoding is given', async () => {
+      const content = Buffer.from([0x1f, 0x8b]);
+      fs.readFile.mockResolvedValue(content);
+
+      const result = await readFile('/path/to/file.gz', null);
+
+      expect(result).toBe(content);
+      expect(fs.readFile).toHaveBeenCalledWith('/path/to/file.gz', null);
+    });
+
     it('should throw Error with message when file not found (ENOENT)', async () => {
       const filePath = '/path/to/nonexistent.txt';
       const error = new Error('File not found');
@@ -120,6 +134,33 @@ describe('fs utility module', () => {
     });
   });
 
+  describe('writeFileAtomic', () => {
+    it('should write to a temporary file and rename it over the target', async () => {
+      const filePath = '/path/to/file.txt';
+      fs.mkdir.mockResolvedValue(undefined);
+      fs.writeFile.mockResolvedValue(undefined);
+      fs.rename.mockResolvedValue(undefined);
+
+      await writeFileAtomic(filePath, 'file content');
+
+      const tempPath = fs.writeFile.mock.calls[0][0];
+      expect(tempPath).toMatch(/^\/path\/to\/file\.txt\.\d+\.[0-9a-f]{8}\.tmp$/);
+      expect(fs.writeFile).toHaveBeenCalledWith(tempPath, 'file content', 'utf8');
+      expect(fs.rename).toHaveBeenCalledWith(tempPath, filePath);
+    });
+
+    it('should remove the temporary file when the rename fails', async () => {
+      const error = new Error('Rename failed');
+      fs.mkdir.mockResolvedValue(undefined);
+      fs.writeFile.mockResolvedValue(undefined);
+      fs.rename.mockRejectedValue(error);
+      fs.unlink.mockResolvedValue(undefined);
+
+      await expect(writeFileAtomic('/path/to/file.txt', 'file content')).rejects.toThrow(error);
+      expect(fs.unlink).toHaveBeenCalledWith(fs.writeFile.mock.calls[0][0]);
+    });
+  });
+
   describe('exists', () => {
     it('should return true when file exists', async () => {
       const filePath = '/path/to/file.txt';
@@ -311,4 +352,41 @@ describe('fs utility module', () => {
       expect(fs.unlink).toHaveBeenCalledWith(filePath);
     });
   });
+
+  describe('move', () => {
+    it('should create the target directory and rename the file', async () => {
+      fs.mkdir.mockResolvedValue(undefined);
+      fs.rename.mockResolvedValue(undefined);
+
+      await move('/cache/key.cache', '/cache/quarantine/key.cache');
+
+      expect(fs.mkdir).toHaveBeenCalledWith('/cache/quarantine', { recursive: true });
+      expect(fs.rename).toHaveBeenCalledWith('/cache/key.cache', '/cache/quarantine/key.cache');
+    });
+  });
+
+  describe('listFiles', () => {
+    it('should list sorted file names and skip directories', async () => {
+      fs.readdir.mockResolvedValue([
+        { name: 'b.cache', isFile: () => true },
+        { name: 'quarantine', isFile: () => false },
+        { name: 'a.cache', isFile: () => true },
+      ]);
+
+      await expect(listFiles('/cache')).resolves.toEqual(['a.cache', 'b.cache']);
+      expect(fs.readdir).toHaveBeenCalledWith('/cache', { withFileTypes: true });
+    });
+
+    it('should return an empty list for a missing directory', async () => {
+      fs.readdir.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
+
+      await expect(listFiles('/missing')).resolves.toEqual([]);
+    });
+
+    it('should rethrow other errors', async () => {
+      fs.readdir.mockRejectedValue(Object.assign(new Error('denied'), { code: 'EACCES' }));
+
+      await expect(listFiles('/cache')).rejects.toThrow('denied');
+    });
+  });
 });
@@ -10,6 +10,7 @@ const {
   generateModuleJSDocComplete,
   generateExampleSection,
   extractDescriptionFromScenario,
+  getExampleColumns,
   inferTypeFromName,
   inferReturnTypeFromName,
   inferTypeFromValue,
@@ -299,6 +300,22 @@ describe('generateExampleSection', () => {
     expect(result).toContain('@example Basic addition');
   });
 
+  it('should use non-result columns as arguments when params are unknown', () => {
+    const example = { rows: [{ a: 1, b: 'x', result: '1x' }] };
+
+    const result = generateExampleSection('concat', example, []);
+
+    expect(result).toContain("concat(1, 'x'); // => '1x'");
+  });
+
+  it('should use the table columns when no declared param names a column', () => {
+    const example = { rows: [{ x: 2, y: 3, returns: 5 }] };
+
+    const result = generateExampleSection('add', example, [{ name: 'a' }, { name: 'b' }]);
+
+    expect(result).toContain('add(2, 3); // => 5');
+  });
+
   it('should limit to 3 examples', () => {
     const example = {
       rows: [
@@ -318,6 +335,17 @@ describe('generateExampleSection', () => {
   });
 });
 
+describe('getExampleColumns', () => {
+  it('should take the declared params as arguments when the table names one', () => {
+    expect(getExampleColumns({ b: 2, a: 1, Expected: 3 }, ['a', 'b'])).toEqual({ argNames: ['a', 'b'], resultKey: 'Expected' });
+  });
+
+  it('should fall back to the non-result columns in table order', () => {
+    expect(getExampleColumns({ x: 1, returns: 2, y: 3 }, ['a'])).toEqual({ argNames: ['x', 'y'], resultKey: 'returns' });
+    expect(getExampleColumns({ x: 1 }, [])).toEqual({ argNames: ['x'], resultKey: undefined });
+  });
+});
+
 describe('wrapText', () => {
   it('should not wrap short text', () => {
     const result = wrapText('Short text', 80);
@@ -338,6 +366,10 @@ describe('wrapText', () => {
     expect(wrapText('', 80)).toEqual(['']);
     expect(wrapText(null, 80)).toEqual(['']);
   });
+
+  it('should not keep line breaks from multi-line text', () => {
+    expect(wrapText('let x = {\na: 1\n}', 80)).toEqual(['let x = { a: 1 }']);
+  });
 });
 
 describe('formatValueForExample', () => {
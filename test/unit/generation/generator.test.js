@@ -27,6 +27,7 @@ const {
   generateCJSImport,
   computeOutputPath,
   extractExportsFromCode,
+  stripExports,
 } = require('../../../src/generation/generator');
 
 describe('computeOutputPath', () => {
@@ -291,6 +292,48 @@ describe('extractExportsFromCode', () => {
   });
 });
 
+describe('stripExports', () => {
+  it('should remove export objects with nested values spanning several lines', () => {
+    const code = [
+      'const a = 1;',
+      'module.exports = {',
+      '  a: {',
+      '    b: a,',
+      '  },',
+      '};',
+      'const c = 2;',
+    ].join('\n');
+
+    expect(stripExports(code)).toBe('const a = 1;\nconst c = 2;');
+  });
+
+  it('should keep the definitions of functions assigned to exports', () => {
+    const code = [
+      'const add = (a, b) => a + b;',
+      'module.exports.add = add;',
+      'exports.double = (x) => {',
+      '  return x * 2;',
+      '};',
+    ].join('\n');
+
+    expect(stripExports(code)).toBe('const add = (a, b) => a + b;\nconst double = (x) => {\n  return x * 2;\n};');
+  });
+
+  it('should keep the declarations of inline ES module exports', () => {
+    const code = [
+      'export const add = (a, b) => a + b;',
+      'export default function double(x) { return x * 2; }',
+      'export { add };',
+    ].join('\n');
+
+    expect(stripExports(code)).toBe('const add = (a, b) => a + b;\nfunction double(x) { return x * 2; }');
+  });
+
+  it('should leave code that does not parse unchanged', () => {
+    expect(stripExports('const = ;\n')).toBe('const = ;');
+  });
+});
+
 describe('generate', () => {
   let tempDir;
 
@@ -324,6 +367,47 @@ describe('generate', () => {
     expect(result.exports.length).toBeGreaterThan(0);
   });
 
+  it('should keep exports already present in the code', async () => {
+    const code = 'const add = (a, b) => a + b;\n\nmodule.exports = { add };';
+    const context = {
+      sourcePath: 'features/math.feature',
+      featureName: 'Math',
+    };
+
+    const result = await generate(code, context, {
+      outputDir: tempDir,
+      dryRun: true,
+    });
+
+    expect(result.code.match(/module\.exports/g)).toHaveLength(1);
+  });
+
+  it('should export only the public functions when they are given', async () => {
+    const code = [
+      'const clamp = (x) => Math.max(0, x);',
+      'export const add = (a, b) => clamp(a + b);',
+      'export { clamp, add };',
+    ].join('\n');
+    const context = {
+      sourcePath: 'features/math.feature',
+      featureName: 'Math',
+      exports: ['add'],
+    };
+
+    const result = await generate(code, context, {
+      outputDir: tempDir,
+      moduleFormat: 'esm',
+      dryRun: true,
+    });
+
+    expect(result.exports.map((e) => e.name)).toEqual(['add']);
+    expect(result.code).toContain('const add = (a, b) => clamp(a + b);');
+    expect(result.code).toContain('export { add };');
+    expect(result.code).not.toContain('export { clamp');
+    expect(result.code).toMatch(/\*\/\nconst add/);
+    expect(result.code).not.toMatch(/\*\/\nconst clamp/);
+  });
+
   it('should format code by default', async () => {
     const code = 'const add=(a,b)=>a+b;';
     const context = {
@@ -376,6 +460,26 @@ describe('generate', () => {
     expect(result.code).toContain('*/');
   });
 
+  it('should match scenarios by function name before substring', async () => {
+    const code = 'const total = (a, b) => a + b;';
+    const context = {
+      sourcePath: 'features/cart.feature',
+      featureName: 'Cart',
+      scenarios: [
+        { name: 'subtotal defines a function', description: 'Sum before tax' },
+        { name: 'total defines a function', description: 'Sum after tax' },
+      ],
+    };
+
+    const result = await generate(code, context, {
+      outputDir: tempDir,
+      dryRun: true,
+    });
+
+    expect(result.code).toContain('Sum after tax');
+    expect(result.code).not.toContain('Sum before tax');
+  });
+
   it('should include module exports for CommonJS', async () => {
     const code = 'const add = (a, b) => a + b;';
     const context = {
@@ -162,6 +162,18 @@ describe('generateExampleTests', () => {
     expect(tests[0].expected).toBe(10);
   });
 
+  it('should use table columns when they do not name the parameters', () => {
+    const examples = [{
+      functionName: 'add',
+      rows: [{ left: 1, right: 2, result: 3 }],
+    }];
+
+    const tests = generateExampleTests('add', examples, ['a', 'b']);
+
+    expect(tests[0].inputs).toEqual([1, 2]);
+    expect(tests[0].expected).toBe(3);
+  });
+
   it('should handle empty examples', () => {
     const tests = generateExampleTests('fn', [], ['x']);
 
@@ -583,6 +595,25 @@ describe('generateTests', () => {
     expect(content).toContain("describe('testmod'");
   });
 
+  it('should import the module relative to the test directory', async () => {
+    const module = {
+      sourcePath: 'math.feature',
+      outputPath: path.join(tempDir, 'dist', 'math.js'),
+      code: 'const add = (a, b) => a + b;',
+      formattedCode: 'const add = (a, b) => a + b;',
+      formatted: true,
+      exports: [{ name: 'add', exportType: 'named', params: [], returnType: 'number' }],
+      imports: [],
+    };
+
+    const result = await generateTests(module, {}, {
+      testDir: path.join(tempDir, 'test', 'generated'),
+      dryRun: true,
+    });
+
+    expect(result.code).toContain("require('../../dist/math.js')");
+  });
+
   it('should infer types when not provided', async () => {
     const module = {
       sourcePath: 'calc.feature',
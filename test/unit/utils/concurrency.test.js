@@ -0,0 +1,69 @@
+/**
+ * Unit tests for concurrency utility module.
+ *
+ * @module test/unit/utils/concurrency
+ */
+
+const {
+  DEFAULT_CONCURRENCY,
+  normalizeConcurrency,
+  mapConcurrent,
+} = require('../../../src/utils/concurrency');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('concurrency utility module', () => {
+  describe('normalizeConcurrency', () => {
+    it('should default to DEFAULT_CONCURRENCY', () => {
+      expect(normalizeConcurrency(undefined)).toBe(DEFAULT_CONCURRENCY);
+      expect(normalizeConcurrency(null)).toBe(DEFAULT_CONCURRENCY);
+    });
+
+    it('should clamp values to positive integers', () => {
+      expect(normalizeConcurrency(0)).toBe(1);
+      expect(normalizeConcurrency(-3)).toBe(1);
+      expect(normalizeConcurrency(2.7)).toBe(2);
+      expect(normalizeConcurrency(8)).toBe(8);
+    });
+  });
+
+  describe('mapConcurrent', () => {
+    it('should keep results in input order', async () => {
+      const results = await mapConcurrent([30, 10, 20], 3, async (ms, index) => {
+        await sleep(ms);
+        return `${index}:${ms}`;
+      });
+
+      expect(results).toEqual(['0:30', '1:10', '2:20']);
+    });
+
+    it('should run at most the given number of tasks at once', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      await mapConcurrent([1, 2, 3, 4, 5], 2, async () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await sleep(5);
+        inFlight--;
+      });
+
+      expect(maxInFlight).toBe(2);
+    });
+
+    it('should return an empty array for no items', async () => {
+      await expect(mapConcurrent([], 4, jest.fn())).resolves.toEqual([]);
+    });
+
+    it('should reject with the first error and start no further tasks', async () => {
+      const fn = jest.fn(async (item) => {
+        if (item === 1) {
+          throw new Error('boom');
+        }
+        await sleep(5);
+      });
+
+      await expect(mapConcurrent([1, 2, 3, 4], 1, fn)).rejects.toThrow('boom');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
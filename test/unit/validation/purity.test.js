@@ -572,6 +572,12 @@ describe('validatePurity', () => {
         expect(result.violations[0].pattern).toBe('sort');
       });
 
+      it('should allow sorting a spread copy', () => {
+        const result = checkPurity('const sorted = (items) => [...items].sort((a, b) => a - b);');
+
+        expect(result.valid).toBe(true);
+      });
+
       it('should detect reverse (mutating)', () => {
         const result = checkPurity('arr.reverse();');
 